@@ -0,0 +1,265 @@
+/**
+ * Email Templates
+ *
+ * One template per email (success, noSubscriptions, error), each with
+ * subject(data), body(data) for the HTML part and text(data) for the
+ * text/plain alternative. The wording is written once in STRINGS and read by
+ * both parts, and the html tag escapes every interpolated value. Emails are
+ * English only; the Node.js version has the same layout with locales in
+ * nodejs/src/templates.
+ */
+
+// Escape a value for HTML text or a quoted attribute. Error messages can contain markup.
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Rendered HTML, which the html tag inserts without escaping again
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+}
+
+// Tagged template that escapes interpolated values unless they are already HTML
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, part, i) => out + part + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+const STRINGS = {
+  chain: 'Chain:',
+  timestamp: 'Timestamp:',
+  notAvailable: 'N/A',
+  footer: chain => `Clocktower Caller - ${chain} Chain Monitoring`,
+  success: {
+    subject: chain => `✅ Clocktower Remit Success - ${chain}`,
+    heading: '🎉 Clocktower Remit Transaction Successful!',
+    details: 'Transaction Details',
+    txHash: 'Transaction Hash:',
+    recursionDepth: 'Recursion Depth:',
+    balances: 'Balance Changes',
+    balance: symbol => `${symbol} Balance:`,
+    noteLabel: 'Note:',
+    note: 'This email was sent automatically when the remit transaction succeeded and was not reverted.'
+  },
+  noSubscriptions: {
+    subject: chain => `📭 Clocktower No Subscriptions - ${chain}`,
+    heading: '📭 No Subscriptions Found for Today',
+    results: 'Daily Check Results',
+    currentDay: 'Current Day:',
+    nextUncheckedDay: 'Next Unchecked Day:',
+    meaning: 'What This Means',
+    meaningIntro: 'No active subscriptions were found for the current day. This could mean:',
+    reasons: [
+      'No subscriptions are due today',
+      'All subscriptions for today have already been processed',
+      'The system is up to date'
+    ],
+    statusLabel: 'Status:',
+    status: 'No remit transaction was needed or executed.'
+  },
+  error: {
+    subject: chain => `❌ Clocktower Error - ${chain}`,
+    heading: '❌ Clocktower Execution Error',
+    information: 'Error Information',
+    type: 'Error Type:',
+    message: 'Error Message',
+    details: 'Additional Details',
+    actionLabel: '⚠️ Action Required:',
+    action: 'Please investigate this error and ensure the Clocktower caller is functioning correctly.'
+  }
+};
+
+const COLORS = {
+  success: '#22c55e',
+  warning: '#f59e0b',
+  error: '#dc2626'
+};
+
+// Outer container with the heading and footer; styles are inline because most mail clients drop <style>
+function layout({ heading, color, footer }, content) {
+  return html`<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: ${color};">${heading}</h2>
+  ${content}
+  <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+  <p style="color: #6b7280; font-size: 14px; text-align: center;">${footer}</p>
+</div>`;
+}
+
+function section({ background, color, title, style = '' }, content) {
+  return html`<div style="background-color: ${background}; padding: 20px; border-radius: 8px; margin: 20px 0;${style}">
+    <h3 style="color: ${color}; margin-top: 0;">${title}</h3>
+    ${content}
+  </div>`;
+}
+
+function callout({ background, color, label }, text) {
+  return html`<div style="background-color: ${background}; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0; color: ${color};"><strong>${label}</strong> ${text}</p>
+  </div>`;
+}
+
+function field(label, value) {
+  return html`<p><strong>${label}</strong> ${value}</p>`;
+}
+
+// Plain-text body: heading, blocks separated by blank lines, then the footer. Empty blocks are skipped.
+function textLayout({ heading, footer }, blocks) {
+  const parts = blocks
+    .map(block => (Array.isArray(block) ? block.join('\n') : block))
+    .filter(Boolean);
+  return [heading, ...parts, `--\n${footer}`].join('\n\n');
+}
+
+// Data: chain, txHash, explorerUrl, recursionDepth, balanceBeforeEth, balanceAfterEth, tokenBalances, timestamp
+const success = {
+  subject: data => STRINGS.success.subject(data.chain),
+
+  balances(data) {
+    return [
+      [STRINGS.success.balance('ETH'), `${data.balanceBeforeEth} → ${data.balanceAfterEth}`],
+      ...(data.tokenBalances || []).map(token => [STRINGS.success.balance(token.symbol), `${token.balanceBefore} → ${token.balanceAfter}`])
+    ];
+  },
+
+  body(data) {
+    const s = STRINGS.success;
+    return layout({ heading: s.heading, color: COLORS.success, footer: STRINGS.footer(data.chain) }, [
+      section({ background: '#f0f9ff', color: '#0369a1', title: s.details }, [
+        field(STRINGS.chain, data.chain),
+        field(s.txHash, html`<a href="${data.explorerUrl}" target="_blank" style="color: #0369a1;">${data.txHash}</a>`),
+        field(s.recursionDepth, data.recursionDepth),
+        field(STRINGS.timestamp, data.timestamp)
+      ]),
+      section({ background: '#f0fdf4', color: '#166534', title: s.balances }, success.balances(data).map(([label, change]) => field(label, change))),
+      callout({ background: '#fef3c7', color: '#92400e', label: s.noteLabel }, s.note)
+    ]);
+  },
+
+  text(data) {
+    const s = STRINGS.success;
+    return textLayout({ heading: s.heading, footer: STRINGS.footer(data.chain) }, [
+      [
+        `${STRINGS.chain} ${data.chain}`,
+        `${s.txHash} ${data.txHash}`,
+        data.explorerUrl,
+        `${s.recursionDepth} ${data.recursionDepth}`,
+        `${STRINGS.timestamp} ${data.timestamp}`
+      ],
+      [s.balances, ...success.balances(data).map(([label, change]) => `${label} ${change}`)],
+      `${s.noteLabel} ${s.note}`
+    ]);
+  }
+};
+
+// Data: chain, currentDay, nextUncheckedDay, timestamp
+const noSubscriptions = {
+  subject: data => STRINGS.noSubscriptions.subject(data.chain),
+
+  body(data) {
+    const s = STRINGS.noSubscriptions;
+    return layout({ heading: s.heading, color: COLORS.warning, footer: STRINGS.footer(data.chain) }, [
+      section({ background: '#fef3c7', color: '#92400e', title: s.results }, [
+        field(STRINGS.chain, data.chain),
+        field(s.currentDay, data.currentDay),
+        field(s.nextUncheckedDay, data.nextUncheckedDay),
+        field(STRINGS.timestamp, data.timestamp)
+      ]),
+      section({ background: '#f0f9ff', color: '#0369a1', title: s.meaning }, html`
+      <p>${s.meaningIntro}</p>
+      <ul style="color: #0369a1;">
+        ${s.reasons.map(reason => html`<li>${reason}</li>`)}
+      </ul>`),
+      callout({ background: '#f0fdf4', color: '#166534', label: s.statusLabel }, s.status)
+    ]);
+  },
+
+  text(data) {
+    const s = STRINGS.noSubscriptions;
+    return textLayout({ heading: s.heading, footer: STRINGS.footer(data.chain) }, [
+      [
+        `${STRINGS.chain} ${data.chain}`,
+        `${s.currentDay} ${data.currentDay}`,
+        `${s.nextUncheckedDay} ${data.nextUncheckedDay}`,
+        `${STRINGS.timestamp} ${data.timestamp}`
+      ],
+      [s.meaningIntro, ...s.reasons.map(reason => `- ${reason}`)],
+      `${s.statusLabel} ${s.status}`
+    ]);
+  }
+};
+
+// Data: chain, errorType, errorMessage, details, timestamp
+const error = {
+  subject: data => STRINGS.error.subject(data.chain),
+
+  // Additional details, with missing values shown as not available
+  details(data) {
+    return Object.entries(data.details || {}).map(([key, value]) => [key, value !== null && value !== undefined ? String(value) : STRINGS.notAvailable]);
+  },
+
+  body(data) {
+    const s = STRINGS.error;
+    const details = error.details(data);
+    return layout({ heading: s.heading, color: COLORS.error, footer: STRINGS.footer(data.chain) }, [
+      section({ background: '#fee2e2', color: '#991b1b', title: s.information, style: ' border-left: 4px solid #dc2626;' }, [
+        field(STRINGS.chain, data.chain),
+        field(s.type, data.errorType),
+        field(STRINGS.timestamp, data.timestamp)
+      ]),
+      section({ background: '#fef2f2', color: '#991b1b', title: s.message },
+        html`<pre style="background-color: #ffffff; padding: 15px; border-radius: 4px; overflow-x: auto; color: #7f1d1d; white-space: pre-wrap; word-wrap: break-word;">${data.errorMessage}</pre>`),
+      details.length > 0
+        ? section({ background: '#f0f9ff', color: '#0369a1', title: s.details }, details.map(([key, value]) => field(`${key}:`, value)))
+        : '',
+      callout({ background: '#fef3c7', color: '#92400e', label: s.actionLabel }, s.action)
+    ]);
+  },
+
+  text(data) {
+    const s = STRINGS.error;
+    const details = error.details(data);
+    return textLayout({ heading: s.heading, footer: STRINGS.footer(data.chain) }, [
+      [
+        `${STRINGS.chain} ${data.chain}`,
+        `${s.type} ${data.errorType}`,
+        `${STRINGS.timestamp} ${data.timestamp}`
+      ],
+      `${s.message}:\n${data.errorMessage}`,
+      details.length > 0 ? [s.details, ...details.map(([key, value]) => `${key}: ${value}`)] : null,
+      `${s.actionLabel} ${s.action}`
+    ]);
+  }
+};
+
+export const EMAIL_TEMPLATES = { success, noSubscriptions, error };
+
+/**
+ * Render an email
+ * @param {string} name - Template name (key of EMAIL_TEMPLATES)
+ * @param {Object} data - Template data
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+export function renderEmail(name, data) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return { subject: template.subject(data), html: String(template.body(data)), text: template.text(data) };
+}
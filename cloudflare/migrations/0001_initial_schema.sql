@@ -1,20 +1,12 @@
--- =============================================================================
--- CLOCKTOWER CALLER DATABASE SCHEMA
--- =============================================================================
--- 
--- This schema supports both SQLite and PostgreSQL databases.
--- Comments indicate database-specific syntax where applicable.
--- 
--- SQLite: Uses INTEGER PRIMARY KEY AUTOINCREMENT, datetime('now')
--- PostgreSQL: Uses SERIAL, NOW()
--- =============================================================================
+-- Generated from nodejs/database/migrations/0001_initial_schema.sql by `npm run migrate -- d1`.
+-- Do not edit by hand: change the migration there and regenerate.
 
 -- =============================================================================
 -- TOKEN REGISTRY TABLE
 -- =============================================================================
 -- Stores information about tokens tracked across different chains
 
-CREATE TABLE tokens (
+CREATE TABLE IF NOT EXISTS tokens (
   id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
   token_address TEXT NOT NULL,
   token_symbol TEXT NOT NULL,
@@ -31,12 +23,11 @@ CREATE TABLE tokens (
 -- =============================================================================
 -- Main table for tracking script executions across multiple chains
 
-CREATE TABLE execution_logs (
+CREATE TABLE IF NOT EXISTS execution_logs (
   id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
   execution_id TEXT UNIQUE,
-  timestamp TEXT NOT NULL,  -- PostgreSQL: TIMESTAMP
+  timestamp TEXT NOT NULL,  -- PostgreSQL: TIMESTAMP NOT NULL
   chain_name TEXT NOT NULL,
-  chain_display_name TEXT NOT NULL,
   
   -- Pre-check results
   precheck_passed BOOLEAN NOT NULL,
@@ -67,16 +58,26 @@ CREATE TABLE execution_logs (
   created_at TEXT DEFAULT (datetime('now'))  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
 );
 
+-- The worker's original execution_logs had no chain_display_name, so on D1
+-- the column is added, and named for the chains already logged, whether the
+-- table was just created or already deployed
+ALTER TABLE execution_logs ADD COLUMN chain_display_name TEXT NOT NULL DEFAULT '';
+UPDATE execution_logs SET chain_display_name = CASE chain_name
+  WHEN 'base' THEN 'Base'
+  WHEN 'sepolia-base' THEN 'Base Sepolia'
+  ELSE chain_name END
+WHERE chain_display_name = '';
+
 -- =============================================================================
 -- TOKEN BALANCE TRACKING TABLE
 -- =============================================================================
 -- Separate table for tracking token balances per execution (flexible design)
 
-CREATE TABLE token_balances (
+CREATE TABLE IF NOT EXISTS token_balances (
   id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
   execution_log_id INTEGER,
   token_id INTEGER,
-  balance_before REAL,
+  balance_before REAL,  -- token units, rounded
   balance_after REAL,
   created_at TEXT DEFAULT (datetime('now')),  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
   FOREIGN KEY (execution_log_id) REFERENCES execution_logs(id),
@@ -88,37 +89,39 @@ CREATE TABLE token_balances (
 -- =============================================================================
 
 -- Execution logs indexes
-CREATE INDEX idx_execution_logs_timestamp ON execution_logs(timestamp);
-CREATE INDEX idx_execution_logs_tx_hash ON execution_logs(tx_hash);
-CREATE INDEX idx_execution_logs_status ON execution_logs(tx_status);
-CREATE INDEX idx_execution_logs_chain ON execution_logs(chain_name);
-CREATE INDEX idx_execution_logs_execution_id ON execution_logs(execution_id);
-CREATE INDEX idx_execution_logs_chain_timestamp ON execution_logs(chain_name, timestamp);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_timestamp ON execution_logs(timestamp);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_tx_hash ON execution_logs(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_status ON execution_logs(tx_status);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_chain ON execution_logs(chain_name);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_execution_id ON execution_logs(execution_id);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_chain_timestamp ON execution_logs(chain_name, timestamp);
 
 -- Token balances indexes
-CREATE INDEX idx_token_balances_execution ON token_balances(execution_log_id);
-CREATE INDEX idx_token_balances_token ON token_balances(token_id);
+CREATE INDEX IF NOT EXISTS idx_token_balances_execution ON token_balances(execution_log_id);
+CREATE INDEX IF NOT EXISTS idx_token_balances_token ON token_balances(token_id);
 
 -- Tokens indexes
-CREATE INDEX idx_tokens_address_chain ON tokens(token_address, chain_name);
-CREATE INDEX idx_tokens_chain ON tokens(chain_name);
-CREATE INDEX idx_tokens_active ON tokens(is_active);
+CREATE INDEX IF NOT EXISTS idx_tokens_address_chain ON tokens(token_address, chain_name);
+CREATE INDEX IF NOT EXISTS idx_tokens_chain ON tokens(chain_name);
+CREATE INDEX IF NOT EXISTS idx_tokens_active ON tokens(is_active);
 
 -- =============================================================================
 -- SAMPLE DATA
 -- =============================================================================
--- Insert common tokens for different chains
+-- Insert common tokens for different chains (skipped when already present)
 
 -- Base Mainnet tokens
 INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
 ('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 'USDC', 'USD Coin', 6, 'base'),
 ('0x4200000000000000000000000000000000000006', 'WETH', 'Wrapped Ether', 18, 'base'),
-('0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22', 'cbETH', 'Coinbase Wrapped Staked ETH', 18, 'base');
+('0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22', 'cbETH', 'Coinbase Wrapped Staked ETH', 18, 'base')
+ON CONFLICT DO NOTHING;
 
 -- Base Sepolia tokens
 INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
 ('0x036CbD53842c5426634e7929541eC2318f3dCF7e', 'USDC', 'USD Coin', 6, 'sepolia-base'),
-('0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', 'WETH', 'Wrapped Ether', 18, 'sepolia-base');
+('0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', 'WETH', 'Wrapped Ether', 18, 'sepolia-base')
+ON CONFLICT DO NOTHING;
 
 -- Ethereum Mainnet tokens (uncomment if needed)
 -- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
@@ -134,72 +137,3 @@ INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_nam
 -- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
 -- ('0xYourPolygonUSDCAddress', 'USDC', 'USD Coin', 6, 'polygon'),
 -- ('0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', 'WMATIC', 'Wrapped MATIC', 18, 'polygon');
-
--- =============================================================================
--- USEFUL QUERIES
--- =============================================================================
-
--- Get recent executions across all chains
--- SELECT 
---   execution_id,
---   chain_display_name,
---   timestamp,
---   tx_status,
---   execution_time_ms
--- FROM execution_logs 
--- ORDER BY timestamp DESC 
--- LIMIT 10;
-
--- Get failed transactions
--- SELECT 
---   execution_id,
---   chain_display_name,
---   timestamp,
---   tx_hash,
---   revert_reason
--- FROM execution_logs 
--- WHERE tx_status = 0 
--- ORDER BY timestamp DESC;
-
--- Get token balances for a specific execution
--- SELECT 
---   el.execution_id,
---   el.chain_display_name,
---   t.token_symbol,
---   tb.balance_before,
---   tb.balance_after
--- FROM execution_logs el
--- JOIN token_balances tb ON el.id = tb.execution_log_id
--- JOIN tokens t ON tb.token_id = t.id
--- WHERE el.execution_id = 'your-execution-id';
-
--- Get execution statistics by chain
--- SELECT 
---   chain_display_name,
---   COUNT(*) as total_executions,
---   SUM(CASE WHEN tx_status = 1 THEN 1 ELSE 0 END) as successful_txs,
---   AVG(execution_time_ms) as avg_execution_time,
---   MAX(timestamp) as last_execution
--- FROM execution_logs 
--- GROUP BY chain_display_name
--- ORDER BY total_executions DESC;
-
--- Get daily execution counts
--- SELECT 
---   DATE(timestamp) as execution_date,
---   chain_display_name,
---   COUNT(*) as execution_count
--- FROM execution_logs 
--- WHERE timestamp >= datetime('now', '-30 days')  -- PostgreSQL: NOW() - INTERVAL '30 days'
--- GROUP BY DATE(timestamp), chain_display_name
--- ORDER BY execution_date DESC;
-
--- Get error statistics
--- SELECT 
---   chain_display_name,
---   error_message,
---   COUNT(*) as error_count
--- FROM execution_logs 
--- WHERE error_message IS NOT NULL
--- GROUP BY chain_display_name, error_message
--- ORDER BY error_count DESC;
@@ -0,0 +1,4 @@
+-- Generated from nodejs/database/migrations/0002_execution_logs_status.sql by `npm run migrate -- d1`.
+-- Do not edit by hand: change the migration there and regenerate.
+
+ALTER TABLE execution_logs ADD COLUMN status TEXT;
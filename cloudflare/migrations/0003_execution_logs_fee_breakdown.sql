@@ -0,0 +1,9 @@
+-- Generated from nodejs/database/migrations/0003_execution_logs_fee_breakdown.sql by `npm run migrate -- d1`.
+-- Do not edit by hand: change the migration there and regenerate.
+
+ALTER TABLE execution_logs ADD COLUMN effective_gas_price TEXT;
+ALTER TABLE execution_logs ADD COLUMN l1_fee TEXT;  -- L1 data fee on OP-stack chains (Base), charged on top of gas
+ALTER TABLE execution_logs ADD COLUMN block_number INTEGER;
+ALTER TABLE execution_logs ADD COLUMN nonce INTEGER;
+ALTER TABLE execution_logs ADD COLUMN balance_before_wei TEXT;
+ALTER TABLE execution_logs ADD COLUMN balance_after_wei TEXT;
@@ -0,0 +1,25 @@
+-- Generated from nodejs/database/migrations/0004_token_balances_raw.sql by `npm run migrate -- d1`.
+-- Do not edit by hand: change the migration there and regenerate.
+
+ALTER TABLE token_balances ADD COLUMN balance_before_raw TEXT;
+ALTER TABLE token_balances ADD COLUMN balance_after_raw TEXT;
+ALTER TABLE token_balances ADD COLUMN delta_raw TEXT;
+
+-- printf keeps 16 significant digits, so the digits lost come back as zeros.
+-- Strip the point and leading zeros to get raw units, '0' when none are left.
+-- The delta is backfilled unsigned, then negated where the balance fell.
+UPDATE token_balances
+SET
+  balance_before_raw = CASE WHEN token_balances.balance_before IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, token_balances.balance_before), '.', ''), '0'), ''), '0') END,
+  balance_after_raw = CASE WHEN token_balances.balance_after IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, token_balances.balance_after), '.', ''), '0'), ''), '0') END,
+  delta_raw = CASE WHEN token_balances.balance_before IS NULL OR token_balances.balance_after IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, abs(token_balances.balance_after - token_balances.balance_before)), '.', ''), '0'), ''), '0') END
+FROM tokens t
+WHERE t.id = token_balances.token_id;
+
+UPDATE token_balances
+SET delta_raw = '-' || delta_raw
+WHERE balance_after < balance_before AND delta_raw <> '0';
+
@@ -1,7 +1,8 @@
-import { createPublicClient, createWalletClient, http, formatEther, formatUnits } from 'viem';
+import { createPublicClient, createWalletClient, http, fallback, formatEther, formatUnits } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc';
+import { escapeHtml, renderEmail } from './emailTemplates.js';
 dayjs.extend(utc);
 
 // Inline ABI (only includes remit function and nextUncheckedDay function)  
@@ -59,8 +60,9 @@ const MULTICALL_CHUNK_SIZE = 100;
 /**
  * Send notification email via Cloudflare Email Service (send_email binding).
  * Requires env.EMAIL, NOTIFICATION_EMAIL, and SENDER_ADDRESS (verified sender on onboarded domain).
+ * `text` is the text/plain alternative to `html`.
  */
-async function sendNotificationEmail(env, logPrefix, { subject, html }) {
+async function sendNotificationEmail(env, logPrefix, { subject, html, text }) {
   if (!env.EMAIL || !env.NOTIFICATION_EMAIL || !env.SENDER_ADDRESS) {
     console.log(`${logPrefix} Email not configured (EMAIL binding, NOTIFICATION_EMAIL, SENDER_ADDRESS), skipping notification`);
     return null;
@@ -71,6 +73,7 @@ async function sendNotificationEmail(env, logPrefix, { subject, html }) {
     to: env.NOTIFICATION_EMAIL,
     subject,
     html,
+    text,
   });
 
   console.log(`${logPrefix} Email sent:`, result.messageId);
@@ -80,51 +83,14 @@ async function sendNotificationEmail(env, logPrefix, { subject, html }) {
 // Helper function to send error emails from outside processChain scope
 async function sendChainErrorEmail(chainConfig, errorMessage, errorType, env, additionalDetails = {}) {
   try {
-    const subject = `❌ Clocktower Error - ${chainConfig.displayName}`;
-    
-    // Build additional details HTML
-    let additionalDetailsHtml = '';
-    if (Object.keys(additionalDetails).length > 0) {
-      additionalDetailsHtml = `
-        <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #0369a1; margin-top: 0;">Additional Details</h3>
-          ${Object.entries(additionalDetails).map(([key, value]) => 
-            `<p><strong>${key}:</strong> ${value !== null && value !== undefined ? value : 'N/A'}</p>`
-          ).join('')}
-        </div>
-      `;
-    }
-
-    const htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #dc2626;">❌ Clocktower Execution Error</h2>
-        
-        <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
-          <h3 style="color: #991b1b; margin-top: 0;">Error Information</h3>
-          <p><strong>Chain:</strong> ${chainConfig.displayName}</p>
-          <p><strong>Error Type:</strong> ${errorType}</p>
-          <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-        </div>
-        
-        <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #991b1b; margin-top: 0;">Error Message</h3>
-          <pre style="background-color: #ffffff; padding: 15px; border-radius: 4px; overflow-x: auto; color: #7f1d1d; white-space: pre-wrap; word-wrap: break-word;">${errorMessage}</pre>
-        </div>
-        
-        ${additionalDetailsHtml}
-        
-        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-          <p style="margin: 0; color: #92400e;"><strong>⚠️ Action Required:</strong> Please investigate this error and ensure the Clocktower caller is functioning correctly.</p>
-        </div>
-        
-        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-        <p style="color: #6b7280; font-size: 14px; text-align: center;">
-          Clocktower Caller - ${chainConfig.displayName} Chain Monitoring
-        </p>
-      </div>
-    `;
-
-    return await sendNotificationEmail(env, `[${chainConfig.chainName}]`, { subject, html: htmlContent });
+    const email = renderEmail('error', {
+      chain: chainConfig.displayName,
+      errorType,
+      errorMessage,
+      details: additionalDetails,
+      timestamp: new Date().toISOString()
+    });
+    return await sendNotificationEmail(env, `[${chainConfig.chainName}]`, email);
   } catch (error) {
     console.error(`[${chainConfig.chainName}] Failed to send error email:`, error?.code || '', error?.message || error);
     // Don't throw here - we don't want email failures to break the error handling flow
@@ -149,6 +115,45 @@ function parseTokensForChain(env, chainKey) {
   }
 }
 
+// Ordered RPC endpoints for a chain: RPC_URLS_* (comma-separated) when set,
+// otherwise the Alchemy URL plus ALCHEMY_API_KEY.
+function parseRpcUrlsForChain(env, chainKey, alchemyUrl) {
+  const rpcUrlsRaw = env[`RPC_URLS_${chainKey}`];
+  if (rpcUrlsRaw) {
+    const urls = rpcUrlsRaw.split(',').map(url => url.trim()).filter(Boolean);
+    if (urls.length > 0) return [...new Set(urls)];
+  }
+  return [`${alchemyUrl}${env.ALCHEMY_API_KEY || ''}`];
+}
+
+// Host only, so API keys in RPC URLs never reach the logs
+function describeRpcUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+// viem transport over the chain's endpoints. With several endpoints, a failing
+// one is skipped for the next; each failover is logged. No health ranking here:
+// it polls on a timer for the lifetime of the isolate.
+function createRpcTransport(chainConfig) {
+  const urls = chainConfig.rpcUrls;
+  if (urls.length === 1) return http(urls[0]);
+
+  const transport = fallback(urls.map(url => http(url)));
+  return (params) => {
+    const instance = transport(params);
+    instance.value.onResponse(({ method, status, error, transport: endpoint }) => {
+      if (status === 'error') {
+        console.warn(`[${chainConfig.chainName}] RPC failover: ${method} failed on ${describeRpcUrl(endpoint?.value?.url)} (${error?.shortMessage || error?.message})`);
+      }
+    });
+    return instance;
+  };
+}
+
 // Chain configuration system
 function getChainConfigs(env) {
   const baseTokens = parseTokensForChain(env, 'BASE');
@@ -159,6 +164,7 @@ function getChainConfigs(env) {
       chainName: 'base',
       displayName: 'Base',
       alchemyUrl: env.ALCHEMY_URL_BASE || 'https://base-mainnet.g.alchemy.com/v2/',
+      rpcUrls: parseRpcUrlsForChain(env, 'BASE', env.ALCHEMY_URL_BASE || 'https://base-mainnet.g.alchemy.com/v2/'),
       clocktowerAddress: env.CLOCKTOWER_ADDRESS_BASE,
       tokens: baseTokens,
       usdcAddress: baseTokens[0]?.address,
@@ -170,6 +176,7 @@ function getChainConfigs(env) {
       chainName: 'sepolia-base',
       displayName: 'Base Sepolia',
       alchemyUrl: env.ALCHEMY_URL_SEPOLIA_BASE || 'https://base-sepolia.g.alchemy.com/v2/',
+      rpcUrls: parseRpcUrlsForChain(env, 'SEPOLIA_BASE', env.ALCHEMY_URL_SEPOLIA_BASE || 'https://base-sepolia.g.alchemy.com/v2/'),
       clocktowerAddress: env.CLOCKTOWER_ADDRESS_SEPOLIA_BASE,
       tokens: sepoliaTokens,
       usdcAddress: sepoliaTokens[0]?.address,
@@ -179,7 +186,7 @@ function getChainConfigs(env) {
   ].filter(config => config.enabled);
 }
 
-export { parseTokensForChain, getChainConfigs };
+export { parseTokensForChain, parseRpcUrlsForChain, getChainConfigs, escapeHtml, sendChainErrorEmail };
 
 export default {
   async scheduled(event, env, ctx) {
@@ -234,15 +241,16 @@ async function processChain(chainConfig, env, globalExecutionId) {
     try {
       const result = await env.DB.prepare(`
         INSERT INTO execution_logs (
-          execution_id, timestamp, chain_name, precheck_passed, current_day, 
+          execution_id, timestamp, chain_name, chain_display_name, precheck_passed, current_day, 
           next_unchecked_day, should_proceed, tx_hash, tx_status, revert_reason,
           balance_before_eth, balance_after_eth, recursion_depth, 
           error_message, execution_time_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         data.execution_id,
         data.timestamp,
         data.chain_name,
+        chainConfig.displayName,
         data.precheck_passed,
         data.current_day,
         data.next_unchecked_day,
@@ -263,6 +271,7 @@ async function processChain(chainConfig, env, globalExecutionId) {
     }
   }
 
+  // Balances are raw uint256 amounts (bigint), stored exactly as decimal strings
   async function logTokenBalance(executionLogId, tokenAddress, symbol, name, decimals, balanceBefore, balanceAfter) {
     try {
       // Try to get existing token first
@@ -289,9 +298,17 @@ async function processChain(chainConfig, env, globalExecutionId) {
       }
 
       await env.DB.prepare(`
-        INSERT INTO token_balances (execution_log_id, token_id, balance_before, balance_after)
-        VALUES (?, ?, ?, ?)
-      `).bind(executionLogId, token.id, balanceBefore, balanceAfter).run();
+        INSERT INTO token_balances (execution_log_id, token_id, balance_before, balance_after, balance_before_raw, balance_after_raw, delta_raw)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        executionLogId,
+        token.id,
+        parseFloat(formatUnits(balanceBefore, decimals)),
+        parseFloat(formatUnits(balanceAfter, decimals)),
+        balanceBefore.toString(),
+        balanceAfter.toString(),
+        (balanceAfter - balanceBefore).toString()
+      ).run();
     } catch (error) {
       console.error(`[${chainConfig.chainName}] Token balance logging error:`, error);
     }
@@ -299,41 +316,17 @@ async function processChain(chainConfig, env, globalExecutionId) {
 
   async function sendSuccessEmail(txHash, balanceBeforeEth, balanceAfterEth, tokenBalances, recursionDepth) {
     try {
-      const tokenBalanceLines = (tokenBalances || []).map(
-        t => `<p><strong>${t.symbol} Balance:</strong> ${t.balanceBefore} → ${t.balanceAfter}</p>`
-      ).join('');
-
-      const subject = `✅ Clocktower Remit Success - ${chainConfig.displayName}`;
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #22c55e;">🎉 Clocktower Remit Transaction Successful!</h2>
-          
-          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #0369a1; margin-top: 0;">Transaction Details</h3>
-            <p><strong>Chain:</strong> ${chainConfig.displayName}</p>
-            <p><strong>Transaction Hash:</strong> <a href="${chainConfig.explorerUrl}/tx/${txHash}" target="_blank" style="color: #0369a1;">${txHash}</a></p>
-            <p><strong>Recursion Depth:</strong> ${recursionDepth}</p>
-            <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <div style="background-color: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #166534; margin-top: 0;">Balance Changes</h3>
-            <p><strong>ETH Balance:</strong> ${balanceBeforeEth} → ${balanceAfterEth}</p>
-            ${tokenBalanceLines}
-          </div>
-          
-          <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0; color: #92400e;"><strong>Note:</strong> This email was sent automatically when the remit transaction succeeded and was not reverted.</p>
-          </div>
-          
-          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-          <p style="color: #6b7280; font-size: 14px; text-align: center;">
-            Clocktower Caller - ${chainConfig.displayName} Chain Monitoring
-          </p>
-        </div>
-      `;
-
-      return await sendNotificationEmail(env, `[${chainConfig.chainName}]`, { subject, html: htmlContent });
+      const email = renderEmail('success', {
+        chain: chainConfig.displayName,
+        txHash,
+        explorerUrl: `${chainConfig.explorerUrl}/tx/${txHash}`,
+        recursionDepth,
+        balanceBeforeEth,
+        balanceAfterEth,
+        tokenBalances,
+        timestamp: new Date().toISOString()
+      });
+      return await sendNotificationEmail(env, `[${chainConfig.chainName}]`, email);
     } catch (error) {
       console.error(`[${chainConfig.chainName}] Failed to send success email:`, error?.code || '', error?.message || error);
       throw error;
@@ -342,41 +335,13 @@ async function processChain(chainConfig, env, globalExecutionId) {
 
   async function sendNoSubscriptionsEmail(currentDay, nextUncheckedDay) {
     try {
-      const subject = `📭 Clocktower No Subscriptions - ${chainConfig.displayName}`;
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #f59e0b;">📭 No Subscriptions Found for Today</h2>
-          
-          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #92400e; margin-top: 0;">Daily Check Results</h3>
-            <p><strong>Chain:</strong> ${chainConfig.displayName}</p>
-            <p><strong>Current Day:</strong> ${currentDay}</p>
-            <p><strong>Next Unchecked Day:</strong> ${nextUncheckedDay}</p>
-            <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #0369a1; margin-top: 0;">What This Means</h3>
-            <p>No active subscriptions were found for the current day. This could mean:</p>
-            <ul style="color: #0369a1;">
-              <li>No subscriptions are due today</li>
-              <li>All subscriptions for today have already been processed</li>
-              <li>The system is up to date</li>
-            </ul>
-          </div>
-          
-          <div style="background-color: #f0fdf4; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0; color: #166534;"><strong>Status:</strong> No remit transaction was needed or executed.</p>
-          </div>
-          
-          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-          <p style="color: #6b7280; font-size: 14px; text-align: center;">
-            Clocktower Caller - ${chainConfig.displayName} Chain Monitoring
-          </p>
-        </div>
-      `;
-
-      return await sendNotificationEmail(env, `[${chainConfig.chainName}]`, { subject, html: htmlContent });
+      const email = renderEmail('noSubscriptions', {
+        chain: chainConfig.displayName,
+        currentDay,
+        nextUncheckedDay,
+        timestamp: new Date().toISOString()
+      });
+      return await sendNotificationEmail(env, `[${chainConfig.chainName}]`, email);
     } catch (error) {
       console.error(`[${chainConfig.chainName}] Failed to send no subscriptions email:`, error?.code || '', error?.message || error);
       throw error;
@@ -384,56 +349,7 @@ async function processChain(chainConfig, env, globalExecutionId) {
   }
 
   async function sendErrorEmail(errorMessage, errorType, additionalDetails = {}) {
-    try {
-      const subject = `❌ Clocktower Error - ${chainConfig.displayName}`;
-      
-      // Build additional details HTML
-      let additionalDetailsHtml = '';
-      if (Object.keys(additionalDetails).length > 0) {
-        additionalDetailsHtml = `
-          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #0369a1; margin-top: 0;">Additional Details</h3>
-            ${Object.entries(additionalDetails).map(([key, value]) => 
-              `<p><strong>${key}:</strong> ${value !== null && value !== undefined ? value : 'N/A'}</p>`
-            ).join('')}
-          </div>
-        `;
-      }
-
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #dc2626;">❌ Clocktower Execution Error</h2>
-          
-          <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
-            <h3 style="color: #991b1b; margin-top: 0;">Error Information</h3>
-            <p><strong>Chain:</strong> ${chainConfig.displayName}</p>
-            <p><strong>Error Type:</strong> ${errorType}</p>
-            <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #991b1b; margin-top: 0;">Error Message</h3>
-            <pre style="background-color: #ffffff; padding: 15px; border-radius: 4px; overflow-x: auto; color: #7f1d1d; white-space: pre-wrap; word-wrap: break-word;">${errorMessage}</pre>
-          </div>
-          
-          ${additionalDetailsHtml}
-          
-          <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0; color: #92400e;"><strong>⚠️ Action Required:</strong> Please investigate this error and ensure the Clocktower caller is functioning correctly.</p>
-          </div>
-          
-          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-          <p style="color: #6b7280; font-size: 14px; text-align: center;">
-            Clocktower Caller - ${chainConfig.displayName} Chain Monitoring
-          </p>
-        </div>
-      `;
-
-      return await sendNotificationEmail(env, `[${chainConfig.chainName}]`, { subject, html: htmlContent });
-    } catch (error) {
-      console.error(`[${chainConfig.chainName}] Failed to send error email:`, error?.code || '', error?.message || error);
-      // Don't throw here - we don't want email failures to break the error handling flow
-    }
+    return sendChainErrorEmail(chainConfig, errorMessage, errorType, env, additionalDetails);
   }
 
   async function preCheck(publicClient, recursiveExecutionId = null, recursionDepth = 0) {
@@ -624,7 +540,7 @@ async function processChain(chainConfig, env, globalExecutionId) {
       const walletClient = createWalletClient({
         account: privateKeyToAccount(env.CALLER_PRIVATE_KEY),
         chain: { id: chainConfig.chainId },
-        transport: http(url),
+        transport: createRpcTransport(chainConfig),
       });
 
       // Get initial ETH balance
@@ -642,7 +558,7 @@ async function processChain(chainConfig, env, globalExecutionId) {
           args: [env.CALLER_ADDRESS],
         });
         const formatted = formatUnits(raw, token.decimals);
-        balancesBefore.push({ ...token, balanceBefore: formatted });
+        balancesBefore.push({ ...token, balanceBefore: formatted, rawBefore: raw });
         console.log(`[${chainConfig.chainName}] ${token.symbol} Balance Before: ${formatted}`);
       }
 
@@ -684,6 +600,7 @@ async function processChain(chainConfig, env, globalExecutionId) {
 
       // Get final token balances and build tokenBalances for emails/logging
       const tokenBalances = [];
+      const rawBalancesAfter = [];
       for (let i = 0; i < chainConfig.tokens.length; i++) {
         const token = chainConfig.tokens[i];
         const raw2 = await publicClient.readContract({
@@ -695,6 +612,7 @@ async function processChain(chainConfig, env, globalExecutionId) {
         const balanceAfter = formatUnits(raw2, token.decimals);
         const balanceBefore = balancesBefore[i]?.balanceBefore ?? '0';
         tokenBalances.push({ symbol: token.symbol, balanceBefore, balanceAfter });
+        rawBalancesAfter.push(raw2);
         console.log(`[${chainConfig.chainName}] ${token.symbol} Balance After: ${balanceAfter}`);
       }
 
@@ -740,15 +658,14 @@ async function processChain(chainConfig, env, globalExecutionId) {
       if (executionLogId) {
         for (let i = 0; i < chainConfig.tokens.length; i++) {
           const token = chainConfig.tokens[i];
-          const tb = tokenBalances[i];
           await logTokenBalance(
             executionLogId,
             token.address,
             token.symbol,
             token.name,
             token.decimals,
-            parseFloat(tb.balanceBefore),
-            parseFloat(tb.balanceAfter)
+            balancesBefore[i]?.rawBefore ?? 0n,
+            rawBalancesAfter[i]
           );
         }
       }
@@ -802,10 +719,10 @@ async function processChain(chainConfig, env, globalExecutionId) {
   }
 
   // Single publicClient for all RPC reads in this chain
-  const url = `${chainConfig.alchemyUrl}${env.ALCHEMY_API_KEY}`;
+  console.log(`[${chainConfig.chainName}] RPC providers: ${chainConfig.rpcUrls.map(describeRpcUrl).join(', ')}`);
   const publicClient = createPublicClient({
     chain: { id: chainConfig.chainId },
-    transport: http(url),
+    transport: createRpcTransport(chainConfig),
   });
 
   // Run preCheck first, then desmond if preCheck passes
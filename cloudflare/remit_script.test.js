@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { parseTokensForChain, getChainConfigs } from './remit_script.js';
+import { parseTokensForChain, parseRpcUrlsForChain, getChainConfigs, escapeHtml, sendChainErrorEmail } from './remit_script.js';
+import { renderEmail } from './emailTemplates.js';
 
 describe('parseTokensForChain', () => {
   beforeEach(() => {
@@ -143,6 +144,88 @@ describe('getChainConfigs', () => {
   });
 });
 
+describe('parseRpcUrlsForChain', () => {
+  it('returns RPC_URLS_* in order, trimmed and without duplicates', () => {
+    const env = { RPC_URLS_BASE: 'https://a.example/rpc, https://b.example/rpc,,https://a.example/rpc' };
+    expect(parseRpcUrlsForChain(env, 'BASE', 'https://base-mainnet.g.alchemy.com/v2/'))
+      .toEqual(['https://a.example/rpc', 'https://b.example/rpc']);
+  });
+
+  it('falls back to the Alchemy URL and key when RPC_URLS_* is unset', () => {
+    const env = { ALCHEMY_API_KEY: 'key' };
+    expect(parseRpcUrlsForChain(env, 'BASE', 'https://base-mainnet.g.alchemy.com/v2/'))
+      .toEqual(['https://base-mainnet.g.alchemy.com/v2/key']);
+  });
+
+  it('sets rpcUrls on chain configs', () => {
+    const env = {
+      CLOCKTOWER_ADDRESS_BASE: '0xclock',
+      TOKENS_BASE: JSON.stringify([{ address: '0xusdc', symbol: 'USDC', decimals: 6 }]),
+      RPC_URLS_BASE: 'https://a.example/rpc,https://b.example/rpc'
+    };
+    expect(getChainConfigs(env)[0].rpcUrls).toEqual(['https://a.example/rpc', 'https://b.example/rpc']);
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes markup characters and renders null as empty', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
+
+describe('sendChainErrorEmail', () => {
+  it('escapes the error message and details and sends a text/plain alternative', async () => {
+    const send = vi.fn(() => Promise.resolve({ messageId: 'm1' }));
+    const env = { EMAIL: { send }, NOTIFICATION_EMAIL: 'ops@example.com', SENDER_ADDRESS: 'caller@example.com' };
+    const chainConfig = { chainName: 'base', displayName: 'Base' };
+
+    await sendChainErrorEmail(chainConfig, 'revert <b>bad</b> & worse', 'Chain Processing Error', env, { '<Block>': 10, Missing: null });
+
+    const message = send.mock.calls[0][0];
+    expect(message.html).toContain('revert &lt;b&gt;bad&lt;/b&gt; &amp; worse');
+    expect(message.html).toContain('<strong>&lt;Block&gt;:</strong> 10');
+    expect(message.html).not.toContain('<b>bad</b>');
+    expect(message.text).toContain('Error Message:\nrevert <b>bad</b> & worse');
+    expect(message.text).toContain('Missing: N/A');
+  });
+});
+
+describe('renderEmail', () => {
+  it('renders the success email with the same balance lines in both parts', () => {
+    const email = renderEmail('success', {
+      chain: 'Base',
+      txHash: '0xabc',
+      explorerUrl: 'https://basescan.org/tx/0xabc',
+      recursionDepth: 0,
+      balanceBeforeEth: '1.0',
+      balanceAfterEth: '0.9',
+      tokenBalances: [{ symbol: '<USDC>', balanceBefore: '1', balanceAfter: '2' }],
+      timestamp: '2026-01-01T00:00:00.000Z'
+    });
+
+    expect(email.subject).toBe('✅ Clocktower Remit Success - Base');
+    expect(email.html).toContain('<a href="https://basescan.org/tx/0xabc" target="_blank" style="color: #0369a1;">0xabc</a>');
+    expect(email.html).toContain('<strong>&lt;USDC&gt; Balance:</strong> 1 → 2');
+    expect(email.text).toContain('Balance Changes\nETH Balance: 1.0 → 0.9\n<USDC> Balance: 1 → 2');
+    expect(email.text).toContain('Transaction Hash: 0xabc\nhttps://basescan.org/tx/0xabc');
+  });
+
+  it('renders the no subscriptions email', () => {
+    const email = renderEmail('noSubscriptions', { chain: 'Base', currentDay: 20000, nextUncheckedDay: 20001, timestamp: 'now' });
+
+    expect(email.subject).toBe('📭 Clocktower No Subscriptions - Base');
+    expect(email.html).toContain('<li>The system is up to date</li>');
+    expect(email.text).toContain('Next Unchecked Day: 20001');
+    expect(email.text).toContain('- The system is up to date');
+    expect(email.text.endsWith('--\nClocktower Caller - Base Chain Monitoring')).toBe(true);
+  });
+
+  it('rejects an unknown template', () => {
+    expect(() => renderEmail('digest', {})).toThrow('Unknown email template: digest');
+  });
+});
+
 describe('scheduled handler', () => {
   it('returns without throwing when no chains are configured', async () => {
     const worker = (await import('./remit_script.js')).default;
@@ -1,21 +1,40 @@
--- Token registry table
-CREATE TABLE tokens (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
+-- Clocktower Caller worker schema (Cloudflare D1)
+--
+-- Generated from nodejs/database/migrations by `npm run migrate -- d1`.
+-- Do not edit by hand: change the migrations there and regenerate.
+--
+-- This is the complete schema the worker sees, for reference. Create and
+-- upgrade databases with `wrangler d1 migrations apply`, which applies the
+-- generated migrations in migrations/ and records them.
+
+-- 0001_initial_schema
+
+-- =============================================================================
+-- TOKEN REGISTRY TABLE
+-- =============================================================================
+-- Stores information about tokens tracked across different chains
+
+CREATE TABLE IF NOT EXISTS tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
   token_address TEXT NOT NULL,
   token_symbol TEXT NOT NULL,
   token_name TEXT NOT NULL,
   decimals INTEGER NOT NULL,
   chain_name TEXT NOT NULL,
   is_active BOOLEAN DEFAULT TRUE,
-  created_at TEXT DEFAULT (datetime('now')),
+  created_at TEXT DEFAULT (datetime('now')),  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
   UNIQUE(token_address, chain_name)
 );
 
--- Main execution log table
-CREATE TABLE execution_logs (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
+-- =============================================================================
+-- EXECUTION LOGS TABLE
+-- =============================================================================
+-- Main table for tracking script executions across multiple chains
+
+CREATE TABLE IF NOT EXISTS execution_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
   execution_id TEXT UNIQUE,
-  timestamp TEXT NOT NULL,
+  timestamp TEXT NOT NULL,  -- PostgreSQL: TIMESTAMP NOT NULL
   chain_name TEXT NOT NULL,
   
   -- Pre-check results
@@ -44,26 +63,123 @@ CREATE TABLE execution_logs (
   
   -- Performance metrics
   execution_time_ms INTEGER,
-  created_at TEXT DEFAULT (datetime('now'))
+  created_at TEXT DEFAULT (datetime('now'))  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
 );
 
--- Token balance tracking (separate table for flexibility)
-CREATE TABLE token_balances (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
+-- The worker's original execution_logs had no chain_display_name, so on D1
+-- the column is added, and named for the chains already logged, whether the
+-- table was just created or already deployed
+ALTER TABLE execution_logs ADD COLUMN chain_display_name TEXT NOT NULL DEFAULT '';
+UPDATE execution_logs SET chain_display_name = CASE chain_name
+  WHEN 'base' THEN 'Base'
+  WHEN 'sepolia-base' THEN 'Base Sepolia'
+  ELSE chain_name END
+WHERE chain_display_name = '';
+
+-- =============================================================================
+-- TOKEN BALANCE TRACKING TABLE
+-- =============================================================================
+-- Separate table for tracking token balances per execution (flexible design)
+
+CREATE TABLE IF NOT EXISTS token_balances (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
   execution_log_id INTEGER,
   token_id INTEGER,
-  balance_before REAL,
+  balance_before REAL,  -- token units, rounded
   balance_after REAL,
-  created_at TEXT DEFAULT (datetime('now')),
+  created_at TEXT DEFAULT (datetime('now')),  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
   FOREIGN KEY (execution_log_id) REFERENCES execution_logs(id),
   FOREIGN KEY (token_id) REFERENCES tokens(id)
 );
 
--- Indexes for efficient querying
-CREATE INDEX idx_execution_logs_timestamp ON execution_logs(timestamp);
-CREATE INDEX idx_execution_logs_tx_hash ON execution_logs(tx_hash);
-CREATE INDEX idx_execution_logs_status ON execution_logs(tx_status);
-CREATE INDEX idx_execution_logs_chain ON execution_logs(chain_name);
-CREATE INDEX idx_token_balances_execution ON token_balances(execution_log_id);
-CREATE INDEX idx_tokens_address_chain ON tokens(token_address, chain_name);
+-- =============================================================================
+-- INDEXES FOR EFFICIENT QUERYING
+-- =============================================================================
+
+-- Execution logs indexes
+CREATE INDEX IF NOT EXISTS idx_execution_logs_timestamp ON execution_logs(timestamp);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_tx_hash ON execution_logs(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_status ON execution_logs(tx_status);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_chain ON execution_logs(chain_name);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_execution_id ON execution_logs(execution_id);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_chain_timestamp ON execution_logs(chain_name, timestamp);
+
+-- Token balances indexes
+CREATE INDEX IF NOT EXISTS idx_token_balances_execution ON token_balances(execution_log_id);
+CREATE INDEX IF NOT EXISTS idx_token_balances_token ON token_balances(token_id);
+
+-- Tokens indexes
+CREATE INDEX IF NOT EXISTS idx_tokens_address_chain ON tokens(token_address, chain_name);
+CREATE INDEX IF NOT EXISTS idx_tokens_chain ON tokens(chain_name);
+CREATE INDEX IF NOT EXISTS idx_tokens_active ON tokens(is_active);
+
+-- =============================================================================
+-- SAMPLE DATA
+-- =============================================================================
+-- Insert common tokens for different chains (skipped when already present)
+
+-- Base Mainnet tokens
+INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 'USDC', 'USD Coin', 6, 'base'),
+('0x4200000000000000000000000000000000000006', 'WETH', 'Wrapped Ether', 18, 'base'),
+('0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22', 'cbETH', 'Coinbase Wrapped Staked ETH', 18, 'base')
+ON CONFLICT DO NOTHING;
+
+-- Base Sepolia tokens
+INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+('0x036CbD53842c5426634e7929541eC2318f3dCF7e', 'USDC', 'USD Coin', 6, 'sepolia-base'),
+('0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', 'WETH', 'Wrapped Ether', 18, 'sepolia-base')
+ON CONFLICT DO NOTHING;
+
+-- Ethereum Mainnet tokens (uncomment if needed)
+-- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+-- ('0xA0b86a33E6441b8c4C8C0C4C0C4C0C4C0C4C0C4C', 'USDC', 'USD Coin', 6, 'ethereum'),
+-- ('0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', 'WETH', 'Wrapped Ether', 18, 'ethereum');
+
+-- Arbitrum Mainnet tokens (uncomment if needed)
+-- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+-- ('0xYourArbUSDCAddress', 'USDC', 'USD Coin', 6, 'arbitrum'),
+-- ('0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', 'WETH', 'Wrapped Ether', 18, 'arbitrum');
+
+-- Polygon Mainnet tokens (uncomment if needed)
+-- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+-- ('0xYourPolygonUSDCAddress', 'USDC', 'USD Coin', 6, 'polygon'),
+-- ('0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', 'WMATIC', 'Wrapped MATIC', 18, 'polygon');
+
+-- 0002_execution_logs_status
+
+ALTER TABLE execution_logs ADD COLUMN status TEXT;
+
+-- 0003_execution_logs_fee_breakdown
+
+ALTER TABLE execution_logs ADD COLUMN effective_gas_price TEXT;
+ALTER TABLE execution_logs ADD COLUMN l1_fee TEXT;  -- L1 data fee on OP-stack chains (Base), charged on top of gas
+ALTER TABLE execution_logs ADD COLUMN block_number INTEGER;
+ALTER TABLE execution_logs ADD COLUMN nonce INTEGER;
+ALTER TABLE execution_logs ADD COLUMN balance_before_wei TEXT;
+ALTER TABLE execution_logs ADD COLUMN balance_after_wei TEXT;
+
+-- 0004_token_balances_raw
+
+ALTER TABLE token_balances ADD COLUMN balance_before_raw TEXT;
+ALTER TABLE token_balances ADD COLUMN balance_after_raw TEXT;
+ALTER TABLE token_balances ADD COLUMN delta_raw TEXT;
+
+-- printf keeps 16 significant digits, so the digits lost come back as zeros.
+-- Strip the point and leading zeros to get raw units, '0' when none are left.
+-- The delta is backfilled unsigned, then negated where the balance fell.
+UPDATE token_balances
+SET
+  balance_before_raw = CASE WHEN token_balances.balance_before IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, token_balances.balance_before), '.', ''), '0'), ''), '0') END,
+  balance_after_raw = CASE WHEN token_balances.balance_after IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, token_balances.balance_after), '.', ''), '0'), ''), '0') END,
+  delta_raw = CASE WHEN token_balances.balance_before IS NULL OR token_balances.balance_after IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, abs(token_balances.balance_after - token_balances.balance_before)), '.', ''), '0'), ''), '0') END
+FROM tokens t
+WHERE t.id = token_balances.token_id;
+
+UPDATE token_balances
+SET delta_raw = '-' || delta_raw
+WHERE balance_after < balance_before AND delta_raw <> '0';
 
@@ -0,0 +1,370 @@
+-- =============================================================================
+-- 0001 INITIAL SCHEMA
+-- =============================================================================
+--
+-- The baseline: every table as of the introduction of versioned migrations,
+-- with the columns they had before then. Columns added since are in the
+-- migrations that follow. Statements are idempotent so a database created
+-- before then can be adopted at this version in place. There is no down
+-- section: reverting the baseline would drop every table.
+--
+-- Migrations are written for SQLite (which is also the Cloudflare D1 dialect).
+-- A column whose PostgreSQL definition differs carries it in a trailing
+-- "-- PostgreSQL: <definition>" comment, used in place of the SQLite one.
+-- Statements and columns marked "-- Node.js only" are left out of the
+-- worker's D1 migrations, which only keep the tables the worker writes.
+-- =============================================================================
+
+-- migrate:up
+
+-- =============================================================================
+-- TOKEN REGISTRY TABLE
+-- =============================================================================
+-- Stores information about tokens tracked across different chains
+
+CREATE TABLE IF NOT EXISTS tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  token_address TEXT NOT NULL,
+  token_symbol TEXT NOT NULL,
+  token_name TEXT NOT NULL,
+  decimals INTEGER NOT NULL,
+  chain_name TEXT NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TEXT DEFAULT (datetime('now')),  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+  UNIQUE(token_address, chain_name)
+);
+
+-- =============================================================================
+-- EXECUTION LOGS TABLE
+-- =============================================================================
+-- Main table for tracking script executions across multiple chains
+
+CREATE TABLE IF NOT EXISTS execution_logs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  execution_id TEXT UNIQUE,
+  timestamp TEXT NOT NULL,  -- PostgreSQL: TIMESTAMP NOT NULL
+  chain_name TEXT NOT NULL,
+  chain_display_name TEXT NOT NULL,  -- Node.js only, added below on D1
+  
+  -- Pre-check results
+  precheck_passed BOOLEAN NOT NULL,
+  current_day INTEGER,
+  next_unchecked_day INTEGER,
+  should_proceed BOOLEAN,
+  
+  -- Transaction details
+  tx_hash TEXT,
+  tx_status INTEGER, -- 0 = failed, 1 = success
+  revert_reason TEXT,
+  gas_used INTEGER,
+  
+  -- ETH balance tracking (always present)
+  balance_before_eth REAL,
+  balance_after_eth REAL,
+  
+  -- Recursion tracking
+  recursion_depth INTEGER DEFAULT 0,
+  max_recursion_reached BOOLEAN DEFAULT FALSE,
+  
+  -- Error handling
+  error_message TEXT,
+  error_stack TEXT,
+  
+  -- Performance metrics
+  execution_time_ms INTEGER,
+  created_at TEXT DEFAULT (datetime('now'))  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+);
+
+-- The worker's original execution_logs had no chain_display_name, so on D1
+-- the column is added, and named for the chains already logged, whether the
+-- table was just created or already deployed
+-- D1 only
+ALTER TABLE execution_logs ADD COLUMN chain_display_name TEXT NOT NULL DEFAULT '';
+-- D1 only
+UPDATE execution_logs SET chain_display_name = CASE chain_name
+  WHEN 'base' THEN 'Base'
+  WHEN 'sepolia-base' THEN 'Base Sepolia'
+  ELSE chain_name END
+WHERE chain_display_name = '';
+
+-- =============================================================================
+-- TOKEN BALANCE TRACKING TABLE
+-- =============================================================================
+-- Separate table for tracking token balances per execution (flexible design)
+
+CREATE TABLE IF NOT EXISTS token_balances (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  execution_log_id INTEGER,
+  token_id INTEGER,
+  balance_before REAL,  -- token units, rounded
+  balance_after REAL,
+  created_at TEXT DEFAULT (datetime('now')),  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+  FOREIGN KEY (execution_log_id) REFERENCES execution_logs(id),
+  FOREIGN KEY (token_id) REFERENCES tokens(id)
+);
+
+-- Node.js only
+-- =============================================================================
+-- REMIT SUBSCRIPTIONS TABLE
+-- =============================================================================
+-- Subscription ids returned by getIdByTime for each run, grouped by checked day,
+-- frequency and due day.
+
+CREATE TABLE IF NOT EXISTS remit_subscriptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  execution_id TEXT NOT NULL,
+  chain_name TEXT NOT NULL,
+  check_day INTEGER NOT NULL,
+  frequency INTEGER NOT NULL,  -- 0 = weekly, 1 = monthly, 2 = quarterly, 3 = yearly
+  frequency_name TEXT NOT NULL,
+  due_day INTEGER NOT NULL,
+  subscription_id TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now'))  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+);
+
+-- Node.js only
+-- =============================================================================
+-- REMIT RUNS TABLE
+-- =============================================================================
+-- Batch run state per chain, so a run cut off mid-way can be resumed.
+-- status: running, completed, stalled, max_batches, failed, abandoned
+
+CREATE TABLE IF NOT EXISTS remit_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  run_id TEXT UNIQUE NOT NULL,
+  chain_name TEXT NOT NULL,
+  current_day INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  batches_completed INTEGER NOT NULL DEFAULT 0,
+  subscriptions_remaining INTEGER,
+  next_unchecked_day INTEGER,
+  error_message TEXT,
+  started_at TEXT DEFAULT (datetime('now')),  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+  updated_at TEXT DEFAULT (datetime('now'))  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+);
+
+-- Node.js only
+-- =============================================================================
+-- CALLER NONCES TABLE
+-- =============================================================================
+-- Next nonce to hand out per chain and caller address, so overlapping runs
+-- never send two transactions at the same nonce. Updated under a lock
+-- (SQLite write transaction, PostgreSQL advisory lock).
+
+CREATE TABLE IF NOT EXISTS caller_nonces (
+  chain_name TEXT NOT NULL,
+  caller_address TEXT NOT NULL,  -- lowercase
+  next_nonce INTEGER NOT NULL,
+  updated_at TEXT DEFAULT (datetime('now')),  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+  PRIMARY KEY (chain_name, caller_address)
+);
+
+-- Node.js only
+-- =============================================================================
+-- RUN LOCKS TABLE
+-- =============================================================================
+-- Lease per chain held by the running caller. The holder renews expires_at
+-- on a heartbeat; an expired lease can be taken over by another run.
+
+CREATE TABLE IF NOT EXISTS run_locks (
+  chain_name TEXT PRIMARY KEY,
+  holder_id TEXT NOT NULL,
+  acquired_at INTEGER NOT NULL,  -- epoch ms, PostgreSQL: BIGINT NOT NULL
+  expires_at INTEGER NOT NULL  -- epoch ms, PostgreSQL: BIGINT NOT NULL
+);
+
+-- Node.js only
+-- =============================================================================
+-- DIGEST EVENTS TABLE
+-- =============================================================================
+-- Success, no-subscriptions and error notifications held for the next digest
+-- when NOTIFICATION_DIGEST is set. digest_id is filled in once the digest
+-- that covers the event has been sent.
+-- event_type: success, no_subscriptions, error
+
+CREATE TABLE IF NOT EXISTS digest_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  chain_name TEXT NOT NULL,
+  chain_display_name TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  tx_hash TEXT,
+  gas_used INTEGER,
+  gas_cost_eth REAL,
+  balance_before_eth REAL,
+  balance_after_eth REAL,
+  token_balances TEXT,  -- JSON array of { symbol, balanceBefore, balanceAfter }
+  current_day INTEGER,
+  error_type TEXT,
+  error_message TEXT,
+  recorded_at TEXT NOT NULL,  -- ISO 8601 UTC
+  digest_id TEXT
+);
+
+-- Node.js only
+-- =============================================================================
+-- NOTIFICATION DIGESTS TABLE
+-- =============================================================================
+-- One row per digest sent, covering events recorded before period_end.
+
+CREATE TABLE IF NOT EXISTS notification_digests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  digest_id TEXT UNIQUE NOT NULL,
+  schedule TEXT NOT NULL,  -- daily or weekly
+  period_start TEXT NOT NULL,  -- ISO 8601 UTC, first event covered
+  period_end TEXT NOT NULL,  -- ISO 8601 UTC, schedule boundary
+  event_count INTEGER NOT NULL,
+  sent_at TEXT DEFAULT (datetime('now'))  -- PostgreSQL: TIMESTAMP DEFAULT NOW()
+);
+
+-- Node.js only
+-- =============================================================================
+-- ALERTS TABLE
+-- =============================================================================
+-- One row per error fingerprint (chain, error type and normalized message).
+-- Repeats within ALERT_SUPPRESSION_MS of last_notified_at are not sent again.
+-- resolved_at is set when the chain next runs without the error.
+
+CREATE TABLE IF NOT EXISTS alerts (
+  fingerprint TEXT PRIMARY KEY,
+  chain_name TEXT NOT NULL,
+  chain_display_name TEXT NOT NULL,
+  error_type TEXT NOT NULL,
+  message TEXT NOT NULL,  -- first line of the first error seen
+  first_seen_at TEXT NOT NULL,  -- ISO 8601 UTC
+  last_seen_at TEXT NOT NULL,  -- ISO 8601 UTC
+  last_notified_at TEXT,  -- ISO 8601 UTC
+  occurrences INTEGER NOT NULL DEFAULT 1,
+  resolved_at TEXT  -- ISO 8601 UTC
+);
+
+-- Node.js only
+-- =============================================================================
+-- WALLET TOP-UPS TABLE
+-- =============================================================================
+-- Audit trail of caller top-ups sent from the treasury wallet, including the
+-- ones that were refused. Pending and confirmed top-ups count towards the
+-- chain's daily cap (TOPUP_DAILY_CAP_ETH_<CHAIN>).
+
+CREATE TABLE IF NOT EXISTS wallet_topups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  chain_name TEXT NOT NULL,
+  treasury_address TEXT NOT NULL,
+  recipient_address TEXT NOT NULL,
+  amount_eth REAL NOT NULL,
+  threshold_eth REAL NOT NULL,
+  balance_before_eth REAL,  -- caller balance that triggered the top-up
+  status TEXT NOT NULL,  -- pending, confirmed, failed or refused
+  reason TEXT,  -- why the top-up was refused or failed
+  tx_hash TEXT,
+  created_at TEXT NOT NULL,  -- ISO 8601 UTC
+  updated_at TEXT NOT NULL  -- ISO 8601 UTC
+);
+
+-- Node.js only
+-- =============================================================================
+-- TOKEN SWEEPS TABLE
+-- =============================================================================
+-- Transfers of caller token balances above the retained float to the cold
+-- wallet. Amounts are exact decimal strings in token units.
+
+CREATE TABLE IF NOT EXISTS sweeps (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY
+  execution_id TEXT,  -- run that triggered the sweep, null for the sweep command
+  chain_name TEXT NOT NULL,
+  token_address TEXT NOT NULL,
+  token_symbol TEXT NOT NULL,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  amount TEXT NOT NULL,  -- amount transferred
+  balance_before TEXT NOT NULL,
+  float_retained TEXT NOT NULL,
+  status TEXT NOT NULL,  -- pending, confirmed or failed
+  error_message TEXT,
+  tx_hash TEXT,
+  created_at TEXT NOT NULL,  -- ISO 8601 UTC
+  updated_at TEXT NOT NULL  -- ISO 8601 UTC
+);
+
+-- =============================================================================
+-- INDEXES FOR EFFICIENT QUERYING
+-- =============================================================================
+
+-- Execution logs indexes
+CREATE INDEX IF NOT EXISTS idx_execution_logs_timestamp ON execution_logs(timestamp);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_tx_hash ON execution_logs(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_status ON execution_logs(tx_status);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_chain ON execution_logs(chain_name);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_execution_id ON execution_logs(execution_id);
+CREATE INDEX IF NOT EXISTS idx_execution_logs_chain_timestamp ON execution_logs(chain_name, timestamp);
+
+-- Token balances indexes
+CREATE INDEX IF NOT EXISTS idx_token_balances_execution ON token_balances(execution_log_id);
+CREATE INDEX IF NOT EXISTS idx_token_balances_token ON token_balances(token_id);
+
+-- Tokens indexes
+CREATE INDEX IF NOT EXISTS idx_tokens_address_chain ON tokens(token_address, chain_name);
+CREATE INDEX IF NOT EXISTS idx_tokens_chain ON tokens(chain_name);
+CREATE INDEX IF NOT EXISTS idx_tokens_active ON tokens(is_active);
+
+-- Node.js only
+-- Remit subscriptions indexes
+CREATE INDEX IF NOT EXISTS idx_remit_subscriptions_execution ON remit_subscriptions(execution_id);
+-- Node.js only
+CREATE INDEX IF NOT EXISTS idx_remit_subscriptions_chain_day ON remit_subscriptions(chain_name, check_day);
+-- Node.js only
+CREATE INDEX IF NOT EXISTS idx_remit_subscriptions_subscription ON remit_subscriptions(subscription_id);
+
+-- Node.js only
+-- Remit runs indexes
+CREATE INDEX IF NOT EXISTS idx_remit_runs_chain_status ON remit_runs(chain_name, status);
+
+-- Node.js only
+-- Digest events indexes
+CREATE INDEX IF NOT EXISTS idx_digest_events_pending ON digest_events(digest_id, recorded_at);
+
+-- Node.js only
+-- Alerts indexes
+CREATE INDEX IF NOT EXISTS idx_alerts_chain_open ON alerts(chain_name, resolved_at);
+
+-- Node.js only
+-- Wallet top-ups indexes
+CREATE INDEX IF NOT EXISTS idx_wallet_topups_chain_created ON wallet_topups(chain_name, created_at);
+
+-- Node.js only
+-- Token sweeps indexes
+CREATE INDEX IF NOT EXISTS idx_sweeps_chain_created ON sweeps(chain_name, created_at);
+
+-- =============================================================================
+-- SAMPLE DATA
+-- =============================================================================
+-- Insert common tokens for different chains (skipped when already present)
+
+-- Base Mainnet tokens
+INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 'USDC', 'USD Coin', 6, 'base'),
+('0x4200000000000000000000000000000000000006', 'WETH', 'Wrapped Ether', 18, 'base'),
+('0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22', 'cbETH', 'Coinbase Wrapped Staked ETH', 18, 'base')
+ON CONFLICT DO NOTHING;
+
+-- Base Sepolia tokens
+INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+('0x036CbD53842c5426634e7929541eC2318f3dCF7e', 'USDC', 'USD Coin', 6, 'sepolia-base'),
+('0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', 'WETH', 'Wrapped Ether', 18, 'sepolia-base')
+ON CONFLICT DO NOTHING;
+
+-- Ethereum Mainnet tokens (uncomment if needed)
+-- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+-- ('0xA0b86a33E6441b8c4C8C0C4C0C4C0C4C0C4C0C4C', 'USDC', 'USD Coin', 6, 'ethereum'),
+-- ('0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', 'WETH', 'Wrapped Ether', 18, 'ethereum');
+
+-- Arbitrum Mainnet tokens (uncomment if needed)
+-- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+-- ('0xYourArbUSDCAddress', 'USDC', 'USD Coin', 6, 'arbitrum'),
+-- ('0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', 'WETH', 'Wrapped Ether', 18, 'arbitrum');
+
+-- Polygon Mainnet tokens (uncomment if needed)
+-- INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name) VALUES
+-- ('0xYourPolygonUSDCAddress', 'USDC', 'USD Coin', 6, 'polygon'),
+-- ('0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', 'WMATIC', 'Wrapped MATIC', 18, 'polygon');
+
+-- migrate:down
@@ -0,0 +1,14 @@
+-- =============================================================================
+-- 0002 EXECUTION LOGS STATUS
+-- =============================================================================
+--
+-- Outcome of a chain that did not come from a transaction, such as timed_out.
+-- =============================================================================
+
+-- migrate:up
+
+ALTER TABLE execution_logs ADD COLUMN status TEXT;
+
+-- migrate:down
+
+ALTER TABLE execution_logs DROP COLUMN status;
@@ -0,0 +1,24 @@
+-- =============================================================================
+-- 0003 EXECUTION LOGS FEE BREAKDOWN
+-- =============================================================================
+--
+-- Fee breakdown from the receipt and exact balances, wei as decimal strings.
+-- =============================================================================
+
+-- migrate:up
+
+ALTER TABLE execution_logs ADD COLUMN effective_gas_price TEXT;
+ALTER TABLE execution_logs ADD COLUMN l1_fee TEXT;  -- L1 data fee on OP-stack chains (Base), charged on top of gas
+ALTER TABLE execution_logs ADD COLUMN block_number INTEGER;
+ALTER TABLE execution_logs ADD COLUMN nonce INTEGER;
+ALTER TABLE execution_logs ADD COLUMN balance_before_wei TEXT;
+ALTER TABLE execution_logs ADD COLUMN balance_after_wei TEXT;
+
+-- migrate:down
+
+ALTER TABLE execution_logs DROP COLUMN balance_after_wei;
+ALTER TABLE execution_logs DROP COLUMN balance_before_wei;
+ALTER TABLE execution_logs DROP COLUMN nonce;
+ALTER TABLE execution_logs DROP COLUMN block_number;
+ALTER TABLE execution_logs DROP COLUMN l1_fee;
+ALTER TABLE execution_logs DROP COLUMN effective_gas_price;
@@ -0,0 +1,50 @@
+-- =============================================================================
+-- 0004 TOKEN BALANCES RAW
+-- =============================================================================
+--
+-- Exact raw uint256 balances and their signed change (after - before), as
+-- decimal strings. Rows logged before are backfilled from the REAL columns and
+-- the token's decimals; digits the REAL value already lost are not recovered.
+-- =============================================================================
+
+-- migrate:up
+
+ALTER TABLE token_balances ADD COLUMN balance_before_raw TEXT;
+ALTER TABLE token_balances ADD COLUMN balance_after_raw TEXT;
+ALTER TABLE token_balances ADD COLUMN delta_raw TEXT;
+
+-- printf keeps 16 significant digits, so the digits lost come back as zeros.
+-- Strip the point and leading zeros to get raw units, '0' when none are left.
+-- The delta is backfilled unsigned, then negated where the balance fell.
+-- SQLite only
+UPDATE token_balances
+SET
+  balance_before_raw = CASE WHEN token_balances.balance_before IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, token_balances.balance_before), '.', ''), '0'), ''), '0') END,
+  balance_after_raw = CASE WHEN token_balances.balance_after IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, token_balances.balance_after), '.', ''), '0'), ''), '0') END,
+  delta_raw = CASE WHEN token_balances.balance_before IS NULL OR token_balances.balance_after IS NULL THEN NULL
+    ELSE COALESCE(NULLIF(ltrim(replace(printf('%.*f', t.decimals, abs(token_balances.balance_after - token_balances.balance_before)), '.', ''), '0'), ''), '0') END
+FROM tokens t
+WHERE t.id = token_balances.token_id;
+
+-- SQLite only
+UPDATE token_balances
+SET delta_raw = '-' || delta_raw
+WHERE balance_after < balance_before AND delta_raw <> '0';
+
+-- PostgreSQL only
+UPDATE token_balances
+SET
+  balance_before_raw = round(token_balances.balance_before::numeric * 10::numeric ^ t.decimals)::text,
+  balance_after_raw = round(token_balances.balance_after::numeric * 10::numeric ^ t.decimals)::text,
+  delta_raw = (round(token_balances.balance_after::numeric * 10::numeric ^ t.decimals)
+    - round(token_balances.balance_before::numeric * 10::numeric ^ t.decimals))::text
+FROM tokens t
+WHERE t.id = token_balances.token_id;
+
+-- migrate:down
+
+ALTER TABLE token_balances DROP COLUMN delta_raw;
+ALTER TABLE token_balances DROP COLUMN balance_after_raw;
+ALTER TABLE token_balances DROP COLUMN balance_before_raw;
@@ -0,0 +1,78 @@
+-- =============================================================================
+-- CLOCKTOWER CALLER USEFUL QUERIES
+-- =============================================================================
+-- Reference queries against the schema in database/migrations. Not applied.
+
+-- Get recent executions across all chains
+-- SELECT 
+--   execution_id,
+--   chain_display_name,
+--   timestamp,
+--   tx_status,
+--   execution_time_ms
+-- FROM execution_logs 
+-- ORDER BY timestamp DESC 
+-- LIMIT 10;
+
+-- Get failed transactions
+-- SELECT 
+--   execution_id,
+--   chain_display_name,
+--   timestamp,
+--   tx_hash,
+--   revert_reason
+-- FROM execution_logs 
+-- WHERE tx_status = 0 
+-- ORDER BY timestamp DESC;
+
+-- Get token balances for a specific execution
+-- SELECT 
+--   el.execution_id,
+--   el.chain_display_name,
+--   t.token_symbol,
+--   tb.balance_before,
+--   tb.balance_after
+-- FROM execution_logs el
+-- JOIN token_balances tb ON el.id = tb.execution_log_id
+-- JOIN tokens t ON tb.token_id = t.id
+-- WHERE el.execution_id = 'your-execution-id';
+
+-- Get subscriptions covered by a run
+-- SELECT 
+--   frequency_name,
+--   due_day,
+--   subscription_id
+-- FROM remit_subscriptions 
+-- WHERE execution_id = 'your-execution-id'
+-- ORDER BY check_day, frequency, due_day;
+
+-- Get execution statistics by chain
+-- SELECT 
+--   chain_display_name,
+--   COUNT(*) as total_executions,
+--   SUM(CASE WHEN tx_status = 1 THEN 1 ELSE 0 END) as successful_txs,
+--   AVG(execution_time_ms) as avg_execution_time,
+--   MAX(timestamp) as last_execution
+-- FROM execution_logs 
+-- GROUP BY chain_display_name
+-- ORDER BY total_executions DESC;
+
+-- Get daily execution counts
+-- SELECT 
+--   DATE(timestamp) as execution_date,
+--   chain_display_name,
+--   COUNT(*) as execution_count
+-- FROM execution_logs 
+-- WHERE timestamp >= datetime('now', '-30 days')  -- PostgreSQL: NOW() - INTERVAL '30 days'
+-- GROUP BY DATE(timestamp), chain_display_name
+-- ORDER BY execution_date DESC;
+
+-- Get error statistics
+-- SELECT 
+--   chain_display_name,
+--   error_message,
+--   COUNT(*) as error_count
+-- FROM execution_logs 
+-- WHERE error_message IS NOT NULL
+-- GROUP BY chain_display_name, error_message
+-- ORDER BY error_count DESC;
@@ -12,8 +12,9 @@ export class ChainConfigService {
 
   /**
    * Parse TOKENS_* JSON array for a chain. Returns [] if unset or invalid.
+   * sweepFloat is the balance left in the caller wallet by a sweep (token units, default 0).
    * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
-   * @returns {Array<{address:string,symbol:string,name:string,decimals:number}>}
+   * @returns {Array<{address:string,symbol:string,name:string,decimals:number,sweepFloat:string}>}
    */
   parseTokensForChain(normalizedName) {
     const tokensRaw = process.env[`TOKENS_${normalizedName}`];
@@ -25,13 +26,154 @@ export class ChainConfigService {
         address: t.address,
         symbol: t.symbol || 'UNKNOWN',
         name: t.name ?? t.symbol ?? 'Unknown Token',
-        decimals: typeof t.decimals === 'number' ? t.decimals : 18
+        decimals: typeof t.decimals === 'number' ? t.decimals : 18,
+        sweepFloat: t.sweepFloat !== undefined && Number(t.sweepFloat) >= 0 ? String(t.sweepFloat) : '0'
       }));
     } catch (_) {
       return [];
     }
   }
 
+  /**
+   * Build the ordered RPC endpoint list for a chain. RPC_URLS_* (comma-separated)
+   * takes precedence; otherwise the Alchemy URL plus ALCHEMY_API_KEY is used.
+   * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
+   * @returns {string[]} RPC URLs in priority order (empty if none configured)
+   */
+  parseRpcUrlsForChain(normalizedName) {
+    const rpcUrlsRaw = process.env[`RPC_URLS_${normalizedName}`];
+    if (rpcUrlsRaw) {
+      const urls = rpcUrlsRaw.split(',').map(url => url.trim()).filter(Boolean);
+      // Keep the first occurrence so a duplicated URL does not skew ranking
+      return [...new Set(urls)];
+    }
+
+    const alchemyUrl = process.env[`ALCHEMY_URL_${normalizedName}`];
+    return alchemyUrl ? [`${alchemyUrl}${process.env.ALCHEMY_API_KEY || ''}`] : [];
+  }
+
+  /**
+   * Parse the RPC quorum policy for a chain. Returns null unless RPC_QUORUM_* is 'true'.
+   * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
+   * @returns {{ minProviders: number, maxBlockLag: number }|null}
+   */
+  parseQuorumPolicyForChain(normalizedName) {
+    if (process.env[`RPC_QUORUM_${normalizedName}`] !== 'true') return null;
+
+    const maxBlockLag = parseInt(process.env[`RPC_QUORUM_MAX_BLOCK_LAG_${normalizedName}`], 10);
+    return {
+      minProviders: Math.max(parseInt(process.env[`RPC_QUORUM_MIN_PROVIDERS_${normalizedName}`], 10) || 2, 1),
+      maxBlockLag: Number.isNaN(maxBlockLag) || maxBlockLag < 0 ? 5 : maxBlockLag
+    };
+  }
+
+  /**
+   * Read a non-negative number from KEY_<CHAIN>, falling back to KEY when global is set.
+   * Invalid values are logged and ignored.
+   * @param {string} key - Variable name without the chain suffix
+   * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
+   * @param {{ global?: boolean }} [options] - Fall back to the unsuffixed variable
+   * @returns {number|null} Value, or null if unset or invalid
+   */
+  readNumberForChain(key, normalizedName, { global = false } = {}) {
+    const names = global ? [`${key}_${normalizedName}`, key] : [`${key}_${normalizedName}`];
+    for (const name of names) {
+      const raw = process.env[name];
+      if (raw === undefined || raw === '') continue;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) {
+        console.warn(`Ignoring invalid ${name}: ${raw}`);
+        continue;
+      }
+      return value;
+    }
+    return null;
+  }
+
+  /**
+   * Parse the EIP-1559 fee policy for a chain. Returns null when no fee variables
+   * are set, in which case viem picks the fees.
+   * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
+   * @returns {{ maxFeePerGasGwei: number|null, maxPriorityFeePerGasGwei: number|null, priorityFeePercentile: number, feeCeilingGwei: number|null, feeHistoryBlocks: number, baseFeeMultiplier: number }|null}
+   */
+  parseFeePolicyForChain(normalizedName) {
+    const readNumber = (key) => this.readNumberForChain(key, normalizedName);
+
+    const maxFeePerGasGwei = readNumber('MAX_FEE_PER_GAS_GWEI');
+    const maxPriorityFeePerGasGwei = readNumber('MAX_PRIORITY_FEE_PER_GAS_GWEI');
+    const priorityFeePercentile = readNumber('PRIORITY_FEE_PERCENTILE');
+    const feeCeilingGwei = readNumber('FEE_CEILING_GWEI');
+
+    if ([maxFeePerGasGwei, maxPriorityFeePerGasGwei, priorityFeePercentile, feeCeilingGwei].every(v => v === null)) {
+      return null;
+    }
+
+    return {
+      maxFeePerGasGwei,
+      maxPriorityFeePerGasGwei,
+      priorityFeePercentile: priorityFeePercentile !== null ? Math.min(priorityFeePercentile, 100) : 50,
+      feeCeilingGwei,
+      feeHistoryBlocks: readNumber('FEE_HISTORY_BLOCKS') || 10,
+      baseFeeMultiplier: readNumber('BASE_FEE_MULTIPLIER') || 2
+    };
+  }
+
+  /**
+   * Parse the caller balance alert thresholds for a chain. Balance thresholds are
+   * per chain (native token amounts differ by chain); runway thresholds fall back
+   * to RUNWAY_WARN_DAYS and RUNWAY_CRITICAL_DAYS. A threshold of 0 turns that check off.
+   * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
+   * @returns {{ warnEth: number|null, criticalEth: number|null, warnRunwayDays: number, criticalRunwayDays: number }}
+   */
+  parseBalancePolicyForChain(normalizedName) {
+    return {
+      warnEth: this.readNumberForChain('LOW_BALANCE_WARN_ETH', normalizedName),
+      criticalEth: this.readNumberForChain('LOW_BALANCE_CRITICAL_ETH', normalizedName),
+      warnRunwayDays: this.readNumberForChain('RUNWAY_WARN_DAYS', normalizedName, { global: true }) ?? 14,
+      criticalRunwayDays: this.readNumberForChain('RUNWAY_CRITICAL_DAYS', normalizedName, { global: true }) ?? 3
+    };
+  }
+
+  /**
+   * Parse the caller top-up policy for a chain. Top-ups are off unless both the
+   * threshold and the amount are set. The daily cap defaults to one top-up a day.
+   * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
+   * @returns {{ thresholdEth: number, amountEth: number, dailyCapEth: number }|null} Policy or null if top-ups are off
+   */
+  parseTopUpPolicyForChain(normalizedName) {
+    const thresholdEth = this.readNumberForChain('TOPUP_THRESHOLD_ETH', normalizedName);
+    const amountEth = this.readNumberForChain('TOPUP_AMOUNT_ETH', normalizedName);
+    if (!thresholdEth || !amountEth) {
+      return null;
+    }
+
+    return {
+      thresholdEth,
+      amountEth,
+      dailyCapEth: this.readNumberForChain('TOPUP_DAILY_CAP_ETH', normalizedName) ?? amountEth
+    };
+  }
+
+  /**
+   * Parse the token sweep policy for a chain. SWEEP_COLD_ADDRESS_<CHAIN> overrides
+   * SWEEP_COLD_ADDRESS. Sweeping to the caller itself is not allowed.
+   * @param {string} normalizedName - e.g. BASE, SEPOLIA_BASE
+   * @returns {{ coldAddress: string }|null} Policy or null if sweeps are off
+   */
+  parseSweepPolicyForChain(normalizedName) {
+    const key = `SWEEP_COLD_ADDRESS_${normalizedName}`;
+    const name = process.env[key] ? key : 'SWEEP_COLD_ADDRESS';
+    const coldAddress = process.env[name];
+    if (!coldAddress) {
+      return null;
+    }
+    if (!/^0x[a-fA-F0-9]{40}$/.test(coldAddress) || coldAddress.toLowerCase() === process.env.CALLER_ADDRESS?.toLowerCase()) {
+      console.warn(`Ignoring invalid ${name}: ${coldAddress}`);
+      return null;
+    }
+    return { coldAddress };
+  }
+
   /**
    * Load chain configurations from environment variables
    * @returns {Array} Array of chain configuration objects
@@ -45,10 +187,16 @@ export class ChainConfigService {
       return {
         name: chainName,
         alchemyUrl: process.env[`ALCHEMY_URL_${normalizedName}`],
+        rpcUrls: this.parseRpcUrlsForChain(normalizedName),
         clocktowerAddress: process.env[`CLOCKTOWER_ADDRESS_${normalizedName}`],
         chainId: parseInt(process.env[`CHAIN_ID_${normalizedName}`], 10),
         tokens,
         usdcAddress: tokens[0]?.address,
+        feePolicy: this.parseFeePolicyForChain(normalizedName),
+        quorumPolicy: this.parseQuorumPolicyForChain(normalizedName),
+        balancePolicy: this.parseBalancePolicyForChain(normalizedName),
+        topUpPolicy: this.parseTopUpPolicyForChain(normalizedName),
+        sweepPolicy: this.parseSweepPolicyForChain(normalizedName),
         displayName: this.getDisplayName(chainName),
         isTestnet: this.isTestnet(chainName)
       };
@@ -86,12 +234,19 @@ export class ChainConfigService {
    * @returns {boolean} True if valid
    */
   validateChainConfig(chain) {
-    const required = ['alchemyUrl', 'clocktowerAddress', 'chainId'];
+    const required = ['clocktowerAddress', 'chainId'];
     const missing = required.filter(field => !chain[field]);
+    if (!chain.rpcUrls || chain.rpcUrls.length === 0) {
+      missing.unshift('rpcUrls (RPC_URLS_* or ALCHEMY_URL_*)');
+    }
     if (missing.length > 0) {
       console.warn(`Chain ${chain.name} is missing required configuration: ${missing.join(', ')}`);
       return false;
     }
+    if (chain.quorumPolicy && chain.rpcUrls.length < chain.quorumPolicy.minProviders) {
+      // Kept active so every run reports the failed quorum instead of the chain silently dropping out
+      console.warn(`Chain ${chain.name} has RPC quorum enabled but only ${chain.rpcUrls.length} RPC URL(s); remit will be refused`);
+    }
     if (!chain.tokens || chain.tokens.length === 0) {
       console.warn(`Chain ${chain.name} has no tokens (set TOKENS_*)`);
       return false;
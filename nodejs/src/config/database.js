@@ -30,6 +30,12 @@ export class DatabaseConfigService {
           connectionString: process.env.DATABASE_URL
         };
       
+      case 'memory':
+        // Nothing to configure; the data lives as long as the process
+        return {
+          type: 'memory'
+        };
+
       case 'sqlite':
       default:
         return {
@@ -151,7 +157,9 @@ export class DatabaseConfigService {
         // PostgreSQL uses datetime('now')
         now: 'NOW()',
         // PostgreSQL uses datetime('now')
-        datetimeNow: 'NOW()'
+        datetimeNow: 'NOW()',
+        // Milliseconds since a timestamp column
+        ageMs: (column) => `(EXTRACT(EPOCH FROM (NOW() - ${column})) * 1000)::BIGINT`
       };
     }
 
@@ -174,7 +182,9 @@ export class DatabaseConfigService {
       // SQLite uses datetime('now')
       now: "datetime('now')",
       // SQLite uses datetime('now')
-      datetimeNow: "datetime('now')"
+      datetimeNow: "datetime('now')",
+      // Milliseconds since a timestamp column
+      ageMs: (column) => `CAST((julianday('now') - julianday(${column})) * 86400000 AS INTEGER)`
     };
   }
 
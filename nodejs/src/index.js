@@ -10,7 +10,9 @@
 import { config } from 'dotenv';
 import { ClocktowerService } from './services/clocktower.js';
 import { DatabaseService } from './services/database.js';
-import { EmailService } from './services/email.js';
+import { RunLockService } from './services/runLock.js';
+import { NotificationRouter } from './services/notificationRouter.js';
+import { createPriceSourceFromEnv } from './services/prices.js';
 import { Logger } from './utils/logger.js';
 import { getRequiredEnv } from './utils/helpers.js';
 import { ChainConfigService } from './config/chainConfig.js';
@@ -19,12 +21,22 @@ import { DatabaseConfigService } from './config/database.js';
 // Load environment variables
 config();
 
+// Exit code when another run holds the lock (EX_TEMPFAIL: try again later)
+const EXIT_CODE_LOCKED = 75;
+
 class ClocktowerCaller {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Simulate remit instead of sending transactions
+   * @param {boolean} [options.waitForLock] - Wait for a running invocation to finish instead of exiting (defaults to RUN_LOCK_WAIT env)
+   */
+  constructor(options = {}) {
     this.logger = new Logger('ClocktowerCaller');
     this.database = new DatabaseService();
-    this.clocktower = new ClocktowerService(this.database);
-    this.email = new EmailService();
+    this.clocktower = new ClocktowerService(this.database, { dryRun: options.dryRun });
+    this.notifications = this.clocktower.notifications;
+    this.runLock = new RunLockService(this.database);
+    this.waitForLock = options.waitForLock ?? process.env.RUN_LOCK_WAIT === 'true';
     this.isInitialized = false;
   }
 
@@ -42,11 +54,16 @@ class ClocktowerCaller {
       // Initialize database
       await this.database.initialize();
 
-      // Test email configuration
-      if (this.email.isEmailConfigured()) {
-        this.logger.info('Email service configured');
+      // Report notification channels
+      if (this.notifications.isConfigured()) {
+        this.logger.info(`Notification channels: ${this.notifications.getChannelNames().join(', ')}`);
       } else {
-        this.logger.warn('Email service not configured - notifications will be disabled');
+        this.logger.warn('No notification channels configured - notifications will be disabled');
+      }
+      const digest = this.clocktower.digest;
+      if (digest.isEnabled()) {
+        const weekday = digest.schedule === 'weekly' ? ` on weekday ${digest.weekday}` : '';
+        this.logger.info(`Notification digest: ${digest.schedule}${weekday} after ${String(digest.hour).padStart(2, '0')}:00 UTC`);
       }
 
       this.isInitialized = true;
@@ -67,8 +84,7 @@ class ClocktowerCaller {
     // Base required environment variables
     const required = [
       'CALLER_ADDRESS',
-      'CALLER_PRIVATE_KEY',
-      'ALCHEMY_API_KEY'
+      'CALLER_PRIVATE_KEY'
     ];
 
     const missing = required.filter(key => !process.env[key]);
@@ -90,11 +106,11 @@ class ClocktowerCaller {
     try {
       const chainConfig = new ChainConfigService();
       const activeChains = process.env.ACTIVE_CHAINS?.split(',').map(chain => chain.trim()) || ['base'];
+      const alchemyChains = [];
       
       for (const chainName of activeChains) {
         const normalizedName = chainName.toUpperCase().replace('-', '_');
         const chainRequired = [
-          `ALCHEMY_URL_${normalizedName}`,
           `CLOCKTOWER_ADDRESS_${normalizedName}`,
           `CHAIN_ID_${normalizedName}`,
           `TOKENS_${normalizedName}`
@@ -102,6 +118,15 @@ class ClocktowerCaller {
 
         const chainMissing = chainRequired.filter(key => !process.env[key]);
 
+        // RPC endpoints come from RPC_URLS_* or, failing that, the Alchemy URL and key
+        if (!process.env[`RPC_URLS_${normalizedName}`]) {
+          if (!process.env[`ALCHEMY_URL_${normalizedName}`]) {
+            chainMissing.unshift(`RPC_URLS_${normalizedName} or ALCHEMY_URL_${normalizedName}`);
+          } else {
+            alchemyChains.push(chainName);
+          }
+        }
+
         if (chainMissing.length > 0) {
           errors.push(`Missing required environment variables for chain '${chainName}': ${chainMissing.join(', ')}`);
         }
@@ -130,6 +155,19 @@ class ClocktowerCaller {
             errors.push(`Invalid TOKENS_${normalizedName} format (must be valid JSON array)`);
           }
         }
+
+        // Validate every RPC_URLS_* entry is an http(s) URL
+        const rpcUrlsRaw = process.env[`RPC_URLS_${normalizedName}`];
+        if (rpcUrlsRaw) {
+          const invalid = rpcUrlsRaw.split(',').map(url => url.trim()).filter(url => url && !/^https?:\/\/\S+$/.test(url));
+          if (invalid.length > 0) {
+            errors.push(`Invalid RPC_URLS_${normalizedName} format (must be comma-separated http(s) URLs)`);
+          }
+        }
+      }
+
+      if (alchemyChains.length > 0 && !process.env.ALCHEMY_API_KEY) {
+        errors.push(`Missing required environment variables: ALCHEMY_API_KEY (used by ALCHEMY_URL_* for ${alchemyChains.join(', ')})`);
       }
 
       // Check if any valid chains are configured
@@ -153,6 +191,20 @@ class ClocktowerCaller {
       errors.push(`Failed to validate database configuration: ${error.message}`);
     }
 
+    // Validate notification routing rules
+    try {
+      NotificationRouter.readRulesFromEnv();
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    // Validate the price source used to value profit
+    try {
+      createPriceSourceFromEnv();
+    } catch (error) {
+      errors.push(error.message);
+    }
+
     // If any errors found, throw comprehensive error message
     if (errors.length > 0) {
       const errorMessage = [
@@ -173,12 +225,19 @@ class ClocktowerCaller {
   /**
    * Execute remit for all chains
    * @returns {Promise<Object>} Execution summary
+   * @throws {Error} RUN_LOCKED when another invocation holds a chain's run lock
    */
   async run() {
     if (!this.isInitialized) {
       throw new Error('Clocktower Caller not initialized');
     }
 
+    // A dry run sends nothing, so it can overlap a real run
+    if (!this.clocktower.dryRun) {
+      const chainNames = this.clocktower.chainConfig.getAllActiveChains().map(chain => chain.name);
+      await this.runLock.acquire(chainNames, { wait: this.waitForLock });
+    }
+
     const startTime = Date.now();
     const executionId = `main_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
 
@@ -186,12 +245,19 @@ class ClocktowerCaller {
       this.logger.info(`Starting multi-chain execution: ${executionId}`);
 
       // Execute remit for all active chains
-      const results = await this.clocktower.executeRemitForAllChains();
+      // A chain whose run lock is taken over stops before its next transaction
+      const results = await this.clocktower.executeRemitForAllChains({
+        lockSignal: chainName => this.runLock.signalFor(chainName)
+      });
 
       // Calculate summary using detailed statuses
       const executed = results.filter(r => r.status === 'executed' && (r.txCount || 0) > 0).length;
       const noSubs = results.filter(r => r.status === 'no_subscriptions').length;
-      const failed = results.filter(r => r.status === 'failed' || (!r.success && r.status !== 'no_subscriptions')).length;
+      const dryRuns = results.filter(r => r.status === 'dry_run').length;
+      const deferred = results.filter(r => r.status === 'deferred').length;
+      const timedOut = results.filter(r => r.status === 'timed_out').length;
+      const isFailed = (r) => r.status === 'failed' || (!r.success && r.status !== 'no_subscriptions' && r.status !== 'timed_out');
+      const failed = results.filter(isFailed).length;
       const total = results.length;
       const executionTime = Date.now() - startTime;
 
@@ -201,24 +267,34 @@ class ClocktowerCaller {
         successful: executed,
         failed,
         noSubscriptions: noSubs,
+        deferred,
+        timedOut,
+        dryRun: this.clocktower.dryRun,
+        simulated: dryRuns,
         successRate: total > 0 ? Math.round((executed / total) * 100) : 0,
         executionTimeMs: executionTime,
         results
       };
 
-      this.logger.info(`Execution completed: ${executed}/${total} executed, ${noSubs} none, ${failed} failed`);
+      this.logger.info(`Execution completed: ${executed}/${total} executed, ${noSubs} none, ${deferred} deferred, ${timedOut} timed out, ${failed} failed`);
       this.logger.info(`Total execution time: ${executionTime}ms`);
 
       // Log failed chains
       if (failed > 0) {
-        const failedChains = results.filter(r => r.status === 'failed' || (!r.success && r.status !== 'no_subscriptions')).map(r => r.chain);
+        const failedChains = results.filter(isFailed).map(r => r.chain);
         this.logger.warn(`Failed chains: ${failedChains.join(', ')}`);
       }
+      if (timedOut > 0) {
+        const timedOutChains = results.filter(r => r.status === 'timed_out').map(r => r.chain);
+        this.logger.warn(`Timed out chains: ${timedOutChains.join(', ')}`);
+      }
 
       return summary;
     } catch (error) {
       this.logger.error(`Multi-chain execution failed: ${executionId}`, error);
       throw error;
+    } finally {
+      await this.runLock.release();
     }
   }
 
@@ -231,6 +307,7 @@ class ClocktowerCaller {
       this.logger.info('Shutting down Clocktower Caller...');
       
       if (this.database.isReady()) {
+        await this.runLock.release();
         await this.database.close();
       }
       
@@ -241,9 +318,43 @@ class ClocktowerCaller {
   }
 }
 
+/**
+ * Print the per-chain dry-run report
+ * @param {Array} results - Chain results from a dry run
+ */
+function printDryRunReport(results) {
+  console.log('\n' + '='.repeat(60));
+  console.log('DRY RUN REPORT (no transactions were sent)');
+  console.log('='.repeat(60));
+
+  for (const result of results) {
+    console.log(`\nChain: ${result.chain}`);
+    if (!result.dryRun) {
+      console.log(`  Status: ${result.status}${result.error ? ` (${result.error})` : ''}`);
+      continue;
+    }
+
+    const { totalSubscriptions, maxRemits, recursions, unprocessedSubscriptions } = result.dryRun;
+    console.log(`  Subscriptions: ${totalSubscriptions} (maxRemits: ${maxRemits})`);
+    for (const r of recursions) {
+      const outcome = r.wouldRevert
+        ? `would revert: ${r.revertReason}`
+        : `estimated gas ${r.estimatedGas}${r.exceedsGasLimit ? ' (exceeds GAS_LIMIT)' : ''}`;
+      console.log(`  Recursion ${r.recursionDepth + 1}${r.simulated ? '' : ' (projected)'}: ${r.subscriptionCount} subscriptions, ${outcome}`);
+    }
+    if (unprocessedSubscriptions > 0) {
+      console.log(`  Not covered this run: ${unprocessedSubscriptions} subscriptions`);
+    }
+  }
+}
+
 // Main execution function
 async function main() {
-  const app = new ClocktowerCaller();
+  const args = process.argv.slice(2);
+  const app = new ClocktowerCaller({
+    dryRun: args.includes('--dry-run'),
+    waitForLock: args.includes('--wait-for-lock') || undefined
+  });
   
   // Handle process signals for graceful shutdown
   process.on('SIGINT', async () => {
@@ -285,17 +396,31 @@ async function main() {
     console.log(`Total Chains: ${summary.totalChains}`);
     console.log(`Successful (executed): ${summary.successful} ✅`);
     console.log(`No Subscriptions: ${summary.noSubscriptions}`);
+    console.log(`Deferred (fees above ceiling): ${summary.deferred}`);
+    if (summary.dryRun) {
+      console.log(`Simulated (dry run): ${summary.simulated}`);
+    }
+    console.log(`Timed Out: ${summary.timedOut} ⏱️`);
     console.log(`Failed: ${summary.failed} ❌`);
     console.log(`Success Rate: ${summary.successRate}%`);
     console.log(`Execution Time: ${summary.executionTimeMs}ms`);
     console.log('='.repeat(60));
 
+    if (summary.dryRun) {
+      printDryRunReport(summary.results);
+    }
+
     // Shutdown gracefully
     await app.shutdown();
     
     // Exit with appropriate code
-    process.exit(summary.failed > 0 ? 1 : 0);
+    process.exit(summary.failed > 0 || summary.timedOut > 0 ? 1 : 0);
   } catch (error) {
+    if (error.code === 'RUN_LOCKED') {
+      console.log(`Skipped: ${error.message}`);
+      await app.shutdown();
+      process.exit(EXIT_CODE_LOCKED);
+    }
     console.error('Fatal error:', error.message);
     await app.shutdown();
     process.exit(1);
@@ -310,4 +435,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   });
 }
 
-export { ClocktowerCaller };
+export { ClocktowerCaller, EXIT_CODE_LOCKED };
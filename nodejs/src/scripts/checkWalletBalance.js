@@ -8,8 +8,9 @@
  */
 
 import { config } from 'dotenv';
-import { createPublicClient, http, formatEther, formatUnits } from 'viem';
+import { createPublicClient, formatEther, formatUnits } from 'viem';
 import { ChainConfigService } from '../config/chainConfig.js';
+import { RpcService } from '../services/rpc.js';
 import { Logger } from '../utils/logger.js';
 import { isValidAddress } from '../utils/helpers.js';
 
@@ -20,6 +21,7 @@ class WalletBalanceChecker {
   constructor() {
     this.chainConfig = new ChainConfigService();
     this.logger = new Logger('WalletBalanceChecker');
+    this.rpc = new RpcService();
   }
 
   /**
@@ -30,11 +32,9 @@ class WalletBalanceChecker {
    */
   async checkChainBalance(chain, address) {
     try {
-      const url = `${chain.alchemyUrl}${process.env.ALCHEMY_API_KEY}`;
-      
       const publicClient = createPublicClient({
         chain: { id: chain.chainId },
-        transport: http(url),
+        transport: this.rpc.createTransport(chain),
       });
 
       // Get ETH balance
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Script
+ *
+ * CLI tool for the versioned schema migrations in database/migrations.
+ *
+ * Usage: node src/scripts/migrate.js [command]
+ *   up [--to <version>]                  Apply pending migrations (default)
+ *   down [--steps <n> | --to <version>]  Revert the latest migration, or every one after a version
+ *   status                               List migrations and when they were applied
+ *   create <name>                        Add an empty migration after the latest one
+ *   d1 [directory]                       Write the worker's D1 schema.sql and migrations/ (default ../cloudflare)
+ */
+
+import { config } from 'dotenv';
+import { writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DatabaseService } from '../services/database.js';
+import { MigrationService, loadMigrations, createMigrationFile, renderD1Schema, writeD1Migrations } from '../services/migrations.js';
+
+// Load environment variables
+config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const WORKER_DIR = join(__dirname, '../../../cloudflare');
+
+const USAGE = 'Usage: node migrate.js [up [--to <version>] | down [--steps <n> | --to <version>] | status | create <name> | d1 [directory]]';
+
+class SchemaMigrator {
+  constructor() {
+    this.database = new DatabaseService();
+  }
+
+  /**
+   * Connect without applying migrations, then load them
+   * @returns {Promise<MigrationService>} Migration service for the database
+   * @throws {Error} If the storage backend is not SQL
+   */
+  async connect() {
+    await this.database.initialize({ migrate: false });
+    return new MigrationService(this.database.sqlStorage());
+  }
+
+  /**
+   * Apply pending migrations. A database created before migrations is
+   * adopted first.
+   * @param {{ to?: number }} options - Last version to apply
+   * @returns {Promise<Array>} Migrations applied
+   */
+  async up(options) {
+    const migrations = await this.connect();
+    await migrations.adopt();
+    return migrations.up(options);
+  }
+
+  /**
+   * Revert applied migrations
+   * @param {{ steps?: number, to?: number }} options - How many, or down to which version
+   * @returns {Promise<Array>} Migrations reverted
+   */
+  async down(options) {
+    const migrations = await this.connect();
+    return migrations.down(options);
+  }
+
+  /**
+   * List migrations and whether they are applied
+   * @returns {Promise<Array>} Migration status
+   */
+  async status() {
+    const migrations = await this.connect();
+    return migrations.status();
+  }
+
+  /**
+   * Write the worker's D1 schema and every migration as a Cloudflare D1
+   * migration for the worker
+   * @param {string} directory - Worker directory, holding schema.sql and migrations/
+   * @returns {number} Number of migrations written
+   */
+  writeD1(directory) {
+    const migrations = loadMigrations();
+    writeFileSync(join(directory, 'schema.sql'), renderD1Schema(migrations));
+    return writeD1Migrations(migrations, join(directory, 'migrations')).length;
+  }
+
+  /**
+   * Format and display migration status
+   * @param {Array} rows - Migration status
+   */
+  displayStatus(rows) {
+    console.log('\n' + '='.repeat(80));
+    console.log('SCHEMA MIGRATIONS');
+    console.log('='.repeat(80));
+
+    for (const row of rows) {
+      const version = String(row.version).padStart(4, '0');
+      console.log(`${row.applied ? '✅' : '⏳'} ${version}_${row.name}${row.applied ? ` (applied ${row.appliedAt})` : ' (pending)'}`);
+    }
+    if (rows.length === 0) {
+      console.log('No migrations');
+    }
+
+    console.log('\n' + '='.repeat(80));
+  }
+
+  /**
+   * Display migrations applied or reverted
+   * @param {string} verb - What happened to them
+   * @param {Array} migrations - Migrations
+   */
+  displayRun(verb, migrations) {
+    if (migrations.length === 0) {
+      console.log(verb === 'Applied' ? 'Schema is up to date' : 'Nothing to revert');
+    }
+    for (const migration of migrations) {
+      console.log(`${verb} ${String(migration.version).padStart(4, '0')}_${migration.name}`);
+    }
+  }
+}
+
+/**
+ * Read a non-negative integer option such as --to 3
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name without dashes
+ * @returns {number|undefined} Value, or undefined when absent
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} needs a non-negative integer`);
+  }
+  return value;
+}
+
+// CLI execution
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const migrator = new SchemaMigrator();
+
+  try {
+    switch (command) {
+      case 'up':
+        migrator.displayRun('Applied', await migrator.up({ to: readOption(args, 'to') }));
+        break;
+      case 'down': {
+        const to = readOption(args, 'to');
+        migrator.displayRun('Reverted', await migrator.down(to === undefined ? { steps: readOption(args, 'steps') } : { to }));
+        break;
+      }
+      case 'status':
+        migrator.displayStatus(await migrator.status());
+        break;
+      case 'create':
+        if (!args[0]) {
+          throw new Error('create needs a migration name');
+        }
+        console.log(`Created ${createMigrationFile(args[0])}`);
+        break;
+      case 'd1': {
+        const directory = args[0] || WORKER_DIR;
+        console.log(`Wrote schema.sql and ${migrator.writeD1(directory)} migration(s) to ${directory}`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}"\n${USAGE}`);
+    }
+
+    if (migrator.database.isReady()) {
+      await migrator.database.close();
+    }
+    process.exit(0);
+  } catch (error) {
+    if (migrator.database.isReady()) {
+      await migrator.database.close();
+    }
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
+
+export { SchemaMigrator };
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Sweep Script
+ *
+ * CLI tool for sweeping caller token balances above their float to the
+ * configured cold address, on every active chain or the ones given.
+ *
+ * Usage: node src/scripts/sweep.js [--dry-run] [chain...]
+ */
+
+import { config } from 'dotenv';
+import { createPublicClient } from 'viem';
+import { ChainConfigService } from '../config/chainConfig.js';
+import { DatabaseService } from '../services/database.js';
+import { NonceManager } from '../services/nonceManager.js';
+import { RpcService } from '../services/rpc.js';
+import { RunLockService } from '../services/runLock.js';
+import { SweepService } from '../services/sweep.js';
+import { EXIT_CODE_LOCKED } from '../index.js';
+import { Logger } from '../utils/logger.js';
+
+// Load environment variables
+config();
+
+class TokenSweeper {
+  constructor() {
+    this.chainConfig = new ChainConfigService();
+    this.logger = new Logger('TokenSweeper');
+    this.database = new DatabaseService();
+    this.rpc = new RpcService();
+    this.sweeps = new SweepService(this.database, this.rpc, new NonceManager(this.database));
+    this.runLock = new RunLockService(this.database);
+  }
+
+  /**
+   * Active chains to sweep
+   * @param {string[]} chainNames - Chains named on the command line (all active chains if empty)
+   * @returns {Array} Chain configurations
+   * @throws {Error} If a named chain is not active
+   */
+  selectChains(chainNames) {
+    const activeChains = this.chainConfig.getAllActiveChains();
+    if (chainNames.length === 0) {
+      return activeChains;
+    }
+
+    const unknown = chainNames.filter(name => !activeChains.some(chain => chain.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Not an active chain: ${unknown.join(', ')}`);
+    }
+    return activeChains.filter(chain => chainNames.includes(chain.name));
+  }
+
+  /**
+   * Sweep the given chains. A real sweep holds the run lock so it never
+   * overlaps a remit run on the same chain.
+   * @param {Array} chains - Chain configurations
+   * @param {{ dryRun: boolean }} options - Report without sending
+   * @returns {Promise<Array<{ chain: string, sweeps: Array }>>} Per-chain sweep results
+   * @throws {Error} RUN_LOCKED when another run holds a chain's lock
+   */
+  async sweepChains(chains, { dryRun }) {
+    if (!dryRun) {
+      await this.runLock.acquire(chains.map(chain => chain.name));
+    }
+
+    try {
+      const results = [];
+      for (const chain of chains) {
+        if (!this.sweeps.isEnabled(chain)) {
+          this.logger.warn(`Sweeps are not configured for ${chain.name} (set SWEEP_COLD_ADDRESS)`);
+          results.push({ chain: chain.name, sweeps: [] });
+          continue;
+        }
+
+        const publicClient = createPublicClient({
+          chain: { id: chain.chainId },
+          transport: this.rpc.createTransport(chain)
+        });
+        results.push({ chain: chain.name, sweeps: await this.sweeps.sweepChain(chain, publicClient, { dryRun }) });
+      }
+      return results;
+    } finally {
+      await this.runLock.release();
+    }
+  }
+
+  /**
+   * Format and display results
+   * @param {Array} results - Per-chain sweep results
+   */
+  displayResults(results) {
+    console.log('\n' + '='.repeat(80));
+    console.log('TOKEN SWEEP RESULTS');
+    console.log('='.repeat(80));
+
+    for (const result of results) {
+      console.log(`\nChain: ${result.chain}`);
+      if (result.sweeps.length === 0) {
+        console.log('Nothing to sweep');
+      }
+      for (const sweep of result.sweeps) {
+        const icon = { confirmed: '✅', dry_run: '🔍', pending: '⏳' }[sweep.status] || '❌';
+        console.log(`${icon} ${sweep.symbol}: ${sweep.amount ?? '?'} (${sweep.status})${sweep.txHash ? ` ${sweep.txHash}` : ''}${sweep.error ? ` - ${sweep.error}` : ''}`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(80));
+  }
+}
+
+// CLI execution
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const chainNames = args.filter(arg => !arg.startsWith('--'));
+
+  if (!process.env.CALLER_ADDRESS || (!dryRun && !process.env.CALLER_PRIVATE_KEY)) {
+    console.error('Error: CALLER_ADDRESS and CALLER_PRIVATE_KEY are required');
+    console.error('Usage: node sweep.js [--dry-run] [chain...]');
+    process.exit(1);
+  }
+
+  const sweeper = new TokenSweeper();
+
+  try {
+    const chains = sweeper.selectChains(chainNames);
+    await sweeper.database.initialize();
+
+    const results = await sweeper.sweepChains(chains, { dryRun });
+    sweeper.displayResults(results);
+
+    const failed = results.flatMap(result => result.sweeps).filter(sweep => sweep.status === 'failed').length;
+    await sweeper.database.close();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    if (sweeper.database.isReady()) {
+      await sweeper.database.close();
+    }
+    if (error.code === 'RUN_LOCKED') {
+      console.log(`Skipped: ${error.message}`);
+      process.exit(EXIT_CODE_LOCKED);
+    }
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
+
+export { TokenSweeper };
@@ -0,0 +1,128 @@
+/**
+ * Alert Service
+ *
+ * Deduplicates error notifications. Each error gets a fingerprint from its
+ * chain, error type and normalized message, stored in the alerts table. The
+ * first occurrence is sent; repeats within ALERT_SUPPRESSION_MS of the last
+ * alert sent are suppressed. When the chain next runs without the error, the
+ * alert is resolved so a recovery notification can be sent. Low-balance events
+ * are tracked the same way, so a caller that stays low is reported once per
+ * window and its recovery is reported too.
+ */
+
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
+
+const DEFAULT_SUPPRESSION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_LENGTH = 500;
+// Event types whose data carries errorType and errorMessage
+const TRACKED_TYPES = ['error', 'low_balance'];
+
+/**
+ * Reduce an error message to the part that identifies the problem: the first
+ * line, lowercased, with hex values, numbers and extra whitespace collapsed so
+ * block numbers, hashes, ids and durations do not make every error unique
+ * @param {string} message - Error message
+ * @returns {string} Normalized message
+ */
+export function normalizeErrorMessage(message) {
+  return String(message ?? '')
+    .split('\n')[0]
+    .toLowerCase()
+    .replace(/0x[0-9a-f]+|\d+(\.\d+)?/g, match => (match.startsWith('0x') ? '0x…' : '#'))
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+}
+
+export class AlertService {
+  /**
+   * @param {DatabaseService} databaseService - Database holding the alerts table
+   */
+  constructor(databaseService) {
+    this.database = databaseService;
+    this.logger = new Logger('AlertService');
+    this.enabled = process.env.ALERT_DEDUP !== 'false';
+    const windowMs = parseInt(process.env.ALERT_SUPPRESSION_MS, 10);
+    this.suppressionMs = windowMs >= 0 ? windowMs : DEFAULT_SUPPRESSION_MS;
+  }
+
+  /**
+   * Check if alerts are tracked (ALERT_DEDUP is not 'false' and the database is up)
+   * @returns {boolean} True if alerts are tracked
+   */
+  isEnabled() {
+    return this.enabled && this.database.isReady();
+  }
+
+  /**
+   * Fingerprint of an error event
+   * @param {{ chainName: string, data: { errorType: string, errorMessage: string } }} event - Error or low-balance notification event
+   * @returns {string} Hex fingerprint
+   */
+  fingerprint(event) {
+    const key = [event.chainName, event.data.errorType, normalizeErrorMessage(event.data.errorMessage)].join('|');
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Record an error occurrence and decide whether to send it
+   * @param {Object} event - Notification event
+   * @returns {Promise<{ fingerprint: string, suppress: boolean, alert: Object }|null>} null for events that are not tracked
+   */
+  async check(event) {
+    if (!TRACKED_TYPES.includes(event.type) || !this.isEnabled()) {
+      return null;
+    }
+
+    const fingerprint = this.fingerprint(event);
+    try {
+      const alert = await this.database.recordAlertOccurrence({
+        fingerprint,
+        chain_name: event.chainName,
+        chain_display_name: event.chain,
+        error_type: event.data.errorType,
+        message: String(event.data.errorMessage ?? '').split('\n')[0].slice(0, MAX_MESSAGE_LENGTH),
+        seen_at: new Date().toISOString()
+      });
+      const sinceNotified = alert.last_notified_at ? Date.now() - Date.parse(alert.last_notified_at) : Infinity;
+      return { fingerprint, suppress: sinceNotified < this.suppressionMs, alert };
+    } catch (error) {
+      this.logger.warn(`Could not record alert ${fingerprint}, sending it: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Start the suppression window for an alert that was sent
+   * @param {string} fingerprint - Alert fingerprint
+   * @returns {Promise<void>}
+   */
+  async markNotified(fingerprint) {
+    try {
+      await this.database.markAlertNotified(fingerprint, new Date().toISOString());
+    } catch (error) {
+      this.logger.warn(`Could not mark alert ${fingerprint} as sent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a chain's open alerts that did not recur in a run
+   * @param {string} chainName - Chain name
+   * @param {string} runStartedAt - ISO timestamp of the start of the chain's run
+   * @returns {Promise<Array>} Resolved alerts that had been sent (muted or unsent ones resolve silently)
+   */
+  async resolve(chainName, runStartedAt) {
+    if (!this.isEnabled()) {
+      return [];
+    }
+
+    try {
+      const resolved = await this.database.resolveAlerts(chainName, runStartedAt, new Date().toISOString());
+      return resolved.filter(alert => alert.last_notified_at);
+    } catch (error) {
+      this.logger.warn(`Could not resolve alerts for ${chainName}: ${error.message}`);
+      return [];
+    }
+  }
+}
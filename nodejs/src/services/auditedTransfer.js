@@ -0,0 +1,80 @@
+/**
+ * Audited Transfer
+ *
+ * Shared by top-ups and sweeps, which move funds only with an audit trail:
+ * the transfer is recorded as pending before it is sent, then broadcast,
+ * waited for, and its record updated with how it ended.
+ */
+
+import { createWalletClient } from 'viem';
+
+/**
+ * Wallet client for an account on a chain
+ * @param {RpcService} rpcService - Builds the chain's transport
+ * @param {Object} chainConfig - Chain configuration
+ * @param {Object} account - Viem account that signs
+ * @returns {Object} Viem wallet client
+ */
+export function createChainWalletClient(rpcService, chainConfig, account) {
+  return createWalletClient({
+    account,
+    chain: { id: chainConfig.chainId },
+    transport: rpcService.createTransport(chainConfig)
+  });
+}
+
+/**
+ * Update an audit record, logging rather than throwing on failure
+ * @param {Logger} logger - Logger of the calling service
+ * @param {string} label - Record name for the log, e.g. "sweep 3"
+ * @param {Function} write - Writes the fields to the record
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<void>}
+ */
+export async function updateAuditRecord(logger, label, write, fields) {
+  try {
+    await write({ ...fields, updated_at: new Date().toISOString() });
+  } catch (error) {
+    logger.warn(`Could not update ${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Broadcast a transfer already recorded as pending, wait for it to be mined
+ * and record the outcome. Never throws; a failure comes back as the outcome.
+ * @param {Object} params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {Logger} params.logger - Logger of the calling service
+ * @param {string} params.chainName - Chain name
+ * @param {string} params.description - What is sent, e.g. "Sweep of 5 USDC to 0x..."
+ * @param {Function} params.broadcast - Sends the transaction and resolves with its hash
+ * @param {Function} params.update - Updates the record with the given fields, never throws
+ * @param {string} params.errorColumn - Column that holds why the transfer failed
+ * @param {number} params.timeoutMs - How long to wait for the receipt
+ * @returns {Promise<{ status: 'confirmed'|'pending'|'failed', txHash: string|null, error?: string }>} Outcome
+ */
+export async function sendAuditedTransfer({ publicClient, logger, chainName, description, broadcast, update, errorColumn, timeoutMs }) {
+  let txHash = null;
+  try {
+    txHash = await broadcast();
+    logger.transaction(txHash, `${description} sent on ${chainName}`);
+    await update({ tx_hash: txHash });
+
+    const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash, timeout: timeoutMs });
+    if (receipt.status !== 'success') {
+      await update({ status: 'failed', [errorColumn]: 'Transaction reverted' });
+      return { status: 'failed', txHash, error: 'Transaction reverted' };
+    }
+
+    await update({ status: 'confirmed' });
+    logger.chain(chainName, `${description} confirmed: ${txHash}`);
+    return { status: 'confirmed', txHash };
+  } catch (error) {
+    // Once broadcast the transfer may still be mined, so it stays pending (a
+    // pending top-up keeps counting towards the daily cap)
+    const status = txHash ? 'pending' : 'failed';
+    logger.warn(`${description} on ${chainName} ${txHash ? 'not confirmed' : 'failed'}: ${error.message}`);
+    await update({ status, [errorColumn]: error.message });
+    return { status, txHash, error: error.message };
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Balance Monitor
+ *
+ * Checks the caller's native balance on a chain against the chain's balancePolicy.
+ * Two checks can fire: the balance itself against LOW_BALANCE_WARN_ETH /
+ * LOW_BALANCE_CRITICAL_ETH, and the days of runway left against
+ * RUNWAY_WARN_DAYS / RUNWAY_CRITICAL_DAYS. Runway is the balance divided by
+ * the average daily spend, taken from the balance drop of each remit
+ * transaction in execution_logs over the last RUNWAY_LOOKBACK_DAYS.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+export class BalanceMonitor {
+  /**
+   * @param {DatabaseService} databaseService - Database holding execution_logs
+   */
+  constructor(databaseService) {
+    this.database = databaseService;
+    this.logger = new Logger('BalanceMonitor');
+    const lookback = Number(process.env.RUNWAY_LOOKBACK_DAYS);
+    this.lookbackDays = lookback > 0 ? lookback : DEFAULT_LOOKBACK_DAYS;
+  }
+
+  /**
+   * Forecast how long a balance lasts at the chain's recent spend
+   * @param {Object} chainConfig - Chain configuration
+   * @param {number} balanceEth - Caller balance
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{ runwayDays: number, avgCostPerRemitEth: number, remitsPerDay: number, remits: number, lookbackDays: number }|null>} Forecast, or null without remit history
+   */
+  async forecastRunway(chainConfig, balanceEth, now = new Date()) {
+    if (!this.database.isReady()) {
+      return null;
+    }
+
+    const since = new Date(now.getTime() - this.lookbackDays * DAY_MS).toISOString();
+    let stats;
+    try {
+      stats = await this.database.getRemitCostStats(chainConfig.name, since);
+    } catch (error) {
+      this.logger.warn(`Could not read remit costs for ${chainConfig.name}: ${error.message}`);
+      return null;
+    }
+
+    if (!stats || !stats.remits || !stats.total_cost_eth) {
+      return null;
+    }
+
+    // Spread over the days since the first remit in the window, so a new chain
+    // is not forecast as if it had been idle for the whole lookback
+    const elapsedDays = (now.getTime() - new Date(stats.first_at).getTime()) / DAY_MS;
+    const days = Math.min(this.lookbackDays, Math.max(1, elapsedDays));
+    const avgCostPerRemitEth = stats.total_cost_eth / stats.remits;
+    const remitsPerDay = stats.remits / days;
+
+    return {
+      runwayDays: balanceEth / (avgCostPerRemitEth * remitsPerDay),
+      avgCostPerRemitEth,
+      remitsPerDay,
+      remits: stats.remits,
+      lookbackDays: days
+    };
+  }
+
+  /**
+   * Compare a balance and its runway with the chain's thresholds
+   * @param {Object} chainConfig - Chain configuration (balancePolicy)
+   * @param {number} balanceEth - Caller balance
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{ balanceEth: number, level: 'warn'|'critical'|null, breaches: Array<{ kind: 'balance'|'runway', level: string, value: number, threshold: number }>, runway: Object|null }>} Alert level (null when healthy) and the thresholds crossed
+   */
+  async check(chainConfig, balanceEth, now = new Date()) {
+    const policy = chainConfig.balancePolicy || {};
+    const breaches = [];
+
+    const balanceBreach = this.compare(balanceEth, policy.criticalEth, policy.warnEth);
+    if (balanceBreach) {
+      breaches.push({ kind: 'balance', value: balanceEth, ...balanceBreach });
+    }
+
+    const runway = policy.warnRunwayDays || policy.criticalRunwayDays
+      ? await this.forecastRunway(chainConfig, balanceEth, now)
+      : null;
+    const runwayBreach = runway ? this.compare(runway.runwayDays, policy.criticalRunwayDays, policy.warnRunwayDays) : null;
+    if (runwayBreach) {
+      breaches.push({ kind: 'runway', value: runway.runwayDays, ...runwayBreach });
+    }
+
+    const level = breaches.some(b => b.level === 'critical') ? 'critical' : breaches.length > 0 ? 'warn' : null;
+    return { balanceEth, level, breaches, runway };
+  }
+
+  /**
+   * Find the lowest threshold a value is under; unset or 0 thresholds are off
+   * @param {number} value - Balance or runway
+   * @param {number|null} critical - Critical threshold
+   * @param {number|null} warn - Warning threshold
+   * @returns {{ level: string, threshold: number }|null} Level and threshold crossed
+   */
+  compare(value, critical, warn) {
+    if (critical > 0 && value < critical) {
+      return { level: 'critical', threshold: critical };
+    }
+    if (warn > 0 && value < warn) {
+      return { level: 'warn', threshold: warn };
+    }
+    return null;
+  }
+}
@@ -5,13 +5,24 @@
  * Ported and adapted from Cloudflare Worker implementation.
  */
 
-import { createPublicClient, createWalletClient, http, formatEther, formatUnits } from 'viem';
+import { createPublicClient, createWalletClient, formatEther, formatUnits } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import { ChainConfigService } from '../config/chainConfig.js';
 import { DatabaseService } from './database.js';
-import { EmailService } from './email.js';
+import { NotificationService, LOW_BALANCE_ERROR_TYPE } from './notification.js';
+import { DigestService } from './digest.js';
+import { AlertService } from './alerts.js';
+import { BalanceMonitor } from './balanceMonitor.js';
+import { TopUpService } from './topUp.js';
+import { SweepService } from './sweep.js';
+import { StaticPriceSource, createPriceSourceFromEnv } from './prices.js';
+import { FeeService } from './fees.js';
+import { NonceManager } from './nonceManager.js';
+import { RpcService } from './rpc.js';
+import { ConsistencyService } from './consistency.js';
+import { TransactionManager } from './transactionManager.js';
 import { Logger } from '../utils/logger.js';
 import { 
   CLOCKTOWER_ABI, 
@@ -23,6 +34,11 @@ import {
   FREQUENCY_TYPES,
   getFrequencyName,
   generateExecutionId,
+  extractRevertReason,
+  getReceiptFee,
+  createError,
+  mapWithConcurrency,
+  withTimeout,
   MAX_RECURSION_DEPTH,
   GAS_LIMIT,
   ZERO_HASH,
@@ -30,110 +46,415 @@ import {
 } from '../utils/helpers.js';
 
 const MULTICALL_CHUNK_SIZE = 100;
+// How long a chain may take to unwind after its deadline before it is reported as timed out
+const CHAIN_ABORT_GRACE_MS = 10000;
+// Run outcomes that leave subscriptions unprocessed, with the error type they are notified under
+const RUN_STOPPED_ERROR_TYPES = {
+  failed: 'Remit Run Failed',
+  stalled: 'Remit Run Stalled',
+  max_batches: 'Batch Limit Reached'
+};
 
 dayjs.extend(utc);
 
+/**
+ * Whether a chain was stopped because another run took over its run lock
+ * @param {AbortSignal|null} signal - Chain signal
+ * @returns {boolean} True once the signal fired with RUN_LOCK_LOST
+ */
+function isLockLost(signal) {
+  return Boolean(signal?.aborted) && signal.reason?.code === 'RUN_LOCK_LOST';
+}
+
 export class ClocktowerService {
-  constructor(databaseService = null) {
+  /**
+   * @param {DatabaseService|null} databaseService - Shared database service
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Simulate remit instead of sending transactions (defaults to DRY_RUN env)
+   * @param {Object} [options.prices] - Price source for profitability (defaults to PRICE_SOURCE env)
+   */
+  constructor(databaseService = null, options = {}) {
     this.chainConfig = new ChainConfigService();
     this.database = databaseService || new DatabaseService();
-    this.email = new EmailService();
+    this.digest = new DigestService(this.database);
+    this.alerts = new AlertService(this.database);
+    this.notifications = new NotificationService(null, undefined, undefined, this.digest, this.alerts);
+    this.balances = new BalanceMonitor(this.database);
+    this.fees = new FeeService();
+    this.nonces = new NonceManager(this.database);
+    this.transactions = new TransactionManager(this.nonces);
+    this.rpc = new RpcService();
+    this.consistency = new ConsistencyService(this.rpc);
+    this.topUps = new TopUpService(this.database, this.rpc);
+    this.sweeps = new SweepService(this.database, this.rpc, this.nonces);
     this.logger = new Logger('ClocktowerService');
     this.maxRecursionDepth = parseInt(process.env.MAX_RECURSION_DEPTH, 10) || MAX_RECURSION_DEPTH;
     this.gasLimit = parseInt(process.env.GAS_LIMIT, 10) || GAS_LIMIT;
+    this.chainConcurrency = parseInt(process.env.CHAIN_CONCURRENCY, 10) || 1;
+    this.chainTimeoutMs = parseInt(process.env.CHAIN_TIMEOUT_MS, 10) || 0;
+    this.dryRun = options.dryRun ?? process.env.DRY_RUN === 'true';
+    this.sweepAfterRun = process.env.SWEEP_AFTER_RUN === 'true';
+    this.prices = options.prices || this.loadPriceSource();
   }
 
   /**
-   * Execute remit for all active chains
-   * @returns {Promise<Array>} Array of execution results
+   * Build the price source from the environment
+   * @returns {Object} Price source; one without prices if the configuration is invalid
    */
-  async executeRemitForAllChains() {
+  loadPriceSource() {
+    try {
+      return createPriceSourceFromEnv();
+    } catch (error) {
+      this.logger.error('Ignoring price configuration, profit will not be valued', error);
+      return new StaticPriceSource();
+    }
+  }
+
+  /**
+   * Execute remit for all active chains, up to CHAIN_CONCURRENCY at a time
+   * @param {Object} [options]
+   * @param {Function} [options.lockSignal] - Returns the chain's run lock signal, which fires when the lock is lost
+   * @returns {Promise<Array>} Array of execution results, in active chain order
+   */
+  async executeRemitForAllChains({ lockSignal = null } = {}) {
     const activeChains = this.chainConfig.getAllActiveChains();
-    const results = [];
 
-    this.logger.info(`Starting multi-chain execution for ${activeChains.length} chains`);
+    this.logger.info(`Starting multi-chain execution for ${activeChains.length} chains (concurrency ${this.chainConcurrency})${this.dryRun ? ' (dry run)' : ''}`);
+
+    const startedAt = new Date().toISOString();
+    const results = await mapWithConcurrency(activeChains, this.chainConcurrency, (chain) => this.executeChainWithTimeout(chain, {
+      lockSignal: lockSignal ? lockSignal(chain.name) : null
+    }));
+
+    if (this.dryRun) {
+      this.logger.info('Dry run - skipping summary notification');
+      return results;
+    }
+
+    await this.addRunProfit(results, startedAt);
 
-    // Execute chains sequentially to avoid overwhelming the system
-    for (const chain of activeChains) {
+    // Send summary notification
+    try {
+      await this.notifications.notifySummary(results);
+    } catch (error) {
+      this.logger.error('Failed to send summary notification', error);
+    }
+
+    // Send the digest once its schedule comes round (digest mode only)
+    try {
+      await this.notifications.notifyDigestIfDue();
+    } catch (error) {
+      this.logger.error('Failed to send digest notification', error);
+    }
+
+    return results;
+  }
+
+  /**
+   * Add each chain's profit from the remits sent since the run started to its result.
+   * Best-effort; without a database or prices the results are left as they are.
+   * @param {Array} results - Chain results from executeChainWithTimeout
+   * @param {string} startedAt - ISO timestamp of the start of the run
+   * @returns {Promise<void>}
+   */
+  async addRunProfit(results, startedAt) {
+    if (!this.database.isReady()) {
+      return;
+    }
+
+    try {
+      const stats = await this.database.getProfitStats(this.prices, { since: startedAt });
+      for (const result of results) {
+        const profit = stats.byChain.find(chain => chain.chain === result.chain);
+        if (profit) {
+          result.profit = { ...profit, currency: stats.currency };
+          this.logger.chain(result.chain, `Run profit: ${profit.net ?? 'unpriced'} ${stats.currency} over ${profit.remits} remit(s), gas ${profit.gasCostEth} ETH`);
+        }
+      }
+      if (stats.missingPrices.length > 0) {
+        this.logger.warn(`No ${stats.currency} price for ${stats.missingPrices.join(', ')}, profit is not valued`);
+      }
+    } catch (error) {
+      this.logger.error('Failed to compute run profit', error);
+    }
+  }
+
+  /**
+   * Execute remit for one chain within CHAIN_TIMEOUT_MS and build its summary result.
+   * At the deadline, or when the chain's run lock is lost, the chain's AbortSignal fires,
+   * which stops further batches and cancels its RPC calls and notification sends.
+   * Resolves only once the chain's work has settled, even past the grace period, so the run lock outlives it.
+   * Never throws; failures become a failed or timed_out result and an error notification.
+   * @param {Object} chain - Chain configuration
+   * @param {Object} [options]
+   * @param {AbortSignal|null} [options.lockSignal] - Fires when the chain's run lock is taken over
+   * @returns {Promise<Object>} Chain result for the summary
+   */
+  async executeChainWithTimeout(chain, { lockSignal = null } = {}) {
+    const startedAt = new Date().toISOString();
+    const controller = new AbortController();
+    const deadline = this.chainTimeoutMs > 0
+      ? setTimeout(() => controller.abort(createError(
+        `Chain execution timed out after ${this.chainTimeoutMs}ms`,
+        'TIMEOUT',
+        { timeoutMs: this.chainTimeoutMs }
+      )), this.chainTimeoutMs)
+      : null;
+    const onLockLost = () => controller.abort(lockSignal.reason);
+    if (lockSignal?.aborted) {
+      onLockLost();
+    } else {
+      lockSignal?.addEventListener('abort', onLockLost, { once: true });
+    }
+
+    let result;
+    let failure = null;
+    this.logger.chain(chain.name, `Starting execution for ${chain.displayName}`);
+    const execution = this.executeRemitForChain(chain, { signal: controller.signal });
+    try {
+      // Backstop in case something ignores the signal
+      result = await withTimeout(
+        execution,
+        this.chainTimeoutMs > 0 ? this.chainTimeoutMs + CHAIN_ABORT_GRACE_MS : 0,
+        `Chain execution timed out after ${this.chainTimeoutMs}ms`
+      );
+      this.logger.chain(chain.name, `Completed execution for ${chain.displayName}`);
+    } catch (error) {
+      this.logger.chain(chain.name, `Failed execution for ${chain.displayName}`, error);
+      failure = error;
+      result = { success: false, status: error.code === 'TIMEOUT' ? 'timed_out' : 'failed', error: error.message, txCount: 0 };
+
+      // Work that ignored the signal may still send a remit, so the run lock is
+      // kept until it settles; its transactions still count towards the summary
+      this.logger.chain(chain.name, 'Waiting for in-flight work to settle before moving on');
+      const settled = await execution.catch(() => null);
+      result.txCount = settled?.txCount || 0;
+    } finally {
+      clearTimeout(deadline);
+      lockSignal?.removeEventListener('abort', onLockLost);
+    }
+
+    const lockLost = isLockLost(controller.signal);
+
+    // A dry run only logs its failures
+    if ((failure || result.status === 'timed_out' || lockLost) && !this.dryRun) {
+      // Send error notification (non-blocking); the chain's signal has already fired, so send without it
       try {
-        this.logger.chain(chain.name, `Starting execution for ${chain.displayName}`);
-        const result = await this.executeRemitForChain(chain);
-        results.push({ 
-          chain: chain.name, 
-          success: result.success, 
-          status: result.status || (result.success ? 'unknown' : 'failed'),
-          txCount: result.txCount || 0,
-          error: result.error
-        });
-        this.logger.chain(chain.name, `Completed execution for ${chain.displayName}`);
-      } catch (error) {
-        this.logger.chain(chain.name, `Failed execution for ${chain.displayName}`, error);
-        results.push({ chain: chain.name, success: false, error: error.message });
-        
-        // Send error email (non-blocking)
+        await this.notifications.notifyError(
+          chain,
+          result.error,
+          result.status === 'timed_out' ? 'Chain Timeout' : lockLost ? 'Run Lock Lost' : 'Chain Processing Error',
+          {
+            'Chain Name': chain.name,
+            'Transactions Sent': String(result.txCount || 0),
+            'Error Stack': failure?.stack || 'N/A'
+          }
+        );
+      } catch (notifyError) {
+        this.logger.chain(chain.name, 'Failed to send error notification', notifyError);
+      }
+    }
+
+    // Swept before the balance check so the check includes the sweep's gas
+    const sweeps = result.success && this.sweepAfterRun && !this.dryRun
+      ? await this.sweepTokens(chain, result.executionId)
+      : [];
+
+    // Checked after the run so the balance reflects this run's gas; tops up the caller if configured
+    // Skipped once the chain was stopped, since a top-up is a transaction too
+    const lowBalance = !controller.signal.aborted && !this.dryRun ? await this.checkCallerBalance(chain) : null;
+
+    // Errors reported by earlier runs that did not come back in this one have cleared
+    if (result.success && !this.dryRun) {
+      const resolved = (await this.alerts.resolve(chain.name, startedAt))
+        // A low-balance alert that changed level is still open under its new level
+        .filter(alert => !(lowBalance && alert.error_type === LOW_BALANCE_ERROR_TYPE));
+      if (resolved.length > 0) {
         try {
-          await this.email.sendErrorEmail(
-            chain.displayName,
-            error.message,
-            'Chain Processing Error',
-            {
-              'Chain Name': chain.name,
-              'Error Stack': error.stack || 'N/A'
-            }
-          );
-        } catch (emailError) {
-          this.logger.chain(chain.name, 'Failed to send error email', emailError);
+          await this.notifications.notifyResolved(chain, resolved);
+        } catch (notifyError) {
+          this.logger.chain(chain.name, 'Failed to send resolved notification', notifyError);
         }
       }
     }
 
-    // Send summary email
+    return { 
+      chain: chain.name, 
+      success: result.success, 
+      status: result.status || (result.success ? 'unknown' : 'failed'),
+      txCount: result.txCount || 0,
+      runStatus: result.runStatus,
+      deferReason: result.deferReason,
+      error: result.error,
+      subscriptions: result.subscriptions || [],
+      sweeps,
+      dryRun: result.dryRun
+    };
+  }
+
+  /**
+   * Sweep token balances above their float to the chain's cold address and
+   * notify an error for each sweep that did not confirm.
+   * Never throws; a failed sweep is logged and reported in the result.
+   * @param {Object} chainConfig - Chain configuration
+   * @param {string|null} [executionId] - Run that triggered the sweep
+   * @returns {Promise<Array>} SweepService.sweepChain results
+   */
+  async sweepTokens(chainConfig, executionId = null) {
+    if (!this.sweeps.isEnabled(chainConfig)) {
+      return [];
+    }
+
+    let sweeps;
     try {
-      await this.email.sendSummaryEmail(results);
+      const publicClient = createPublicClient({
+        chain: { id: chainConfig.chainId },
+        transport: this.rpc.createTransport(chainConfig)
+      });
+      sweeps = await this.sweeps.sweepChain(chainConfig, publicClient, { executionId });
     } catch (error) {
-      this.logger.error('Failed to send summary email', error);
+      this.logger.chain(chainConfig.name, `Failed to sweep tokens: ${error.message}`);
+      return [];
     }
 
-    return results;
+    for (const sweep of sweeps.filter(sweep => sweep.status !== 'confirmed')) {
+      try {
+        await this.notifications.notifyError(chainConfig, sweep.error, 'Sweep Error', {
+          'Sweep Status': sweep.status,
+          'Amount': sweep.amount ? `${sweep.amount} ${sweep.symbol}` : sweep.symbol,
+          'Cold Address': chainConfig.sweepPolicy.coldAddress,
+          'Tx Hash': sweep.txHash || null
+        });
+      } catch (notifyError) {
+        this.logger.chain(chainConfig.name, 'Failed to send sweep error notification', notifyError);
+      }
+    }
+    return sweeps;
+  }
+
+  /**
+   * Top up the caller from the treasury when its balance is below the chain's
+   * topUpPolicy threshold, then check the balance and its runway against the
+   * chain's balancePolicy and send a low-balance notification when a threshold
+   * is crossed. A top-up that is refused or fails is notified as an error.
+   * Never throws; a failed check is logged and skipped.
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {Promise<Object|null>} BalanceMonitor.check result when a threshold was crossed, otherwise null
+   */
+  async checkCallerBalance(chainConfig) {
+    const policy = chainConfig.balancePolicy;
+    const alertsEnabled = Boolean(policy && (policy.warnEth || policy.criticalEth || policy.warnRunwayDays || policy.criticalRunwayDays));
+    const topUpEnabled = this.topUps.isEnabled(chainConfig);
+    if (!alertsEnabled && !topUpEnabled) {
+      return null;
+    }
+
+    let status = null;
+    try {
+      const publicClient = createPublicClient({
+        chain: { id: chainConfig.chainId },
+        transport: this.rpc.createTransport(chainConfig)
+      });
+      let balance = await publicClient.getBalance({ address: process.env.CALLER_ADDRESS });
+
+      const topUp = topUpEnabled ? await this.topUps.topUpIfLow(chainConfig, publicClient, balance) : null;
+      if (topUp?.status === 'confirmed') {
+        balance = await publicClient.getBalance({ address: process.env.CALLER_ADDRESS });
+      } else if (topUp) {
+        try {
+          await this.notifications.notifyError(chainConfig, topUp.reason, 'Top-Up Error', {
+            'Top-Up Status': topUp.status,
+            'Amount': `${topUp.amountEth} ETH`,
+            'Tx Hash': topUp.txHash || null
+          });
+        } catch (notifyError) {
+          this.logger.chain(chainConfig.name, 'Failed to send top-up error notification', notifyError);
+        }
+      }
+
+      if (alertsEnabled) {
+        status = await this.balances.check(chainConfig, Number(formatEther(balance)));
+      }
+    } catch (error) {
+      this.logger.chain(chainConfig.name, `Failed to check caller balance: ${error.message}`);
+      return null;
+    }
+
+    if (!status) {
+      return null;
+    }
+    if (status.runway) {
+      this.logger.chain(chainConfig.name, `Caller balance ${status.balanceEth} ETH, runway ${status.runway.runwayDays.toFixed(1)} days`);
+    }
+    if (!status.level) {
+      return null;
+    }
+
+    this.logger.chain(chainConfig.name, `Caller balance ${status.level}: ${status.breaches.map(b => `${b.kind} below ${b.threshold}`).join(', ')}`);
+    try {
+      await this.notifications.notifyLowBalance(chainConfig, status);
+    } catch (notifyError) {
+      this.logger.chain(chainConfig.name, 'Failed to send low balance notification', notifyError);
+    }
+    return status;
   }
 
   /**
    * Execute remit for a specific chain
    * @param {Object} chainConfig - Chain configuration
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels RPC calls and notification sends (chain deadline or lost run lock)
    * @returns {Promise<Object>} Execution result
    */
-  async executeRemitForChain(chainConfig) {
+  async executeRemitForChain(chainConfig, { signal = null } = {}) {
     const executionId = generateExecutionId(`exec_${chainConfig.name}`);
     const startTime = Date.now();
 
     try {
       this.logger.chain(chainConfig.name, `Starting execution: ${executionId}`);
 
-      const url = `${chainConfig.alchemyUrl}${process.env.ALCHEMY_API_KEY}`;
+      this.logger.chain(chainConfig.name, `RPC providers: ${this.rpc.describeProviders(chainConfig)}`);
       const publicClient = createPublicClient({
         chain: { id: chainConfig.chainId },
-        transport: http(url),
+        transport: this.rpc.createTransport(chainConfig, { signal, rank: true }),
       });
 
-      const preCheckResult = await this.preCheck(chainConfig, publicClient, executionId, startTime);
+      const preCheckResult = await this.preCheck(chainConfig, publicClient, executionId, startTime, signal, { dryRun: this.dryRun });
+      // A pre-check cut off by the deadline must not be mistaken for "no subscriptions"
+      signal?.throwIfAborted();
+
+      // preCheck has already logged and notified the error
+      if (preCheckResult.error) {
+        return { success: false, status: 'failed', error: preCheckResult.error, txCount: 0 };
+      }
       
       if (!preCheckResult.shouldProceed) {
         this.logger.chain(chainConfig.name, 'No subscriptions found, skipping execution');
 
+        if (this.dryRun) {
+          return { success: true, status: 'no_subscriptions', txCount: 0 };
+        }
+
+        // A run cut off after its last batch has nothing left to resume
+        if (preCheckResult.currentDay !== null) {
+          await this.closeInterruptedRun(chainConfig, 'completed');
+        }
+
         try {
-          await this.email.sendNoSubscriptionsEmail(
-            chainConfig.displayName,
+          await this.notifications.notifyNoSubscriptions(
+            chainConfig,
             preCheckResult.currentDay,
-            preCheckResult.nextUncheckedDay
+            preCheckResult.nextUncheckedDay,
+            { signal }
           );
         } catch (notifyError) {
-          this.logger.chain(chainConfig.name, 'No-subscriptions email failed', notifyError);
+          this.logger.chain(chainConfig.name, 'No-subscriptions notification failed', notifyError);
         }
 
         return { success: true, status: 'no_subscriptions', txCount: 0 };
       }
 
-      const totalSubscriptions = preCheckResult.totalSubscriptions;
+      const { totalSubscriptions, subscriptions } = preCheckResult;
 
       const maxRemits = await this.getMaxRemits(chainConfig, publicClient);
       
@@ -143,25 +464,191 @@ export class ClocktowerService {
       this.logger.chain(chainConfig.name, `Starting with ${totalSubscriptions} subscriptions, maxRemits: ${maxRemits}`);
       this.logger.chain(chainConfig.name, `Expected recursions: ${expectedRecursions}, max allowed: ${maxAllowedRecursions}`);
 
-      const txCount = await this.desmond(chainConfig, publicClient, executionId, startTime, 0, maxAllowedRecursions);
-      
-      this.logger.chain(chainConfig.name, `Execution completed successfully: ${executionId}`);
-      return { success: true, status: txCount > 0 ? 'executed' : 'no_subscriptions', txCount };
+      if (this.dryRun) {
+        const recursions = await this.simulateRemit(chainConfig, publicClient, totalSubscriptions, maxRemits, maxAllowedRecursions);
+        const simulated = recursions.reduce((sum, r) => sum + (r.wouldRevert ? 0 : r.subscriptionCount), 0);
+        this.logger.chain(chainConfig.name, `Dry run completed: ${executionId}`);
+        return {
+          success: true,
+          status: 'dry_run',
+          txCount: 0,
+          subscriptions,
+          dryRun: {
+            totalSubscriptions,
+            maxRemits: Number(maxRemits),
+            recursions,
+            unprocessedSubscriptions: totalSubscriptions - simulated
+          }
+        };
+      }
+
+      if (chainConfig.quorumPolicy) {
+        const quorum = await this.verifyRpcConsistency(chainConfig, executionId, startTime, preCheckResult, signal);
+        if (!quorum.consistent) {
+          return { success: false, status: 'failed', error: `RPC consistency check failed: ${quorum.reason}`, txCount: 0, subscriptions };
+        }
+      }
+
+      const run = await this.startOrResumeRun(chainConfig, executionId, preCheckResult);
+      const { txCount, runStatus, deferReason, errorMessage } = await this.runRemitBatches(chainConfig, publicClient, executionId, startTime, run, subscriptions, signal);
+
+      if (runStatus === 'lock_lost') {
+        return { success: false, status: 'failed', error: signal.reason.message, txCount, runStatus, subscriptions };
+      }
+
+      if (runStatus === 'timed_out') {
+        await this.logTimedOut(chainConfig, executionId, startTime, signal.reason);
+        return { success: false, status: 'timed_out', error: signal.reason?.message, txCount, runStatus, subscriptions };
+      }
+
+      // Subscriptions were left unprocessed; runRemitBatches has already notified the error
+      if (runStatus in RUN_STOPPED_ERROR_TYPES) {
+        this.logger.chain(chainConfig.name, `Execution stopped early: ${executionId} (run ${run.runId}: ${runStatus})`);
+        return { success: false, status: 'failed', error: errorMessage, txCount, runStatus, subscriptions, executionId };
+      }
+
+      this.logger.chain(chainConfig.name, `Execution completed successfully: ${executionId} (run ${run.runId}: ${runStatus})`);
+
+      let status = txCount > 0 ? 'executed' : 'no_subscriptions';
+      if (txCount === 0 && runStatus === 'deferred') {
+        status = 'deferred';
+      }
+      return { success: true, status, txCount, runStatus, deferReason, subscriptions, executionId };
     } catch (error) {
+      if (isLockLost(signal)) {
+        this.logger.chain(chainConfig.name, `Execution stopped, run lock lost: ${executionId}`, signal.reason);
+        return { success: false, error: signal.reason.message, status: 'failed', txCount: 0 };
+      }
+      if (signal?.aborted) {
+        this.logger.chain(chainConfig.name, `Execution timed out: ${executionId}`, signal.reason);
+        await this.logTimedOut(chainConfig, executionId, startTime, signal.reason);
+        return { success: false, error: signal.reason?.message, status: 'timed_out', txCount: 0 };
+      }
       this.logger.chain(chainConfig.name, `Execution failed: ${executionId}`, error);
       return { success: false, error: error.message, status: 'failed', txCount: 0 };
+    } finally {
+      this.rpc.logUsage(chainConfig);
+    }
+  }
+
+  /**
+   * Record a chain that ran past its deadline in execution_logs (best-effort, skipped in a dry run)
+   * @param {Object} chainConfig - Chain configuration
+   * @param {string} executionId - Execution ID
+   * @param {number} startTime - Start time
+   * @param {Error} reason - Abort reason
+   * @returns {Promise<void>}
+   */
+  async logTimedOut(chainConfig, executionId, startTime, reason) {
+    if (this.dryRun) {
+      return;
+    }
+
+    try {
+      await this.database.logExecution({
+        execution_id: `${executionId}_timed_out`,
+        timestamp: new Date().toISOString(),
+        chain_name: chainConfig.name,
+        chain_display_name: chainConfig.displayName,
+        precheck_passed: false,
+        current_day: null,
+        next_unchecked_day: null,
+        should_proceed: false,
+        tx_hash: null,
+        tx_status: null,
+        revert_reason: null,
+        gas_used: null,
+        balance_before_eth: null,
+        balance_after_eth: null,
+        recursion_depth: 0,
+        max_recursion_reached: false,
+        error_message: reason?.message || 'Chain execution timed out',
+        error_stack: null,
+        execution_time_ms: Date.now() - startTime,
+        status: 'timed_out'
+      });
+    } catch (logError) {
+      this.logger.chain(chainConfig.name, 'Timeout logging skipped (DB not ready or insert failed)', logError);
     }
   }
 
+  /**
+   * Check that the chain's RPC providers agree before any remit is sent. On
+   * disagreement the refusal is logged to execution_logs and an error notification is sent.
+   * @param {Object} chainConfig - Chain configuration (uses chainConfig.quorumPolicy)
+   * @param {string} executionId - Execution ID
+   * @param {number} startTime - Start time
+   * @param {Object} preCheckResult - Result from preCheck (its nextUncheckedDay must match the quorum)
+   * @param {AbortSignal|null} [signal] - Chain deadline signal
+   * @returns {Promise<{ consistent: boolean, reason: string|null, blockNumber: bigint|null, readings: Array }>}
+   */
+  async verifyRpcConsistency(chainConfig, executionId, startTime, preCheckResult, signal = null) {
+    const quorum = await this.consistency.check(chainConfig, { nextUncheckedDay: preCheckResult.nextUncheckedDay }, { signal });
+    if (quorum.consistent) {
+      return quorum;
+    }
+
+    const readings = this.consistency.formatReadings(quorum.readings);
+    this.logger.chain(chainConfig.name, `RPC quorum - refusing to send remit: ${quorum.reason}\n${readings}`);
+
+    try {
+      await this.database.logExecution({
+        execution_id: `${executionId}_rpc_inconsistent`,
+        timestamp: new Date().toISOString(),
+        chain_name: chainConfig.name,
+        chain_display_name: chainConfig.displayName,
+        precheck_passed: true,
+        current_day: preCheckResult.currentDay,
+        next_unchecked_day: preCheckResult.nextUncheckedDay,
+        should_proceed: false,
+        tx_hash: null,
+        tx_status: null,
+        revert_reason: null,
+        gas_used: null,
+        balance_before_eth: null,
+        balance_after_eth: null,
+        recursion_depth: 0,
+        max_recursion_reached: false,
+        error_message: `${quorum.reason}\n${readings}`,
+        error_stack: null,
+        execution_time_ms: Date.now() - startTime,
+        status: 'rpc_inconsistent'
+      });
+    } catch (logError) {
+      this.logger.chain(chainConfig.name, 'RPC quorum logging skipped (DB not ready or insert failed)', logError);
+    }
+
+    try {
+      await this.notifications.notifyError(
+        chainConfig,
+        quorum.reason,
+        'RPC Consistency Error',
+        {
+          'Execution ID': executionId,
+          'Block Number': quorum.blockNumber !== null ? quorum.blockNumber.toString() : 'N/A',
+          'Provider Readings': this.consistency.formatReadings(quorum.readings, '; '),
+          'Execution Time (ms)': (Date.now() - startTime).toString()
+        },
+        { signal }
+      );
+    } catch (notifyError) {
+      this.logger.chain(chainConfig.name, 'Failed to send error notification', notifyError);
+    }
+
+    return quorum;
+  }
+
   /**
    * Pre-check to determine if remit should proceed
    * @param {Object} chainConfig - Chain configuration
    * @param {Object} publicClient - Viem public client (reused)
    * @param {string} executionId - Execution ID
    * @param {number} startTime - Start time
-   * @returns {Promise<Object>} Pre-check result
+   * @param {AbortSignal|null} [signal] - Chain deadline signal
+   * @param {{ dryRun?: boolean }} [options] - In a dry run nothing is written to the database and no error is notified
+   * @returns {Promise<Object>} Pre-check result; error is set when the pre-check itself failed
    */
-  async preCheck(chainConfig, publicClient, executionId, startTime) {
+  async preCheck(chainConfig, publicClient, executionId, startTime, signal = null, { dryRun = false } = {}) {
     try {
       const currentTime = getCurrentTimestamp();
       const currentDay = getCurrentDay();
@@ -180,7 +667,7 @@ export class ClocktowerService {
 
       if (currentDay < nextUncheckedDay) {
         this.logger.chain(chainConfig.name, `PreCheck - Up to date: current day (${currentDay}) < next unchecked day (${nextUncheckedDay})`);
-        return { shouldProceed: false, currentDay, nextUncheckedDay: Number(nextUncheckedDay), totalSubscriptions: 0 };
+        return { shouldProceed: false, currentDay, nextUncheckedDay: Number(nextUncheckedDay), totalSubscriptions: 0, subscriptions: [] };
       }
       
       if (nextUncheckedDay > currentDay + 1) {
@@ -189,8 +676,12 @@ export class ClocktowerService {
       
       this.logger.chain(chainConfig.name, `PreCheck - Need to check days from ${nextUncheckedDay} to ${currentDay}`);
       
-      const { shouldProceed, totalSubscriptions } = await this.checksubs(chainConfig, publicClient, nextUncheckedDay, currentDay);
+      const { shouldProceed, totalSubscriptions, subscriptions } = await this.checksubs(chainConfig, publicClient, nextUncheckedDay, currentDay);
       this.logger.chain(chainConfig.name, `PreCheck - Should proceed: ${shouldProceed}, total subscriptions: ${totalSubscriptions}`);
+
+      if (dryRun) {
+        return { shouldProceed, currentDay, nextUncheckedDay: Number(nextUncheckedDay), totalSubscriptions, subscriptions };
+      }
       
       try {
         await this.database.logExecution({
@@ -214,13 +705,21 @@ export class ClocktowerService {
         error_stack: null,
         execution_time_ms: Date.now() - startTime
         });
+
+        if (subscriptions.length > 0) {
+          await this.database.logRemitSubscriptions(executionId, chainConfig.name, subscriptions);
+        }
       } catch (logError) {
         this.logger.chain(chainConfig.name, 'PreCheck logging skipped (DB not ready or insert failed)', logError);
       }
       
-      return { shouldProceed, currentDay, nextUncheckedDay: Number(nextUncheckedDay), totalSubscriptions };
+      return { shouldProceed, currentDay, nextUncheckedDay: Number(nextUncheckedDay), totalSubscriptions, subscriptions };
     } catch (error) {
       this.logger.chain(chainConfig.name, 'PreCheck failed', error);
+
+      if (dryRun) {
+        return { shouldProceed: false, currentDay: null, nextUncheckedDay: null, totalSubscriptions: 0, subscriptions: [], error: error.message };
+      }
       
       // Log precheck error to database (best-effort)
       try {
@@ -249,33 +748,36 @@ export class ClocktowerService {
         this.logger.chain(chainConfig.name, 'PreCheck error logging skipped (DB not ready or insert failed)', logError);
       }
       
-      // Send error email (non-blocking)
+      // Send error notification (non-blocking)
       try {
-        await this.email.sendErrorEmail(
-          chainConfig.displayName,
+        await this.notifications.notifyError(
+          chainConfig,
           error.message,
           'PreCheck Error',
           {
             'Execution ID': executionId,
             'Execution Time (ms)': (Date.now() - startTime).toString(),
             'Error Stack': error.stack || 'N/A'
-          }
+          },
+          { signal }
         );
-      } catch (emailError) {
-        this.logger.chain(chainConfig.name, 'Failed to send error email', emailError);
+      } catch (notifyError) {
+        this.logger.chain(chainConfig.name, 'Failed to send error notification', notifyError);
       }
       
-      return { shouldProceed: false, currentDay: null, nextUncheckedDay: null, totalSubscriptions: 0 };
+      return { shouldProceed: false, currentDay: null, nextUncheckedDay: null, totalSubscriptions: 0, subscriptions: [], error: error.message };
     }
   }
 
   /**
-   * Check for active subscriptions (single pass with multicall; returns shouldProceed and totalSubscriptions)
+   * Check for active subscriptions (single pass with multicall)
    * @param {Object} chainConfig - Chain configuration
    * @param {Object} publicClient - Viem public client (reused)
    * @param {number} nextUncheckedDay - Next unchecked day
    * @param {number} currentDay - Current day
-   * @returns {Promise<{ shouldProceed: boolean, totalSubscriptions: number }>}
+   * @returns {Promise<{ shouldProceed: boolean, totalSubscriptions: number, subscriptions: Array<{ day: number, frequency: number, frequencyName: string, dueDay: number, ids: string[] }>, error?: string }>}
+   *   subscriptions holds the non-zero ids grouped by checked day, frequency and due day;
+   *   error is set when the lookup itself failed
    */
   async checksubs(chainConfig, publicClient, nextUncheckedDay, currentDay) {
     try {
@@ -283,9 +785,10 @@ export class ClocktowerService {
       const nextUncheckedDayNum = Number(nextUncheckedDay);
 
       const contracts = [];
+      const callMeta = [];
       for (let i = nextUncheckedDayNum; i <= currentDay; i++) {
         const checkDay = dayNumberToDayjs(i);
-        for (let frequency = 0; frequency <= 3; frequency++) {
+        for (const frequency of Object.values(FREQUENCY_TYPES)) {
           const dueDayInfo = getDueDay(frequency, checkDay);
           if (dueDayInfo.shouldSkip) continue;
           contracts.push({
@@ -294,12 +797,13 @@ export class ClocktowerService {
             functionName: 'getIdByTime',
             args: [frequency, dueDayInfo.dueDay],
           });
+          callMeta.push({ day: i, frequency, dueDay: dueDayInfo.dueDay });
         }
       }
 
       if (contracts.length === 0) {
         this.logger.chain(chainConfig.name, 'No getIdByTime calls to make');
-        return { shouldProceed: false, totalSubscriptions: 0 };
+        return { shouldProceed: false, totalSubscriptions: 0, subscriptions: [] };
       }
 
       const allResults = [];
@@ -314,23 +818,27 @@ export class ClocktowerService {
       }
 
       let totalSubscriptions = 0;
-      for (const item of allResults) {
-        if (item.status === 'success' && item.result) {
-          for (const id of item.result) {
-            if (id !== ZERO_HASH) totalSubscriptions++;
-          }
-        }
-      }
+      const subscriptions = [];
+      allResults.forEach((item, index) => {
+        if (item.status !== 'success' || !item.result) return;
+        const ids = item.result.filter(id => id !== ZERO_HASH);
+        if (ids.length === 0) return;
+
+        const { day, frequency, dueDay } = callMeta[index];
+        subscriptions.push({ day, frequency, frequencyName: getFrequencyName(frequency), dueDay, ids });
+        totalSubscriptions += ids.length;
+        this.logger.chain(chainConfig.name, `Checksubs - Day ${day}, ${getFrequencyName(frequency)} due day ${dueDay}: ${ids.length} subscription(s)`);
+      });
 
       const shouldProceed = totalSubscriptions > 0;
       if (!shouldProceed) {
         this.logger.chain(chainConfig.name, 'No non-zero IDs found for checked range');
       }
       this.logger.chain(chainConfig.name, `Total subscriptions found: ${totalSubscriptions} (${contracts.length} getIdByTime calls via multicall)`);
-      return { shouldProceed, totalSubscriptions };
+      return { shouldProceed, totalSubscriptions, subscriptions };
     } catch (error) {
       this.logger.chain(chainConfig.name, 'Checksubs Error', error);
-      return { shouldProceed: false, totalSubscriptions: 0 };
+      return { shouldProceed: false, totalSubscriptions: 0, subscriptions: [], error: error.message };
     }
   }
 
@@ -349,26 +857,316 @@ export class ClocktowerService {
   }
 
   /**
-   * Execute remit transaction (desmond function)
+   * Start a new batch run, or resume one for the same day that was cut off mid-way.
+   * Run state lives in the remit_runs table; on-chain state remains the source of
+   * truth for what is left, so resuming only carries over the batch budget.
+   * @param {Object} chainConfig - Chain configuration
+   * @param {string} executionId - Execution ID of this invocation
+   * @param {Object} preCheckResult - Result from preCheck
+   * @returns {Promise<{ runId: string, batchesCompleted: number, subscriptionsRemaining: number, nextUncheckedDay: number, resumed: boolean }>}
+   */
+  async startOrResumeRun(chainConfig, executionId, preCheckResult) {
+    const { currentDay, nextUncheckedDay, totalSubscriptions } = preCheckResult;
+    const fresh = { runId: executionId, batchesCompleted: 0, subscriptionsRemaining: totalSubscriptions, nextUncheckedDay, resumed: false };
+
+    try {
+      const interrupted = await this.database.getInterruptedRemitRun(chainConfig.name);
+
+      if (interrupted && Number(interrupted.current_day) === currentDay) {
+        this.logger.chain(chainConfig.name, `Resuming run ${interrupted.run_id} after ${interrupted.batches_completed} batch(es)`);
+        await this.database.updateRemitRun(interrupted.run_id, {
+          subscriptions_remaining: totalSubscriptions,
+          next_unchecked_day: nextUncheckedDay
+        });
+        return { ...fresh, runId: interrupted.run_id, batchesCompleted: Number(interrupted.batches_completed), resumed: true };
+      }
+
+      if (interrupted) {
+        this.logger.chain(chainConfig.name, `Abandoning stale run ${interrupted.run_id} from day ${interrupted.current_day}`);
+        await this.database.updateRemitRun(interrupted.run_id, { status: 'abandoned' });
+      }
+
+      await this.database.createRemitRun({
+        run_id: executionId,
+        chain_name: chainConfig.name,
+        current_day: currentDay,
+        subscriptions_remaining: totalSubscriptions,
+        next_unchecked_day: nextUncheckedDay
+      });
+    } catch (error) {
+      this.logger.chain(chainConfig.name, 'Run state unavailable (DB not ready or query failed), starting untracked run', error);
+    }
+
+    return fresh;
+  }
+
+  /**
+   * Mark a leftover running run for the chain as finished (best-effort)
+   * @param {Object} chainConfig - Chain configuration
+   * @param {string} status - Final status
+   * @returns {Promise<void>}
+   */
+  async closeInterruptedRun(chainConfig, status) {
+    try {
+      const interrupted = await this.database.getInterruptedRemitRun(chainConfig.name);
+      if (interrupted) {
+        await this.database.updateRemitRun(interrupted.run_id, { status, subscriptions_remaining: 0 });
+        this.logger.chain(chainConfig.name, `Closed interrupted run ${interrupted.run_id} (${status})`);
+      }
+    } catch (error) {
+      this.logger.chain(chainConfig.name, 'Closing interrupted run skipped (DB not ready or query failed)', error);
+    }
+  }
+
+  /**
+   * Send remit batches until no ids remain, progress stalls, a batch fails, fees
+   * exceed the chain's ceiling or the batch limit (MAX_RECURSION_DEPTH) is reached.
+   * Progress is re-read on-chain after every confirmed remit. A run that stops
+   * with subscriptions left (failed, stalled or max_batches) is notified as an error.
    * @param {Object} chainConfig - Chain configuration
    * @param {Object} publicClient - Viem public client (reused)
-   * @param {string} executionId - Execution ID
+   * @param {string} executionId - Execution ID of this invocation
    * @param {number} startTime - Start time
-   * @param {number} recursionDepth - Current recursion depth
+   * @param {Object} run - Run state from startOrResumeRun
+   * @param {Array} subscriptions - Subscription id groups from checksubs
+   * @param {AbortSignal|null} [signal] - Chain signal; once fired the run stops as timed_out, or as lock_lost when another run took over the chain
+   * @returns {Promise<{ txCount: number, runStatus: string, batchesCompleted: number, deferReason: string|null, errorMessage: string|null }>}
+   */
+  async runRemitBatches(chainConfig, publicClient, executionId, startTime, run, subscriptions, signal = null) {
+    let batch = run.batchesCompleted;
+    let remaining = run.subscriptionsRemaining;
+    let nextUncheckedDay = run.nextUncheckedDay;
+    let txCount = 0;
+    let runStatus = 'running';
+    let errorMessage = null;
+    // desmond notifies the error of a failed batch itself
+    let batchFailed = false;
+
+    while (runStatus === 'running') {
+      if (signal?.aborted) {
+        break;
+      }
+
+      if (batch >= this.maxRecursionDepth) {
+        this.logger.chain(chainConfig.name, `Reached batch limit (${this.maxRecursionDepth}) with ${remaining} subscription(s) left, stopping`);
+        runStatus = 'max_batches';
+        errorMessage = `Reached batch limit (${this.maxRecursionDepth}) with ${remaining} subscription(s) left`;
+        break;
+      }
+
+      let quote;
+      try {
+        quote = await this.fees.getFeeQuote(chainConfig, publicClient);
+      } catch (error) {
+        this.logger.chain(chainConfig.name, 'Fee quote failed, stopping', error);
+        runStatus = 'failed';
+        errorMessage = `Fee quote failed: ${error.message}`;
+        break;
+      }
+
+      if (quote.defer) {
+        this.logger.chain(chainConfig.name, `Deferring remaining batches: ${quote.reason}`);
+        runStatus = 'deferred';
+        errorMessage = quote.reason;
+        break;
+      }
+
+      const succeeded = await this.desmond(
+        chainConfig, publicClient, executionId, startTime, batch, this.maxRecursionDepth,
+        txCount === 0 ? subscriptions : [], quote.fees, signal
+      );
+      if (succeeded === 0) {
+        runStatus = 'failed';
+        errorMessage = `Batch ${batch + 1} failed`;
+        batchFailed = true;
+        break;
+      }
+
+      txCount++;
+      batch++;
+
+      try {
+        const progress = await this.checkProgress(chainConfig, publicClient);
+        this.logger.chain(chainConfig.name, `Progress after batch ${batch}: ${progress.remaining} subscription(s) left, next unchecked day ${progress.nextUncheckedDay}`);
+
+        if (progress.remaining === 0) {
+          runStatus = 'completed';
+        } else if (progress.remaining >= remaining && progress.nextUncheckedDay <= nextUncheckedDay) {
+          this.logger.chain(chainConfig.name, `No progress after batch ${batch} (${remaining} → ${progress.remaining}), stopping`);
+          runStatus = 'stalled';
+          errorMessage = `No progress after batch ${batch}, ${progress.remaining} subscription(s) left`;
+        }
+
+        remaining = progress.remaining;
+        nextUncheckedDay = progress.nextUncheckedDay;
+      } catch (error) {
+        this.logger.chain(chainConfig.name, 'Progress check failed, stopping', error);
+        runStatus = 'failed';
+        errorMessage = `Progress check failed: ${error.message}`;
+      }
+
+      await this.saveRunProgress(chainConfig, run.runId, {
+        batches_completed: batch,
+        subscriptions_remaining: remaining,
+        next_unchecked_day: nextUncheckedDay
+      });
+    }
+
+    // The run now belongs to the run that took over the lock, which may be resuming it
+    if (isLockLost(signal)) {
+      this.logger.chain(chainConfig.name, `Run lock lost after ${txCount} batch(es), stopping`);
+      return { txCount, runStatus: 'lock_lost', batchesCompleted: batch, deferReason: null, errorMessage: null };
+    }
+
+    // Whatever failed after the deadline failed because of it
+    if (signal?.aborted && (runStatus === 'running' || runStatus === 'failed')) {
+      this.logger.chain(chainConfig.name, `Deadline reached after ${txCount} batch(es), stopping`);
+      runStatus = 'timed_out';
+      errorMessage = signal.reason?.message || 'Chain execution timed out';
+    }
+
+    await this.saveRunProgress(chainConfig, run.runId, { status: runStatus, error_message: errorMessage });
+
+    if (runStatus in RUN_STOPPED_ERROR_TYPES && !batchFailed) {
+      try {
+        await this.notifications.notifyError(chainConfig, errorMessage, RUN_STOPPED_ERROR_TYPES[runStatus], {
+          'Run ID': run.runId,
+          'Batches Completed': String(batch),
+          'Subscriptions Remaining': String(remaining),
+          'Transactions Sent': String(txCount)
+        }, { signal });
+      } catch (notifyError) {
+        this.logger.chain(chainConfig.name, 'Failed to send error notification', notifyError);
+      }
+    }
+
+    return {
+      txCount,
+      runStatus,
+      batchesCompleted: batch,
+      deferReason: runStatus === 'deferred' ? errorMessage : null,
+      errorMessage
+    };
+  }
+
+  /**
+   * Re-read nextUncheckedDay and count the ids still pending
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client (reused)
+   * @returns {Promise<{ remaining: number, nextUncheckedDay: number }>}
+   * @throws {Error} If the on-chain state could not be read
+   */
+  async checkProgress(chainConfig, publicClient) {
+    const currentDay = getCurrentDay();
+    const nextUncheckedDay = Number(await publicClient.readContract({
+      address: chainConfig.clocktowerAddress,
+      abi: CLOCKTOWER_ABI,
+      functionName: 'nextUncheckedDay',
+    }));
+
+    if (currentDay < nextUncheckedDay) {
+      return { remaining: 0, nextUncheckedDay };
+    }
+
+    const { totalSubscriptions, error } = await this.checksubs(chainConfig, publicClient, nextUncheckedDay, currentDay);
+    if (error) {
+      throw new Error(`Checksubs failed: ${error}`);
+    }
+    return { remaining: totalSubscriptions, nextUncheckedDay };
+  }
+
+  /**
+   * Persist run progress (best-effort)
+   * @param {Object} chainConfig - Chain configuration
+   * @param {string} runId - Run ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  async saveRunProgress(chainConfig, runId, fields) {
+    try {
+      await this.database.updateRemitRun(runId, fields);
+    } catch (error) {
+      this.logger.chain(chainConfig.name, 'Run progress update skipped (DB not ready or update failed)', error);
+    }
+  }
+
+  /**
+   * Simulate remit without sending a transaction (dry-run mode).
+   * Simulation does not advance contract state, so only the first batch is
+   * simulated on-chain; later recursions are projected from its result.
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client (reused)
+   * @param {number} totalSubscriptions - Subscriptions found by checksubs
+   * @param {bigint|number} maxRemits - Max remits per transaction
    * @param {number} maxAllowedRecursions - Maximum allowed recursions
-   * @returns {Promise<number>} Number of successful transactions
+   * @returns {Promise<Array<{ recursionDepth: number, subscriptionCount: number, estimatedGas: string|null, exceedsGasLimit: boolean, wouldRevert: boolean, revertReason: string|null, simulated: boolean }>>}
    */
-  async desmond(chainConfig, publicClient, executionId, startTime, recursionDepth = 0, maxAllowedRecursions = this.maxRecursionDepth) {
+  async simulateRemit(chainConfig, publicClient, totalSubscriptions, maxRemits, maxAllowedRecursions) {
+    const call = {
+      address: chainConfig.clocktowerAddress,
+      abi: CLOCKTOWER_ABI,
+      functionName: 'remit',
+      account: process.env.CALLER_ADDRESS,
+    };
+
+    let estimatedGas = null;
+    let revertReason = null;
     try {
-      const recursiveExecutionId = `${executionId}_recursion_${recursionDepth}`;
-      const url = `${chainConfig.alchemyUrl}${process.env.ALCHEMY_API_KEY}`;
+      await publicClient.simulateContract(call);
+      estimatedGas = await publicClient.estimateContractGas(call);
+    } catch (error) {
+      revertReason = extractRevertReason(error);
+      this.logger.chain(chainConfig.name, `Dry run - remit would revert: ${revertReason}`);
+    }
+
+    const batchSize = Math.max(Number(maxRemits), 1);
+    const recursions = [];
+    let remaining = totalSubscriptions;
 
-      this.logger.chain(chainConfig.name, `Recursion depth: ${recursionDepth + 1}`);
+    for (let depth = 0; depth < maxAllowedRecursions && remaining > 0; depth++) {
+      const subscriptionCount = Math.min(batchSize, remaining);
+      recursions.push({
+        recursionDepth: depth,
+        subscriptionCount,
+        estimatedGas: estimatedGas !== null ? estimatedGas.toString() : null,
+        exceedsGasLimit: estimatedGas !== null && BigInt(estimatedGas) > BigInt(this.gasLimit),
+        wouldRevert: revertReason !== null,
+        revertReason,
+        simulated: depth === 0
+      });
+      this.logger.chain(chainConfig.name, `Dry run - recursion ${depth + 1}: ${subscriptionCount} subscriptions, estimated gas: ${estimatedGas ?? 'N/A'}`);
+
+      // A reverted remit stops desmond, so nothing after it would run
+      if (revertReason !== null) break;
+      remaining -= subscriptionCount;
+    }
+
+    return recursions;
+  }
+
+  /**
+   * Execute a single remit transaction (desmond function).
+   * Batching is driven by runRemitBatches; recursionDepth is the batch index.
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client (reused)
+   * @param {string} executionId - Execution ID
+   * @param {number} startTime - Start time
+   * @param {number} recursionDepth - Batch index within the run
+   * @param {number} maxAllowedRecursions - Maximum allowed batches for the run
+   * @param {Array} subscriptions - Subscription id groups from checksubs to include in the success notification (passed only for the first transaction of an invocation)
+   * @param {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }|null} fees - EIP-1559 fees from the fee policy (null lets viem pick)
+   * @param {AbortSignal|null} [signal] - Chain deadline signal
+   * @returns {Promise<number>} 1 if the transaction succeeded, 0 otherwise
+   */
+  async desmond(chainConfig, publicClient, executionId, startTime, recursionDepth = 0, maxAllowedRecursions = this.maxRecursionDepth, subscriptions = [], fees = null, signal = null) {
+    try {
+      const recursiveExecutionId = `${executionId}_recursion_${recursionDepth}`;
+      this.logger.chain(chainConfig.name, `Batch: ${recursionDepth + 1}/${maxAllowedRecursions}`);
 
       const walletClient = createWalletClient({
         account: privateKeyToAccount(process.env.CALLER_PRIVATE_KEY),
         chain: { id: chainConfig.chainId },
-        transport: http(url),
+        transport: this.rpc.createTransport(chainConfig, { signal }),
       });
 
       // Get initial ETH balance
@@ -386,28 +1184,32 @@ export class ClocktowerService {
           args: [process.env.CALLER_ADDRESS],
         });
         const formatted = formatUnits(raw, token.decimals);
-        balancesBefore.push({ ...token, balanceBefore: formatted });
+        balancesBefore.push({ ...token, balanceBefore: formatted, rawBefore: raw });
         this.logger.balance(process.env.CALLER_ADDRESS, `${token.symbol} Balance Before: ${formatted}`);
       }
 
-      // Execute transaction
-      const txHash = await walletClient.writeContract({
-        address: chainConfig.clocktowerAddress,
-        abi: CLOCKTOWER_ABI,
-        functionName: 'remit',
-        gas: this.gasLimit,
-      });
-      this.logger.transaction(txHash, `Transaction sent: ${txHash}`);
-
-      // Wait for confirmation
-      const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
-      const txStatus = receipt.status === 'success' ? 1 : 0;
+      // Execute transaction; stuck transactions are replaced or cancelled at the same nonce
+      const { receipt, hash: txHash, nonce, cancelled } = await this.transactions.sendRemit(
+        chainConfig,
+        publicClient,
+        walletClient,
+        {
+          gas: this.gasLimit,
+          fees,
+          signal,
+          onAttempt: (attempt) => this.logTransactionAttempt(chainConfig, recursiveExecutionId, recursionDepth, attempt)
+        }
+      );
+      const txStatus = receipt.status === 'success' && !cancelled ? 1 : 0;
       this.logger.transaction(txHash, `Transaction status: ${txStatus}`);
       
       let revertReason = null;
 
       // Handle failure
-      if (txStatus === 0) {
+      if (cancelled) {
+        revertReason = `Remit cancelled after getting stuck at nonce ${nonce}`;
+        this.logger.transaction(txHash, `Failed: ${revertReason}`);
+      } else if (txStatus === 0) {
         try {
           const tx = await publicClient.getTransaction({ hash: txHash });
           const result = await publicClient.call({
@@ -427,8 +1229,9 @@ export class ClocktowerService {
       const balanceAfterEth = formatEther(balance2);
       this.logger.balance(process.env.CALLER_ADDRESS, `ETH Balance After: ${balanceAfterEth}`);
 
-      // Get final token balances and build tokenBalances for emails/logging
+      // Get final token balances and build tokenBalances for notifications/logging
       const tokenBalances = [];
+      const rawBalancesAfter = [];
       for (let i = 0; i < chainConfig.tokens.length; i++) {
         const token = chainConfig.tokens[i];
         const raw2 = await publicClient.readContract({
@@ -440,6 +1243,7 @@ export class ClocktowerService {
         const balanceAfter = formatUnits(raw2, token.decimals);
         const balanceBefore = balancesBefore[i]?.balanceBefore ?? '0';
         tokenBalances.push({ symbol: token.symbol, balanceBefore, balanceAfter });
+        rawBalancesAfter.push(raw2);
         this.logger.balance(process.env.CALLER_ADDRESS, `${token.symbol} Balance After: ${balanceAfter}`);
       }
 
@@ -456,18 +1260,20 @@ export class ClocktowerService {
             errorDetails[`${t.symbol} Balance Before`] = t.balanceBefore;
             errorDetails[`${t.symbol} Balance After`] = t.balanceAfter;
           });
-          await this.email.sendErrorEmail(
-            chainConfig.displayName,
+          await this.notifications.notifyError(
+            chainConfig,
             `Transaction failed: ${revertReason}`,
             'Transaction Failure',
-            errorDetails
+            errorDetails,
+            { signal }
           );
-        } catch (emailError) {
-          this.logger.chain(chainConfig.name, 'Failed to send error email', emailError);
+        } catch (notifyError) {
+          this.logger.chain(chainConfig.name, 'Failed to send error notification', notifyError);
         }
       }
 
       // Log to database (best-effort)
+      const fee = getReceiptFee(receipt);
       let executionLogId = null;
       try {
         executionLogId = await this.database.logExecution({
@@ -483,8 +1289,14 @@ export class ClocktowerService {
         tx_status: txStatus,
         revert_reason: revertReason,
         gas_used: receipt.gasUsed ? Number(receipt.gasUsed) : null,
+        effective_gas_price: fee.effectiveGasPrice?.toString() ?? null,
+        l1_fee: fee.l1Fee?.toString() ?? null,
+        block_number: receipt.blockNumber !== undefined && receipt.blockNumber !== null ? Number(receipt.blockNumber) : null,
+        nonce,
         balance_before_eth: parseFloat(balanceBeforeEth),
         balance_after_eth: parseFloat(balanceAfterEth),
+        balance_before_wei: balance.toString(),
+        balance_after_wei: balance2.toString(),
         recursion_depth: recursionDepth,
         max_recursion_reached: recursionDepth >= maxAllowedRecursions - 1,
         error_message: null,
@@ -499,44 +1311,40 @@ export class ClocktowerService {
       if (executionLogId) {
         for (let i = 0; i < chainConfig.tokens.length; i++) {
           const token = chainConfig.tokens[i];
-          const tb = tokenBalances[i];
           await this.database.logTokenBalance(
             executionLogId,
             token.address,
-            parseFloat(tb.balanceBefore),
-            parseFloat(tb.balanceAfter),
+            balancesBefore[i]?.rawBefore ?? 0n,
+            rawBalancesAfter[i],
             chainConfig.name,
             { symbol: token.symbol, name: token.name, decimals: token.decimals }
           );
         }
       }
 
-      // Send success email notification
+      // Send success notification; the remit is mined either way
       if (txStatus === 1) {
-        await this.email.sendSuccessEmail(
-          chainConfig.displayName,
-          txHash,
-          balanceBeforeEth,
-          balanceAfterEth,
-          tokenBalances,
-          recursionDepth
-        );
-      }
-
-      let successfulTxs = txStatus === 1 ? 1 : 0;
-
-      // Recursive call on success
-      if (txStatus === 1) {
-        if (recursionDepth + 1 < maxAllowedRecursions) {
-          this.logger.chain(chainConfig.name, `Recursion ${recursionDepth + 1}/${maxAllowedRecursions}, recursing...`);
-          const more = await this.desmond(chainConfig, publicClient, executionId, startTime, recursionDepth + 1, maxAllowedRecursions);
-          successfulTxs += more;
-        } else {
-          this.logger.chain(chainConfig.name, `Reached expected recursion limit (${maxAllowedRecursions}), stopping`);
+        try {
+          await this.notifications.notifySuccess(
+            chainConfig,
+            txHash,
+            balanceBeforeEth,
+            balanceAfterEth,
+            tokenBalances,
+            recursionDepth,
+            subscriptions,
+            {
+              gasUsed: receipt.gasUsed ? Number(receipt.gasUsed) : null,
+              gasCostEth: fee.totalWei !== null ? formatEther(fee.totalWei) : null
+            },
+            { signal }
+          );
+        } catch (notifyError) {
+          this.logger.chain(chainConfig.name, 'Failed to send success notification', notifyError);
         }
       }
 
-      return successfulTxs;
+      return txStatus === 1 ? 1 : 0;
 
     } catch (error) {
       this.logger.chain(chainConfig.name, 'Desmond Error', error);
@@ -567,10 +1375,10 @@ export class ClocktowerService {
         this.logger.chain(chainConfig.name, 'Desmond error logging skipped (DB not ready or insert failed)', logError);
       }
       
-      // Send error email (non-blocking)
+      // Send error notification (non-blocking)
       try {
-        await this.email.sendErrorEmail(
-          chainConfig.displayName,
+        await this.notifications.notifyError(
+          chainConfig,
           error.message,
           'Transaction Execution Error',
           {
@@ -578,16 +1386,58 @@ export class ClocktowerService {
             'Recursion Depth': recursionDepth.toString(),
             'Execution Time (ms)': (Date.now() - startTime).toString(),
             'Error Stack': error.stack || 'N/A'
-          }
+          },
+          { signal }
         );
-      } catch (emailError) {
-        this.logger.chain(chainConfig.name, 'Failed to send error email', emailError);
+      } catch (notifyError) {
+        this.logger.chain(chainConfig.name, 'Failed to send error notification', notifyError);
       }
       
       return 0;
     }
   }
 
+  /**
+   * Record a replacement or cancel attempt in execution_logs (best-effort).
+   * The original broadcast is covered by the batch's own row.
+   * @param {Object} chainConfig - Chain configuration
+   * @param {string} recursiveExecutionId - Execution ID of the batch
+   * @param {number} recursionDepth - Batch index
+   * @param {Object} attempt - Attempt from TransactionManager
+   * @returns {Promise<void>}
+   */
+  async logTransactionAttempt(chainConfig, recursiveExecutionId, recursionDepth, attempt) {
+    if (attempt.index === 0) return;
+
+    const action = attempt.kind === 'cancel' ? 'Cancelled' : 'Replaced';
+    try {
+      await this.database.logExecution({
+        execution_id: `${recursiveExecutionId}_attempt_${attempt.index}`,
+        timestamp: attempt.timestamp,
+        chain_name: chainConfig.name,
+        chain_display_name: chainConfig.displayName,
+        precheck_passed: true,
+        current_day: null,
+        next_unchecked_day: null,
+        should_proceed: true,
+        tx_hash: attempt.hash,
+        tx_status: null,
+        revert_reason: null,
+        gas_used: null,
+        nonce: attempt.nonce,
+        balance_before_eth: null,
+        balance_after_eth: null,
+        recursion_depth: recursionDepth,
+        max_recursion_reached: false,
+        error_message: `${action} stuck transaction ${attempt.replacedHash} at nonce ${attempt.nonce} (maxFeePerGas ${attempt.maxFeePerGas} wei, maxPriorityFeePerGas ${attempt.maxPriorityFeePerGas} wei)`,
+        error_stack: null,
+        execution_time_ms: null
+      });
+    } catch (logError) {
+      this.logger.chain(chainConfig.name, 'Attempt logging skipped (DB not ready or insert failed)', logError);
+    }
+  }
+
   /**
    * Get blockchain explorer URL for a transaction
    * @param {string} chainDisplayName - Chain display name
@@ -0,0 +1,122 @@
+/**
+ * Consistency Service
+ *
+ * Quorum check across a chain's RPC providers before remit is sent. Reads the
+ * block number from every provider, then nextUncheckedDay and maxRemits at the
+ * lowest block they all have, and reports a disagreement when a provider lags
+ * too far behind or returns different contract state.
+ */
+
+import { createPublicClient, http } from 'viem';
+import { Logger } from '../utils/logger.js';
+import { CLOCKTOWER_ABI } from '../utils/helpers.js';
+
+export class ConsistencyService {
+  /**
+   * @param {RpcService} rpcService - Used to describe providers without their API keys
+   */
+  constructor(rpcService) {
+    this.rpc = rpcService;
+    this.logger = new Logger('Consistency');
+  }
+
+  /**
+   * Compare chain state across every configured RPC provider
+   * @param {Object} chainConfig - Chain configuration (uses rpcUrls and quorumPolicy)
+   * @param {Object} [expected]
+   * @param {number} [expected.nextUncheckedDay] - Value the run is about to act on (from preCheck)
+   * @param {Object} [options]
+   * @param {AbortSignal|null} [options.signal] - Chain deadline signal
+   * @returns {Promise<{ consistent: boolean, reason: string|null, blockNumber: bigint|null, readings: Array<{ provider: string, blockNumber?: bigint, nextUncheckedDay?: number, maxRemits?: number, error?: string }> }>}
+   */
+  async check(chainConfig, expected = {}, { signal = null } = {}) {
+    const policy = chainConfig.quorumPolicy;
+    const clients = chainConfig.rpcUrls.map(url => ({
+      provider: this.rpc.describeUrl(url),
+      client: createPublicClient({
+        chain: { id: chainConfig.chainId },
+        transport: http(url, signal ? { fetchOptions: { signal } } : {}),
+      })
+    }));
+
+    const readings = await Promise.all(clients.map(async ({ provider, client }) => {
+      try {
+        return { provider, client, blockNumber: await client.getBlockNumber({ cacheTime: 0 }) };
+      } catch (error) {
+        return { provider, client, error: error.shortMessage || error.message };
+      }
+    }));
+    signal?.throwIfAborted();
+
+    const result = (consistent, reason, blockNumber = null) => ({
+      consistent,
+      reason,
+      blockNumber,
+      readings: readings.map(({ client, ...reading }) => reading)
+    });
+
+    let responsive = readings.filter(r => !r.error);
+    if (responsive.length < policy.minProviders) {
+      return result(false, `Only ${responsive.length} of ${readings.length} RPC providers responded (quorum needs ${policy.minProviders})`);
+    }
+
+    const blocks = responsive.map(r => r.blockNumber);
+    const highest = blocks.reduce((a, b) => (b > a ? b : a));
+    const lowest = blocks.reduce((a, b) => (b < a ? b : a));
+    if (highest - lowest > BigInt(policy.maxBlockLag)) {
+      return result(false, `RPC providers are ${highest - lowest} blocks apart (limit ${policy.maxBlockLag})`, lowest);
+    }
+
+    // Read at one shared block so a provider that is slightly behind still has to agree
+    await Promise.all(responsive.map(async (reading) => {
+      try {
+        const [nextUncheckedDay, maxRemits] = await Promise.all(['nextUncheckedDay', 'maxRemits'].map(functionName =>
+          reading.client.readContract({
+            address: chainConfig.clocktowerAddress,
+            abi: CLOCKTOWER_ABI,
+            functionName,
+            blockNumber: lowest,
+          })
+        ));
+        reading.nextUncheckedDay = Number(nextUncheckedDay);
+        reading.maxRemits = Number(maxRemits);
+      } catch (error) {
+        reading.error = error.shortMessage || error.message;
+      }
+    }));
+    signal?.throwIfAborted();
+
+    responsive = responsive.filter(r => !r.error);
+    if (responsive.length < policy.minProviders) {
+      return result(false, `Only ${responsive.length} of ${readings.length} RPC providers returned contract state at block ${lowest} (quorum needs ${policy.minProviders})`, lowest);
+    }
+
+    for (const field of ['nextUncheckedDay', 'maxRemits']) {
+      const values = new Set(responsive.map(r => r[field]));
+      if (values.size > 1) {
+        return result(false, `RPC providers disagree on ${field} at block ${lowest}: ${responsive.map(r => `${r.provider} ${r[field]}`).join(', ')}`, lowest);
+      }
+    }
+
+    const agreedDay = responsive[0].nextUncheckedDay;
+    if (expected.nextUncheckedDay !== undefined && expected.nextUncheckedDay !== null && agreedDay !== Number(expected.nextUncheckedDay)) {
+      return result(false, `nextUncheckedDay ${expected.nextUncheckedDay} used by the run does not match ${agreedDay} agreed by RPC providers at block ${lowest}`, lowest);
+    }
+
+    this.logger.chain(chainConfig.name, `RPC quorum - ${responsive.length}/${readings.length} providers agree at block ${lowest} (nextUncheckedDay ${agreedDay}, maxRemits ${responsive[0].maxRemits})`);
+    return result(true, null, lowest);
+  }
+
+  /**
+   * Format readings for logs and notifications
+   * @param {Array} readings - Readings from check()
+   * @param {string} [separator] - Between providers
+   * @returns {string} One entry per provider
+   */
+  formatReadings(readings, separator = '\n') {
+    return readings.map(r => r.error
+      ? `${r.provider}: error - ${r.error}`
+      : `${r.provider}: block ${r.blockNumber}${r.nextUncheckedDay !== undefined ? `, nextUncheckedDay ${r.nextUncheckedDay}, maxRemits ${r.maxRemits}` : ''}`
+    ).join(separator);
+  }
+}
@@ -1,33 +1,67 @@
 /**
  * Database Service
- * 
- * 
- * Unified database interface supporting both SQLite and PostgreSQL.
- * Handles database initialization, schema management, and data operations.
+ *
+ *
+ * Unified database interface over pluggable storage backends (SQLite,
+ * PostgreSQL, in-memory or any registered with registerStorageBackend).
+ * Handles database initialization, validation and derived values; the
+ * backend stores and queries (see storage/index.js).
  */
 
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { formatUnits } from 'viem';
 import { DatabaseConfigService } from '../config/database.js';
 import { Logger } from '../utils/logger.js';
+import { createStorage, validateStorage, SqlStorage } from './storage/index.js';
+import { summarizeProfit, NATIVE_SYMBOL } from './profitability.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+/**
+ * Keep the allowed columns that have a value
+ * @param {Object} fields - Columns to update
+ * @param {string[]} allowed - Columns that may be updated
+ * @returns {Object|null} Columns to update, or null if none
+ */
+function pickDefined(fields, allowed) {
+  const columns = allowed.filter(column => fields[column] !== undefined);
+  if (columns.length === 0) {
+    return null;
+  }
+  return Object.fromEntries(columns.map(column => [column, fields[column]]));
+}
 
 export class DatabaseService {
-  constructor() {
+  /**
+   * @param {{ storage?: Object }} [options] - Storage backend to use instead of the one for DATABASE_TYPE
+   */
+  constructor({ storage = null } = {}) {
     this.config = new DatabaseConfigService();
-    this.db = null;
+    // Created on connect unless given
+    this.storage = storage ? validateStorage(storage) : null;
     this.logger = new Logger('DatabaseService');
     this.isInitialized = false;
   }
 
+  /**
+   * Driver connection of a SQL backend
+   * @returns {Object|null} better-sqlite3 database, pg Pool, or null
+   */
+  get db() {
+    return this.storage?.db ?? null;
+  }
+
+  /**
+   * Dialect-aware query runner of a SQL backend
+   * @returns {Object|null} Query runner, or null
+   */
+  get query() {
+    return this.storage?.query ?? null;
+  }
+
   /**
    * Initialize database connection and schema
+   * @param {{ migrate?: boolean }} [options] - Set migrate to false to connect without applying pending migrations
    * @returns {Promise<void>}
    */
-  async initialize() {
+  async initialize({ migrate = true } = {}) {
     try {
       // Validate configuration
       const validation = this.config.validateConfig();
@@ -44,7 +78,9 @@ export class DatabaseService {
       await this.connect();
 
       // Initialize schema
-      await this.initializeSchema();
+      if (migrate) {
+        await this.initializeSchema();
+      }
 
       this.isInitialized = true;
       this.logger.info(`Database initialized successfully (${this.config.getDatabaseType()})`);
@@ -59,104 +95,54 @@ export class DatabaseService {
    * @returns {Promise<void>}
    */
   async connect() {
-    if (this.config.isSQLite()) {
-      await this.connectSQLite();
-    } else if (this.config.isPostgreSQL()) {
-      await this.connectPostgreSQL();
-    } else {
-      throw new Error(`Unsupported database type: ${this.config.getDatabaseType()}`);
+    if (!this.storage) {
+      this.storage = createStorage(this.config);
     }
+    await this.storage.connect();
   }
 
   /**
-   * Connect to SQLite database
+   * Bring the schema up to date by applying pending migrations
    * @returns {Promise<void>}
    */
-  async connectSQLite() {
+  async initializeSchema() {
     try {
-      const Database = (await import('better-sqlite3')).default;
-      const options = this.config.getConnectionOptions();
-      
-      this.db = new Database(options.filename, { verbose: options.verbose });
-      
-      // Enable WAL mode for better concurrency
-      this.db.pragma('journal_mode = WAL');
-      
-      this.logger.info(`Connected to SQLite database: ${options.filename}`);
+      await this.storage.migrate();
+
+      this.logger.info('Database schema initialized successfully');
     } catch (error) {
-      this.logger.error('Failed to connect to SQLite database', error);
+      this.logger.error('Failed to initialize database schema', error);
       throw error;
     }
   }
 
   /**
-   * Connect to PostgreSQL database
-   * @returns {Promise<void>}
+   * Get the storage backend if it is SQL, for migrations
+   * @returns {SqlStorage} SQL storage backend
+   * @throws {Error} When the backend has no SQL schema
    */
-  async connectPostgreSQL() {
-    try {
-      const { Pool } = await import('pg');
-      const options = this.config.getConnectionOptions();
-      
-      this.db = new Pool(options);
-      
-      // Test connection
-      const client = await this.db.connect();
-      await client.query('SELECT NOW()');
-      client.release();
-      
-      this.logger.info(`Connected to PostgreSQL database: ${options.database}`);
-    } catch (error) {
-      this.logger.error('Failed to connect to PostgreSQL database', error);
-      throw error;
+  sqlStorage() {
+    if (!(this.storage instanceof SqlStorage)) {
+      throw new Error(`Database type ${this.config.getDatabaseType()} has no SQL schema to migrate`);
     }
+    return this.storage;
   }
 
   /**
-   * Initialize database schema
-   * @returns {Promise<void>}
+   * Run a storage operation once initialized, logging a failure
+   * @param {string} action - What the operation does, for the error log
+   * @param {Function} operation - Called with the storage backend
+   * @returns {Promise<*>} Operation result
    */
-  async initializeSchema() {
-    try {
-      const schemaPath = join(__dirname, '../../database/schema.sql');
-      const schema = readFileSync(schemaPath, 'utf8');
-      
-      if (this.config.isSQLite()) {
-        // If core tables already exist, skip schema application (idempotent init)
-        const existing = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name IN ('execution_logs','tokens','token_balances')").all();
-        if (existing && existing.length === 3) {
-          this.logger.info('Database schema already present, skipping initialization');
-        } else {
-          this.db.exec(schema);
-        }
-      } else if (this.config.isPostgreSQL()) {
-        // Remove SQL comments, then split into statements for PostgreSQL
-        const cleaned = schema
-          .split('\n')
-          .filter(line => !line.trim().startsWith('--'))
-          .join('\n');
-
-        const statements = cleaned
-          .split(';')
-          .map(stmt => stmt.trim())
-          .filter(stmt => stmt.length > 0);
-
-        // Execute statements for PostgreSQL
-        const client = await this.db.connect();
-        try {
-          for (const statement of statements) {
-            if (statement.trim()) {
-              await client.query(statement);
-            }
-          }
-        } finally {
-          client.release();
-        }
-      }
+  async withStorage(action, operation) {
+    if (!this.isInitialized) {
+      throw new Error('Database not initialized');
+    }
 
-      this.logger.info('Database schema initialized successfully');
+    try {
+      return await operation(this.storage);
     } catch (error) {
-      this.logger.error('Failed to initialize database schema', error);
+      this.logger.error(`Failed to ${action}`, error);
       throw error;
     }
   }
@@ -167,110 +153,26 @@ export class DatabaseService {
    * @returns {Promise<number>} Execution log ID
    */
   async logExecution(data) {
-    if (!this.isInitialized) {
-      throw new Error('Database not initialized');
-    }
-
-    try {
-      const sql = `
-        INSERT INTO execution_logs (
-          execution_id, timestamp, chain_name, chain_display_name, precheck_passed, 
-          current_day, next_unchecked_day, should_proceed, tx_hash, tx_status, 
-          revert_reason, gas_used, balance_before_eth, balance_after_eth, 
-          recursion_depth, max_recursion_reached, error_message, error_stack, 
-          execution_time_ms
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-      
-      // Helper to convert undefined to null (SQLite requirement)
-      const toNull = (v) => (v === undefined ? null : v);
-      // Helper to convert boolean to SQLite integer (0 or 1)
-      const boolToSqlite = (v) => {
-        if (v === null || v === undefined) return null;
-        return v ? 1 : 0;
-      };
-
-      if (this.config.isSQLite()) {
-        const params = [
-          toNull(data.execution_id),
-          toNull(data.timestamp),
-          toNull(data.chain_name),
-          toNull(data.chain_display_name),
-          boolToSqlite(data.precheck_passed),
-          toNull(data.current_day),
-          toNull(data.next_unchecked_day),
-          boolToSqlite(data.should_proceed),
-          toNull(data.tx_hash),
-          toNull(data.tx_status),
-          toNull(data.revert_reason),
-          toNull(data.gas_used),
-          toNull(data.balance_before_eth),
-          toNull(data.balance_after_eth),
-          toNull(data.recursion_depth),
-          boolToSqlite(data.max_recursion_reached),
-          toNull(data.error_message),
-          toNull(data.error_stack),
-          toNull(data.execution_time_ms)
-        ];
-        const stmt = this.db.prepare(sql);
-        const result = stmt.run(...params);
-        return result.lastInsertRowid;
-      } else if (this.config.isPostgreSQL()) {
-        const params = [
-          data.execution_id,
-          data.timestamp,
-          data.chain_name,
-          data.chain_display_name,
-          data.precheck_passed,
-          data.current_day,
-          data.next_unchecked_day,
-          data.should_proceed,
-          data.tx_hash,
-          data.tx_status,
-          data.revert_reason,
-          data.gas_used,
-          data.balance_before_eth,
-          data.balance_after_eth,
-          data.recursion_depth,
-          data.max_recursion_reached,
-          data.error_message,
-          data.error_stack,
-          data.execution_time_ms
-        ];
-        const client = await this.db.connect();
-        try {
-          const result = await client.query(sql, params);
-          return result.rows[0].id;
-        } finally {
-          client.release();
-        }
-      }
-    } catch (error) {
-      this.logger.error('Failed to log execution', error);
-      throw error;
-    }
+    return this.withStorage('log execution', storage => storage.executions.logExecution(data));
   }
 
   /**
-   * Log token balance to database
+   * Log token balance to database. Raw uint256 balances (bigint) are stored
+   * exactly alongside their signed delta; numbers are taken as token units.
    * @param {number} executionLogId - Execution log ID
    * @param {string} tokenAddress - Token address
-   * @param {number} balanceBefore - Balance before
-   * @param {number} balanceAfter - Balance after
+   * @param {bigint|number} balanceBefore - Balance before
+   * @param {bigint|number} balanceAfter - Balance after
    * @param {string} chainName - Chain name
    * @param {{ symbol?: string, name?: string, decimals?: number }} [options] - Optional token metadata for new tokens
    * @returns {Promise<void>}
    */
   async logTokenBalance(executionLogId, tokenAddress, balanceBefore, balanceAfter, chainName, options = {}) {
-    if (!this.isInitialized) {
-      throw new Error('Database not initialized');
-    }
-
-    try {
-      let token = await this.getTokenByAddress(tokenAddress, chainName);
+    return this.withStorage('log token balance', async (storage) => {
+      let token = await storage.tokens.getTokenByAddress(tokenAddress, chainName);
 
       if (!token) {
-        token = await this.createToken({
+        token = await storage.tokens.createToken({
           token_address: tokenAddress,
           token_symbol: options.symbol ?? 'UNKNOWN',
           token_name: options.name ?? 'Unknown Token',
@@ -279,37 +181,19 @@ export class DatabaseService {
         });
       }
 
-      // Insert token balance
-      const sql = `
-        INSERT INTO token_balances (execution_log_id, token_id, balance_before, balance_after)
-        VALUES (?, ?, ?, ?)
-      `;
-
-      // Helper to convert undefined to null (SQLite requirement)
-      const toNull = (v) => (v === undefined ? null : v);
-
-      const params = [
-        toNull(executionLogId), 
-        toNull(token.id), 
-        toNull(balanceBefore), 
-        toNull(balanceAfter)
-      ];
-
-      if (this.config.isSQLite()) {
-        const stmt = this.db.prepare(sql);
-        stmt.run(...params);
-      } else if (this.config.isPostgreSQL()) {
-        const client = await this.db.connect();
-        try {
-          await client.query(sql, params);
-        } finally {
-          client.release();
-        }
-      }
-    } catch (error) {
-      this.logger.error('Failed to log token balance', error);
-      throw error;
-    }
+      const toUnits = (v) => (typeof v === 'bigint' ? Number(formatUnits(v, token.decimals)) : v);
+      const toRaw = (v) => (typeof v === 'bigint' ? v.toString() : null);
+
+      await storage.balances.insertTokenBalance({
+        execution_log_id: executionLogId,
+        token_id: token.id,
+        balance_before: toUnits(balanceBefore) ?? null,
+        balance_after: toUnits(balanceAfter) ?? null,
+        balance_before_raw: toRaw(balanceBefore),
+        balance_after_raw: toRaw(balanceAfter),
+        delta_raw: typeof balanceBefore === 'bigint' && typeof balanceAfter === 'bigint' ? (balanceAfter - balanceBefore).toString() : null
+      });
+    });
   }
 
   /**
@@ -319,21 +203,7 @@ export class DatabaseService {
    * @returns {Promise<Object|null>} Token object or null
    */
   async getTokenByAddress(tokenAddress, chainName) {
-    const sql = 'SELECT * FROM tokens WHERE token_address = ? AND chain_name = ?';
-    const params = [tokenAddress, chainName];
-
-    if (this.config.isSQLite()) {
-      const stmt = this.db.prepare(sql);
-      return stmt.get(...params);
-    } else if (this.config.isPostgreSQL()) {
-      const client = await this.db.connect();
-      try {
-        const result = await client.query(sql, params);
-        return result.rows[0] || null;
-      } finally {
-        client.release();
-      }
-    }
+    return this.withStorage('get token', storage => storage.tokens.getTokenByAddress(tokenAddress, chainName));
   }
 
   /**
@@ -342,75 +212,271 @@ export class DatabaseService {
    * @returns {Promise<Object>} Created token object or existing token if already exists
    */
   async createToken(tokenData) {
-    // Helper to convert undefined to null (SQLite requirement)
-    const toNull = (v) => (v === undefined ? null : v);
-    // Helper to convert boolean to SQLite integer (0 or 1)
-    const boolToSqlite = (v) => {
-      if (v === null || v === undefined) return 1; // Default to active
-      return v ? 1 : 0;
-    };
-    
-    if (this.config.isSQLite()) {
-      // Use INSERT OR IGNORE to handle composite unique constraint (token_address, chain_name)
-      const insertSql = `
-        INSERT OR IGNORE INTO tokens (token_address, token_symbol, token_name, decimals, chain_name, is_active)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `;
-      const params = [
-        toNull(tokenData.token_address),
-        toNull(tokenData.token_symbol),
-        toNull(tokenData.token_name),
-        toNull(tokenData.decimals),
-        toNull(tokenData.chain_name),
-        boolToSqlite(tokenData.is_active)
-      ];
-      const stmt = this.db.prepare(insertSql);
-      stmt.run(...params);
-      
-      // Query to get the token ID (works whether insert happened or token already existed)
-      const selectSql = 'SELECT * FROM tokens WHERE token_address = ? AND chain_name = ?';
-      const selectStmt = this.db.prepare(selectSql);
-      const existing = selectStmt.get(tokenData.token_address, tokenData.chain_name);
-      
-      if (existing) {
-        return existing;
-      }
-      throw new Error('Failed to create or retrieve token record');
-    } else if (this.config.isPostgreSQL()) {
-      // Use ON CONFLICT for PostgreSQL to handle composite unique constraint
-      const sql = `
-        INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name, is_active)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (token_address, chain_name) DO NOTHING
-        RETURNING *
-      `;
-      const params = [
-        tokenData.token_address,
-        tokenData.token_symbol,
-        tokenData.token_name,
-        tokenData.decimals,
-        tokenData.chain_name,
-        tokenData.is_active !== false
-      ];
-      const client = await this.db.connect();
-      try {
-        const result = await client.query(sql, params);
-        
-        // If insert was ignored (conflict), fetch the existing record
-        if (result.rows.length === 0) {
-          const selectSql = 'SELECT * FROM tokens WHERE token_address = $1 AND chain_name = $2';
-          const selectResult = await client.query(selectSql, [tokenData.token_address, tokenData.chain_name]);
-          if (selectResult.rows.length > 0) {
-            return selectResult.rows[0];
-          }
-          throw new Error('Failed to create or retrieve token record');
-        }
-        
-        return result.rows[0];
-      } finally {
-        client.release();
+    return this.withStorage('create token', storage => storage.tokens.createToken(tokenData));
+  }
+
+  /**
+   * Log the subscription ids found by checksubs for a run
+   * @param {string} executionId - Execution ID of the run
+   * @param {string} chainName - Chain name
+   * @param {Array<{ day: number, frequency: number, frequencyName: string, dueDay: number, ids: string[] }>} groups - Subscription id groups
+   * @returns {Promise<number>} Number of rows inserted
+   */
+  async logRemitSubscriptions(executionId, chainName, groups) {
+    const rows = [];
+    for (const group of groups || []) {
+      for (const id of group.ids) {
+        rows.push([executionId, chainName, group.day, group.frequency, group.frequencyName, group.dueDay, id]);
       }
     }
+
+    return this.withStorage('log remit subscriptions', async (storage) => {
+      if (rows.length > 0) {
+        await storage.executions.logRemitSubscriptions(rows);
+      }
+      return rows.length;
+    });
+  }
+
+  /**
+   * Get the subscription ids recorded for a run
+   * @param {string} executionId - Execution ID of the run
+   * @returns {Promise<Array>} Subscription rows ordered by day, frequency and due day
+   */
+  async getRemitSubscriptions(executionId) {
+    return this.withStorage('get remit subscriptions', storage => storage.executions.getRemitSubscriptions(executionId));
+  }
+
+  /**
+   * Create a batch run record
+   * @param {{ run_id: string, chain_name: string, current_day: number, subscriptions_remaining: number, next_unchecked_day: number }} data - Run data
+   * @returns {Promise<void>}
+   */
+  async createRemitRun(data) {
+    return this.withStorage('create remit run', storage => storage.executions.createRemitRun(data));
+  }
+
+  /**
+   * Update a batch run record
+   * @param {string} runId - Run ID
+   * @param {{ status?: string, batches_completed?: number, subscriptions_remaining?: number, next_unchecked_day?: number, error_message?: string|null }} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  async updateRemitRun(runId, fields) {
+    const allowed = ['status', 'batches_completed', 'subscriptions_remaining', 'next_unchecked_day', 'error_message'];
+
+    return this.withStorage('update remit run', async (storage) => {
+      const updates = pickDefined(fields, allowed);
+      if (updates) {
+        await storage.executions.updateRemitRun(runId, updates);
+      }
+    });
+  }
+
+  /**
+   * Get the most recent run for a chain that never finished
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Run record or null
+   */
+  async getInterruptedRemitRun(chainName) {
+    return this.withStorage('get interrupted remit run', storage => storage.executions.getInterruptedRemitRun(chainName));
+  }
+
+  /**
+   * Reserve the next nonce for a chain and caller address.
+   * The backend reads and advances the stored row atomically, so concurrent
+   * runs never get the same nonce.
+   * @param {string} chainName - Chain name
+   * @param {string} callerAddress - Caller address (lowercase)
+   * @param {Function} resolve - Called with the stored row ({ next_nonce, age_ms }) or null; returns the nonce to hand out
+   * @returns {Promise<number>} Reserved nonce
+   */
+  async reserveNonce(chainName, callerAddress, resolve) {
+    return this.withStorage('reserve nonce', storage => storage.locks.reserveNonce(chainName, callerAddress, resolve));
+  }
+
+  /**
+   * Hand a reserved nonce back if nothing was sent with it and no later nonce was reserved
+   * @param {string} chainName - Chain name
+   * @param {string} callerAddress - Caller address (lowercase)
+   * @param {number} nonce - Reserved nonce
+   * @returns {Promise<boolean>} True if the nonce was released
+   */
+  async releaseNonce(chainName, callerAddress, nonce) {
+    return this.withStorage('release nonce', storage => storage.locks.releaseNonce(chainName, callerAddress, nonce));
+  }
+
+  /**
+   * Take the run lock for a chain if it is free, expired or already ours
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @param {number} leaseMs - Lease duration in ms
+   * @returns {Promise<boolean>} True if the lock is now held by holderId
+   */
+  async acquireRunLock(chainName, holderId, leaseMs) {
+    const now = Date.now();
+    return this.withStorage('acquire run lock', storage => storage.locks.acquireRunLock(chainName, holderId, now, now + leaseMs));
+  }
+
+  /**
+   * Extend a run lock held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @param {number} leaseMs - Lease duration in ms from now
+   * @returns {Promise<boolean>} False if the lock is no longer held by holderId
+   */
+  async renewRunLock(chainName, holderId, leaseMs) {
+    return this.withStorage('renew run lock', storage => storage.locks.renewRunLock(chainName, holderId, Date.now() + leaseMs));
+  }
+
+  /**
+   * Release a run lock held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @returns {Promise<void>}
+   */
+  async releaseRunLock(chainName, holderId) {
+    return this.withStorage('release run lock', storage => storage.locks.releaseRunLock(chainName, holderId));
+  }
+
+  /**
+   * Get the run lock for a chain
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Lock record or null
+   */
+  async getRunLock(chainName) {
+    return this.withStorage('get run lock', storage => storage.locks.getRunLock(chainName));
+  }
+
+  /**
+   * Hold a notification event for the next digest
+   * @param {{ chain_name: string, chain_display_name: string, event_type: string, tx_hash?: string, gas_used?: number, gas_cost_eth?: number, balance_before_eth?: number, balance_after_eth?: number, token_balances?: string, current_day?: number, error_type?: string, error_message?: string, recorded_at: string }} data - Event data
+   * @returns {Promise<number>} Digest event ID
+   */
+  async logDigestEvent(data) {
+    return this.withStorage('log digest event', storage => storage.notifications.logDigestEvent(data));
+  }
+
+  /**
+   * Get the held events not yet covered by a digest
+   * @param {string} before - ISO timestamp; only events recorded before it are returned
+   * @returns {Promise<Array>} Digest event rows, oldest first
+   */
+  async getPendingDigestEvents(before) {
+    return this.withStorage('get pending digest events', storage => storage.notifications.getPendingDigestEvents(before));
+  }
+
+  /**
+   * Record a sent digest and mark the events it covered
+   * @param {{ digest_id: string, schedule: string, period_start: string, period_end: string }} digest - Digest data
+   * @param {number[]} eventIds - IDs of the digest events it covered
+   * @returns {Promise<void>}
+   */
+  async recordDigest(digest, eventIds) {
+    return this.withStorage('record digest', storage => storage.notifications.recordDigest(digest, eventIds));
+  }
+
+  /**
+   * Record one occurrence of an error fingerprint. A resolved alert is reopened
+   * as a new alert (first seen now, not yet notified).
+   * @param {{ fingerprint: string, chain_name: string, chain_display_name: string, error_type: string, message: string, seen_at: string }} data - Occurrence data
+   * @returns {Promise<Object>} Alert record after the update
+   */
+  async recordAlertOccurrence(data) {
+    return this.withStorage('record alert', storage => storage.notifications.recordAlertOccurrence(data));
+  }
+
+  /**
+   * Mark an alert as notified
+   * @param {string} fingerprint - Alert fingerprint
+   * @param {string} notifiedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async markAlertNotified(fingerprint, notifiedAt) {
+    return this.withStorage('mark alert notified', storage => storage.notifications.markAlertNotified(fingerprint, notifiedAt));
+  }
+
+  /**
+   * Resolve the open alerts of a chain that have not been seen since a time
+   * @param {string} chainName - Chain name
+   * @param {string} seenBefore - ISO timestamp; alerts last seen at or after it stay open
+   * @param {string} resolvedAt - ISO timestamp
+   * @returns {Promise<Array>} Alert records that were resolved
+   */
+  async resolveAlerts(chainName, seenBefore, resolvedAt) {
+    return this.withStorage('resolve alerts', storage => storage.notifications.resolveAlerts(chainName, seenBefore, resolvedAt));
+  }
+
+  /**
+   * Record a caller top-up, or a refused one, in the audit trail
+   * @param {{ chain_name: string, treasury_address: string, recipient_address: string, amount_eth: number, threshold_eth: number, balance_before_eth?: number, status: string, reason?: string, tx_hash?: string, created_at: string }} data - Top-up data
+   * @returns {Promise<number>} Top-up ID
+   */
+  async recordTopUp(data) {
+    return this.withStorage('record top-up', storage => storage.balances.recordTopUp(data));
+  }
+
+  /**
+   * Update a top-up record
+   * @param {number} id - Top-up ID
+   * @param {{ status?: string, reason?: string|null, tx_hash?: string, updated_at: string }} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  async updateTopUp(id, fields) {
+    const allowed = ['status', 'reason', 'tx_hash', 'updated_at'];
+
+    return this.withStorage('update top-up', async (storage) => {
+      const updates = pickDefined(fields, allowed);
+      if (updates) {
+        await storage.balances.updateTopUp(id, updates);
+      }
+    });
+  }
+
+  /**
+   * Get a chain's top-ups recorded since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<Array>} Top-up records, oldest first
+   */
+  async getTopUpsSince(chainName, since) {
+    return this.withStorage('get top-ups', storage => storage.balances.getTopUpsSince(chainName, since));
+  }
+
+  /**
+   * Record a token sweep
+   * @param {Object} data - Sweep fields (see the sweeps table)
+   * @returns {Promise<number>} Sweep ID
+   */
+  async recordSweep(data) {
+    return this.withStorage('record sweep', storage => storage.balances.recordSweep(data));
+  }
+
+  /**
+   * Update a sweep record
+   * @param {number} id - Sweep ID
+   * @param {{ status?: string, error_message?: string|null, tx_hash?: string, updated_at: string }} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  async updateSweep(id, fields) {
+    const allowed = ['status', 'error_message', 'tx_hash', 'updated_at'];
+
+    return this.withStorage('update sweep', async (storage) => {
+      const updates = pickDefined(fields, allowed);
+      if (updates) {
+        await storage.balances.updateSweep(id, updates);
+      }
+    });
+  }
+
+  /**
+   * Get a chain's sweeps recorded since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<Array>} Sweep records, oldest first
+   */
+  async getSweepsSince(chainName, since) {
+    return this.withStorage('get sweeps', storage => storage.balances.getSweepsSince(chainName, since));
   }
 
   /**
@@ -420,35 +486,7 @@ export class DatabaseService {
    * @returns {Promise<Array>} Recent executions
    */
   async getRecentExecutions(limit = 10, chainName = null) {
-    let sql = `
-      SELECT * FROM execution_logs 
-      ORDER BY timestamp DESC 
-      LIMIT ?
-    `;
-    const params = [limit];
-
-    if (chainName) {
-      sql = `
-        SELECT * FROM execution_logs 
-        WHERE chain_name = ?
-        ORDER BY timestamp DESC 
-        LIMIT ?
-      `;
-      params.unshift(chainName);
-    }
-
-    if (this.config.isSQLite()) {
-      const stmt = this.db.prepare(sql);
-      return stmt.all(...params);
-    } else if (this.config.isPostgreSQL()) {
-      const client = await this.db.connect();
-      try {
-        const result = await client.query(sql, params);
-        return result.rows;
-      } finally {
-        client.release();
-      }
-    }
+    return this.withStorage('get recent executions', storage => storage.executions.getRecentExecutions(limit, chainName));
   }
 
   /**
@@ -457,33 +495,41 @@ export class DatabaseService {
    * @returns {Promise<Object>} Execution statistics
    */
   async getExecutionStats(chainName = null) {
-    let sql = `
-      SELECT 
-        COUNT(*) as total_executions,
-        SUM(CASE WHEN tx_status = 1 THEN 1 ELSE 0 END) as successful_txs,
-        AVG(execution_time_ms) as avg_execution_time,
-        MAX(timestamp) as last_execution
-      FROM execution_logs
-    `;
-    const params = [];
-
-    if (chainName) {
-      sql += ' WHERE chain_name = ?';
-      params.push(chainName);
-    }
+    return this.withStorage('get execution stats', storage => storage.executions.getExecutionStats(chainName));
+  }
 
-    if (this.config.isSQLite()) {
-      const stmt = this.db.prepare(sql);
-      return stmt.get(...params);
-    } else if (this.config.isPostgreSQL()) {
-      const client = await this.db.connect();
-      try {
-        const result = await client.query(sql, params);
-        return result.rows[0];
-      } finally {
-        client.release();
-      }
-    }
+  /**
+   * Get what a chain's remit transactions have cost the caller since a time.
+   * The cost of a transaction is worked out as in the profitability report:
+   * gas used times the effective gas price plus the L1 data fee, or the drop in
+   * the caller's native balance for rows logged without them.
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp; only transactions logged at or after it are counted
+   * @returns {Promise<{ remits: number, total_cost_eth: number|null, first_at: string|null }>} Remit count, summed cost and first remit timestamp
+   */
+  async getRemitCostStats(chainName, since) {
+    return this.withStorage('get remit cost stats', storage => storage.executions.getRemitCostStats(chainName, since));
+  }
+
+  /**
+   * Get remit transactions with the caller's token balances across each one
+   * @param {{ chainName?: string, since?: string, until?: string }} [filters] - Chain and ISO timestamp range (since inclusive, until exclusive)
+   * @returns {Promise<Array<Object>>} execution_logs rows with tx_hash, oldest first, each with tokens: [{ symbol, decimals, balance_before, balance_after, delta_raw }]
+   */
+  async getRemitProfitRows({ chainName = null, since = null, until = null } = {}) {
+    return this.withStorage('get remit profit rows', storage => storage.executions.getRemitProfitRows({ chainName, since, until }));
+  }
+
+  /**
+   * Get remit profitability per transaction, per day and per chain, valued through a price source
+   * @param {{ currency: string, getPrices: Function }} priceSource - Price source (see prices.js)
+   * @param {{ chainName?: string, since?: string, until?: string }} [filters] - See getRemitProfitRows
+   * @returns {Promise<Object>} summarizeProfit report
+   */
+  async getProfitStats(priceSource, filters = {}) {
+    const rows = await this.getRemitProfitRows(filters);
+    const symbols = [...new Set([NATIVE_SYMBOL, ...rows.flatMap(row => row.tokens.map(token => token.symbol))])];
+    return summarizeProfit(rows, await priceSource.getPrices(symbols), priceSource.currency);
   }
 
   /**
@@ -491,24 +537,19 @@ export class DatabaseService {
    * @returns {Promise<void>}
    */
   async close() {
-    if (this.db) {
-      if (this.config.isSQLite()) {
-        this.db.close();
-      } else if (this.config.isPostgreSQL()) {
-        await this.db.end();
-      }
-      this.db = null;
+    if (this.storage?.isConnected()) {
+      await this.storage.close();
       this.isInitialized = false;
       this.logger.info('Database connection closed');
     }
   }
- 
+
   /**
    * Check if database is initialized
    * @returns {boolean} True if initialized
    */
   isReady() {
-    return this.isInitialized && this.db !== null;
+    return this.isInitialized && this.storage !== null && this.storage.isConnected();
   }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * Digest Service
+ *
+ * With NOTIFICATION_DIGEST set to daily or weekly, success and no-subscriptions
+ * notifications are stored in the digest_events table instead of being sent,
+ * and the per-run summary is skipped. Errors are still sent straight away and
+ * are also stored so the digest can count them. The first run after the
+ * schedule boundary (NOTIFICATION_DIGEST_HOUR, and NOTIFICATION_DIGEST_WEEKDAY
+ * for weekly) sends one digest with totals by chain for the held events.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { Logger } from '../utils/logger.js';
+import { generateExecutionId } from '../utils/helpers.js';
+
+dayjs.extend(utc);
+
+export const DIGEST_SCHEDULES = ['daily', 'weekly'];
+
+// Event types stored for the digest
+const RECORDED_TYPES = ['success', 'no_subscriptions', 'error'];
+
+/**
+ * Round a summed balance to 9 decimals so float noise does not show in the digest
+ * @param {number} value - Summed amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+export class DigestService {
+  /**
+   * @param {DatabaseService} databaseService - Database holding the digest_events table
+   */
+  constructor(databaseService) {
+    this.database = databaseService;
+    this.logger = new Logger('DigestService');
+
+    const schedule = (process.env.NOTIFICATION_DIGEST || '').trim().toLowerCase();
+    this.schedule = DIGEST_SCHEDULES.includes(schedule) ? schedule : null;
+    if (schedule && schedule !== 'off' && !this.schedule) {
+      this.logger.warn(`Unknown NOTIFICATION_DIGEST '${schedule}' (use daily or weekly); sending every notification immediately`);
+    }
+
+    const hour = parseInt(process.env.NOTIFICATION_DIGEST_HOUR, 10);
+    this.hour = hour >= 0 && hour <= 23 ? hour : 0;
+    const weekday = parseInt(process.env.NOTIFICATION_DIGEST_WEEKDAY, 10);
+    this.weekday = weekday >= 0 && weekday <= 6 ? weekday : 1;
+  }
+
+  /**
+   * Check if digest mode is on
+   * @returns {boolean} True if NOTIFICATION_DIGEST is daily or weekly
+   */
+  isEnabled() {
+    return this.schedule !== null;
+  }
+
+  /**
+   * Latest schedule boundary at or before a time
+   * @param {Date} now - Current time
+   * @returns {Date} Boundary (UTC)
+   */
+  getBoundary(now) {
+    let boundary = dayjs.utc(now).startOf('day').hour(this.hour);
+    if (this.schedule === 'weekly') {
+      boundary = boundary.subtract((boundary.day() - this.weekday + 7) % 7, 'day');
+    }
+    if (boundary.isAfter(now)) {
+      boundary = boundary.subtract(1, this.schedule === 'weekly' ? 'week' : 'day');
+    }
+    return boundary.toDate();
+  }
+
+  /**
+   * Store an event for the digest instead of sending it, where digest mode applies.
+   * If the event cannot be stored it is sent as usual.
+   * @param {Object} event - Notification event
+   * @returns {Promise<boolean>} True if the event should not be sent now
+   */
+  async hold(event) {
+    if (!this.isEnabled() || !this.database.isReady()) {
+      return false;
+    }
+    if (event.type === 'summary') {
+      // The digest replaces the per-run summary
+      return true;
+    }
+    if (!RECORDED_TYPES.includes(event.type)) {
+      return false;
+    }
+
+    try {
+      await this.database.logDigestEvent(this.toRow(event));
+    } catch (error) {
+      this.logger.warn(`Could not store ${event.type} notification for the digest, sending it now: ${error.message}`);
+      return false;
+    }
+    return event.type !== 'error';
+  }
+
+  /**
+   * Map a notification event to a digest_events row
+   * @param {Object} event - Notification event
+   * @returns {Object} Row data
+   */
+  toRow(event) {
+    const { data } = event;
+    const row = {
+      chain_name: event.chainName,
+      chain_display_name: event.chain,
+      event_type: event.type,
+      recorded_at: new Date().toISOString()
+    };
+
+    if (event.type === 'success') {
+      Object.assign(row, {
+        tx_hash: data.txHash,
+        gas_used: data.gasUsed ?? null,
+        gas_cost_eth: data.gasCostEth != null ? parseFloat(data.gasCostEth) : null,
+        balance_before_eth: parseFloat(data.balanceBeforeEth),
+        balance_after_eth: parseFloat(data.balanceAfterEth),
+        token_balances: JSON.stringify(data.tokenBalances || [])
+      });
+    } else if (event.type === 'no_subscriptions') {
+      row.current_day = data.currentDay;
+    } else if (event.type === 'error') {
+      row.error_type = data.errorType;
+      row.error_message = data.errorMessage;
+    }
+    return row;
+  }
+
+  /**
+   * Get the held events due for a digest
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{ events: Array, periodStart: string, periodEnd: string }|null>} Events recorded before the latest boundary, or null if none are waiting
+   */
+  async getDue(now = new Date()) {
+    if (!this.isEnabled() || !this.database.isReady()) {
+      return null;
+    }
+
+    const periodEnd = this.getBoundary(now).toISOString();
+    const events = await this.database.getPendingDigestEvents(periodEnd);
+    if (events.length === 0) {
+      return null;
+    }
+    return { events, periodStart: events[0].recorded_at, periodEnd };
+  }
+
+  /**
+   * Total the held events by chain
+   * @param {Array} events - digest_events rows
+   * @returns {{ chains: Array, totals: { remits: number, failures: number, noSubscriptionDays: number, gasUsed: number, gasCostEth: number } }} Per-chain and overall totals
+   */
+  summarize(events) {
+    const byChain = new Map();
+    for (const event of events) {
+      if (!byChain.has(event.chain_name)) {
+        byChain.set(event.chain_name, {
+          chain: event.chain_name,
+          displayName: event.chain_display_name,
+          remits: 0,
+          gasUsed: 0,
+          gasCostEth: 0,
+          ethDelta: 0,
+          tokenDeltas: {},
+          failures: 0,
+          errorTypes: {},
+          noSubscriptionDays: new Set()
+        });
+      }
+      const chain = byChain.get(event.chain_name);
+
+      if (event.event_type === 'success') {
+        chain.remits += 1;
+        chain.gasUsed += Number(event.gas_used || 0);
+        chain.gasCostEth += Number(event.gas_cost_eth || 0);
+        chain.ethDelta += Number(event.balance_after_eth || 0) - Number(event.balance_before_eth || 0);
+        for (const token of JSON.parse(event.token_balances || '[]')) {
+          const delta = parseFloat(token.balanceAfter) - parseFloat(token.balanceBefore);
+          chain.tokenDeltas[token.symbol] = (chain.tokenDeltas[token.symbol] || 0) + (Number.isFinite(delta) ? delta : 0);
+        }
+      } else if (event.event_type === 'no_subscriptions') {
+        chain.noSubscriptionDays.add(event.current_day ?? event.recorded_at.slice(0, 10));
+      } else if (event.event_type === 'error') {
+        chain.failures += 1;
+        const type = event.error_type || 'Error';
+        chain.errorTypes[type] = (chain.errorTypes[type] || 0) + 1;
+      }
+    }
+
+    const chains = [...byChain.values()].map(chain => ({
+      ...chain,
+      gasCostEth: round(chain.gasCostEth),
+      ethDelta: round(chain.ethDelta),
+      tokenDeltas: Object.fromEntries(Object.entries(chain.tokenDeltas).map(([symbol, delta]) => [symbol, round(delta)])),
+      noSubscriptionDays: chain.noSubscriptionDays.size
+    }));
+
+    const sum = key => chains.reduce((total, chain) => total + chain[key], 0);
+    return {
+      chains,
+      totals: {
+        remits: sum('remits'),
+        failures: sum('failures'),
+        noSubscriptionDays: sum('noSubscriptionDays'),
+        gasUsed: sum('gasUsed'),
+        gasCostEth: round(sum('gasCostEth'))
+      }
+    };
+  }
+
+  /**
+   * Record a sent digest so its events are not sent again
+   * @param {{ events: Array, periodStart: string, periodEnd: string }} due - Result of getDue
+   * @returns {Promise<string>} Digest ID
+   */
+  async markSent(due) {
+    const digestId = generateExecutionId('digest');
+    await this.database.recordDigest({
+      digest_id: digestId,
+      schedule: this.schedule,
+      period_start: due.periodStart,
+      period_end: due.periodEnd
+    }, due.events.map(event => event.id));
+    return digestId;
+  }
+}
@@ -2,12 +2,17 @@
  * Email Service
  * 
  * Handles email notifications for successful transactions, no subscriptions,
- * and summary reports across multiple chains.
+ * and summary reports across multiple chains. Content comes from the templates
+ * in src/templates/email, rendered as HTML with a text/plain alternative in
+ * each recipient's locale.
  */
 
 import { Resend } from 'resend';
 import { Logger } from '../utils/logger.js';
-import { formatAddress, formatTxHash } from '../utils/helpers.js';
+import { abortable } from '../utils/helpers.js';
+import { renderEmail } from '../templates/email/index.js';
+import { subscriptionsHtml } from '../templates/email/subscriptions.js';
+import { DEFAULT_LOCALE, LOCALES, resolveLocale, createTranslator } from '../templates/i18n.js';
 
 export class EmailService {
   constructor() {
@@ -15,6 +20,7 @@ export class EmailService {
     this.logger = new Logger('EmailService');
     this.isConfigured = false;
     this.initialize();
+    this.initializeLocales();
   }
 
   /**
@@ -42,6 +48,88 @@ export class EmailService {
     }
   }
 
+  /**
+   * Read the default locale (EMAIL_LOCALE) and per-recipient locales
+   * (EMAIL_RECIPIENT_LOCALES, comma-separated address=locale pairs)
+   */
+  initializeLocales() {
+    this.locale = this.parseLocale(process.env.EMAIL_LOCALE, 'EMAIL_LOCALE') || DEFAULT_LOCALE;
+    this.recipientLocales = new Map();
+
+    const entries = (process.env.EMAIL_RECIPIENT_LOCALES || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    for (const entry of entries) {
+      const [address, tag] = entry.split('=').map(part => part.trim());
+      const locale = address && tag ? this.parseLocale(tag, `EMAIL_RECIPIENT_LOCALES entry '${entry}'`) : null;
+      if (!address || !tag) {
+        this.logger.warn(`Ignoring EMAIL_RECIPIENT_LOCALES entry '${entry}' (use address=locale)`);
+      } else if (locale) {
+        this.recipientLocales.set(address.toLowerCase(), locale);
+      }
+    }
+  }
+
+  /**
+   * Match a configured locale tag to a supported locale
+   * @param {string} tag - Locale tag, such as es or es-MX
+   * @param {string} source - Where the tag was configured, for the warning
+   * @returns {string|null} Supported locale, or null if unset or unsupported
+   */
+  parseLocale(tag, source) {
+    if (!tag || !tag.trim()) {
+      return null;
+    }
+    const locale = resolveLocale(tag);
+    if (!locale) {
+      this.logger.warn(`Unsupported locale '${tag}' in ${source} (supported: ${Object.keys(LOCALES).join(', ')}); using ${DEFAULT_LOCALE}`);
+    }
+    return locale;
+  }
+
+  /**
+   * Group recipients by their locale
+   * @param {string[]} recipients - Email addresses
+   * @returns {Map<string, string[]>} Addresses by locale
+   */
+  groupRecipientsByLocale(recipients) {
+    const groups = new Map();
+    for (const address of recipients) {
+      const locale = this.recipientLocales.get(address.toLowerCase()) || this.locale;
+      groups.set(locale, [...(groups.get(locale) || []), address]);
+    }
+    return groups;
+  }
+
+  /**
+   * Render a template once per recipient locale and send each version
+   * @param {string} template - Template name (see src/templates/email)
+   * @param {Object} data - Template data
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} options - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
+   * @param {string} label - Email name for log messages
+   * @returns {Promise<Object>} Resend result of the first send
+   */
+  async deliver(template, data, options, label) {
+    const results = [];
+    for (const [locale, to] of this.groupRecipientsByLocale(options.recipients || [this.notificationEmail])) {
+      const { subject, html, text } = renderEmail(template, data, locale);
+      const { data: result, error } = await abortable(this.resend.emails.send({
+        from: this.senderAddress,
+        to,
+        subject,
+        html,
+        text,
+      }), options.signal);
+
+      if (error) {
+        this.logger.error(`${label} email error`, error);
+        throw new Error(`Email error: ${error.message}`);
+      }
+
+      this.logger.info(`${label} email sent: ${result.id}${locale !== this.locale ? ` (${locale})` : ''}`);
+      results.push(result);
+    }
+    return results[0];
+  }
+
   /**
    * Send success email notification
    * @param {string} chainDisplayName - Chain display name
@@ -50,65 +138,28 @@ export class EmailService {
    * @param {string} balanceAfterEth - ETH balance after
    * @param {Array<{ symbol: string, balanceBefore: string, balanceAfter: string }>} tokenBalances - Token balance changes
    * @param {number} recursionDepth - Recursion depth
+   * @param {Array} [subscriptions] - Subscription id groups covered by the run (from checksubs)
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
    * @returns {Promise<Object|null>} Email result or null if not configured
    */
-  async sendSuccessEmail(chainDisplayName, txHash, balanceBeforeEth, balanceAfterEth, tokenBalances, recursionDepth) {
+  async sendSuccessEmail(chainDisplayName, txHash, balanceBeforeEth, balanceAfterEth, tokenBalances, recursionDepth, subscriptions = [], options = {}) {
     if (!this.isConfigured) {
       this.logger.info('Email configuration not available, skipping success email notification');
       return null;
     }
 
     try {
-      const tokenBalanceLines = (tokenBalances || []).map(
-        t => `<p><strong>${t.symbol} Balance:</strong> ${t.balanceBefore} → ${t.balanceAfter}</p>`
-      ).join('');
-
-      const subject = `✅ Clocktower Remit Success - ${chainDisplayName}`;
-      const explorerUrl = this.getExplorerUrl(chainDisplayName, txHash);
-      
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #22c55e;">🎉 Clocktower Remit Transaction Successful!</h2>
-          
-          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #0369a1; margin-top: 0;">Transaction Details</h3>
-            <p><strong>Chain:</strong> ${chainDisplayName}</p>
-            <p><strong>Transaction Hash:</strong> <a href="${explorerUrl}" target="_blank" style="color: #0369a1;">${formatTxHash(txHash)}</a></p>
-            <p><strong>Recursion Depth:</strong> ${recursionDepth}</p>
-            <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <div style="background-color: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #166534; margin-top: 0;">Balance Changes</h3>
-            <p><strong>ETH Balance:</strong> ${balanceBeforeEth} → ${balanceAfterEth}</p>
-            ${tokenBalanceLines}
-          </div>
-          
-          <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0; color: #92400e;"><strong>Note:</strong> This email was sent automatically when the remit transaction succeeded and was not reverted.</p>
-          </div>
-          
-          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-          <p style="color: #6b7280; font-size: 14px; text-align: center;">
-            Clocktower Caller - ${chainDisplayName} Chain Monitoring
-          </p>
-        </div>
-      `;
-
-      const { data, error } = await this.resend.emails.send({
-        from: this.senderAddress,
-        to: [this.notificationEmail],
-        subject: subject,
-        html: htmlContent,
-      });
-
-      if (error) {
-        this.logger.error('Email error', error);
-        throw new Error(`Email error: ${error.message}`);
-      }
-
-      this.logger.info(`Success email sent: ${data.id}`);
-      return data;
+      return await this.deliver('success', {
+        chain: chainDisplayName,
+        txHash,
+        explorerUrl: this.getExplorerUrl(chainDisplayName, txHash),
+        balanceBeforeEth,
+        balanceAfterEth,
+        tokenBalances,
+        recursionDepth,
+        subscriptions,
+        timestamp: new Date().toISOString()
+      }, options, 'Success');
     } catch (error) {
       this.logger.error('Failed to send success email', error);
       throw error;
@@ -120,64 +171,22 @@ export class EmailService {
    * @param {string} chainDisplayName - Chain display name
    * @param {number} currentDay - Current day
    * @param {number} nextUncheckedDay - Next unchecked day
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
    * @returns {Promise<Object|null>} Email result or null if not configured
    */
-  async sendNoSubscriptionsEmail(chainDisplayName, currentDay, nextUncheckedDay) {
+  async sendNoSubscriptionsEmail(chainDisplayName, currentDay, nextUncheckedDay, options = {}) {
     if (!this.isConfigured) {
       this.logger.info('Email configuration not available, skipping no subscriptions email notification');
       return null;
     }
 
     try {
-      const subject = `📭 Clocktower No Subscriptions - ${chainDisplayName}`;
-      
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #f59e0b;">📭 No Subscriptions Found for Today</h2>
-          
-          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #92400e; margin-top: 0;">Daily Check Results</h3>
-            <p><strong>Chain:</strong> ${chainDisplayName}</p>
-            <p><strong>Current Day:</strong> ${currentDay}</p>
-            <p><strong>Next Unchecked Day:</strong> ${nextUncheckedDay}</p>
-            <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #0369a1; margin-top: 0;">What This Means</h3>
-            <p>No active subscriptions were found for the current day. This could mean:</p>
-            <ul style="color: #0369a1;">
-              <li>No subscriptions are due today</li>
-              <li>All subscriptions for today have already been processed</li>
-              <li>The system is up to date</li>
-            </ul>
-          </div>
-          
-          <div style="background-color: #f0fdf4; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0; color: #166534;"><strong>Status:</strong> No remit transaction was needed or executed.</p>
-          </div>
-          
-          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-          <p style="color: #6b7280; font-size: 14px; text-align: center;">
-            Clocktower Caller - ${chainDisplayName} Chain Monitoring
-          </p>
-        </div>
-      `;
-
-      const { data, error } = await this.resend.emails.send({
-        from: this.senderAddress,
-        to: [this.notificationEmail],
-        subject: subject,
-        html: htmlContent,
-      });
-
-      if (error) {
-        this.logger.error('No subscriptions email error', error);
-        throw new Error(`Email error: ${error.message}`);
-      }
-
-      this.logger.info(`No subscriptions email sent: ${data.id}`);
-      return data;
+      return await this.deliver('noSubscriptions', {
+        chain: chainDisplayName,
+        currentDay,
+        nextUncheckedDay,
+        timestamp: new Date().toISOString()
+      }, options, 'No subscriptions');
     } catch (error) {
       this.logger.error('Failed to send no subscriptions email', error);
       throw error;
@@ -190,73 +199,23 @@ export class EmailService {
    * @param {string} errorMessage - Error message
    * @param {string} errorType - Error type (e.g., 'PreCheck Error', 'Transaction Failure')
    * @param {Object} additionalDetails - Additional error details
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
    * @returns {Promise<Object|null>} Email result or null if not configured
    */
-  async sendErrorEmail(chainDisplayName, errorMessage, errorType, additionalDetails = {}) {
+  async sendErrorEmail(chainDisplayName, errorMessage, errorType, additionalDetails = {}, options = {}) {
     if (!this.isConfigured) {
       this.logger.info('Email configuration not available, skipping error email notification');
       return null;
     }
 
     try {
-      const subject = `❌ Clocktower Error - ${chainDisplayName}`;
-      
-      // Build additional details HTML
-      let additionalDetailsHtml = '';
-      if (Object.keys(additionalDetails).length > 0) {
-        additionalDetailsHtml = `
-          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #0369a1; margin-top: 0;">Additional Details</h3>
-            ${Object.entries(additionalDetails).map(([key, value]) => 
-              `<p><strong>${key}:</strong> ${value !== null && value !== undefined ? value : 'N/A'}</p>`
-            ).join('')}
-          </div>
-        `;
-      }
-
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #dc2626;">❌ Clocktower Execution Error</h2>
-          
-          <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
-            <h3 style="color: #991b1b; margin-top: 0;">Error Information</h3>
-            <p><strong>Chain:</strong> ${chainDisplayName}</p>
-            <p><strong>Error Type:</strong> ${errorType}</p>
-            <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #991b1b; margin-top: 0;">Error Message</h3>
-            <pre style="background-color: #ffffff; padding: 15px; border-radius: 4px; overflow-x: auto; color: #7f1d1d; white-space: pre-wrap; word-wrap: break-word;">${errorMessage}</pre>
-          </div>
-          
-          ${additionalDetailsHtml}
-          
-          <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0; color: #92400e;"><strong>⚠️ Action Required:</strong> Please investigate this error and ensure the Clocktower caller is functioning correctly.</p>
-          </div>
-          
-          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-          <p style="color: #6b7280; font-size: 14px; text-align: center;">
-            Clocktower Caller - ${chainDisplayName} Chain Monitoring
-          </p>
-        </div>
-      `;
-
-      const { data, error } = await this.resend.emails.send({
-        from: this.senderAddress,
-        to: [this.notificationEmail],
-        subject: subject,
-        html: htmlContent,
-      });
-
-      if (error) {
-        this.logger.error('Error email send failed', error);
-        throw new Error(`Email error: ${error.message}`);
-      }
-
-      this.logger.info(`Error email sent: ${data.id}`);
-      return data;
+      return await this.deliver('error', {
+        chain: chainDisplayName,
+        errorType,
+        errorMessage,
+        details: additionalDetails,
+        timestamp: new Date().toISOString()
+      }, options, 'Error');
     } catch (error) {
       this.logger.error('Failed to send error email', error);
       // Don't throw here - we don't want email failures to break the error handling flow
@@ -264,110 +223,109 @@ export class EmailService {
     }
   }
 
+  /**
+   * Send resolved email for errors that have cleared
+   * @param {string} chainDisplayName - Chain display name
+   * @param {Array<{ errorType: string, message: string, firstSeenAt: string, lastSeenAt: string, occurrences: number }>} alerts - Resolved alerts
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
+   * @returns {Promise<Object|null>} Email result or null if not configured
+   */
+  async sendResolvedEmail(chainDisplayName, alerts, options = {}) {
+    if (!this.isConfigured) {
+      this.logger.info('Email configuration not available, skipping resolved email notification');
+      return null;
+    }
+
+    try {
+      return await this.deliver('resolved', {
+        chain: chainDisplayName,
+        alerts,
+        timestamp: new Date().toISOString()
+      }, options, 'Resolved');
+    } catch (error) {
+      this.logger.error('Failed to send resolved email', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send low balance email when the caller balance or its runway crosses a threshold
+   * @param {string} chainDisplayName - Chain display name
+   * @param {{ level: string, balanceEth: number, breaches: Array, runway: Object|null }} status - Balance check result
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
+   * @returns {Promise<Object|null>} Email result or null if not configured
+   */
+  async sendLowBalanceEmail(chainDisplayName, status, options = {}) {
+    if (!this.isConfigured) {
+      this.logger.info('Email configuration not available, skipping low balance email notification');
+      return null;
+    }
+
+    try {
+      return await this.deliver('lowBalance', {
+        chain: chainDisplayName,
+        level: status.level,
+        balanceEth: status.balanceEth,
+        breaches: status.breaches,
+        runway: status.runway,
+        timestamp: new Date().toISOString()
+      }, options, 'Low balance');
+    } catch (error) {
+      this.logger.error('Failed to send low balance email', error);
+      throw error;
+    }
+  }
+
   /**
    * Send summary email for multi-chain execution
    * @param {Array} results - Array of execution results
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
    * @returns {Promise<Object|null>} Email result or null if not configured
    */
-  async sendSummaryEmail(results) {
+  async sendSummaryEmail(results, options = {}) {
     if (!this.isConfigured) {
       this.logger.info('Email configuration not available, skipping summary email notification');
       return null;
     }
 
     try {
-      const successful = results.filter(r => r.success).length;
-      const failed = results.filter(r => !r.success).length;
-      const executed = results.filter(r => (r.txCount || 0) > 0).length;
-      const noSubs = results.filter(r => (r.txCount || 0) === 0 && r.status === 'no_subscriptions').length;
-      const total = results.length;
-
-      const subject = `📊 Clocktower Summary - ${executed} executed, ${noSubs} none, ${failed} failed`;
-      
-      // Create results table
-      const resultsTable = results.map(result => {
-        const statusIcon = !result.success ? '❌' : (result.txCount || 0) > 0 ? '✅' : 'ℹ️';
-        const outcome = !result.success
-          ? `Failed${result.error ? ` (${result.error})` : ''}`
-          : (result.txCount || 0) > 0
-            ? `Executed ${result.txCount} tx(s)`
-            : 'No subscriptions';
-
-        return `
-          <tr style="border-bottom: 1px solid #e5e7eb;">
-            <td style="padding: 8px; text-align: center;">${statusIcon}</td>
-            <td style="padding: 8px;">${result.chain}</td>
-            <td style="padding: 8px;">${outcome}</td>
-          </tr>
-        `;
-      }).join('');
-
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #1f2937;">📊 Multi-Chain Execution Summary</h2>
-          
-          <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #0369a1; margin-top: 0;">Overall Results</h3>
-            <p><strong>Total Chains:</strong> ${total}</p>
-            <p><strong>Executed Transactions:</strong> ${executed}</p>
-            <p><strong>No Subscriptions:</strong> ${noSubs}</p>
-            <p><strong>Failed:</strong> ${failed}</p>
-            <p><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
-          </div>
-          
-          <div style="background-color: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #374151; margin-top: 0;">Chain Results</h3>
-            <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
-              <thead>
-                <tr style="background-color: #f3f4f6;">
-                  <th style="padding: 8px; text-align: left; border-bottom: 2px solid #d1d5db;">Status</th>
-                  <th style="padding: 8px; text-align: left; border-bottom: 2px solid #d1d5db;">Chain</th>
-                  <th style="padding: 8px; text-align: left; border-bottom: 2px solid #d1d5db;">Result</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${resultsTable}
-              </tbody>
-            </table>
-          </div>
-          
-          ${failed > 0 ? `
-            <div style="background-color: #fef2f2; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <p style="margin: 0; color: #dc2626;"><strong>⚠️ Warning:</strong> ${failed} chain(s) failed execution. Check logs for details.</p>
-            </div>
-          ` : `
-            <div style="background-color: #f0fdf4; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <p style="margin: 0; color: #166534;"><strong>🎉 All chains executed successfully!</strong></p>
-            </div>
-          `}
-          
-          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-          <p style="color: #6b7280; font-size: 14px; text-align: center;">
-            Clocktower Caller - Multi-Chain Monitoring
-          </p>
-        </div>
-      `;
-
-      const { data, error } = await this.resend.emails.send({
-        from: this.senderAddress,
-        to: [this.notificationEmail],
-        subject: subject,
-        html: htmlContent,
-      });
+      return await this.deliver('summary', { results, timestamp: new Date().toISOString() }, options, 'Summary');
+    } catch (error) {
+      this.logger.error('Failed to send summary email', error);
+      throw error;
+    }
+  }
 
-      if (error) {
-        this.logger.error('Summary email error', error);
-        throw new Error(`Email error: ${error.message}`);
-      }
+  /**
+   * Send the daily or weekly digest email
+   * @param {{ schedule: string, periodStart: string, periodEnd: string, chains: Array, totals: Object }} digest - Digest totals from DigestService.summarize
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default NOTIFICATION_EMAIL)
+   * @returns {Promise<Object|null>} Email result or null if not configured
+   */
+  async sendDigestEmail(digest, options = {}) {
+    if (!this.isConfigured) {
+      this.logger.info('Email configuration not available, skipping digest email notification');
+      return null;
+    }
 
-      this.logger.info(`Summary email sent: ${data.id}`);
-      return data;
+    try {
+      return await this.deliver('digest', digest, options, 'Digest');
     } catch (error) {
-      this.logger.error('Failed to send summary email', error);
+      this.logger.error('Failed to send digest email', error);
       throw error;
     }
   }
 
+  /**
+   * Build the HTML section listing subscription ids grouped by frequency and due day
+   * @param {Array<{ day: number, frequencyName: string, dueDay: number, ids: string[] }>} subscriptions - Subscription id groups
+   * @param {string} [chainName] - Chain name shown in the heading (summary email)
+   * @returns {string} HTML section, or empty string when there are no subscriptions
+   */
+  buildSubscriptionsHtml(subscriptions, chainName = null) {
+    return String(subscriptionsHtml(subscriptions, chainName, createTranslator(this.locale)));
+  }
+
   /**
    * Get blockchain explorer URL for a transaction
    * @param {string} chainDisplayName - Chain display name
@@ -405,19 +363,7 @@ export class EmailService {
     }
 
     try {
-      const { data, error } = await this.resend.emails.send({
-        from: this.senderAddress,
-        to: [this.notificationEmail],
-        subject: 'Clocktower Caller - Test Email',
-        html: '<p>This is a test email to verify email configuration.</p>',
-      });
-
-      if (error) {
-        this.logger.error('Test email failed', error);
-        return false;
-      }
-
-      this.logger.info(`Test email sent successfully: ${data.id}`);
+      await this.deliver('test', {}, {}, 'Test');
       return true;
     } catch (error) {
       this.logger.error('Failed to send test email', error);
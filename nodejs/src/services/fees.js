@@ -0,0 +1,93 @@
+/**
+ * Fee Service
+ *
+ * EIP-1559 fee strategy for remit transactions. Derives the priority fee from
+ * eth_feeHistory, caps fees per chain policy and decides whether to defer
+ * sending when fees are above the configured ceiling.
+ */
+
+import { parseGwei, formatGwei } from 'viem';
+import { Logger } from '../utils/logger.js';
+
+export class FeeService {
+  constructor() {
+    this.logger = new Logger('FeeService');
+  }
+
+  /**
+   * Get fee parameters for the next remit on a chain
+   * @param {Object} chainConfig - Chain configuration (uses chainConfig.feePolicy)
+   * @param {Object} publicClient - Viem public client
+   * @returns {Promise<{ defer: boolean, reason: string|null, fees: { maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }|null, baseFeePerGas: bigint|null, effectiveFeePerGas: bigint|null }>}
+   *   fees is null when the chain has no fee policy (viem picks fees)
+   */
+  async getFeeQuote(chainConfig, publicClient) {
+    const policy = chainConfig.feePolicy;
+    if (!policy) {
+      return { defer: false, reason: null, fees: null, baseFeePerGas: null, effectiveFeePerGas: null };
+    }
+
+    const history = await publicClient.getFeeHistory({
+      blockCount: policy.feeHistoryBlocks,
+      rewardPercentiles: [policy.priorityFeePercentile],
+      blockTag: 'latest',
+    });
+
+    // The last entry is the base fee of the next (pending) block
+    const baseFeePerGas = history.baseFeePerGas[history.baseFeePerGas.length - 1];
+
+    let maxPriorityFeePerGas = this.median((history.reward || []).map(r => r[0]));
+    if (policy.maxPriorityFeePerGasGwei !== null) {
+      maxPriorityFeePerGas = this.min(maxPriorityFeePerGas, parseGwei(String(policy.maxPriorityFeePerGasGwei)));
+    }
+
+    const effectiveFeePerGas = baseFeePerGas + maxPriorityFeePerGas;
+
+    this.logger.chain(chainConfig.name, `Fees - base: ${formatGwei(baseFeePerGas)} gwei, priority (p${policy.priorityFeePercentile}): ${formatGwei(maxPriorityFeePerGas)} gwei`);
+
+    if (policy.feeCeilingGwei !== null && effectiveFeePerGas > parseGwei(String(policy.feeCeilingGwei))) {
+      const reason = `Fee per gas ${formatGwei(effectiveFeePerGas)} gwei exceeds ceiling of ${policy.feeCeilingGwei} gwei`;
+      this.logger.chain(chainConfig.name, `Fees - deferring: ${reason}`);
+      return { defer: true, reason, fees: null, baseFeePerGas, effectiveFeePerGas };
+    }
+
+    // Headroom for base fee increases while the transaction is pending
+    const multiplierBps = BigInt(Math.round(policy.baseFeeMultiplier * 10000));
+    let maxFeePerGas = (baseFeePerGas * multiplierBps) / 10000n + maxPriorityFeePerGas;
+    if (policy.maxFeePerGasGwei !== null) {
+      maxFeePerGas = this.min(maxFeePerGas, parseGwei(String(policy.maxFeePerGasGwei)));
+    }
+    // maxPriorityFeePerGas may never exceed maxFeePerGas
+    maxPriorityFeePerGas = this.min(maxPriorityFeePerGas, maxFeePerGas);
+
+    return {
+      defer: false,
+      reason: null,
+      fees: { maxFeePerGas, maxPriorityFeePerGas },
+      baseFeePerGas,
+      effectiveFeePerGas
+    };
+  }
+
+  /**
+   * Median of a list of bigints (0n for an empty list)
+   * @param {bigint[]} values - Values
+   * @returns {bigint} Median
+   */
+  median(values) {
+    if (values.length === 0) return 0n;
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2n : sorted[mid];
+  }
+
+  /**
+   * Smaller of two bigints
+   * @param {bigint} a - First value
+   * @param {bigint} b - Second value
+   * @returns {bigint} Minimum
+   */
+  min(a, b) {
+    return a < b ? a : b;
+  }
+}
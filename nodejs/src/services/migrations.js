@@ -0,0 +1,474 @@
+/**
+ * Schema Migrations
+ *
+ * Versioned schema changes in database/migrations, one file per version named
+ * NNNN_description.sql with a "-- migrate:up" and a "-- migrate:down" section.
+ * Applied versions are recorded in schema_migrations, and each migration runs
+ * in a single transaction.
+ *
+ * Migrations are written for SQLite, which Cloudflare D1 shares. On PostgreSQL
+ * a column whose definition differs is given the one in its trailing
+ * "-- PostgreSQL: <definition>" comment. A statement after a "-- SQLite only"
+ * or "-- PostgreSQL only" line runs on that dialect alone, one after a
+ * "-- D1 only" line runs on the worker's D1 database alone, and one after a
+ * "-- Node.js only" line runs everywhere but D1. A column whose trailing
+ * comment starts with one of those markers is kept or left out the same way.
+ *
+ * 0001 is the baseline and cannot be reverted. A database created before
+ * versioned migrations is adopted at it, along with each later migration
+ * whose columns it already has.
+ */
+
+import { readFileSync, readdirSync, writeFileSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+import { createError } from '../utils/helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MIGRATIONS_DIR = join(__dirname, '../../database/migrations');
+
+const FILE_PATTERN = /^(\d+)_(\w+)\.sql$/;
+const SECTION_PATTERN = /^--\s*migrate:(up|down)\s*$/;
+// Column definition followed by a comment naming its PostgreSQL definition
+const POSTGRESQL_DEFINITION = /^(\s*)(\w+)\s+[^-]*?(,?)\s*--.*\bPostgreSQL:\s*(.+?)\s*$/;
+// Line restricting the next statement to a dialect, to D1 or to Node.js
+const ONLY_MARKER = /^\s*--\s*(SQLite|PostgreSQL|D1|Node\.js) only\s*$/;
+// Column definition whose trailing comment restricts it the same way
+const COLUMN_ONLY_MARKER = /^\s*\w+\s+[^-]*--\s*(SQLite|PostgreSQL|D1|Node\.js) only\b/;
+// Markers whose statements and columns each target leaves out
+const EXCLUDED_MARKERS = {
+  sqlite: ['PostgreSQL', 'D1'],
+  postgresql: ['SQLite', 'D1'],
+  d1: ['PostgreSQL', 'Node.js']
+};
+const ADD_COLUMN = /^ALTER\s+TABLE\s+(\w+)\s+ADD\s+COLUMN\s+(\w+)/i;
+
+const SCHEMA_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )
+`;
+
+// Migration name as in its file, e.g. 0002_execution_logs_status
+function label(migration) {
+  return `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+}
+
+/**
+ * Split a migration file into its up and down sections
+ * @param {string} source - Migration file contents
+ * @param {string} file - File name, for error messages
+ * @returns {{ up: string, down: string }} SQL of each section
+ * @throws {Error} INVALID_MIGRATION when the up section is missing or empty
+ */
+export function parseMigration(source, file) {
+  const sections = { up: [], down: [] };
+  let current = null;
+  for (const line of source.split('\n')) {
+    const marker = line.trim().match(SECTION_PATTERN);
+    if (marker) {
+      current = marker[1];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+
+  const up = sections.up.join('\n').trim();
+  if (splitStatements(up).length === 0) {
+    throw createError(`Migration ${file} has no statements after "-- migrate:up"`, 'INVALID_MIGRATION');
+  }
+  return { up, down: sections.down.join('\n').trim() };
+}
+
+/**
+ * Split SQL into statements on semicolons outside quotes and comments.
+ * Comments are dropped.
+ * @param {string} sql - SQL
+ * @returns {string[]} Statements without their trailing semicolon
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  const flush = () => {
+    if (current.trim()) statements.push(current.trim());
+    current = '';
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    if (char === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+    } else if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === "'" || char === '"') {
+      // A doubled quote inside a string or identifier is an escaped one
+      let end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === char) {
+          if (sql[end + 1] !== char) break;
+          end += 1;
+        }
+        end += 1;
+      }
+      current += sql.slice(i, end + 1);
+      i = end + 1;
+    } else if (char === ';') {
+      flush();
+      i += 1;
+    } else {
+      current += char;
+      i += 1;
+    }
+  }
+  flush();
+
+  return statements;
+}
+
+/**
+ * Rewrite migration SQL for PostgreSQL
+ * @param {string} sql - SQL in the SQLite dialect
+ * @returns {string} SQL with PostgreSQL column definitions swapped in
+ */
+export function toPostgreSQL(sql) {
+  return sql
+    .split('\n')
+    .map(line => line.replace(POSTGRESQL_DEFINITION, '$1$2 $4$3'))
+    .join('\n');
+}
+
+/**
+ * Rewrite migration SQL for where it runs, keeping only the statements and
+ * columns that run there. A marked statement ends at the first line ending in
+ * a semicolon.
+ * @param {string} sql - Migration SQL
+ * @param {'sqlite'|'postgresql'|'d1'} target - Where it runs
+ * @returns {string} SQL without the marker lines and the statements left out, in the target's dialect
+ */
+export function forTarget(sql, target) {
+  const excluded = EXCLUDED_MARKERS[target];
+  const lines = [];
+  let skipping = false;
+  for (const line of sql.split('\n')) {
+    const marker = line.match(ONLY_MARKER);
+    const columnMarker = line.match(COLUMN_ONLY_MARKER);
+    if (marker) {
+      skipping = excluded.includes(marker[1]);
+    } else if (!skipping) {
+      if (!columnMarker || !excluded.includes(columnMarker[1])) lines.push(line);
+    } else if (line.replace(/--.*$/, '').trim().endsWith(';')) {
+      skipping = false;
+    }
+  }
+  const kept = lines.join('\n');
+  return target === 'postgresql' ? toPostgreSQL(kept) : kept;
+}
+
+/**
+ * List the columns a migration adds to existing tables
+ * @param {string} sql - Migration SQL
+ * @returns {Array<{ table: string, column: string }>} Added columns
+ */
+export function addedColumns(sql) {
+  return splitStatements(sql)
+    .map(statement => statement.match(ADD_COLUMN))
+    .filter(Boolean)
+    .map(([, table, column]) => ({ table, column }));
+}
+
+/**
+ * Load the migration files in a directory
+ * @param {string} [directory] - Migrations directory
+ * @returns {Array<{ version: number, name: string, file: string, up: string, down: string }>} Migrations by ascending version
+ * @throws {Error} INVALID_MIGRATION when two files share a version or a file cannot be parsed
+ */
+export function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = readdirSync(directory)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      return { version: Number(version), name, file, ...parseMigration(readFileSync(join(directory, file), 'utf8'), file) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  const duplicate = migrations.find((migration, i) => i > 0 && migration.version === migrations[i - 1].version);
+  if (duplicate) {
+    throw createError(`Two migrations have version ${duplicate.version}`, 'INVALID_MIGRATION');
+  }
+  return migrations;
+}
+
+/**
+ * Add an empty migration after the latest one
+ * @param {string} name - Description, lowercase words joined by underscores
+ * @param {string} [directory] - Migrations directory
+ * @returns {string} Path of the new file
+ * @throws {Error} INVALID_MIGRATION when the name is not lowercase words joined by underscores
+ */
+export function createMigrationFile(name, directory = MIGRATIONS_DIR) {
+  if (!/^[a-z0-9]+(_[a-z0-9]+)*$/.test(name)) {
+    throw createError(`Migration name "${name}" must be lowercase words joined by underscores`, 'INVALID_MIGRATION');
+  }
+
+  const latest = readdirSync(directory)
+    .map(file => file.match(FILE_PATTERN))
+    .filter(Boolean)
+    .reduce((max, [, version]) => Math.max(max, Number(version)), 0);
+  const path = join(directory, `${String(latest + 1).padStart(4, '0')}_${name}.sql`);
+  writeFileSync(path, '-- migrate:up\n\n\n-- migrate:down\n\n', { flag: 'wx' });
+  return path;
+}
+
+/**
+ * Render migrations as Cloudflare D1 migrations for the worker, applied with
+ * `wrangler d1 migrations apply`. Only up sections are rendered, without the
+ * Node.js only tables.
+ * @param {Array} migrations - Migrations from loadMigrations
+ * @returns {Array<{ file: string, sql: string }>} One file per migration, named as its source
+ */
+export function renderD1Migrations(migrations) {
+  return migrations.map(migration => ({
+    file: migration.file,
+    sql: [
+      `-- Generated from nodejs/database/migrations/${migration.file} by \`npm run migrate -- d1\`.`,
+      '-- Do not edit by hand: change the migration there and regenerate.',
+      '',
+      forTarget(migration.up, 'd1').replace(/\n{3,}/g, '\n\n'),
+      ''
+    ].join('\n')
+  }));
+}
+
+/**
+ * Render the worker's complete D1 schema, every D1 migration in order, for
+ * reference. Databases are created and upgraded by applying the migrations.
+ * @param {Array} migrations - Migrations from loadMigrations
+ * @returns {string} Worker schema
+ */
+export function renderD1Schema(migrations) {
+  return [
+    '-- Clocktower Caller worker schema (Cloudflare D1)',
+    '--',
+    '-- Generated from nodejs/database/migrations by `npm run migrate -- d1`.',
+    '-- Do not edit by hand: change the migrations there and regenerate.',
+    '--',
+    '-- This is the complete schema the worker sees, for reference. Create and',
+    '-- upgrade databases with `wrangler d1 migrations apply`, which applies the',
+    '-- generated migrations in migrations/ and records them.',
+    '',
+    ...migrations.map(migration => [
+      `-- ${label(migration)}`,
+      '',
+      forTarget(migration.up, 'd1').replace(/\n{3,}/g, '\n\n'),
+      ''
+    ].join('\n'))
+  ].join('\n');
+}
+
+/**
+ * Write the D1 migrations into a directory, replacing the migration files there
+ * @param {Array} migrations - Migrations from loadMigrations
+ * @param {string} directory - Worker migrations directory
+ * @returns {string[]} Files written
+ */
+export function writeD1Migrations(migrations, directory) {
+  for (const file of readdirSync(directory).filter(name => FILE_PATTERN.test(name))) {
+    unlinkSync(join(directory, file));
+  }
+  return renderD1Migrations(migrations).map(({ file, sql }) => {
+    writeFileSync(join(directory, file), sql);
+    return file;
+  });
+}
+
+export class MigrationService {
+  /**
+   * @param {Object} database - Connected SQL storage backend, or a DatabaseService using one (anything with config and query)
+   * @param {{ directory?: string }} [options] - Migrations directory
+   */
+  constructor(database, { directory = MIGRATIONS_DIR } = {}) {
+    this.database = database;
+    this.migrations = loadMigrations(directory);
+    this.logger = new Logger('MigrationService');
+  }
+
+  /**
+   * Create the schema_migrations table if it does not exist
+   * @returns {Promise<void>}
+   */
+  async ensureTable() {
+    await this.database.query.exec(SCHEMA_MIGRATIONS_TABLE);
+  }
+
+  /**
+   * Check whether a table exists
+   * @param {string} table - Table name
+   * @returns {Promise<boolean>} True if it exists
+   */
+  async hasTable(table) {
+    const sql = this.database.config.isPostgreSQL()
+      ? 'SELECT to_regclass(?) AS name'
+      : "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?";
+    const row = await this.database.query.get(sql, [table]);
+    return Boolean(row?.name);
+  }
+
+  /**
+   * Check whether a table has a column
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {Promise<boolean>} True if it has
+   */
+  async hasColumn(table, column) {
+    const sql = this.database.config.isPostgreSQL()
+      ? 'SELECT column_name AS name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?'
+      : 'SELECT name FROM pragma_table_info(?) WHERE name = ?';
+    const row = await this.database.query.get(sql, [table, column]);
+    return Boolean(row?.name);
+  }
+
+  /**
+   * Get the applied versions
+   * @returns {Promise<Array<{ version: number, name: string, applied_at: string }>>} Applied migrations by ascending version
+   */
+  async getApplied() {
+    const rows = await this.database.query.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows.map(row => ({ ...row, version: Number(row.version) }));
+  }
+
+  /**
+   * List every known migration and whether it is applied
+   * @returns {Promise<Array<{ version: number, name: string, applied: boolean, appliedAt: string|null }>>} Migration status by ascending version
+   */
+  async status() {
+    await this.ensureTable();
+    const applied = new Map((await this.getApplied()).map(row => [row.version, row]));
+
+    const known = this.migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version)?.applied_at ?? null
+    }));
+    // Applied versions whose file is gone
+    const orphaned = [...applied.values()]
+      .filter(row => !this.migrations.some(migration => migration.version === row.version))
+      .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at }));
+
+    return [...known, ...orphaned].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Adopt a database created before versioned migrations, which has the core
+   * tables but no recorded versions. The baseline is applied, its statements
+   * being idempotent, then each later migration whose columns the database
+   * already has is recorded without running it.
+   * @returns {Promise<Array>} Migrations adopted, none when the database does not predate migrations
+   */
+  async adopt() {
+    await this.ensureTable();
+    if ((await this.getApplied()).length > 0 || !(await this.hasTable('execution_logs'))) {
+      return [];
+    }
+
+    this.logger.info('Database predates versioned migrations, adopting it');
+    const [baseline, ...later] = this.migrations;
+    await this.run(baseline, 'up');
+
+    const adopted = [baseline];
+    for (const migration of later) {
+      const columns = addedColumns(migration.up);
+      if (columns.length === 0) break;
+      const present = await Promise.all(columns.map(({ table, column }) => this.hasColumn(table, column)));
+      if (!present.every(Boolean)) break;
+
+      await this.database.query.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [migration.version, migration.name, new Date().toISOString()]);
+      this.logger.info(`Recorded migration ${label(migration)}, which the database already has`);
+      adopted.push(migration);
+    }
+    return adopted;
+  }
+
+  /**
+   * Apply pending migrations in version order
+   * @param {{ to?: number }} [options] - Last version to apply (all by default)
+   * @returns {Promise<Array>} Migrations applied
+   * @throws {Error} MIGRATION_FAILED when a migration fails; it is rolled back and later ones are not run
+   */
+  async up({ to = Infinity } = {}) {
+    await this.ensureTable();
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+
+    const pending = this.migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+    for (const migration of pending) {
+      await this.run(migration, 'up');
+    }
+    return pending;
+  }
+
+  /**
+   * Revert applied migrations, latest first
+   * @param {{ steps?: number, to?: number }} [options] - Number to revert (1 by default), or the version to revert down to (exclusive)
+   * @returns {Promise<Array>} Migrations reverted
+   * @throws {Error} MIGRATION_NOT_FOUND when an applied version has no file, MIGRATION_IRREVERSIBLE when one has no
+   *   down section (nothing is reverted in either case), MIGRATION_FAILED when a migration fails
+   */
+  async down({ steps = 1, to = null } = {}) {
+    await this.ensureTable();
+    const applied = (await this.getApplied()).reverse();
+
+    const targets = (to === null ? applied.slice(0, steps) : applied.filter(row => row.version > to)).map(row => {
+      const migration = this.migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw createError(`Migration ${row.version} (${row.name}) is applied but its file is missing`, 'MIGRATION_NOT_FOUND');
+      }
+      if (splitStatements(migration.down).length === 0) {
+        throw createError(`Migration ${label(migration)} has no down section and cannot be reverted`, 'MIGRATION_IRREVERSIBLE', { version: migration.version });
+      }
+      return migration;
+    });
+
+    for (const migration of targets) {
+      await this.run(migration, 'down');
+    }
+    return targets;
+  }
+
+  /**
+   * Run one direction of a migration and record it, in a single transaction
+   * @param {Object} migration - Migration from loadMigrations
+   * @param {'up'|'down'} direction - Direction
+   * @returns {Promise<void>}
+   * @throws {Error} MIGRATION_FAILED when a statement fails
+   */
+  async run(migration, direction) {
+    const appliedAt = new Date().toISOString();
+    const sql = forTarget(migration[direction], this.database.config.isPostgreSQL() ? 'postgresql' : 'sqlite');
+
+    try {
+      await this.database.query.transaction(async (tx) => {
+        for (const statement of splitStatements(sql)) {
+          await tx.exec(statement);
+        }
+        if (direction === 'up') {
+          await tx.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [migration.version, migration.name, appliedAt]);
+        } else {
+          await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+      });
+    } catch (error) {
+      throw createError(`Migration ${label(migration)} ${direction} failed: ${error.message}`, 'MIGRATION_FAILED', { version: migration.version });
+    }
+
+    this.logger.info(`${direction === 'up' ? 'Applied' : 'Reverted'} migration ${label(migration)}`);
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Nonce Manager
+ *
+ * Hands out caller nonces per chain and address through DatabaseService, so
+ * overlapping runs (cron firing twice, a manual run during the scheduled one)
+ * never send two transactions at the same nonce. Resyncs from the node's
+ * pending transaction count when the stored nonce has drifted.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+const DEFAULT_STALE_MS = 600000;
+
+export class NonceManager {
+  /**
+   * @param {DatabaseService|null} databaseService - Database holding the caller_nonces table
+   *   (without one, nonces come straight from the node's pending count)
+   */
+  constructor(databaseService = null) {
+    this.database = databaseService;
+    this.logger = new Logger('NonceManager');
+    this.staleAfterMs = parseInt(process.env.NONCE_STALE_MS, 10) || DEFAULT_STALE_MS;
+  }
+
+  /**
+   * Reserve the nonce for the next transaction
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client
+   * @param {string} address - Caller address
+   * @returns {Promise<number>} Nonce
+   */
+  async acquire(chainConfig, publicClient, address) {
+    const pendingNonce = await publicClient.getTransactionCount({ address, blockTag: 'pending' });
+
+    if (!this.database) {
+      return pendingNonce;
+    }
+
+    try {
+      const nonce = await this.database.reserveNonce(
+        chainConfig.name,
+        address.toLowerCase(),
+        (row) => this.resolveNonce(chainConfig, row, pendingNonce)
+      );
+      this.logger.chain(chainConfig.name, `Reserved nonce ${nonce} (pending count ${pendingNonce})`);
+      return nonce;
+    } catch (error) {
+      this.logger.chain(chainConfig.name, 'Nonce reservation skipped (DB not ready or update failed), using pending count', error);
+      return pendingNonce;
+    }
+  }
+
+  /**
+   * Pick the nonce to hand out from the stored row and the node's pending count
+   * @param {Object} chainConfig - Chain configuration
+   * @param {{ next_nonce: number, age_ms: number }|null} row - Stored row
+   * @param {number} pendingNonce - Pending transaction count from the node
+   * @returns {number} Nonce
+   */
+  resolveNonce(chainConfig, row, pendingNonce) {
+    if (!row) {
+      return pendingNonce;
+    }
+
+    // Transactions were sent outside the manager (another tool, a wallet)
+    if (row.next_nonce < pendingNonce) {
+      this.logger.chain(chainConfig.name, `Nonce drift: stored ${row.next_nonce} behind pending ${pendingNonce}, resyncing`);
+      return pendingNonce;
+    }
+
+    // Nonces were reserved but never reached the node (e.g. a run crashed before sending).
+    // Only resync once the row is stale, as a concurrent run may be about to broadcast.
+    if (row.next_nonce > pendingNonce && row.age_ms > this.staleAfterMs) {
+      this.logger.chain(chainConfig.name, `Nonce drift: stored ${row.next_nonce} ahead of pending ${pendingNonce} for ${row.age_ms}ms, resyncing`);
+      return pendingNonce;
+    }
+
+    return row.next_nonce;
+  }
+
+  /**
+   * Hand back a nonce that was reserved but never used (best-effort)
+   * @param {Object} chainConfig - Chain configuration
+   * @param {string} address - Caller address
+   * @param {number} nonce - Reserved nonce
+   * @returns {Promise<void>}
+   */
+  async release(chainConfig, address, nonce) {
+    if (!this.database) {
+      return;
+    }
+
+    try {
+      const released = await this.database.releaseNonce(chainConfig.name, address.toLowerCase(), nonce);
+      if (released) {
+        this.logger.chain(chainConfig.name, `Released unused nonce ${nonce}`);
+      }
+    } catch (error) {
+      this.logger.chain(chainConfig.name, 'Nonce release skipped (DB not ready or update failed)', error);
+    }
+  }
+}
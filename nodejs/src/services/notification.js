@@ -0,0 +1,439 @@
+/**
+ * Notification Service
+ *
+ * Sends success, no-subscriptions, error, low-balance and summary notifications
+ * to every enabled channel: Resend email, generic webhook, Slack, Discord,
+ * Telegram and SMTP. A channel is enabled when its environment variables are set;
+ * NOTIFICATION_CHANNELS narrows the set to the listed channel names.
+ * NotificationRouter rules can then mute an event or send it to fewer channels
+ * and other email recipients based on its type, chain and severity. In digest
+ * mode (NOTIFICATION_DIGEST) DigestService holds back per-event notifications
+ * and they go out together in a daily or weekly digest. AlertService drops
+ * repeats of an error that was already sent and reports when it clears.
+ */
+
+import { Logger } from '../utils/logger.js';
+import { createError, formatTxHash } from '../utils/helpers.js';
+import { EmailService } from './email.js';
+import {
+  EmailChannel,
+  WebhookChannel,
+  SlackChannel,
+  DiscordChannel,
+  TelegramChannel,
+  SmtpChannel
+} from './notificationChannels.js';
+import { NotificationRouter } from './notificationRouter.js';
+
+// Error types that mean money did not move when it should have; everything else is a warning
+const CRITICAL_ERROR_TYPES = ['Transaction Failure', 'Transaction Execution Error'];
+
+// Alert type of low_balance events, shown when they resolve
+export const LOW_BALANCE_ERROR_TYPE = 'Low Balance';
+
+/**
+ * @param {{ kind: string, value: number, threshold: number }} breach - Threshold crossed
+ * @returns {string} e.g. "runway 2.5 days below 3 days"
+ */
+function describeBreach(breach) {
+  return breach.kind === 'balance'
+    ? `balance ${breach.value} ETH below ${breach.threshold} ETH`
+    : `runway ${breach.value.toFixed(1)} days below ${breach.threshold} days`;
+}
+
+export class NotificationService {
+  /**
+   * @param {Array|null} [channels] - Channel adapters to use instead of the ones configured from env
+   * @param {EmailService} [emailService] - Resend email service (also provides explorer links)
+   * @param {NotificationRouter} [router] - Routing rules (defaults to NOTIFICATION_RULES / NOTIFICATION_RULES_FILE)
+   * @param {DigestService|null} [digest] - Holds events for the digest when NOTIFICATION_DIGEST is set
+   * @param {AlertService|null} [alerts] - Suppresses repeated error notifications
+   */
+  constructor(channels = null, emailService = new EmailService(), router = new NotificationRouter(), digest = null, alerts = null) {
+    this.logger = new Logger('NotificationService');
+    this.email = emailService;
+    this.channels = channels || this.loadChannels();
+    this.router = router;
+    this.digest = digest;
+    this.alerts = alerts;
+    this.warnUnknownRuleChannels();
+  }
+
+  /**
+   * Build the enabled channels from env
+   * @returns {Array} Configured channel adapters
+   */
+  loadChannels() {
+    const available = [
+      new EmailChannel(this.email),
+      new WebhookChannel(),
+      new SlackChannel(),
+      new DiscordChannel(),
+      new TelegramChannel(),
+      new SmtpChannel()
+    ];
+
+    const selected = process.env.NOTIFICATION_CHANNELS?.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (!selected || selected.length === 0) {
+      return available.filter(channel => channel.isConfigured());
+    }
+
+    for (const name of selected) {
+      const channel = available.find(c => c.name === name);
+      if (!channel) {
+        this.logger.warn(`Unknown notification channel in NOTIFICATION_CHANNELS: ${name}`);
+      } else if (!channel.isConfigured()) {
+        this.logger.warn(`Notification channel ${name} is listed in NOTIFICATION_CHANNELS but not configured`);
+      }
+    }
+    return available.filter(channel => selected.includes(channel.name) && channel.isConfigured());
+  }
+
+  /**
+   * Warn about routing rules that name channels which are not enabled
+   */
+  warnUnknownRuleChannels() {
+    const enabled = this.getChannelNames();
+    const unknown = new Set(this.router.rules.flatMap(rule => (rule.channels || []).filter(name => !enabled.includes(name))));
+    for (const name of unknown) {
+      this.logger.warn(`Notification rules reference channel ${name}, which is not enabled`);
+    }
+  }
+
+  /**
+   * Names of the enabled channels
+   * @returns {string[]} Channel names
+   */
+  getChannelNames() {
+    return this.channels.map(channel => channel.name);
+  }
+
+  /**
+   * Check if any channel is enabled
+   * @returns {boolean} True if at least one channel is enabled
+   */
+  isConfigured() {
+    return this.channels.length > 0;
+  }
+
+  /**
+   * Notify a successful remit transaction
+   * @param {Object} chainConfig - Chain configuration (name, displayName, isTestnet)
+   * @param {string} txHash - Transaction hash
+   * @param {string} balanceBeforeEth - ETH balance before
+   * @param {string} balanceAfterEth - ETH balance after
+   * @param {Array<{ symbol: string, balanceBefore: string, balanceAfter: string }>} tokenBalances - Token balance changes
+   * @param {number} recursionDepth - Recursion depth
+   * @param {Array} [subscriptions] - Subscription id groups covered by the run (from checksubs)
+   * @param {{ gasUsed: number|null, gasCostEth: string|null }|null} [gas] - Gas used by the transaction and its cost
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array|null>} Per-channel outcome, or null if no channel is enabled
+   */
+  async notifySuccess(chainConfig, txHash, balanceBeforeEth, balanceAfterEth, tokenBalances, recursionDepth, subscriptions = [], gas = null, options = {}) {
+    const subscriptionCount = (subscriptions || []).reduce((sum, group) => sum + group.ids.length, 0);
+    const lines = [
+      `Transaction: ${formatTxHash(txHash)}`,
+      `Explorer: ${this.email.getExplorerUrl(chainConfig.displayName, txHash)}`,
+      `Recursion Depth: ${recursionDepth}`,
+      `ETH Balance: ${balanceBeforeEth} → ${balanceAfterEth}`,
+      ...(tokenBalances || []).map(t => `${t.symbol} Balance: ${t.balanceBefore} → ${t.balanceAfter}`)
+    ];
+    if (subscriptionCount > 0) {
+      lines.push(`Subscriptions: ${subscriptionCount}`);
+    }
+
+    return this.dispatch({
+      type: 'success',
+      severity: 'info',
+      ...this.describeChain(chainConfig),
+      title: `✅ Clocktower Remit Success - ${chainConfig.displayName}`,
+      text: lines.join('\n'),
+      data: { txHash, balanceBeforeEth, balanceAfterEth, tokenBalances, recursionDepth, subscriptions, gasUsed: gas?.gasUsed ?? null, gasCostEth: gas?.gasCostEth ?? null }
+    }, options);
+  }
+
+  /**
+   * Notify a chain with nothing to remit
+   * @param {Object} chainConfig - Chain configuration (name, displayName, isTestnet)
+   * @param {number} currentDay - Current day
+   * @param {number} nextUncheckedDay - Next unchecked day
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array|null>} Per-channel outcome, or null if no channel is enabled
+   */
+  async notifyNoSubscriptions(chainConfig, currentDay, nextUncheckedDay, options = {}) {
+    return this.dispatch({
+      type: 'no_subscriptions',
+      severity: 'info',
+      ...this.describeChain(chainConfig),
+      title: `📭 Clocktower No Subscriptions - ${chainConfig.displayName}`,
+      text: [
+        'No subscriptions were due, so no remit transaction was sent.',
+        `Current Day: ${currentDay}`,
+        `Next Unchecked Day: ${nextUncheckedDay}`
+      ].join('\n'),
+      data: { currentDay, nextUncheckedDay }
+    }, options);
+  }
+
+  /**
+   * Notify an error
+   * @param {Object} chainConfig - Chain configuration (name, displayName, isTestnet)
+   * @param {string} errorMessage - Error message
+   * @param {string} errorType - Error type (e.g. 'PreCheck Error', 'Chain Timeout')
+   * @param {Object} [additionalDetails] - Extra label/value pairs
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array|null>} Per-channel outcome, or null if no channel is enabled
+   */
+  async notifyError(chainConfig, errorMessage, errorType, additionalDetails = {}, options = {}) {
+    const details = Object.entries(additionalDetails || {})
+      // Stacks are too long for chat channels; email and webhooks still get them
+      .filter(([key]) => key !== 'Error Stack')
+      .map(([key, value]) => `${key}: ${value !== null && value !== undefined ? value : 'N/A'}`);
+
+    return this.dispatch({
+      type: 'error',
+      severity: CRITICAL_ERROR_TYPES.includes(errorType) ? 'critical' : 'warn',
+      ...this.describeChain(chainConfig),
+      title: `❌ Clocktower Error - ${chainConfig.displayName}`,
+      text: [`${errorType}: ${errorMessage}`, ...details].join('\n'),
+      data: { errorMessage, errorType, details: additionalDetails }
+    }, options);
+  }
+
+  /**
+   * Notify that errors reported earlier have cleared
+   * @param {Object} chainConfig - Chain configuration (name, displayName, isTestnet)
+   * @param {Array<{ fingerprint: string, error_type: string, message: string, first_seen_at: string, occurrences: number }>} alerts - Resolved alerts
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array|null>} Per-channel outcome, or null if no channel is enabled
+   */
+  async notifyResolved(chainConfig, alerts, options = {}) {
+    const resolved = alerts.map(alert => ({
+      fingerprint: alert.fingerprint,
+      errorType: alert.error_type,
+      message: alert.message,
+      firstSeenAt: alert.first_seen_at,
+      lastSeenAt: alert.last_seen_at,
+      occurrences: alert.occurrences
+    }));
+
+    return this.dispatch({
+      type: 'resolved',
+      severity: 'info',
+      ...this.describeChain(chainConfig),
+      title: `✅ Clocktower Resolved - ${chainConfig.displayName}`,
+      text: resolved.map(alert =>
+        `${alert.errorType}: ${alert.message} (first seen ${alert.firstSeenAt}, ${alert.occurrences} occurrence(s))`
+      ).join('\n'),
+      data: { alerts: resolved }
+    }, options);
+  }
+
+  /**
+   * Notify that the caller balance, or the days of gas it has left, crossed a
+   * threshold. The event carries errorType and errorMessage so AlertService
+   * deduplicates it and reports when the balance recovers.
+   * @param {Object} chainConfig - Chain configuration (name, displayName, isTestnet)
+   * @param {{ balanceEth: number, level: string, breaches: Array, runway: Object|null }} status - BalanceMonitor.check result
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array|null>} Per-channel outcome, or null if no channel is enabled
+   */
+  async notifyLowBalance(chainConfig, status, options = {}) {
+    const critical = status.level === 'critical';
+    const summary = status.breaches.map(describeBreach).join(', ');
+    const lines = [
+      `Caller balance: ${status.balanceEth} ETH`,
+      status.runway
+        ? `Runway: ${status.runway.runwayDays.toFixed(1)} days at ${status.runway.remitsPerDay.toFixed(2)} remit(s)/day, ${status.runway.avgCostPerRemitEth} ETH each`
+        : 'Runway: not enough remit history to forecast',
+      ...status.breaches.map(breach => `${breach.level === 'critical' ? 'Critical' : 'Warning'}: ${describeBreach(breach)}`)
+    ];
+
+    return this.dispatch({
+      type: 'low_balance',
+      severity: status.level,
+      ...this.describeChain(chainConfig),
+      title: critical
+        ? `🚨 Clocktower Critical Balance - ${chainConfig.displayName}`
+        : `⚠️ Clocktower Low Balance - ${chainConfig.displayName}`,
+      text: lines.join('\n'),
+      data: {
+        level: status.level,
+        balanceEth: status.balanceEth,
+        breaches: status.breaches,
+        runway: status.runway,
+        errorType: LOW_BALANCE_ERROR_TYPE,
+        errorMessage: `${critical ? 'Critical' : 'Warning'}: ${summary}`
+      }
+    }, options);
+  }
+
+  /**
+   * Notify the multi-chain summary
+   * @param {Array} results - Chain results from executeRemitForAllChains
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array|null>} Per-channel outcome, or null if no channel is enabled
+   */
+  async notifySummary(results, options = {}) {
+    const timedOut = results.filter(r => r.status === 'timed_out').length;
+    const failed = results.filter(r => !r.success && r.status !== 'timed_out').length;
+    const executed = results.filter(r => (r.txCount || 0) > 0).length;
+    const noSubs = results.filter(r => (r.txCount || 0) === 0 && r.status === 'no_subscriptions').length;
+
+    const lines = results.map(result => {
+      const txCount = result.txCount || 0;
+      if (result.status === 'timed_out') return `⏱️ ${result.chain}: Timed out${txCount > 0 ? ` after ${txCount} tx(s)` : ''}`;
+      if (!result.success) return `❌ ${result.chain}: Failed${result.error ? ` (${result.error})` : ''}`;
+      if (txCount > 0) return `✅ ${result.chain}: Executed ${txCount} tx(s)`;
+      if (result.status === 'deferred') return `⏸️ ${result.chain}: Deferred${result.deferReason ? ` (${result.deferReason})` : ''}`;
+      return `ℹ️ ${result.chain}: No subscriptions`;
+    });
+    const profits = results.filter(result => result.profit).map(({ chain, profit }) =>
+      `💰 ${chain}: ${profit.remits} remit(s), gas ${profit.gasCostEth} ETH, net ${profit.net === null ? 'not priced' : `${profit.net.toFixed(2)} ${profit.currency}`}`);
+    const sweeps = results.flatMap(result => (result.sweeps || []).map(sweep =>
+      `🧹 ${result.chain}: Swept ${sweep.amount ?? '?'} ${sweep.symbol} (${sweep.status})${sweep.txHash ? ` ${sweep.txHash}` : ''}`));
+
+    return this.dispatch({
+      type: 'summary',
+      severity: failed + timedOut > 0 ? 'warn' : 'info',
+      chain: null,
+      chainName: null,
+      isTestnet: null,
+      title: `📊 Clocktower Summary - ${executed} executed, ${noSubs} none, ${failed} failed${timedOut > 0 ? `, ${timedOut} timed out` : ''}`,
+      text: [...lines, ...profits, ...sweeps].join('\n'),
+      data: { results }
+    }, options);
+  }
+
+  /**
+   * Send the digest of held events once its schedule boundary has passed.
+   * The events are marked as sent unless every channel failed, in which case
+   * the next run tries again.
+   * @param {Date} [now] - Current time
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array|null>} Per-channel outcome, or null if no digest was due or no channel is enabled
+   */
+  async notifyDigestIfDue(now = new Date(), options = {}) {
+    const due = await this.digest?.getDue(now);
+    if (!due) {
+      return null;
+    }
+
+    const { chains, totals } = this.digest.summarize(due.events);
+    const formatDelta = value => `${value >= 0 ? '+' : ''}${value}`;
+    const lines = [
+      `Period: ${due.periodStart} → ${due.periodEnd}`,
+      ...chains.map(chain => {
+        const parts = [`${chain.remits} remit(s)`];
+        if (chain.remits > 0) {
+          parts.push(`gas ${chain.gasCostEth} ETH (${chain.gasUsed} gas)`, `ETH ${formatDelta(chain.ethDelta)}`);
+          parts.push(...Object.entries(chain.tokenDeltas).map(([symbol, delta]) => `${symbol} ${formatDelta(delta)}`));
+        }
+        if (chain.failures > 0) {
+          parts.push(`${chain.failures} failure(s) (${Object.entries(chain.errorTypes).map(([type, count]) => `${type} ×${count}`).join(', ')})`);
+        }
+        if (chain.noSubscriptionDays > 0) {
+          parts.push(`${chain.noSubscriptionDays} day(s) with no subscriptions`);
+        }
+        return `${chain.displayName}: ${parts.join(', ')}`;
+      })
+    ];
+    const label = this.digest.schedule === 'weekly' ? 'Weekly' : 'Daily';
+
+    const report = await this.dispatch({
+      type: 'digest',
+      severity: totals.failures > 0 ? 'warn' : 'info',
+      chain: null,
+      chainName: null,
+      isTestnet: null,
+      title: `📬 Clocktower ${label} Digest - ${totals.remits} remits, ${totals.failures} failed, ${totals.noSubscriptionDays} no-subscription days`,
+      text: lines.join('\n'),
+      data: { schedule: this.digest.schedule, periodStart: due.periodStart, periodEnd: due.periodEnd, chains, totals }
+    }, options);
+
+    const digestId = await this.digest.markSent(due);
+    this.logger.info(`Digest ${digestId} covered ${due.events.length} event(s)`);
+    return report;
+  }
+
+  /**
+   * Chain fields shared by every per-chain event
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {{ chain: string, chainName: string, isTestnet: boolean }} Display name, config name and network kind
+   */
+  describeChain(chainConfig) {
+    return {
+      chain: chainConfig.displayName,
+      chainName: chainConfig.name,
+      isTestnet: Boolean(chainConfig.isTestnet)
+    };
+  }
+
+  /**
+   * Send an event to the channels its routing rule allows (every enabled channel
+   * by default). One failing channel does not stop the others.
+   * @param {{ type: string, severity: string, chain: string|null, chainName: string|null, isTestnet: boolean|null, title: string, text: string, data: Object }} event - Notification event
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the sends
+   * @returns {Promise<Array<{ channel: string, status: string, error?: string }>|null>} Per-channel outcome, or null if no channel is enabled or the event is muted or held for the digest
+   * @throws {Error} NOTIFICATION_FAILED when every channel failed
+   */
+  async dispatch(event, options = {}) {
+    if (this.channels.length === 0) {
+      this.logger.info(`No notification channels configured, skipping ${event.type} notification`);
+      return null;
+    }
+
+    const label = `${event.type}${event.chainName ? ` (${event.chainName})` : ''}`;
+    if (this.digest && await this.digest.hold(event)) {
+      this.logger.info(`${label} notification held for the ${this.digest.schedule} digest`);
+      return null;
+    }
+
+    const alert = this.alerts ? await this.alerts.check(event) : null;
+    if (alert?.suppress) {
+      this.logger.info(`${label} notification suppressed: alert ${alert.fingerprint} already sent at ${alert.alert.last_notified_at} (${alert.alert.occurrences} occurrence(s))`);
+      return null;
+    }
+
+    const route = this.router.route(event);
+    if (route.muted) {
+      this.logger.info(`${label} notification muted by notification rule ${route.rule}`);
+      return null;
+    }
+
+    const channels = route.channels ? this.channels.filter(channel => route.channels.includes(channel.name)) : this.channels;
+    if (channels.length === 0) {
+      this.logger.warn(`${label} notification skipped: notification rule ${route.rule} matches no enabled channel`);
+      return null;
+    }
+
+    const sendOptions = route.recipients ? { ...options, recipients: route.recipients } : options;
+    const stamped = { ...event, timestamp: new Date().toISOString() };
+    const outcomes = await Promise.allSettled(channels.map(channel => channel.send(stamped, sendOptions)));
+
+    const report = outcomes.map((outcome, i) => {
+      const channel = channels[i].name;
+      if (outcome.status === 'fulfilled') {
+        return { channel, status: 'sent' };
+      }
+      this.logger.error(`${event.type} notification via ${channel} failed`, outcome.reason);
+      return { channel, status: 'failed', error: outcome.reason?.message };
+    });
+
+    const failed = report.filter(r => r.status === 'failed');
+    if (failed.length === report.length) {
+      throw createError(
+        `All notification channels failed for ${event.type}: ${failed.map(r => `${r.channel} (${r.error})`).join(', ')}`,
+        'NOTIFICATION_FAILED',
+        { channels: failed }
+      );
+    }
+
+    if (alert) {
+      await this.alerts.markNotified(alert.fingerprint);
+    }
+
+    this.logger.info(`${event.type} notification sent via ${report.filter(r => r.status === 'sent').map(r => r.channel).join(', ')}`);
+    return report;
+  }
+}
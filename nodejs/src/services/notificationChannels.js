@@ -0,0 +1,305 @@
+/**
+ * Notification Channels
+ *
+ * Adapters behind NotificationService. Each channel reads its settings from the
+ * environment, reports whether it is configured, and delivers one notification
+ * event ({ type, severity, chain, chainName, isTestnet, title, text, timestamp, data }).
+ */
+
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { EmailService } from './email.js';
+import { abortable, createError } from '../utils/helpers.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DISCORD_MAX_LENGTH = 2000;
+const TELEGRAM_MAX_LENGTH = 4096;
+
+/**
+ * Shorten text to a channel's message limit
+ * @param {string} text - Message text
+ * @param {number} maxLength - Channel limit
+ * @returns {string} Text, cut with an ellipsis if it was too long
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Base for channels that POST JSON over HTTP
+ */
+class HttpChannel {
+  /**
+   * @param {string} name - Channel name used in NOTIFICATION_CHANNELS and logs
+   */
+  constructor(name) {
+    this.name = name;
+    this.timeoutMs = parseInt(process.env.NOTIFICATION_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Serialize a request body (bigint values become strings)
+   * @param {Object} body - Request body
+   * @returns {string} JSON payload
+   */
+  serialize(body) {
+    return JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  }
+
+  /**
+   * POST a JSON payload
+   * @param {string} url - Endpoint URL
+   * @param {string} payload - Serialized JSON body
+   * @param {Object} [options]
+   * @param {AbortSignal|null} [options.signal] - Cancels the request (chain deadline)
+   * @param {Object} [options.headers] - Extra request headers
+   * @returns {Promise<Response>} Response (2xx only)
+   * @throws {Error} NOTIFICATION_FAILED on a non-2xx response
+   */
+  async post(url, payload, { signal = null, headers = {} } = {}) {
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    const requestSignal = signal && typeof AbortSignal.any === 'function' ? AbortSignal.any([signal, timeout]) : timeout;
+
+    const response = await abortable(fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: payload,
+      signal: requestSignal,
+    }), signal);
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw createError(
+        `${this.name} returned HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`,
+        'NOTIFICATION_FAILED',
+        { channel: this.name, status: response.status }
+      );
+    }
+    return response;
+  }
+}
+
+/**
+ * Email through Resend, keeping the HTML emails built by EmailService
+ */
+export class EmailChannel {
+  /**
+   * @param {EmailService} [emailService] - Configured from RESEND_API_KEY and NOTIFICATION_EMAIL
+   */
+  constructor(emailService = new EmailService()) {
+    this.name = 'email';
+    this.email = emailService;
+  }
+
+  /**
+   * @returns {boolean} True if Resend is configured
+   */
+  isConfigured() {
+    return this.email.isEmailConfigured();
+  }
+
+  /**
+   * Send an event as the matching Resend email
+   * @param {Object} event - Notification event
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients
+   * @returns {Promise<Object|null>} Resend result
+   */
+  async send(event, options = {}) {
+    const { data } = event;
+    switch (event.type) {
+      case 'success':
+        return this.email.sendSuccessEmail(event.chain, data.txHash, data.balanceBeforeEth, data.balanceAfterEth, data.tokenBalances, data.recursionDepth, data.subscriptions, options);
+      case 'no_subscriptions':
+        return this.email.sendNoSubscriptionsEmail(event.chain, data.currentDay, data.nextUncheckedDay, options);
+      case 'error':
+        return this.email.sendErrorEmail(event.chain, data.errorMessage, data.errorType, data.details, options);
+      case 'summary':
+        return this.email.sendSummaryEmail(data.results, options);
+      case 'digest':
+        return this.email.sendDigestEmail(data, options);
+      case 'resolved':
+        return this.email.sendResolvedEmail(event.chain, data.alerts, options);
+      case 'low_balance':
+        return this.email.sendLowBalanceEmail(event.chain, data, options);
+      default:
+        throw createError(`Unsupported notification event: ${event.type}`, 'NOTIFICATION_FAILED', { channel: this.name });
+    }
+  }
+}
+
+/**
+ * Generic JSON webhook. The whole event is posted; with WEBHOOK_SECRET set the
+ * body is signed with HMAC-SHA256 in the X-Clocktower-Signature header.
+ */
+export class WebhookChannel extends HttpChannel {
+  constructor() {
+    super('webhook');
+    this.url = process.env.WEBHOOK_URL;
+    this.secret = process.env.WEBHOOK_SECRET;
+  }
+
+  /**
+   * @returns {boolean} True if WEBHOOK_URL is set
+   */
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * @param {Object} event - Notification event
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the send
+   * @returns {Promise<Response>}
+   */
+  async send(event, options = {}) {
+    const payload = this.serialize({ event: event.type, ...event });
+    const headers = { 'X-Clocktower-Event': event.type };
+    if (this.secret) {
+      headers['X-Clocktower-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(payload).digest('hex')}`;
+    }
+    return this.post(this.url, payload, { signal: options.signal, headers });
+  }
+}
+
+/**
+ * Slack-compatible incoming webhook (also Mattermost, Rocket.Chat)
+ */
+export class SlackChannel extends HttpChannel {
+  constructor() {
+    super('slack');
+    this.url = process.env.SLACK_WEBHOOK_URL;
+  }
+
+  /**
+   * @returns {boolean} True if SLACK_WEBHOOK_URL is set
+   */
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * @param {Object} event - Notification event
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the send
+   * @returns {Promise<Response>}
+   */
+  async send(event, options = {}) {
+    // Slack mrkdwn only requires &, < and > to be escaped
+    const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const text = `*${escape(event.title)}*\n${escape(event.text)}`;
+    return this.post(this.url, this.serialize({ text }), { signal: options.signal });
+  }
+}
+
+/**
+ * Discord webhook. Mentions are disabled so error text cannot ping anyone.
+ */
+export class DiscordChannel extends HttpChannel {
+  constructor() {
+    super('discord');
+    this.url = process.env.DISCORD_WEBHOOK_URL;
+  }
+
+  /**
+   * @returns {boolean} True if DISCORD_WEBHOOK_URL is set
+   */
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * @param {Object} event - Notification event
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the send
+   * @returns {Promise<Response>}
+   */
+  async send(event, options = {}) {
+    const content = truncate(`**${event.title}**\n${event.text}`, DISCORD_MAX_LENGTH);
+    return this.post(this.url, this.serialize({ content, allowed_mentions: { parse: [] } }), { signal: options.signal });
+  }
+}
+
+/**
+ * Telegram bot API sendMessage (plain text, no parse mode to escape for)
+ */
+export class TelegramChannel extends HttpChannel {
+  constructor() {
+    super('telegram');
+    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
+    this.chatId = process.env.TELEGRAM_CHAT_ID;
+    this.apiUrl = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+  }
+
+  /**
+   * @returns {boolean} True if TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID are set
+   */
+  isConfigured() {
+    return Boolean(this.botToken && this.chatId);
+  }
+
+  /**
+   * @param {Object} event - Notification event
+   * @param {{ signal?: AbortSignal }} [options] - Abort signal for the send
+   * @returns {Promise<Response>}
+   */
+  async send(event, options = {}) {
+    const payload = this.serialize({
+      chat_id: this.chatId,
+      text: truncate(`${event.title}\n\n${event.text}`, TELEGRAM_MAX_LENGTH),
+      disable_web_page_preview: true
+    });
+    return this.post(`${this.apiUrl}/bot${this.botToken}/sendMessage`, payload, { signal: options.signal });
+  }
+}
+
+/**
+ * Plain-text email over SMTP via nodemailer
+ */
+export class SmtpChannel {
+  constructor() {
+    this.name = 'smtp';
+    this.host = process.env.SMTP_HOST;
+    this.secure = process.env.SMTP_SECURE === 'true';
+    this.port = parseInt(process.env.SMTP_PORT, 10) || (this.secure ? 465 : 587);
+    this.user = process.env.SMTP_USER;
+    this.pass = process.env.SMTP_PASS;
+    this.to = process.env.SMTP_TO?.split(',').map(address => address.trim()).filter(Boolean) || [];
+    this.from = process.env.SMTP_FROM || this.user || `clocktower-caller@${this.host}`;
+    this.transporter = null;
+  }
+
+  /**
+   * @returns {boolean} True if SMTP_HOST and SMTP_TO are set
+   */
+  isConfigured() {
+    return Boolean(this.host && this.to.length > 0);
+  }
+
+  /**
+   * Get the nodemailer transport, created on first use
+   * @returns {Object} nodemailer transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+        connectionTimeout: parseInt(process.env.NOTIFICATION_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * @param {Object} event - Notification event
+   * @param {{ signal?: AbortSignal, recipients?: string[] }} [options] - Abort signal and routed recipients (default SMTP_TO)
+   * @returns {Promise<Object>} nodemailer send info
+   */
+  async send(event, options = {}) {
+    return abortable(this.getTransporter().sendMail({
+      from: this.from,
+      to: options.recipients || this.to,
+      subject: event.title,
+      text: event.text,
+    }), options.signal);
+  }
+}
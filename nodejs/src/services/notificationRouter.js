@@ -0,0 +1,152 @@
+/**
+ * Notification Router
+ *
+ * Rules that decide where each notification goes. A rule matches on event type,
+ * chain, testnet/mainnet, error type and severity, and either mutes the event or
+ * sends it to a subset of channels and email recipients. Rules come from
+ * NOTIFICATION_RULES (inline JSON) or NOTIFICATION_RULES_FILE (path to a JSON
+ * file) and are checked in order; the first match wins. Events that match no
+ * rule go to every enabled channel.
+ */
+
+import fs from 'fs';
+import { Logger } from '../utils/logger.js';
+import { createError } from '../utils/helpers.js';
+
+export const SEVERITY_LEVELS = ['info', 'warn', 'critical'];
+
+const MATCH_KEYS = ['type', 'chain', 'testnet', 'errorType', 'severity', 'minSeverity'];
+const ACTION_KEYS = ['mute', 'channels', 'recipients'];
+
+export class NotificationRouter {
+  /**
+   * @param {Array|null} [rules] - Rules to use instead of the ones configured from env
+   */
+  constructor(rules = null) {
+    this.logger = new Logger('NotificationRouter');
+    this.rules = rules ?? this.loadRules();
+  }
+
+  /**
+   * Load rules from NOTIFICATION_RULES or NOTIFICATION_RULES_FILE. Invalid rules
+   * are logged and ignored so a bad config never silences every notification.
+   * @returns {Array} Parsed rules (empty if none configured)
+   */
+  loadRules() {
+    try {
+      return NotificationRouter.readRulesFromEnv();
+    } catch (error) {
+      this.logger.error('Ignoring notification rules, every event goes to every channel', error);
+      return [];
+    }
+  }
+
+  /**
+   * Read and validate rules from the environment
+   * @returns {Array} Parsed rules (empty if none configured)
+   * @throws {Error} INVALID_NOTIFICATION_RULES when the config cannot be read or is invalid
+   */
+  static readRulesFromEnv() {
+    let raw = process.env.NOTIFICATION_RULES;
+    const file = process.env.NOTIFICATION_RULES_FILE;
+
+    if (!raw && file) {
+      try {
+        raw = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        throw createError(`Cannot read NOTIFICATION_RULES_FILE ${file}: ${error.message}`, 'INVALID_NOTIFICATION_RULES');
+      }
+    }
+    if (!raw) return [];
+
+    return NotificationRouter.parseRules(raw);
+  }
+
+  /**
+   * Parse and validate a rules config
+   * @param {string} raw - JSON array of { match, mute?, channels?, recipients? }
+   * @returns {Array} Parsed rules
+   * @throws {Error} INVALID_NOTIFICATION_RULES describing the first problem found
+   */
+  static parseRules(raw) {
+    let rules;
+    try {
+      rules = JSON.parse(raw);
+    } catch (error) {
+      throw createError(`Notification rules are not valid JSON: ${error.message}`, 'INVALID_NOTIFICATION_RULES');
+    }
+    if (!Array.isArray(rules)) {
+      throw createError('Notification rules must be a JSON array', 'INVALID_NOTIFICATION_RULES');
+    }
+
+    rules.forEach((rule, index) => {
+      const invalid = (message) => createError(`Notification rule ${index + 1}: ${message}`, 'INVALID_NOTIFICATION_RULES');
+      if (!rule || typeof rule !== 'object') throw invalid('must be an object');
+
+      const match = rule.match ?? {};
+      if (typeof match !== 'object' || Array.isArray(match)) throw invalid('match must be an object');
+      const unknownMatch = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+      if (unknownMatch.length > 0) throw invalid(`unknown match key(s): ${unknownMatch.join(', ')}`);
+      for (const key of ['severity', 'minSeverity']) {
+        const values = match[key] === undefined ? [] : [].concat(match[key]);
+        const unknownLevels = values.filter(level => !SEVERITY_LEVELS.includes(level));
+        if (unknownLevels.length > 0) throw invalid(`${key} must be one of ${SEVERITY_LEVELS.join(', ')}`);
+      }
+
+      const unknownKeys = Object.keys(rule).filter(key => key !== 'match' && !ACTION_KEYS.includes(key));
+      if (unknownKeys.length > 0) throw invalid(`unknown key(s): ${unknownKeys.join(', ')}`);
+      if (!rule.mute && rule.channels === undefined && rule.recipients === undefined) {
+        throw invalid('needs mute, channels or recipients');
+      }
+      for (const key of ['channels', 'recipients']) {
+        if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some(value => typeof value !== 'string'))) {
+          throw invalid(`${key} must be an array of strings`);
+        }
+      }
+    });
+
+    return rules.map(rule => ({ match: {}, ...rule }));
+  }
+
+  /**
+   * Check one rule's match against an event
+   * @param {Object} match - Rule match
+   * @param {Object} event - Notification event
+   * @returns {boolean} True if every key in the match applies to the event
+   */
+  matches(match, event) {
+    const oneOf = (expected, actual) => expected === undefined || expected === '*' || [].concat(expected).includes(actual);
+
+    if (!oneOf(match.type, event.type)) return false;
+    if (!oneOf(match.chain, event.chainName)) return false;
+    if (!oneOf(match.errorType, event.data?.errorType)) return false;
+    if (!oneOf(match.severity, event.severity)) return false;
+    if (match.testnet !== undefined && match.testnet !== event.isTestnet) return false;
+    if (match.minSeverity !== undefined && SEVERITY_LEVELS.indexOf(event.severity) < SEVERITY_LEVELS.indexOf(match.minSeverity)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Decide where an event goes
+   * @param {Object} event - Notification event ({ type, severity, chainName, isTestnet, data })
+   * @returns {{ muted: boolean, channels: string[]|null, recipients: string[]|null, rule: number|null }}
+   *   channels/recipients are null when every enabled channel and the default recipients apply;
+   *   rule is the 1-based index of the matching rule
+   */
+  route(event) {
+    const index = this.rules.findIndex(rule => this.matches(rule.match, event));
+    if (index === -1) {
+      return { muted: false, channels: null, recipients: null, rule: null };
+    }
+
+    const rule = this.rules[index];
+    return {
+      muted: Boolean(rule.mute),
+      channels: rule.channels ?? null,
+      recipients: rule.recipients ?? null,
+      rule: index + 1
+    };
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Price Sources
+ *
+ * Value gas costs and token revenue in a reference currency (PRICE_CURRENCY,
+ * default USD) for profitability reporting. PRICE_SOURCE picks the source:
+ * - static (default): PRICES, a JSON object of symbol to price
+ * - file: a local JSON feed at PRICE_FEED_FILE, read on every lookup so
+ *   another job can keep it current
+ * A source only needs a currency and getPrices(symbols), so others (an HTTP
+ * API, an on-chain oracle) can be passed to ClocktowerService in their place.
+ */
+
+import fs from 'fs';
+import { createError } from '../utils/helpers.js';
+
+export const PRICE_SOURCES = ['static', 'file'];
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Validate a symbol-to-price map
+ * @param {*} prices - Parsed JSON
+ * @param {string} origin - Where the prices came from, for error messages
+ * @returns {Object<string, number>} Prices keyed by uppercase symbol
+ * @throws {Error} INVALID_PRICES when a price is not a non-negative number
+ */
+function parsePrices(prices, origin) {
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw createError(`${origin} must be a JSON object of symbol to price`, 'INVALID_PRICES');
+  }
+
+  const parsed = {};
+  for (const [symbol, price] of Object.entries(prices)) {
+    if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+      throw createError(`${origin}: price of ${symbol} must be a non-negative number`, 'INVALID_PRICES');
+    }
+    parsed[symbol.toUpperCase()] = price;
+  }
+  return parsed;
+}
+
+/**
+ * Pick the requested symbols that have a price
+ * @param {Object<string, number>} prices - Prices keyed by uppercase symbol
+ * @param {string[]} symbols - Symbols to look up
+ * @returns {Object<string, number>} Prices keyed by the requested symbol
+ */
+function pick(prices, symbols) {
+  return Object.fromEntries(symbols
+    .filter(symbol => prices[symbol.toUpperCase()] !== undefined)
+    .map(symbol => [symbol, prices[symbol.toUpperCase()]]));
+}
+
+export class StaticPriceSource {
+  /**
+   * @param {Object<string, number>} [prices] - Price per symbol
+   * @param {string} [currency] - Reference currency
+   */
+  constructor(prices = {}, currency = DEFAULT_CURRENCY) {
+    this.prices = parsePrices(prices, 'PRICES');
+    this.currency = currency;
+  }
+
+  /**
+   * @param {string[]} symbols - Symbols to price
+   * @returns {Promise<Object<string, number>>} Prices of the symbols that have one
+   */
+  async getPrices(symbols) {
+    return pick(this.prices, symbols);
+  }
+}
+
+export class JsonFilePriceSource {
+  /**
+   * @param {string} path - JSON file with { currency?, prices } or a bare symbol-to-price object
+   * @param {string} [currency] - Reference currency; the file must not name a different one
+   */
+  constructor(path, currency = DEFAULT_CURRENCY) {
+    this.path = path;
+    this.currency = currency;
+  }
+
+  /**
+   * @param {string[]} symbols - Symbols to price
+   * @returns {Promise<Object<string, number>>} Prices of the symbols that have one
+   * @throws {Error} INVALID_PRICES when the feed cannot be read or is in another currency
+   */
+  async getPrices(symbols) {
+    let feed;
+    try {
+      feed = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      throw createError(`Cannot read PRICE_FEED_FILE ${this.path}: ${error.message}`, 'INVALID_PRICES');
+    }
+
+    if (feed?.currency && feed.currency !== this.currency) {
+      throw createError(`PRICE_FEED_FILE ${this.path} is in ${feed.currency}, expected ${this.currency}`, 'INVALID_PRICES');
+    }
+    return pick(parsePrices(feed?.prices ?? feed, `PRICE_FEED_FILE ${this.path}`), symbols);
+  }
+}
+
+/**
+ * Build the price source configured by PRICE_SOURCE
+ * @returns {StaticPriceSource|JsonFilePriceSource} Price source
+ * @throws {Error} INVALID_PRICES when the configuration is invalid
+ */
+export function createPriceSourceFromEnv() {
+  const source = process.env.PRICE_SOURCE || 'static';
+  const currency = process.env.PRICE_CURRENCY || DEFAULT_CURRENCY;
+
+  if (!PRICE_SOURCES.includes(source)) {
+    throw createError(`Unknown PRICE_SOURCE "${source}" (expected ${PRICE_SOURCES.join(' or ')})`, 'INVALID_PRICES');
+  }
+  if (source === 'file') {
+    if (!process.env.PRICE_FEED_FILE) {
+      throw createError('PRICE_SOURCE=file needs PRICE_FEED_FILE', 'INVALID_PRICES');
+    }
+    return new JsonFilePriceSource(process.env.PRICE_FEED_FILE, currency);
+  }
+
+  let prices = {};
+  if (process.env.PRICES) {
+    try {
+      prices = JSON.parse(process.env.PRICES);
+    } catch (error) {
+      throw createError(`PRICES is not valid JSON: ${error.message}`, 'INVALID_PRICES');
+    }
+  }
+  return new StaticPriceSource(prices, currency);
+}
@@ -0,0 +1,187 @@
+/**
+ * Profitability
+ *
+ * Net profit of remit transactions: the token fees the caller earned (its
+ * token balance deltas across the transaction) minus the gas it paid, both
+ * valued in the price source's reference currency. Gas is gas_used times the
+ * receipt's effective gas price plus the L1 data fee; rows logged before the
+ * price was recorded fall back to the drop in the caller's native balance.
+ */
+
+import { formatEther, formatUnits } from 'viem';
+
+// Symbol gas is paid in on every supported chain
+export const NATIVE_SYMBOL = 'ETH';
+
+/**
+ * Round a summed amount to 9 decimals so float noise does not show in reports
+ * @param {number} value - Summed amount
+ * @returns {number} Rounded amount
+ */
+function round(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+/**
+ * Gas paid by one remit transaction
+ * @param {Object} row - execution_logs row with its gas and caller balance columns
+ * @returns {number|null} Cost in ETH, or null when the row records neither
+ */
+export function gasCostEth(row) {
+  if (row.gas_used !== null && row.gas_used !== undefined && row.effective_gas_price) {
+    return Number(formatEther(BigInt(row.gas_used) * BigInt(row.effective_gas_price) + BigInt(row.l1_fee ?? 0)));
+  }
+  if (row.balance_before_wei && row.balance_after_wei) {
+    const drop = BigInt(row.balance_before_wei) - BigInt(row.balance_after_wei);
+    return drop > 0n ? Number(formatEther(drop)) : 0;
+  }
+  if (row.balance_before_eth !== null && row.balance_after_eth !== null) {
+    return Math.max(row.balance_before_eth - row.balance_after_eth, 0);
+  }
+  return null;
+}
+
+/**
+ * Change in the caller's balance of one token across a remit
+ * @param {{ decimals?: number, balance_before: number, balance_after: number, delta_raw?: string|null }} token - Token row
+ * @returns {number} Change in token units, exact when the raw delta was recorded
+ */
+function tokenDelta(token) {
+  if (token.delta_raw !== null && token.delta_raw !== undefined) {
+    return Number(formatUnits(BigInt(token.delta_raw), token.decimals));
+  }
+  const delta = Number(token.balance_after) - Number(token.balance_before);
+  return Number.isFinite(delta) ? delta : 0;
+}
+
+/**
+ * Value an amount, or null when the symbol has no price
+ * @param {number} amount - Amount in token units
+ * @param {number|undefined} price - Price per unit
+ * @returns {number|null} Value in the reference currency
+ */
+function value(amount, price) {
+  return price === undefined ? null : amount * price;
+}
+
+/**
+ * Sum values where any unknown value makes the total unknown
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Rounded sum
+ */
+function sumKnown(values) {
+  return values.some(v => v === null) ? null : round(values.reduce((total, v) => total + v, 0));
+}
+
+/**
+ * Profit of one remit transaction
+ * @param {Object} row - Remit row from DatabaseService.getRemitProfitRows
+ * @param {Object<string, number>} prices - Price per symbol
+ * @returns {{ executionId: string, chain: string, timestamp: string, txHash: string, gasCostEth: number, tokenDeltas: Object<string, number>, cost: number|null, revenue: number|null, net: number|null }} Remit profit
+ */
+export function remitProfit(row, prices) {
+  const gas = gasCostEth(row) ?? 0;
+  const tokenDeltas = {};
+  for (const token of row.tokens) {
+    tokenDeltas[token.symbol] = round((tokenDeltas[token.symbol] || 0) + tokenDelta(token));
+  }
+
+  const cost = gas === 0 ? 0 : value(gas, prices[NATIVE_SYMBOL]);
+  // A token that did not move needs no price
+  const revenue = sumKnown(Object.entries(tokenDeltas).map(([symbol, delta]) => (delta === 0 ? 0 : value(delta, prices[symbol]))));
+  return {
+    executionId: row.execution_id,
+    chain: row.chain_name,
+    timestamp: row.timestamp,
+    txHash: row.tx_hash,
+    gasCostEth: round(gas),
+    tokenDeltas,
+    cost: cost === null ? null : round(cost),
+    revenue,
+    net: sumKnown([revenue, cost === null ? null : -cost])
+  };
+}
+
+/**
+ * Add up remit profits
+ * @param {Array} remits - remitProfit results
+ * @returns {{ remits: number, gasCostEth: number, tokenDeltas: Object<string, number>, cost: number|null, revenue: number|null, net: number|null }} Totals
+ */
+function total(remits) {
+  const tokenDeltas = {};
+  for (const remit of remits) {
+    for (const [symbol, delta] of Object.entries(remit.tokenDeltas)) {
+      tokenDeltas[symbol] = round((tokenDeltas[symbol] || 0) + delta);
+    }
+  }
+  return {
+    remits: remits.length,
+    gasCostEth: round(remits.reduce((sum, remit) => sum + remit.gasCostEth, 0)),
+    tokenDeltas,
+    cost: sumKnown(remits.map(remit => remit.cost)),
+    revenue: sumKnown(remits.map(remit => remit.revenue)),
+    net: sumKnown(remits.map(remit => remit.net))
+  };
+}
+
+/**
+ * Group remits and total each group, in first-seen order
+ * @param {Array} remits - remitProfit results
+ * @param {Function} keyOf - Group key of a remit
+ * @returns {Array<[string, Object]>} Key and totals per group
+ */
+function groupTotals(remits, keyOf) {
+  const groups = new Map();
+  for (const remit of remits) {
+    const key = keyOf(remit);
+    groups.set(key, [...(groups.get(key) || []), remit]);
+  }
+  return [...groups].map(([key, group]) => [key, total(group)]);
+}
+
+/**
+ * Profit per remit, per UTC day and chain, per chain and overall.
+ * Totals that include an amount without a price are null; missingPrices
+ * lists the symbols that need one.
+ * @param {Array} rows - Remit rows from DatabaseService.getRemitProfitRows
+ * @param {Object<string, number>} prices - Price per symbol
+ * @param {string} currency - Reference currency of the prices
+ * @returns {{ currency: string, remits: Array, byDay: Array, byChain: Array, totals: Object, missingPrices: string[] }} Profitability report
+ */
+export function summarizeProfit(rows, prices, currency) {
+  const remits = rows.map(row => remitProfit(row, prices));
+
+  const needed = new Set();
+  for (const remit of remits) {
+    if (remit.gasCostEth > 0) needed.add(NATIVE_SYMBOL);
+    Object.entries(remit.tokenDeltas).filter(([, delta]) => delta !== 0).forEach(([symbol]) => needed.add(symbol));
+  }
+
+  return {
+    currency,
+    remits,
+    byDay: groupTotals(remits, remit => `${remit.timestamp.slice(0, 10)} ${remit.chain}`)
+      .map(([key, totals]) => ({ day: key.slice(0, 10), chain: key.slice(11), ...totals })),
+    byChain: groupTotals(remits, remit => remit.chain).map(([chain, totals]) => ({ chain, ...totals })),
+    totals: total(remits),
+    missingPrices: [...needed].filter(symbol => prices[symbol] === undefined).sort()
+  };
+}
+
+/**
+ * Count and sum the gas cost of remit transactions, for the runway forecast.
+ * Rows that record neither gas nor caller balances are not counted.
+ * @param {Array} rows - execution_logs rows with tx_hash, oldest first
+ * @returns {{ remits: number, total_cost_eth: number|null, first_at: string|null }} Remit count, summed cost and first remit timestamp
+ */
+export function remitCostStats(rows) {
+  const costed = rows
+    .map(row => ({ timestamp: row.timestamp, cost: gasCostEth(row) }))
+    .filter(row => row.cost !== null);
+
+  return {
+    remits: costed.length,
+    total_cost_eth: costed.length === 0 ? null : round(costed.reduce((sum, row) => sum + row.cost, 0)),
+    first_at: costed[0]?.timestamp ?? null
+  };
+}
@@ -0,0 +1,330 @@
+/**
+ * Query Runner
+ *
+ * Runs the same logical query on SQLite and PostgreSQL. Queries are written
+ * once with `?` placeholders; the runner numbers them for PostgreSQL through
+ * DatabaseConfigService.getSQLHelpers().parameterize, binds parameters the way
+ * each driver accepts them and returns rows, inserted IDs and affected row
+ * counts in the same shape on both.
+ */
+
+import { createError } from '../utils/helpers.js';
+
+/**
+ * Replace the ? placeholders outside quoted strings and identifiers
+ * @param {string} sql - SQL with ? placeholders
+ * @param {Function} parameterize - Placeholder for a 1-based parameter index
+ * @returns {{ text: string, count: number }} SQL with the dialect's placeholders and the number replaced
+ */
+export function numberPlaceholders(sql, parameterize) {
+  let text = '';
+  let count = 0;
+  let quote = null;
+
+  for (const char of sql) {
+    if (quote) {
+      // A doubled quote closes and reopens the string, which leaves it open
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      count += 1;
+      text += parameterize(count);
+      continue;
+    }
+    text += char;
+  }
+
+  return { text, count };
+}
+
+class QueryRunner {
+  /**
+   * @param {Object} helpers - DatabaseConfigService.getSQLHelpers() of the dialect
+   */
+  constructor(helpers) {
+    this.helpers = helpers;
+  }
+
+  /**
+   * Current time in the dialect, for SQL text
+   * @returns {string} SQL expression
+   */
+  get now() {
+    return this.helpers.now;
+  }
+
+  /**
+   * Milliseconds since a timestamp column, for SQL text
+   * @param {string} column - Column name
+   * @returns {string} SQL expression
+   */
+  ageMs(column) {
+    return this.helpers.ageMs(column);
+  }
+
+  /**
+   * Number the placeholders and convert the parameters for the driver
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} params - Parameters
+   * @returns {{ text: string, values: Array }} Query for the driver
+   * @throws {Error} QUERY_PARAMETER_MISMATCH when the counts differ
+   */
+  compile(sql, params) {
+    const { text, count } = numberPlaceholders(sql, this.helpers.parameterize);
+    if (count !== params.length) {
+      throw createError(`Query has ${count} placeholder(s) but ${params.length} parameter(s)`, 'QUERY_PARAMETER_MISMATCH', { sql });
+    }
+    return { text, values: params.map(value => this.toParameter(value)) };
+  }
+
+  /**
+   * Convert a parameter for the driver
+   * @param {*} value - Parameter
+   * @returns {*} Value the driver accepts
+   */
+  toParameter(value) {
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Get the first row of a query
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} [params] - Parameters
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async get(sql, params = []) {
+    const [row] = await this.all(sql, params);
+    return row ?? null;
+  }
+
+  /**
+   * Insert a row and get its ID
+   * @param {string} sql - INSERT with ? placeholders and no RETURNING clause
+   * @param {Array} [params] - Parameters
+   * @returns {Promise<number>} ID of the inserted row
+   */
+  async insert(sql, params = []) {
+    const row = await this.get(`${sql.trimEnd()} RETURNING id`, params);
+    return Number(row.id);
+  }
+}
+
+export class SQLiteQueryRunner extends QueryRunner {
+  /**
+   * @param {Object} db - better-sqlite3 database
+   * @param {Object} helpers - SQL helpers of the dialect
+   * @param {{ idle: Promise<void> }} [lock] - Shared with the runner of an open transaction
+   * @param {boolean} [inTransaction] - True for the runner handed to a transaction callback
+   */
+  constructor(db, helpers, lock = { idle: Promise.resolve() }, inTransaction = false) {
+    super(helpers);
+    this.db = db;
+    // Statements share one connection, so those outside an open transaction
+    // wait for it to finish instead of joining it
+    this.lock = lock;
+    this.inTransaction = inTransaction;
+  }
+
+  /**
+   * SQLite has no boolean type; store 1 or 0
+   * @param {*} value - Parameter
+   * @returns {*} Value better-sqlite3 accepts
+   */
+  toParameter(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return super.toParameter(value);
+  }
+
+  /**
+   * Wait until no transaction is open, unless running inside it
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    if (!this.inTransaction) {
+      await this.lock.idle;
+    }
+  }
+
+  /**
+   * Run a statement without parameters, such as DDL
+   * @param {string} sql - SQL
+   * @returns {Promise<void>}
+   */
+  async exec(sql) {
+    await this.ready();
+    this.db.exec(sql);
+  }
+
+  /**
+   * Get every row of a query
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} [params] - Parameters
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  async all(sql, params = []) {
+    const { text, values } = this.compile(sql, params);
+    await this.ready();
+    return this.db.prepare(text).all(...values);
+  }
+
+  /**
+   * Get the first row of a query
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} [params] - Parameters
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async get(sql, params = []) {
+    const { text, values } = this.compile(sql, params);
+    await this.ready();
+    return this.db.prepare(text).get(...values) ?? null;
+  }
+
+  /**
+   * Run a statement that returns no rows
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} [params] - Parameters
+   * @returns {Promise<{ changes: number }>} Number of rows changed
+   */
+  async run(sql, params = []) {
+    const { text, values } = this.compile(sql, params);
+    await this.ready();
+    return { changes: this.db.prepare(text).run(...values).changes };
+  }
+
+  /**
+   * Run a callback in a write transaction. BEGIN IMMEDIATE takes the write
+   * lock up front, so another process waits instead of reading stale rows.
+   * That lock covers the whole database, so no advisory lock is taken.
+   * @param {Function} callback - Called with a runner bound to the transaction
+   * @returns {Promise<*>} Callback result
+   */
+  async transaction(callback) {
+    if (this.inTransaction) {
+      return callback(this);
+    }
+
+    const previous = this.lock.idle;
+    let release;
+    this.lock.idle = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    try {
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await callback(new SQLiteQueryRunner(this.db, this.helpers, this.lock, true));
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      release();
+    }
+  }
+}
+
+export class PostgreSQLQueryRunner extends QueryRunner {
+  /**
+   * @param {Object} db - pg Pool, or a client checked out for a transaction
+   * @param {Object} helpers - SQL helpers of the dialect
+   * @param {boolean} [inTransaction] - True when db is a client inside a transaction
+   */
+  constructor(db, helpers, inTransaction = false) {
+    super(helpers);
+    this.db = db;
+    this.inTransaction = inTransaction;
+  }
+
+  /**
+   * Run a query on the transaction's client or a pooled one
+   * @param {string} text - SQL with $n placeholders
+   * @param {Array} values - Parameters
+   * @returns {Promise<Object>} pg result
+   */
+  async query(text, values) {
+    if (this.inTransaction) {
+      return this.db.query(text, values);
+    }
+
+    const client = await this.db.connect();
+    try {
+      return await client.query(text, values);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run a statement without parameters, such as DDL
+   * @param {string} sql - SQL
+   * @returns {Promise<void>}
+   */
+  async exec(sql) {
+    await this.query(sql, []);
+  }
+
+  /**
+   * Get every row of a query
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} [params] - Parameters
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  async all(sql, params = []) {
+    const { text, values } = this.compile(sql, params);
+    return (await this.query(text, values)).rows;
+  }
+
+  /**
+   * Run a statement that returns no rows
+   * @param {string} sql - SQL with ? placeholders
+   * @param {Array} [params] - Parameters
+   * @returns {Promise<{ changes: number }>} Number of rows changed
+   */
+  async run(sql, params = []) {
+    const { text, values } = this.compile(sql, params);
+    return { changes: (await this.query(text, values)).rowCount };
+  }
+
+  /**
+   * Run a callback in a transaction on one pooled client
+   * @param {Function} callback - Called with a runner bound to the transaction
+   * @param {{ lock?: string }} [options] - Advisory lock key held until the transaction ends
+   * @returns {Promise<*>} Callback result
+   */
+  async transaction(callback, { lock } = {}) {
+    if (this.inTransaction) {
+      return callback(this);
+    }
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      if (lock) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [lock]);
+      }
+      const result = await callback(new PostgreSQLQueryRunner(client, this.helpers, true));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Create the query runner for a connected database
+ * @param {Object} config - DatabaseConfigService
+ * @param {Object} db - better-sqlite3 database or pg Pool
+ * @returns {SQLiteQueryRunner|PostgreSQLQueryRunner} Query runner
+ */
+export function createQueryRunner(config, db) {
+  if (config.isPostgreSQL()) {
+    return new PostgreSQLQueryRunner(db, config.getSQLHelpers());
+  }
+  return new SQLiteQueryRunner(db, config.getSQLHelpers());
+}
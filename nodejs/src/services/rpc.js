@@ -0,0 +1,186 @@
+/**
+ * RPC Service
+ *
+ * Builds viem transports over a chain's ordered RPC endpoints (RPC_URLS_*).
+ * With more than one endpoint, requests go through viem's fallback transport:
+ * an endpoint that errors is skipped for the next one, and the chain's public
+ * clients share one ranked transport that re-ranks endpoints by health and
+ * latency for as long as the process runs.
+ * The endpoint that served each call and every failover are logged.
+ */
+
+import {
+  http,
+  fallback,
+  ExecutionRevertedError,
+  TransactionRejectedRpcError,
+  UserRejectedRequestError
+} from 'viem';
+import { Logger } from '../utils/logger.js';
+import { abortable } from '../utils/helpers.js';
+
+const DEFAULT_RANK_INTERVAL_MS = 30000;
+const DEFAULT_RANK_TIMEOUT_MS = 2000;
+
+export class RpcService {
+  constructor() {
+    this.logger = new Logger('RPC');
+    this.rankEnabled = process.env.RPC_RANK !== 'false';
+    this.rankIntervalMs = parseInt(process.env.RPC_RANK_INTERVAL_MS, 10) || DEFAULT_RANK_INTERVAL_MS;
+    this.rankTimeoutMs = parseInt(process.env.RPC_RANK_TIMEOUT_MS, 10) || DEFAULT_RANK_TIMEOUT_MS;
+    this.usage = new Map();
+    // Chain name -> ranked fallback transport, built by the chain's first public client
+    this.rankedTransports = new Map();
+  }
+
+  /**
+   * Create a viem transport over the chain's RPC endpoints
+   * @param {Object} chainConfig - Chain configuration (uses chainConfig.rpcUrls)
+   * @param {Object} [options]
+   * @param {AbortSignal|null} [options.signal] - Cancels in-flight requests (chain deadline)
+   * @param {boolean} [options.rank] - Use the chain's shared transport that re-ranks endpoints by health
+   * @returns {Function} viem transport
+   */
+  createTransport(chainConfig, { signal = null, rank = false } = {}) {
+    const urls = chainConfig.rpcUrls;
+    const httpOptions = signal ? { fetchOptions: { signal } } : {};
+
+    if (urls.length === 1) {
+      return http(urls[0], httpOptions);
+    }
+    if (rank && this.rankEnabled) {
+      return this.createRankedTransport(chainConfig, signal);
+    }
+
+    const transport = fallback(urls.map(url => http(url, httpOptions)));
+    return (params) => {
+      const instance = transport(params);
+      instance.value.onResponse(event => this.recordResponse(chainConfig.name, event, signal));
+      return instance;
+    };
+  }
+
+  /**
+   * Create a viem transport over the chain's shared ranked fallback. Ranking
+   * pings every endpoint until the process exits, so it is started once per
+   * chain and reused by every later client. The shared endpoints carry no
+   * signal: a client's signal rejects its pending requests instead.
+   * @param {Object} chainConfig - Chain configuration
+   * @param {AbortSignal|null} signal - Cancels this client's pending requests
+   * @returns {Function} viem transport
+   */
+  createRankedTransport(chainConfig, signal) {
+    return (params) => {
+      if (!this.rankedTransports.has(chainConfig.name)) {
+        const transport = fallback(chainConfig.rpcUrls.map(url => http(url)), {
+          rank: {
+            interval: this.rankIntervalMs,
+            timeout: this.rankTimeoutMs,
+            // eth_blockNumber is served by every provider; net_listening is not
+            ping: ({ transport: endpoint }) => endpoint.request({ method: 'eth_blockNumber' })
+          }
+        });
+        const instance = transport(params);
+        instance.value.onResponse(event => this.recordResponse(chainConfig.name, event));
+        this.rankedTransports.set(chainConfig.name, instance);
+      }
+
+      const instance = this.rankedTransports.get(chainConfig.name);
+      return signal
+        ? { ...instance, request: (args, options) => abortable(instance.request(args, options), signal) }
+        : instance;
+    };
+  }
+
+  /**
+   * Log and count a response from one endpoint of a fallback transport
+   * @param {string} chainName - Chain name
+   * @param {Object} event - viem onResponse event ({ method, status, error, transport })
+   * @param {AbortSignal|null} signal - Chain deadline signal
+   */
+  recordResponse(chainName, { method, status, error, transport }, signal = null) {
+    const provider = this.describeUrl(transport?.value?.url);
+    const usage = this.getUsage(chainName);
+
+    if (status === 'success') {
+      usage.served[provider] = (usage.served[provider] || 0) + 1;
+      this.logger.debug(`[${chainName}] ${method} served by ${provider}`, { chain: chainName, provider, method });
+      return;
+    }
+
+    // Aborted requests and deterministic rejections are not provider failures
+    if (signal?.aborted || !this.isFailoverError(error)) {
+      return;
+    }
+
+    usage.failovers += 1;
+    this.logger.chain(chainName, `RPC failover: ${method} failed on ${provider} (${error?.shortMessage || error?.message})`);
+  }
+
+  /**
+   * Whether viem's fallback transport moves on to the next endpoint after this error
+   * @param {Error} error - Request error
+   * @returns {boolean} False for reverts and rejections, which every endpoint would return
+   */
+  isFailoverError(error) {
+    if (error && typeof error.code === 'number') {
+      if (
+        error.code === TransactionRejectedRpcError.code ||
+        error.code === UserRejectedRequestError.code ||
+        ExecutionRevertedError.nodeMessage.test(error.message)
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get call counts for a chain
+   * @param {string} chainName - Chain name
+   * @returns {{ served: Object<string, number>, failovers: number }} Calls served per provider and failover count
+   */
+  getUsage(chainName) {
+    if (!this.usage.has(chainName)) {
+      this.usage.set(chainName, { served: {}, failovers: 0 });
+    }
+    return this.usage.get(chainName);
+  }
+
+  /**
+   * Log which providers served a chain's calls during the run
+   * @param {Object} chainConfig - Chain configuration
+   */
+  logUsage(chainConfig) {
+    if (chainConfig.rpcUrls.length < 2) return;
+
+    const usage = this.getUsage(chainConfig.name);
+    const served = Object.entries(usage.served).map(([provider, count]) => `${provider} ${count}`);
+    this.logger.chain(
+      chainConfig.name,
+      `RPC calls served: ${served.length > 0 ? served.join(', ') : 'none'} (failovers: ${usage.failovers})`
+    );
+  }
+
+  /**
+   * Describe a chain's endpoints for logs
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {string} Comma-separated provider hosts in configured order
+   */
+  describeProviders(chainConfig) {
+    return chainConfig.rpcUrls.map(url => this.describeUrl(url)).join(', ');
+  }
+
+  /**
+   * Reduce an RPC URL to its host so API keys in the path or query never reach the logs
+   * @param {string} url - RPC URL
+   * @returns {string} Host, or 'unknown' if the URL cannot be parsed
+   */
+  describeUrl(url) {
+    try {
+      return new URL(url).host;
+    } catch (_) {
+      return 'unknown';
+    }
+  }
+}
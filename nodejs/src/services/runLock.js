@@ -0,0 +1,172 @@
+/**
+ * Run Lock Service
+ *
+ * Lease-based lock per chain held in the configured database, so overlapping
+ * invocations (cron plus an ad-hoc run) never process the same chain at once.
+ * The holder renews its leases on a heartbeat; a crashed holder's leases
+ * expire and can be taken over. A holder whose lease was taken over is told
+ * through the chain's signal so it stops sending.
+ */
+
+import os from 'os';
+import { Logger } from '../utils/logger.js';
+import { createError } from '../utils/helpers.js';
+
+const DEFAULT_LEASE_MS = 300000;
+const DEFAULT_WAIT_TIMEOUT_MS = 1800000;
+const DEFAULT_POLL_MS = 15000;
+
+export class RunLockService {
+  /**
+   * @param {DatabaseService} databaseService - Database holding the run_locks table
+   */
+  constructor(databaseService) {
+    this.database = databaseService;
+    this.logger = new Logger('RunLock');
+    this.holderId = `${os.hostname()}_${process.pid}_${Math.random().toString(36).substring(2, 8)}`;
+    this.leaseMs = parseInt(process.env.RUN_LOCK_LEASE_MS, 10) || DEFAULT_LEASE_MS;
+    this.heartbeatMs = parseInt(process.env.RUN_LOCK_HEARTBEAT_MS, 10) || Math.floor(this.leaseMs / 3);
+    this.waitTimeoutMs = parseInt(process.env.RUN_LOCK_WAIT_TIMEOUT_MS, 10) || DEFAULT_WAIT_TIMEOUT_MS;
+    this.pollMs = parseInt(process.env.RUN_LOCK_POLL_MS, 10) || DEFAULT_POLL_MS;
+    this.heldChains = [];
+    this.lossControllers = new Map();
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Take the locks for all given chains, or none of them
+   * @param {string[]} chainNames - Chains to lock
+   * @param {Object} [options]
+   * @param {boolean} [options.wait] - Poll until the locks are free (up to RUN_LOCK_WAIT_TIMEOUT_MS)
+   * @returns {Promise<void>}
+   * @throws {Error} RUN_LOCKED when another run holds a lock
+   */
+  async acquire(chainNames, { wait = false } = {}) {
+    const deadline = Date.now() + this.waitTimeoutMs;
+
+    while (true) {
+      const blocked = await this.tryAcquire(chainNames);
+      if (blocked.length === 0) {
+        this.logger.info(`Run lock acquired for ${chainNames.join(', ')} (${this.holderId})`);
+        this.startHeartbeat();
+        return;
+      }
+
+      const holders = blocked.map(lock => lock.holder_id
+        ? `${lock.chain_name} held by ${lock.holder_id} until ${new Date(Number(lock.expires_at)).toISOString()}`
+        : `${lock.chain_name} held by another run`);
+
+      if (!wait || Date.now() + this.pollMs > deadline) {
+        throw createError(`Another run is in progress: ${holders.join('; ')}`, 'RUN_LOCKED', { locks: blocked });
+      }
+
+      this.logger.info(`Waiting for run lock: ${holders.join('; ')}`);
+      await new Promise(resolve => setTimeout(resolve, this.pollMs));
+    }
+  }
+
+  /**
+   * Try to lock every chain once, releasing what was taken if any chain is held
+   * @param {string[]} chainNames - Chains to lock
+   * @returns {Promise<Array>} Locks held by other runs (empty when all were acquired)
+   */
+  async tryAcquire(chainNames) {
+    const acquired = [];
+    const blocked = [];
+
+    for (const chainName of chainNames) {
+      if (await this.database.acquireRunLock(chainName, this.holderId, this.leaseMs)) {
+        acquired.push(chainName);
+      } else {
+        blocked.push(await this.database.getRunLock(chainName) || { chain_name: chainName });
+      }
+    }
+
+    if (blocked.length > 0) {
+      for (const chainName of acquired) {
+        await this.database.releaseRunLock(chainName, this.holderId);
+      }
+      return blocked;
+    }
+
+    this.heldChains = acquired;
+    this.lossControllers = new Map(acquired.map(chainName => [chainName, new AbortController()]));
+    return [];
+  }
+
+  /**
+   * Signal that fires with a RUN_LOCK_LOST error once another run takes over the chain's lease
+   * @param {string} chainName - Chain name
+   * @returns {AbortSignal|null} Signal, or null when the chain's lock is not held
+   */
+  signalFor(chainName) {
+    return this.lossControllers.get(chainName)?.signal ?? null;
+  }
+
+  /**
+   * Renew every held lease. A lease that was taken over is dropped and its chain's signal fires.
+   * @returns {Promise<void>}
+   */
+  async heartbeat() {
+    for (const chainName of [...this.heldChains]) {
+      try {
+        const renewed = await this.database.renewRunLock(chainName, this.holderId, this.leaseMs);
+        if (!renewed) {
+          this.logger.chain(chainName, 'Run lock lost - lease expired and was taken by another run');
+          this.heldChains = this.heldChains.filter(held => held !== chainName);
+          this.lossControllers.get(chainName)?.abort(createError(
+            `Run lock for ${chainName} was taken over by another run`,
+            'RUN_LOCK_LOST',
+            { chainName }
+          ));
+        }
+      } catch (error) {
+        this.logger.chain(chainName, 'Run lock heartbeat failed', error);
+      }
+    }
+  }
+
+  /**
+   * Start renewing held leases every RUN_LOCK_HEARTBEAT_MS
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat();
+    }, this.heartbeatMs);
+    // Never keep the process alive just for the heartbeat
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stop renewing leases
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Release every held lock (best-effort)
+   * @returns {Promise<void>}
+   */
+  async release() {
+    this.stopHeartbeat();
+
+    for (const chainName of this.heldChains) {
+      try {
+        await this.database.releaseRunLock(chainName, this.holderId);
+      } catch (error) {
+        this.logger.chain(chainName, 'Run lock release failed, it will expire', error);
+      }
+    }
+
+    if (this.heldChains.length > 0) {
+      this.logger.info(`Run lock released for ${this.heldChains.join(', ')}`);
+    }
+    this.heldChains = [];
+    this.lossControllers = new Map();
+  }
+}
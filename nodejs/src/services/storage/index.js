@@ -0,0 +1,93 @@
+/**
+ * Storage Backends
+ *
+ * DatabaseService keeps no SQL of its own; it delegates to a storage backend
+ * chosen by DATABASE_TYPE. A backend is an object with:
+ *
+ *   connect(), close(), isConnected()  Connection lifecycle
+ *   migrate()                          Bring the schema up to date
+ *   executions, tokens, balances,      Repositories with the methods listed
+ *   locks, notifications               in REPOSITORY_METHODS
+ *
+ * Repository methods take and return plain rows shaped like the tables in
+ * database/migrations. Validation, defaults and derived values (lease times,
+ * token units, raw deltas) stay in DatabaseService, so a backend only stores
+ * and queries. Built in are sqlite, postgresql and memory (for tests); others,
+ * such as MySQL or D1 over HTTP, are added with registerStorageBackend().
+ */
+
+import { createError } from '../../utils/helpers.js';
+import { SQLiteStorage } from './sqliteStorage.js';
+import { PostgreSQLStorage } from './postgresqlStorage.js';
+import { MemoryStorage } from './memoryStorage.js';
+
+export { SqlStorage } from './sqlStorage.js';
+export { SQLiteStorage, PostgreSQLStorage, MemoryStorage };
+
+export const REPOSITORY_METHODS = {
+  executions: [
+    'logExecution', 'getRecentExecutions', 'getExecutionStats', 'getRemitCostStats', 'getRemitProfitRows',
+    'logRemitSubscriptions', 'getRemitSubscriptions', 'createRemitRun', 'updateRemitRun', 'getInterruptedRemitRun'
+  ],
+  tokens: ['getTokenByAddress', 'createToken'],
+  balances: ['insertTokenBalance', 'recordTopUp', 'updateTopUp', 'getTopUpsSince', 'recordSweep', 'updateSweep', 'getSweepsSince'],
+  locks: ['acquireRunLock', 'renewRunLock', 'releaseRunLock', 'getRunLock', 'reserveNonce', 'releaseNonce'],
+  notifications: [
+    'logDigestEvent', 'getPendingDigestEvents', 'recordDigest', 'recordAlertOccurrence', 'markAlertNotified', 'resolveAlerts'
+  ]
+};
+
+const LIFECYCLE_METHODS = ['connect', 'close', 'isConnected', 'migrate'];
+
+const backends = new Map([
+  ['sqlite', (config) => new SQLiteStorage(config)],
+  ['postgresql', (config) => new PostgreSQLStorage(config)],
+  ['postgres', (config) => new PostgreSQLStorage(config)],
+  ['memory', (config) => new MemoryStorage(config)]
+]);
+
+/**
+ * Check that a storage backend implements the whole interface
+ * @param {Object} storage - Storage backend
+ * @returns {Object} The same storage backend
+ * @throws {Error} INVALID_STORAGE listing the missing methods
+ */
+export function validateStorage(storage) {
+  const missing = [
+    ...LIFECYCLE_METHODS.filter(method => typeof storage?.[method] !== 'function'),
+    ...Object.entries(REPOSITORY_METHODS).flatMap(([repository, methods]) =>
+      methods.filter(method => typeof storage?.[repository]?.[method] !== 'function').map(method => `${repository}.${method}`)
+    )
+  ];
+
+  if (missing.length > 0) {
+    throw createError(`Storage backend is missing ${missing.join(', ')}`, 'INVALID_STORAGE', { missing });
+  }
+  return storage;
+}
+
+/**
+ * Register a storage backend for a DATABASE_TYPE, replacing any registered before
+ * @param {string} type - Database type, matched case-insensitively
+ * @param {Function} factory - Called with the DatabaseConfigService; returns the storage backend
+ * @returns {void}
+ */
+export function registerStorageBackend(type, factory) {
+  if (typeof factory !== 'function') {
+    throw createError(`Storage backend factory for "${type}" must be a function`, 'INVALID_STORAGE');
+  }
+  backends.set(type.toLowerCase(), factory);
+}
+
+/**
+ * Create the storage backend for the configured database type
+ * @param {Object} config - DatabaseConfigService
+ * @returns {Object} Storage backend
+ */
+export function createStorage(config) {
+  const factory = backends.get(config.getDatabaseType());
+  if (!factory) {
+    throw new Error(`Unsupported database type: ${config.getDatabaseType()}`);
+  }
+  return validateStorage(factory(config));
+}
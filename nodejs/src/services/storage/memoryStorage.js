@@ -0,0 +1,744 @@
+/**
+ * Memory Storage
+ *
+ * Storage backend that keeps every table in process memory, for tests and
+ * dry runs. Rows have the same columns, defaults, ordering and uniqueness
+ * rules as the SQL schema in database/migrations; nothing survives close().
+ */
+
+import { createError } from '../../utils/helpers.js';
+import { remitCostStats } from '../profitability.js';
+
+/**
+ * Current time the way SQLite's datetime('now') formats it
+ * @returns {string} UTC timestamp as YYYY-MM-DD HH:MM:SS
+ */
+function sqlNow() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Compare two values the way ORDER BY does, nulls first
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} Sort order
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Sort comparator over several columns, ascending
+ * @param {...string} columns - Column names
+ * @returns {Function} Comparator
+ */
+function byColumns(...columns) {
+  return (a, b) => {
+    for (const column of columns) {
+      const order = compareValues(a[column], b[column]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Replace undefined values with null, as the SQL drivers store them
+ * @param {Object} values - Column values
+ * @returns {Object} Row
+ */
+function toRow(values) {
+  return Object.fromEntries(Object.entries(values).map(([column, value]) => [column, value === undefined ? null : value]));
+}
+
+class MemoryTable {
+  /**
+   * @param {string} name - Table name, for constraint errors
+   * @param {string[]} [unique] - Columns that must be unique when not null
+   */
+  constructor(name, unique = []) {
+    this.name = name;
+    this.unique = unique;
+    this.rows = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Insert a row with the next ID
+   * @param {Object} values - Column values
+   * @returns {Object} Stored row
+   * @throws {Error} UNIQUE_CONSTRAINT when a unique column is taken
+   */
+  insert(values) {
+    for (const column of this.unique) {
+      if (values[column] !== null && values[column] !== undefined && this.rows.some(row => row[column] === values[column])) {
+        throw createError(`UNIQUE constraint failed: ${this.name}.${column}`, 'UNIQUE_CONSTRAINT', { table: this.name, column });
+      }
+    }
+    const row = toRow({ id: this.nextId++, ...values });
+    this.rows.push(row);
+    return row;
+  }
+
+  /**
+   * Get copies of the rows that match
+   * @param {Function} [predicate] - Row filter
+   * @returns {Array<Object>} Rows in insertion order
+   */
+  select(predicate = () => true) {
+    return this.rows.filter(predicate).map(row => ({ ...row }));
+  }
+
+  /**
+   * Find a stored row
+   * @param {Function} predicate - Row filter
+   * @returns {Object|undefined} Stored row
+   */
+  find(predicate) {
+    return this.rows.find(predicate);
+  }
+}
+
+/**
+ * Create empty tables
+ * @returns {Object} Tables by name
+ */
+function createTables() {
+  return {
+    tokens: new MemoryTable('tokens'),
+    executionLogs: new MemoryTable('execution_logs', ['execution_id']),
+    tokenBalances: new MemoryTable('token_balances'),
+    remitSubscriptions: new MemoryTable('remit_subscriptions'),
+    remitRuns: new MemoryTable('remit_runs', ['run_id']),
+    digestEvents: new MemoryTable('digest_events'),
+    notificationDigests: new MemoryTable('notification_digests', ['digest_id']),
+    walletTopups: new MemoryTable('wallet_topups'),
+    sweeps: new MemoryTable('sweeps'),
+    // Keyed by their primary key
+    callerNonces: new Map(),
+    runLocks: new Map(),
+    alerts: new Map()
+  };
+}
+
+class MemoryRepository {
+  /**
+   * @param {MemoryStorage} storage - Memory storage backend; its tables are set on connect
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Tables of the connected backend
+   * @returns {Object} Tables by name
+   */
+  get tables() {
+    return this.storage.tables;
+  }
+}
+
+class MemoryExecutionRepository extends MemoryRepository {
+  /**
+   * Insert an execution log
+   * @param {Object} data - Execution data (see the execution_logs table)
+   * @returns {Promise<number>} Execution log ID
+   */
+  async logExecution(data) {
+    const row = this.tables.executionLogs.insert({
+      execution_id: data.execution_id,
+      timestamp: data.timestamp,
+      chain_name: data.chain_name,
+      chain_display_name: data.chain_display_name,
+      precheck_passed: data.precheck_passed,
+      current_day: data.current_day,
+      next_unchecked_day: data.next_unchecked_day,
+      should_proceed: data.should_proceed,
+      tx_hash: data.tx_hash,
+      tx_status: data.tx_status,
+      revert_reason: data.revert_reason,
+      gas_used: data.gas_used,
+      balance_before_eth: data.balance_before_eth,
+      balance_after_eth: data.balance_after_eth,
+      recursion_depth: data.recursion_depth,
+      max_recursion_reached: data.max_recursion_reached,
+      error_message: data.error_message,
+      error_stack: data.error_stack,
+      execution_time_ms: data.execution_time_ms,
+      created_at: sqlNow(),
+      status: data.status,
+      effective_gas_price: data.effective_gas_price,
+      l1_fee: data.l1_fee,
+      block_number: data.block_number,
+      nonce: data.nonce,
+      balance_before_wei: data.balance_before_wei,
+      balance_after_wei: data.balance_after_wei
+    });
+    return row.id;
+  }
+
+  /**
+   * Get recent executions, newest first
+   * @param {number} limit - Number of executions to return
+   * @param {string|null} chainName - Optional chain filter
+   * @returns {Promise<Array>} Execution log rows
+   */
+  async getRecentExecutions(limit, chainName) {
+    return this.tables.executionLogs
+      .select(row => !chainName || row.chain_name === chainName)
+      .sort((a, b) => compareValues(b.timestamp, a.timestamp))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get execution statistics
+   * @param {string|null} chainName - Optional chain filter
+   * @returns {Promise<Object>} total_executions, successful_txs, avg_execution_time and last_execution
+   */
+  async getExecutionStats(chainName) {
+    const rows = this.tables.executionLogs.select(row => !chainName || row.chain_name === chainName);
+    const times = rows.map(row => row.execution_time_ms).filter(time => time !== null);
+    const timestamps = rows.map(row => row.timestamp).sort(compareValues);
+
+    // Aggregates over no rows are null, as in SQL
+    return {
+      total_executions: rows.length,
+      successful_txs: rows.length === 0 ? null : rows.filter(row => row.tx_status === 1).length,
+      avg_execution_time: times.length === 0 ? null : times.reduce((sum, time) => sum + time, 0) / times.length,
+      last_execution: timestamps.at(-1) ?? null
+    };
+  }
+
+  /**
+   * Get the summed gas cost of a chain's remit transactions since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp, inclusive
+   * @returns {Promise<{ remits: number, total_cost_eth: number|null, first_at: string|null }>} Remit cost stats
+   */
+  async getRemitCostStats(chainName, since) {
+    return remitCostStats(this.tables.executionLogs
+      .select(row => row.chain_name === chainName && row.timestamp >= since && row.tx_hash !== null)
+      .sort((a, b) => compareValues(a.timestamp, b.timestamp)));
+  }
+
+  /**
+   * Get remit transactions with the caller's token balances across each one
+   * @param {{ chainName: string|null, since: string|null, until: string|null }} filters - Chain and ISO timestamp range (since inclusive, until exclusive)
+   * @returns {Promise<Array<Object>>} execution_logs rows with tx_hash, oldest first, each with tokens: [{ symbol, decimals, balance_before, balance_after, delta_raw }]
+   */
+  async getRemitProfitRows({ chainName, since, until }) {
+    const remits = this.tables.executionLogs
+      .select(row =>
+        row.tx_hash !== null &&
+        (chainName === null || row.chain_name === chainName) &&
+        (since === null || row.timestamp >= since) &&
+        (until === null || row.timestamp < until)
+      )
+      .sort(byColumns('timestamp', 'id'));
+
+    return remits.map(row => ({
+      id: row.id,
+      execution_id: row.execution_id,
+      chain_name: row.chain_name,
+      timestamp: row.timestamp,
+      tx_hash: row.tx_hash,
+      tx_status: row.tx_status,
+      gas_used: row.gas_used,
+      effective_gas_price: row.effective_gas_price,
+      l1_fee: row.l1_fee,
+      balance_before_eth: row.balance_before_eth,
+      balance_after_eth: row.balance_after_eth,
+      balance_before_wei: row.balance_before_wei,
+      balance_after_wei: row.balance_after_wei,
+      tokens: this.tables.tokenBalances
+        .select(balance => balance.execution_log_id === row.id)
+        .flatMap(balance => {
+          const token = this.tables.tokens.find(t => t.id === balance.token_id);
+          if (!token) return [];
+          return [{
+            symbol: token.token_symbol,
+            decimals: token.decimals,
+            balance_before: balance.balance_before,
+            balance_after: balance.balance_after,
+            delta_raw: balance.delta_raw
+          }];
+        })
+    }));
+  }
+
+  /**
+   * Insert the subscription ids found by checksubs for a run
+   * @param {Array<Array>} rows - [execution_id, chain_name, check_day, frequency, frequency_name, due_day, subscription_id]
+   * @returns {Promise<void>}
+   */
+  async logRemitSubscriptions(rows) {
+    for (const [execution_id, chain_name, check_day, frequency, frequency_name, due_day, subscription_id] of rows) {
+      this.tables.remitSubscriptions.insert({
+        execution_id, chain_name, check_day, frequency, frequency_name, due_day, subscription_id, created_at: sqlNow()
+      });
+    }
+  }
+
+  /**
+   * Get the subscription ids recorded for a run
+   * @param {string} executionId - Execution ID of the run
+   * @returns {Promise<Array>} Subscription rows ordered by day, frequency and due day
+   */
+  async getRemitSubscriptions(executionId) {
+    return this.tables.remitSubscriptions
+      .select(row => row.execution_id === executionId)
+      .sort(byColumns('check_day', 'frequency', 'due_day', 'id'));
+  }
+
+  /**
+   * Insert a batch run record
+   * @param {{ run_id: string, chain_name: string, current_day: number, subscriptions_remaining?: number, next_unchecked_day?: number }} data - Run data
+   * @returns {Promise<void>}
+   */
+  async createRemitRun(data) {
+    const now = sqlNow();
+    this.tables.remitRuns.insert({
+      run_id: data.run_id,
+      chain_name: data.chain_name,
+      current_day: data.current_day,
+      status: 'running',
+      batches_completed: 0,
+      subscriptions_remaining: data.subscriptions_remaining,
+      next_unchecked_day: data.next_unchecked_day,
+      error_message: null,
+      started_at: now,
+      updated_at: now
+    });
+  }
+
+  /**
+   * Update columns of a batch run record and its updated_at
+   * @param {string} runId - Run ID
+   * @param {Object} fields - Columns to update, already filtered to known ones
+   * @returns {Promise<void>}
+   */
+  async updateRemitRun(runId, fields) {
+    const run = this.tables.remitRuns.find(row => row.run_id === runId);
+    if (run) {
+      Object.assign(run, toRow(fields), { updated_at: sqlNow() });
+    }
+  }
+
+  /**
+   * Get the most recent run for a chain that never finished
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Run record or null
+   */
+  async getInterruptedRemitRun(chainName) {
+    return this.tables.remitRuns
+      .select(row => row.chain_name === chainName && row.status === 'running')
+      .at(-1) ?? null;
+  }
+}
+
+class MemoryTokenRepository extends MemoryRepository {
+  /**
+   * Get token by address and chain
+   * @param {string} tokenAddress - Token address
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async getTokenByAddress(tokenAddress, chainName) {
+    return this.tables.tokens.select(row => row.token_address === tokenAddress && row.chain_name === chainName)[0] ?? null;
+  }
+
+  /**
+   * Insert a token unless one with the same address and chain exists
+   * @param {Object} tokenData - Token data (see the tokens table)
+   * @returns {Promise<Object>} Created or existing token record
+   */
+  async createToken(tokenData) {
+    const existing = await this.getTokenByAddress(tokenData.token_address, tokenData.chain_name);
+    if (existing) {
+      return existing;
+    }
+
+    const row = this.tables.tokens.insert({
+      token_address: tokenData.token_address,
+      token_symbol: tokenData.token_symbol,
+      token_name: tokenData.token_name,
+      decimals: tokenData.decimals,
+      chain_name: tokenData.chain_name,
+      // Default to active
+      is_active: tokenData.is_active !== false,
+      created_at: sqlNow()
+    });
+    return { ...row };
+  }
+}
+
+class MemoryBalanceRepository extends MemoryRepository {
+  /**
+   * Insert a token balance row
+   * @param {{ execution_log_id: number, token_id: number, balance_before: number|null, balance_after: number|null, balance_before_raw: string|null, balance_after_raw: string|null, delta_raw: string|null }} row - Token balance
+   * @returns {Promise<void>}
+   */
+  async insertTokenBalance(row) {
+    this.tables.tokenBalances.insert({
+      execution_log_id: row.execution_log_id,
+      token_id: row.token_id,
+      balance_before: row.balance_before,
+      balance_after: row.balance_after,
+      balance_before_raw: row.balance_before_raw,
+      balance_after_raw: row.balance_after_raw,
+      delta_raw: row.delta_raw,
+      created_at: sqlNow()
+    });
+  }
+
+  /**
+   * Insert a caller top-up record
+   * @param {Object} data - Top-up data (see the wallet_topups table)
+   * @returns {Promise<number>} Top-up ID
+   */
+  async recordTopUp(data) {
+    return this.tables.walletTopups.insert({
+      chain_name: data.chain_name,
+      treasury_address: data.treasury_address,
+      recipient_address: data.recipient_address,
+      amount_eth: data.amount_eth,
+      threshold_eth: data.threshold_eth,
+      balance_before_eth: data.balance_before_eth,
+      status: data.status,
+      reason: data.reason,
+      tx_hash: data.tx_hash,
+      created_at: data.created_at,
+      updated_at: data.created_at
+    }).id;
+  }
+
+  /**
+   * Update columns of a top-up record
+   * @param {number} id - Top-up ID
+   * @param {Object} fields - Columns to update, already filtered to known ones
+   * @returns {Promise<void>}
+   */
+  async updateTopUp(id, fields) {
+    const topUp = this.tables.walletTopups.find(row => row.id === id);
+    if (topUp) {
+      Object.assign(topUp, toRow(fields));
+    }
+  }
+
+  /**
+   * Get a chain's top-ups recorded since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp, inclusive
+   * @returns {Promise<Array>} Top-up records, oldest first
+   */
+  async getTopUpsSince(chainName, since) {
+    return this.tables.walletTopups
+      .select(row => row.chain_name === chainName && row.created_at >= since)
+      .sort(byColumns('created_at', 'id'));
+  }
+
+  /**
+   * Insert a token sweep record
+   * @param {Object} data - Sweep data (see the sweeps table)
+   * @returns {Promise<number>} Sweep ID
+   */
+  async recordSweep(data) {
+    return this.tables.sweeps.insert({
+      execution_id: data.execution_id,
+      chain_name: data.chain_name,
+      token_address: data.token_address,
+      token_symbol: data.token_symbol,
+      from_address: data.from_address,
+      to_address: data.to_address,
+      amount: data.amount,
+      balance_before: data.balance_before,
+      float_retained: data.float_retained,
+      status: data.status,
+      error_message: data.error_message,
+      tx_hash: data.tx_hash,
+      created_at: data.created_at,
+      updated_at: data.created_at
+    }).id;
+  }
+
+  /**
+   * Update columns of a sweep record
+   * @param {number} id - Sweep ID
+   * @param {Object} fields - Columns to update, already filtered to known ones
+   * @returns {Promise<void>}
+   */
+  async updateSweep(id, fields) {
+    const sweep = this.tables.sweeps.find(row => row.id === id);
+    if (sweep) {
+      Object.assign(sweep, toRow(fields));
+    }
+  }
+
+  /**
+   * Get a chain's sweeps recorded since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp, inclusive
+   * @returns {Promise<Array>} Sweep records, oldest first
+   */
+  async getSweepsSince(chainName, since) {
+    return this.tables.sweeps
+      .select(row => row.chain_name === chainName && row.created_at >= since)
+      .sort(byColumns('created_at', 'id'));
+  }
+}
+
+class MemoryLockRepository extends MemoryRepository {
+  /**
+   * Take the run lock for a chain if it is free, expired or already held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @param {number} now - Current time in epoch ms
+   * @param {number} expiresAt - Lease end in epoch ms
+   * @returns {Promise<boolean>} True if the lock is now held by holderId
+   */
+  async acquireRunLock(chainName, holderId, now, expiresAt) {
+    const lock = this.tables.runLocks.get(chainName);
+    if (lock && lock.expires_at >= now && lock.holder_id !== holderId) {
+      return false;
+    }
+    this.tables.runLocks.set(chainName, { chain_name: chainName, holder_id: holderId, acquired_at: now, expires_at: expiresAt });
+    return true;
+  }
+
+  /**
+   * Move the lease end of a run lock held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @param {number} expiresAt - Lease end in epoch ms
+   * @returns {Promise<boolean>} False if the lock is no longer held by holderId
+   */
+  async renewRunLock(chainName, holderId, expiresAt) {
+    const lock = this.tables.runLocks.get(chainName);
+    if (!lock || lock.holder_id !== holderId) {
+      return false;
+    }
+    lock.expires_at = expiresAt;
+    return true;
+  }
+
+  /**
+   * Release a run lock held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @returns {Promise<void>}
+   */
+  async releaseRunLock(chainName, holderId) {
+    if (this.tables.runLocks.get(chainName)?.holder_id === holderId) {
+      this.tables.runLocks.delete(chainName);
+    }
+  }
+
+  /**
+   * Get the run lock for a chain
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Lock record or null
+   */
+  async getRunLock(chainName) {
+    const lock = this.tables.runLocks.get(chainName);
+    return lock ? { ...lock } : null;
+  }
+
+  /**
+   * Read and advance the stored nonce. Nothing else runs between the read and
+   * the write, so concurrent reservations never get the same nonce.
+   * @param {string} chainName - Chain name
+   * @param {string} callerAddress - Caller address (lowercase)
+   * @param {Function} resolve - Called with the stored row ({ next_nonce, age_ms }) or null; returns the nonce to hand out
+   * @returns {Promise<number>} Reserved nonce
+   */
+  async reserveNonce(chainName, callerAddress, resolve) {
+    const key = `${chainName}:${callerAddress}`;
+    const row = this.tables.callerNonces.get(key);
+    const nonce = resolve(row ? { next_nonce: row.next_nonce, age_ms: Date.now() - row.updated_at } : null);
+    this.tables.callerNonces.set(key, { next_nonce: nonce + 1, updated_at: Date.now() });
+    return nonce;
+  }
+
+  /**
+   * Hand a reserved nonce back if no later nonce was reserved
+   * @param {string} chainName - Chain name
+   * @param {string} callerAddress - Caller address (lowercase)
+   * @param {number} nonce - Reserved nonce
+   * @returns {Promise<boolean>} True if the nonce was released
+   */
+  async releaseNonce(chainName, callerAddress, nonce) {
+    const row = this.tables.callerNonces.get(`${chainName}:${callerAddress}`);
+    if (!row || row.next_nonce !== nonce + 1) {
+      return false;
+    }
+    Object.assign(row, { next_nonce: nonce, updated_at: Date.now() });
+    return true;
+  }
+}
+
+class MemoryNotificationRepository extends MemoryRepository {
+  /**
+   * Insert a notification event held for the next digest
+   * @param {Object} data - Event data (see the digest_events table)
+   * @returns {Promise<number>} Digest event ID
+   */
+  async logDigestEvent(data) {
+    return this.tables.digestEvents.insert({
+      chain_name: data.chain_name,
+      chain_display_name: data.chain_display_name,
+      event_type: data.event_type,
+      tx_hash: data.tx_hash,
+      gas_used: data.gas_used,
+      gas_cost_eth: data.gas_cost_eth,
+      balance_before_eth: data.balance_before_eth,
+      balance_after_eth: data.balance_after_eth,
+      token_balances: data.token_balances,
+      current_day: data.current_day,
+      error_type: data.error_type,
+      error_message: data.error_message,
+      recorded_at: data.recorded_at,
+      digest_id: null
+    }).id;
+  }
+
+  /**
+   * Get the held events not yet covered by a digest
+   * @param {string} before - ISO timestamp, exclusive
+   * @returns {Promise<Array>} Digest event rows, oldest first
+   */
+  async getPendingDigestEvents(before) {
+    return this.tables.digestEvents
+      .select(row => row.digest_id === null && row.recorded_at < before)
+      .sort(byColumns('recorded_at', 'id'));
+  }
+
+  /**
+   * Insert a sent digest and mark the events it covered
+   * @param {{ digest_id: string, schedule: string, period_start: string, period_end: string }} digest - Digest data
+   * @param {number[]} eventIds - IDs of the digest events it covered
+   * @returns {Promise<void>}
+   */
+  async recordDigest(digest, eventIds) {
+    this.tables.notificationDigests.insert({
+      digest_id: digest.digest_id,
+      schedule: digest.schedule,
+      period_start: digest.period_start,
+      period_end: digest.period_end,
+      event_count: eventIds.length,
+      sent_at: sqlNow()
+    });
+    for (const event of this.tables.digestEvents.rows) {
+      if (eventIds.includes(event.id)) {
+        event.digest_id = digest.digest_id;
+      }
+    }
+  }
+
+  /**
+   * Record one occurrence of an error fingerprint, reopening a resolved alert
+   * @param {Object} data - Occurrence data (see DatabaseService.recordAlertOccurrence)
+   * @returns {Promise<Object>} Alert record after the update
+   */
+  async recordAlertOccurrence(data) {
+    const alert = this.tables.alerts.get(data.fingerprint);
+    if (alert && alert.resolved_at === null) {
+      Object.assign(alert, { occurrences: alert.occurrences + 1, last_seen_at: data.seen_at });
+      return { ...alert };
+    }
+
+    // A resolved alert is replaced, keeping its chain and error type as the upsert does
+    const reopened = {
+      fingerprint: data.fingerprint,
+      chain_name: alert?.chain_name ?? data.chain_name,
+      chain_display_name: alert?.chain_display_name ?? data.chain_display_name,
+      error_type: alert?.error_type ?? data.error_type,
+      message: data.message,
+      first_seen_at: data.seen_at,
+      last_seen_at: data.seen_at,
+      last_notified_at: null,
+      occurrences: 1,
+      resolved_at: null
+    };
+    this.tables.alerts.set(data.fingerprint, reopened);
+    return { ...reopened };
+  }
+
+  /**
+   * Mark an alert as notified
+   * @param {string} fingerprint - Alert fingerprint
+   * @param {string} notifiedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async markAlertNotified(fingerprint, notifiedAt) {
+    const alert = this.tables.alerts.get(fingerprint);
+    if (alert) {
+      alert.last_notified_at = notifiedAt;
+    }
+  }
+
+  /**
+   * Resolve the open alerts of a chain last seen before a time
+   * @param {string} chainName - Chain name
+   * @param {string} seenBefore - ISO timestamp, exclusive
+   * @param {string} resolvedAt - ISO timestamp
+   * @returns {Promise<Array>} Alert records that were resolved, by first seen
+   */
+  async resolveAlerts(chainName, seenBefore, resolvedAt) {
+    const resolved = [...this.tables.alerts.values()]
+      .filter(alert => alert.chain_name === chainName && alert.resolved_at === null && alert.last_seen_at < seenBefore);
+    for (const alert of resolved) {
+      alert.resolved_at = resolvedAt;
+    }
+    return resolved.map(alert => ({ ...alert })).sort(byColumns('first_seen_at'));
+  }
+}
+
+export class MemoryStorage {
+  /**
+   * @param {Object} [config] - DatabaseConfigService; unused, accepted like the other backends
+   */
+  constructor(config = null) {
+    this.config = config;
+    // Set on connect
+    this.tables = null;
+
+    this.executions = new MemoryExecutionRepository(this);
+    this.tokens = new MemoryTokenRepository(this);
+    this.balances = new MemoryBalanceRepository(this);
+    this.locks = new MemoryLockRepository(this);
+    this.notifications = new MemoryNotificationRepository(this);
+  }
+
+  /**
+   * Start with empty tables
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.tables = createTables();
+  }
+
+  /**
+   * Drop every table
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.tables = null;
+  }
+
+  /**
+   * Check if connected
+   * @returns {boolean} True if connected
+   */
+  isConnected() {
+    return this.tables !== null;
+  }
+
+  /**
+   * The tables always have the latest schema
+   * @returns {Promise<void>}
+   */
+  async migrate() {}
+}
@@ -0,0 +1,49 @@
+/**
+ * PostgreSQL Storage
+ *
+ * Storage backend on a pg connection pool.
+ */
+
+import { SqlStorage } from './sqlStorage.js';
+
+export class PostgreSQLStorage extends SqlStorage {
+  /**
+   * @param {Object} config - DatabaseConfigService
+   */
+  constructor(config) {
+    super(config, 'PostgreSQLStorage');
+  }
+
+  /**
+   * Open a connection pool and test it
+   * @returns {Promise<Object>} pg Pool
+   */
+  async open() {
+    try {
+      const { Pool } = await import('pg');
+      const options = this.config.getConnectionOptions();
+
+      const pool = new Pool(options);
+
+      // Test connection
+      const client = await pool.connect();
+      await client.query('SELECT NOW()');
+      client.release();
+
+      this.logger.info(`Connected to PostgreSQL database: ${options.database}`);
+      return pool;
+    } catch (error) {
+      this.logger.error('Failed to connect to PostgreSQL database', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the connection pool
+   * @param {Object} pool - pg Pool
+   * @returns {Promise<void>}
+   */
+  async end(pool) {
+    await pool.end();
+  }
+}
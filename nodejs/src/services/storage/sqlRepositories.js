@@ -0,0 +1,601 @@
+/**
+ * SQL Repositories
+ *
+ * Storage repositories shared by the SQL backends. Each query is written once
+ * with `?` placeholders and runs through the backend's query runner, which
+ * handles the dialect (see queryRunner.js).
+ */
+
+import { remitCostStats } from '../profitability.js';
+
+class SqlRepository {
+  /**
+   * @param {Object} storage - SQL storage backend; its query runner is set on connect
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Query runner of the connected backend
+   * @returns {Object} Query runner
+   */
+  get query() {
+    return this.storage.query;
+  }
+}
+
+export class SqlExecutionRepository extends SqlRepository {
+  /**
+   * Insert an execution log
+   * @param {Object} data - Execution data (see the execution_logs table)
+   * @returns {Promise<number>} Execution log ID
+   */
+  async logExecution(data) {
+    return this.query.insert(`
+      INSERT INTO execution_logs (
+        execution_id, timestamp, chain_name, chain_display_name, precheck_passed,
+        current_day, next_unchecked_day, should_proceed, tx_hash, tx_status,
+        revert_reason, gas_used, balance_before_eth, balance_after_eth,
+        recursion_depth, max_recursion_reached, error_message, error_stack,
+        execution_time_ms, status, effective_gas_price, l1_fee, block_number,
+        nonce, balance_before_wei, balance_after_wei
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.execution_id,
+      data.timestamp,
+      data.chain_name,
+      data.chain_display_name,
+      data.precheck_passed,
+      data.current_day,
+      data.next_unchecked_day,
+      data.should_proceed,
+      data.tx_hash,
+      data.tx_status,
+      data.revert_reason,
+      data.gas_used,
+      data.balance_before_eth,
+      data.balance_after_eth,
+      data.recursion_depth,
+      data.max_recursion_reached,
+      data.error_message,
+      data.error_stack,
+      data.execution_time_ms,
+      data.status,
+      data.effective_gas_price,
+      data.l1_fee,
+      data.block_number,
+      data.nonce,
+      data.balance_before_wei,
+      data.balance_after_wei
+    ]);
+  }
+
+  /**
+   * Get recent executions, newest first
+   * @param {number} limit - Number of executions to return
+   * @param {string|null} chainName - Optional chain filter
+   * @returns {Promise<Array>} Execution log rows
+   */
+  async getRecentExecutions(limit, chainName) {
+    return this.query.all(`
+      SELECT * FROM execution_logs
+      ${chainName ? 'WHERE chain_name = ?' : ''}
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `, chainName ? [chainName, limit] : [limit]);
+  }
+
+  /**
+   * Get execution statistics
+   * @param {string|null} chainName - Optional chain filter
+   * @returns {Promise<Object>} total_executions, successful_txs, avg_execution_time and last_execution
+   */
+  async getExecutionStats(chainName) {
+    return this.query.get(`
+      SELECT
+        COUNT(*) as total_executions,
+        SUM(CASE WHEN tx_status = 1 THEN 1 ELSE 0 END) as successful_txs,
+        AVG(execution_time_ms) as avg_execution_time,
+        MAX(timestamp) as last_execution
+      FROM execution_logs
+      ${chainName ? 'WHERE chain_name = ?' : ''}
+    `, chainName ? [chainName] : []);
+  }
+
+  /**
+   * Get the summed gas cost of a chain's remit transactions since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp, inclusive
+   * @returns {Promise<{ remits: number, total_cost_eth: number|null, first_at: string|null }>} Remit cost stats
+   */
+  async getRemitCostStats(chainName, since) {
+    const rows = await this.query.all(`
+      SELECT timestamp, gas_used, effective_gas_price, l1_fee,
+        balance_before_eth, balance_after_eth, balance_before_wei, balance_after_wei
+      FROM execution_logs
+      WHERE chain_name = ? AND timestamp >= ? AND tx_hash IS NOT NULL
+      ORDER BY timestamp
+    `, [chainName, since]);
+    // PostgreSQL returns TIMESTAMP as a Date
+    return remitCostStats(rows.map(row => ({
+      ...row,
+      timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp
+    })));
+  }
+
+  /**
+   * Get remit transactions with the caller's token balances across each one
+   * @param {{ chainName: string|null, since: string|null, until: string|null }} filters - Chain and ISO timestamp range (since inclusive, until exclusive)
+   * @returns {Promise<Array<Object>>} execution_logs rows with tx_hash, oldest first, each with tokens: [{ symbol, decimals, balance_before, balance_after, delta_raw }]
+   */
+  async getRemitProfitRows({ chainName, since, until }) {
+    const filters = [['e.chain_name', '=', chainName], ['e.timestamp', '>=', since], ['e.timestamp', '<', until]]
+      .filter(([, , value]) => value !== null);
+
+    const rows = await this.query.all(`
+      SELECT e.id, e.execution_id, e.chain_name, e.timestamp, e.tx_hash, e.tx_status, e.gas_used, e.effective_gas_price, e.l1_fee,
+        e.balance_before_eth, e.balance_after_eth, e.balance_before_wei, e.balance_after_wei,
+        t.token_symbol, t.decimals as token_decimals, tb.balance_before as token_balance_before, tb.balance_after as token_balance_after,
+        tb.delta_raw as token_delta_raw
+      FROM execution_logs e
+      LEFT JOIN token_balances tb ON tb.execution_log_id = e.id
+      LEFT JOIN tokens t ON t.id = tb.token_id
+      WHERE e.tx_hash IS NOT NULL${filters.map(([column, op]) => ` AND ${column} ${op} ?`).join('')}
+      ORDER BY e.timestamp, e.id, tb.id
+    `, filters.map(([, , value]) => value));
+
+    // One row per token balance; fold them into their remit
+    const remits = new Map();
+    for (const row of rows) {
+      if (!remits.has(row.id)) {
+        const { token_symbol, token_decimals, token_balance_before, token_balance_after, token_delta_raw, ...remit } = row;
+        remits.set(row.id, {
+          ...remit,
+          timestamp: remit.timestamp instanceof Date ? remit.timestamp.toISOString() : remit.timestamp,
+          tokens: []
+        });
+      }
+      if (row.token_symbol !== null) {
+        remits.get(row.id).tokens.push({
+          symbol: row.token_symbol,
+          decimals: row.token_decimals,
+          balance_before: row.token_balance_before,
+          balance_after: row.token_balance_after,
+          delta_raw: row.token_delta_raw
+        });
+      }
+    }
+    return [...remits.values()];
+  }
+
+  /**
+   * Insert the subscription ids found by checksubs for a run, in one transaction
+   * @param {Array<Array>} rows - [execution_id, chain_name, check_day, frequency, frequency_name, due_day, subscription_id]
+   * @returns {Promise<void>}
+   */
+  async logRemitSubscriptions(rows) {
+    await this.query.transaction(async (tx) => {
+      for (const row of rows) {
+        await tx.run(`
+          INSERT INTO remit_subscriptions (execution_id, chain_name, check_day, frequency, frequency_name, due_day, subscription_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, row);
+      }
+    });
+  }
+
+  /**
+   * Get the subscription ids recorded for a run
+   * @param {string} executionId - Execution ID of the run
+   * @returns {Promise<Array>} Subscription rows ordered by day, frequency and due day
+   */
+  async getRemitSubscriptions(executionId) {
+    return this.query.all(`
+      SELECT * FROM remit_subscriptions
+      WHERE execution_id = ?
+      ORDER BY check_day, frequency, due_day, id
+    `, [executionId]);
+  }
+
+  /**
+   * Insert a batch run record
+   * @param {{ run_id: string, chain_name: string, current_day: number, subscriptions_remaining?: number, next_unchecked_day?: number }} data - Run data
+   * @returns {Promise<void>}
+   */
+  async createRemitRun(data) {
+    await this.query.run(`
+      INSERT INTO remit_runs (run_id, chain_name, current_day, subscriptions_remaining, next_unchecked_day)
+      VALUES (?, ?, ?, ?, ?)
+    `, [data.run_id, data.chain_name, data.current_day, data.subscriptions_remaining, data.next_unchecked_day]);
+  }
+
+  /**
+   * Update columns of a batch run record and its updated_at
+   * @param {string} runId - Run ID
+   * @param {Object} fields - Columns to update, already filtered to known ones
+   * @returns {Promise<void>}
+   */
+  async updateRemitRun(runId, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    await this.query.run(
+      `UPDATE remit_runs SET ${assignments}, updated_at = ${this.query.now} WHERE run_id = ?`,
+      [...columns.map(column => fields[column]), runId]
+    );
+  }
+
+  /**
+   * Get the most recent run for a chain that never finished
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Run record or null
+   */
+  async getInterruptedRemitRun(chainName) {
+    return this.query.get(`
+      SELECT * FROM remit_runs
+      WHERE chain_name = ? AND status = 'running'
+      ORDER BY id DESC
+      LIMIT 1
+    `, [chainName]);
+  }
+}
+
+export class SqlTokenRepository extends SqlRepository {
+  /**
+   * Get token by address and chain
+   * @param {string} tokenAddress - Token address
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async getTokenByAddress(tokenAddress, chainName) {
+    return this.query.get('SELECT * FROM tokens WHERE token_address = ? AND chain_name = ?', [tokenAddress, chainName]);
+  }
+
+  /**
+   * Insert a token unless one with the same address and chain exists
+   * @param {Object} tokenData - Token data (see the tokens table)
+   * @returns {Promise<Object>} Created or existing token record
+   */
+  async createToken(tokenData) {
+    // ON CONFLICT handles the composite unique constraint (token_address, chain_name)
+    await this.query.run(`
+      INSERT INTO tokens (token_address, token_symbol, token_name, decimals, chain_name, is_active)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (token_address, chain_name) DO NOTHING
+    `, [
+      tokenData.token_address,
+      tokenData.token_symbol,
+      tokenData.token_name,
+      tokenData.decimals,
+      tokenData.chain_name,
+      // Default to active
+      tokenData.is_active !== false
+    ]);
+
+    // Works whether the insert happened or the token already existed
+    const token = await this.getTokenByAddress(tokenData.token_address, tokenData.chain_name);
+    if (!token) {
+      throw new Error('Failed to create or retrieve token record');
+    }
+    return token;
+  }
+}
+
+export class SqlBalanceRepository extends SqlRepository {
+  /**
+   * Insert a token balance row
+   * @param {{ execution_log_id: number, token_id: number, balance_before: number|null, balance_after: number|null, balance_before_raw: string|null, balance_after_raw: string|null, delta_raw: string|null }} row - Token balance
+   * @returns {Promise<void>}
+   */
+  async insertTokenBalance(row) {
+    await this.query.run(`
+      INSERT INTO token_balances (execution_log_id, token_id, balance_before, balance_after, balance_before_raw, balance_after_raw, delta_raw)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [row.execution_log_id, row.token_id, row.balance_before, row.balance_after, row.balance_before_raw, row.balance_after_raw, row.delta_raw]);
+  }
+
+  /**
+   * Insert a caller top-up record
+   * @param {Object} data - Top-up data (see the wallet_topups table)
+   * @returns {Promise<number>} Top-up ID
+   */
+  async recordTopUp(data) {
+    return this.query.insert(`
+      INSERT INTO wallet_topups (
+        chain_name, treasury_address, recipient_address, amount_eth, threshold_eth,
+        balance_before_eth, status, reason, tx_hash, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.chain_name,
+      data.treasury_address,
+      data.recipient_address,
+      data.amount_eth,
+      data.threshold_eth,
+      data.balance_before_eth,
+      data.status,
+      data.reason,
+      data.tx_hash,
+      data.created_at,
+      data.created_at
+    ]);
+  }
+
+  /**
+   * Update columns of a top-up record
+   * @param {number} id - Top-up ID
+   * @param {Object} fields - Columns to update, already filtered to known ones
+   * @returns {Promise<void>}
+   */
+  async updateTopUp(id, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    await this.query.run(`UPDATE wallet_topups SET ${assignments} WHERE id = ?`, [...columns.map(column => fields[column]), id]);
+  }
+
+  /**
+   * Get a chain's top-ups recorded since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp, inclusive
+   * @returns {Promise<Array>} Top-up records, oldest first
+   */
+  async getTopUpsSince(chainName, since) {
+    return this.query.all('SELECT * FROM wallet_topups WHERE chain_name = ? AND created_at >= ? ORDER BY created_at, id', [chainName, since]);
+  }
+
+  /**
+   * Insert a token sweep record
+   * @param {Object} data - Sweep data (see the sweeps table)
+   * @returns {Promise<number>} Sweep ID
+   */
+  async recordSweep(data) {
+    return this.query.insert(`
+      INSERT INTO sweeps (
+        execution_id, chain_name, token_address, token_symbol, from_address, to_address, amount,
+        balance_before, float_retained, status, error_message, tx_hash, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.execution_id,
+      data.chain_name,
+      data.token_address,
+      data.token_symbol,
+      data.from_address,
+      data.to_address,
+      data.amount,
+      data.balance_before,
+      data.float_retained,
+      data.status,
+      data.error_message,
+      data.tx_hash,
+      data.created_at,
+      data.created_at
+    ]);
+  }
+
+  /**
+   * Update columns of a sweep record
+   * @param {number} id - Sweep ID
+   * @param {Object} fields - Columns to update, already filtered to known ones
+   * @returns {Promise<void>}
+   */
+  async updateSweep(id, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    await this.query.run(`UPDATE sweeps SET ${assignments} WHERE id = ?`, [...columns.map(column => fields[column]), id]);
+  }
+
+  /**
+   * Get a chain's sweeps recorded since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp, inclusive
+   * @returns {Promise<Array>} Sweep records, oldest first
+   */
+  async getSweepsSince(chainName, since) {
+    return this.query.all('SELECT * FROM sweeps WHERE chain_name = ? AND created_at >= ? ORDER BY created_at, id', [chainName, since]);
+  }
+}
+
+export class SqlLockRepository extends SqlRepository {
+  /**
+   * Take the run lock for a chain if it is free, expired or already held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @param {number} now - Current time in epoch ms
+   * @param {number} expiresAt - Lease end in epoch ms
+   * @returns {Promise<boolean>} True if the lock is now held by holderId
+   */
+  async acquireRunLock(chainName, holderId, now, expiresAt) {
+    const result = await this.query.run(`
+      INSERT INTO run_locks (chain_name, holder_id, acquired_at, expires_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (chain_name) DO UPDATE SET
+        holder_id = excluded.holder_id,
+        acquired_at = excluded.acquired_at,
+        expires_at = excluded.expires_at
+      WHERE run_locks.expires_at < ? OR run_locks.holder_id = excluded.holder_id
+    `, [chainName, holderId, now, expiresAt, now]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Move the lease end of a run lock held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @param {number} expiresAt - Lease end in epoch ms
+   * @returns {Promise<boolean>} False if the lock is no longer held by holderId
+   */
+  async renewRunLock(chainName, holderId, expiresAt) {
+    const result = await this.query.run('UPDATE run_locks SET expires_at = ? WHERE chain_name = ? AND holder_id = ?', [expiresAt, chainName, holderId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Release a run lock held by holderId
+   * @param {string} chainName - Chain name
+   * @param {string} holderId - Lock holder ID
+   * @returns {Promise<void>}
+   */
+  async releaseRunLock(chainName, holderId) {
+    await this.query.run('DELETE FROM run_locks WHERE chain_name = ? AND holder_id = ?', [chainName, holderId]);
+  }
+
+  /**
+   * Get the run lock for a chain
+   * @param {string} chainName - Chain name
+   * @returns {Promise<Object|null>} Lock record or null
+   */
+  async getRunLock(chainName) {
+    return this.query.get('SELECT * FROM run_locks WHERE chain_name = ?', [chainName]);
+  }
+
+  /**
+   * Read and advance the stored nonce while holding a lock (SQLite write
+   * transaction, PostgreSQL advisory lock), so concurrent runs never get the same nonce
+   * @param {string} chainName - Chain name
+   * @param {string} callerAddress - Caller address (lowercase)
+   * @param {Function} resolve - Called with the stored row ({ next_nonce, age_ms }) or null; returns the nonce to hand out
+   * @returns {Promise<number>} Reserved nonce
+   */
+  async reserveNonce(chainName, callerAddress, resolve) {
+    return this.query.transaction(async (tx) => {
+      const row = await tx.get(`
+        SELECT next_nonce, ${tx.ageMs('updated_at')} AS age_ms
+        FROM caller_nonces
+        WHERE chain_name = ? AND caller_address = ?
+      `, [chainName, callerAddress]);
+      const nonce = resolve(row ? { next_nonce: Number(row.next_nonce), age_ms: Number(row.age_ms) } : null);
+      await tx.run(`
+        INSERT INTO caller_nonces (chain_name, caller_address, next_nonce, updated_at)
+        VALUES (?, ?, ?, ${tx.now})
+        ON CONFLICT (chain_name, caller_address)
+        DO UPDATE SET next_nonce = excluded.next_nonce, updated_at = excluded.updated_at
+      `, [chainName, callerAddress, nonce + 1]);
+      return nonce;
+    }, { lock: `caller_nonce:${chainName}:${callerAddress}` });
+  }
+
+  /**
+   * Hand a reserved nonce back if no later nonce was reserved
+   * @param {string} chainName - Chain name
+   * @param {string} callerAddress - Caller address (lowercase)
+   * @param {number} nonce - Reserved nonce
+   * @returns {Promise<boolean>} True if the nonce was released
+   */
+  async releaseNonce(chainName, callerAddress, nonce) {
+    const result = await this.query.run(`
+      UPDATE caller_nonces SET next_nonce = ?, updated_at = ${this.query.now}
+      WHERE chain_name = ? AND caller_address = ? AND next_nonce = ?
+    `, [nonce, chainName, callerAddress, nonce + 1]);
+    return result.changes > 0;
+  }
+}
+
+export class SqlNotificationRepository extends SqlRepository {
+  /**
+   * Insert a notification event held for the next digest
+   * @param {Object} data - Event data (see the digest_events table)
+   * @returns {Promise<number>} Digest event ID
+   */
+  async logDigestEvent(data) {
+    return this.query.insert(`
+      INSERT INTO digest_events (
+        chain_name, chain_display_name, event_type, tx_hash, gas_used, gas_cost_eth,
+        balance_before_eth, balance_after_eth, token_balances, current_day,
+        error_type, error_message, recorded_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.chain_name,
+      data.chain_display_name,
+      data.event_type,
+      data.tx_hash,
+      data.gas_used,
+      data.gas_cost_eth,
+      data.balance_before_eth,
+      data.balance_after_eth,
+      data.token_balances,
+      data.current_day,
+      data.error_type,
+      data.error_message,
+      data.recorded_at
+    ]);
+  }
+
+  /**
+   * Get the held events not yet covered by a digest
+   * @param {string} before - ISO timestamp, exclusive
+   * @returns {Promise<Array>} Digest event rows, oldest first
+   */
+  async getPendingDigestEvents(before) {
+    return this.query.all(`
+      SELECT * FROM digest_events
+      WHERE digest_id IS NULL AND recorded_at < ?
+      ORDER BY recorded_at, id
+    `, [before]);
+  }
+
+  /**
+   * Insert a sent digest and mark the events it covered, in one transaction
+   * @param {{ digest_id: string, schedule: string, period_start: string, period_end: string }} digest - Digest data
+   * @param {number[]} eventIds - IDs of the digest events it covered
+   * @returns {Promise<void>}
+   */
+  async recordDigest(digest, eventIds) {
+    await this.query.transaction(async (tx) => {
+      await tx.run(`
+        INSERT INTO notification_digests (digest_id, schedule, period_start, period_end, event_count)
+        VALUES (?, ?, ?, ?, ?)
+      `, [digest.digest_id, digest.schedule, digest.period_start, digest.period_end, eventIds.length]);
+      if (eventIds.length > 0) {
+        await tx.run(
+          `UPDATE digest_events SET digest_id = ? WHERE id IN (${eventIds.map(() => '?').join(', ')})`,
+          [digest.digest_id, ...eventIds]
+        );
+      }
+    });
+  }
+
+  /**
+   * Record one occurrence of an error fingerprint, reopening a resolved alert
+   * @param {Object} data - Occurrence data (see DatabaseService.recordAlertOccurrence)
+   * @returns {Promise<Object>} Alert record after the update
+   */
+  async recordAlertOccurrence(data) {
+    return this.query.get(`
+      INSERT INTO alerts (fingerprint, chain_name, chain_display_name, error_type, message, first_seen_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (fingerprint) DO UPDATE SET
+        message = CASE WHEN alerts.resolved_at IS NULL THEN alerts.message ELSE excluded.message END,
+        first_seen_at = CASE WHEN alerts.resolved_at IS NULL THEN alerts.first_seen_at ELSE excluded.first_seen_at END,
+        last_notified_at = CASE WHEN alerts.resolved_at IS NULL THEN alerts.last_notified_at ELSE NULL END,
+        occurrences = CASE WHEN alerts.resolved_at IS NULL THEN alerts.occurrences + 1 ELSE 1 END,
+        last_seen_at = excluded.last_seen_at,
+        resolved_at = NULL
+      RETURNING *
+    `, [data.fingerprint, data.chain_name, data.chain_display_name, data.error_type, data.message, data.seen_at, data.seen_at]);
+  }
+
+  /**
+   * Mark an alert as notified
+   * @param {string} fingerprint - Alert fingerprint
+   * @param {string} notifiedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async markAlertNotified(fingerprint, notifiedAt) {
+    await this.query.run('UPDATE alerts SET last_notified_at = ? WHERE fingerprint = ?', [notifiedAt, fingerprint]);
+  }
+
+  /**
+   * Resolve the open alerts of a chain last seen before a time
+   * @param {string} chainName - Chain name
+   * @param {string} seenBefore - ISO timestamp, exclusive
+   * @param {string} resolvedAt - ISO timestamp
+   * @returns {Promise<Array>} Alert records that were resolved, by first seen
+   */
+  async resolveAlerts(chainName, seenBefore, resolvedAt) {
+    const rows = await this.query.all(`
+      UPDATE alerts SET resolved_at = ?
+      WHERE chain_name = ? AND resolved_at IS NULL AND last_seen_at < ?
+      RETURNING *
+    `, [resolvedAt, chainName, seenBefore]);
+    return rows.sort((a, b) => a.first_seen_at.localeCompare(b.first_seen_at));
+  }
+}
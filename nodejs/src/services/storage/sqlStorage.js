@@ -0,0 +1,94 @@
+/**
+ * SQL Storage
+ *
+ * Base class of the SQLite and PostgreSQL backends. Subclasses open and close
+ * the connection; the repositories and migrations are shared.
+ */
+
+import { Logger } from '../../utils/logger.js';
+import { MigrationService } from '../migrations.js';
+import { createQueryRunner } from '../queryRunner.js';
+import {
+  SqlExecutionRepository,
+  SqlTokenRepository,
+  SqlBalanceRepository,
+  SqlLockRepository,
+  SqlNotificationRepository
+} from './sqlRepositories.js';
+
+export class SqlStorage {
+  /**
+   * @param {Object} config - DatabaseConfigService
+   * @param {string} name - Logger name of the backend
+   */
+  constructor(config, name) {
+    this.config = config;
+    this.db = null;
+    // Dialect-aware query runner over db, set on connect
+    this.query = null;
+    this.logger = new Logger(name);
+
+    this.executions = new SqlExecutionRepository(this);
+    this.tokens = new SqlTokenRepository(this);
+    this.balances = new SqlBalanceRepository(this);
+    this.locks = new SqlLockRepository(this);
+    this.notifications = new SqlNotificationRepository(this);
+  }
+
+  /**
+   * Connect and create the query runner
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.db = await this.open();
+    this.query = createQueryRunner(this.config, this.db);
+  }
+
+  /**
+   * Open the driver connection
+   * @returns {Promise<Object>} better-sqlite3 database or pg Pool
+   */
+  async open() {
+    throw new Error(`${this.constructor.name} does not implement open()`);
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      await this.end(this.db);
+      this.db = null;
+      this.query = null;
+    }
+  }
+
+  /**
+   * Close the driver connection
+   * @param {Object} db - better-sqlite3 database or pg Pool
+   * @returns {Promise<void>}
+   */
+  async end(db) {
+    throw new Error(`${this.constructor.name} does not implement end()`);
+  }
+
+  /**
+   * Check if connected
+   * @returns {boolean} True if connected
+   */
+  isConnected() {
+    return this.db !== null;
+  }
+
+  /**
+   * Bring the schema up to date by applying pending migrations. A database
+   * created before versioned migrations is adopted first.
+   * @returns {Promise<void>}
+   */
+  async migrate() {
+    const migrations = new MigrationService(this);
+    await migrations.adopt();
+    await migrations.up();
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * SQLite Storage
+ *
+ * Storage backend on a better-sqlite3 database file.
+ */
+
+import { SqlStorage } from './sqlStorage.js';
+
+export class SQLiteStorage extends SqlStorage {
+  /**
+   * @param {Object} config - DatabaseConfigService
+   */
+  constructor(config) {
+    super(config, 'SQLiteStorage');
+  }
+
+  /**
+   * Open the database file
+   * @returns {Promise<Object>} better-sqlite3 database
+   */
+  async open() {
+    try {
+      const Database = (await import('better-sqlite3')).default;
+      const options = this.config.getConnectionOptions();
+
+      const db = new Database(options.filename, { verbose: options.verbose });
+
+      // Enable WAL mode for better concurrency
+      db.pragma('journal_mode = WAL');
+
+      this.logger.info(`Connected to SQLite database: ${options.filename}`);
+      return db;
+    } catch (error) {
+      this.logger.error('Failed to connect to SQLite database', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the database file
+   * @param {Object} db - better-sqlite3 database
+   * @returns {Promise<void>}
+   */
+  async end(db) {
+    db.close();
+  }
+}
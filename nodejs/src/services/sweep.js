@@ -0,0 +1,190 @@
+/**
+ * Sweep Service
+ *
+ * Moves the token fees the caller earns out of the hot wallet. Every token in
+ * the chain's TOKENS_<CHAIN> list with a balance above its sweepFloat has the
+ * excess transferred to SWEEP_COLD_ADDRESS[_<CHAIN>]. Each transfer is recorded
+ * in the sweeps table before it is sent.
+ */
+
+import { formatUnits, parseUnits } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { Logger } from '../utils/logger.js';
+import { ERC20_ABI } from '../utils/helpers.js';
+import { createChainWalletClient, sendAuditedTransfer, updateAuditRecord } from './auditedTransfer.js';
+
+const DEFAULT_TIMEOUT_MS = 180000;
+
+export class SweepService {
+  /**
+   * @param {DatabaseService} databaseService - Database holding the sweeps table
+   * @param {RpcService} rpcService - Builds transports for the caller wallet client
+   * @param {NonceManager} nonceManager - Hands out caller nonces shared with remit
+   */
+  constructor(databaseService, rpcService, nonceManager) {
+    this.database = databaseService;
+    this.rpc = rpcService;
+    this.nonces = nonceManager;
+    this.logger = new Logger('SweepService');
+    this.timeoutMs = parseInt(process.env.TX_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Check if sweeps are configured for a chain
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {boolean} True if the chain has a cold address and tokens to sweep
+   */
+  isEnabled(chainConfig) {
+    return Boolean(chainConfig.sweepPolicy && chainConfig.tokens?.length > 0);
+  }
+
+  /**
+   * Wallet client for the caller account
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {Object} Viem wallet client
+   */
+  createWalletClient(chainConfig) {
+    return createChainWalletClient(this.rpc, chainConfig, privateKeyToAccount(process.env.CALLER_PRIVATE_KEY));
+  }
+
+  /**
+   * Transfer every token balance above its float to the cold address.
+   * Never throws; a token that cannot be swept comes back as failed.
+   * @param {Object} chainConfig - Chain configuration (tokens, sweepPolicy)
+   * @param {Object} publicClient - Viem public client
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Report what would be swept without sending or recording
+   * @param {string|null} [options.executionId] - Run that triggered the sweep
+   * @returns {Promise<Array<{ symbol: string, amount: string, status: 'confirmed'|'pending'|'failed'|'dry_run', txHash?: string, error?: string }>>} One entry per token with an excess
+   */
+  async sweepChain(chainConfig, publicClient, { dryRun = false, executionId = null } = {}) {
+    if (!this.isEnabled(chainConfig)) {
+      return [];
+    }
+
+    const results = [];
+    for (const token of chainConfig.tokens) {
+      const result = await this.sweepToken(chainConfig, publicClient, token, { dryRun, executionId });
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Sweep one token
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client
+   * @param {{ address: string, symbol: string, decimals: number, sweepFloat: string }} token - Token from TOKENS_<CHAIN>
+   * @param {{ dryRun: boolean, executionId: string|null }} options - See sweepChain
+   * @returns {Promise<Object|null>} Outcome, or null when the balance is at or below the float
+   */
+  async sweepToken(chainConfig, publicClient, token, { dryRun, executionId }) {
+    const caller = process.env.CALLER_ADDRESS;
+    const coldAddress = chainConfig.sweepPolicy.coldAddress;
+
+    let record;
+    let amountRaw;
+    try {
+      const balance = await publicClient.readContract({
+        address: token.address,
+        abi: ERC20_ABI,
+        functionName: 'balanceOf',
+        args: [caller]
+      });
+      const float = parseUnits(token.sweepFloat || '0', token.decimals);
+      if (balance <= float) {
+        return null;
+      }
+
+      amountRaw = balance - float;
+      record = {
+        execution_id: executionId,
+        chain_name: chainConfig.name,
+        token_address: token.address,
+        token_symbol: token.symbol,
+        from_address: caller,
+        to_address: coldAddress,
+        amount: formatUnits(amountRaw, token.decimals),
+        balance_before: formatUnits(balance, token.decimals),
+        float_retained: formatUnits(float, token.decimals)
+      };
+    } catch (error) {
+      this.logger.warn(`Could not read ${token.symbol} balance on ${chainConfig.name}: ${error.message}`);
+      return { symbol: token.symbol, amount: null, status: 'failed', error: error.message };
+    }
+
+    if (dryRun) {
+      this.logger.chain(chainConfig.name, `Dry run - would sweep ${record.amount} ${token.symbol} to ${coldAddress}`);
+      return { symbol: token.symbol, amount: record.amount, status: 'dry_run' };
+    }
+    if (!this.database.isReady()) {
+      // Funds are not moved without an audit trail
+      this.logger.warn(`Sweep of ${token.symbol} on ${chainConfig.name} not sent: database not available`);
+      return { symbol: token.symbol, amount: record.amount, status: 'failed', error: 'Database not available' };
+    }
+
+    let id;
+    try {
+      id = await this.database.recordSweep({ ...record, status: 'pending', created_at: new Date().toISOString() });
+    } catch (error) {
+      this.logger.warn(`Sweep of ${token.symbol} on ${chainConfig.name} not sent, audit trail unavailable: ${error.message}`);
+      return { symbol: token.symbol, amount: record.amount, status: 'failed', error: error.message };
+    }
+
+    return this.send(chainConfig, publicClient, id, token, amountRaw, record.amount);
+  }
+
+  /**
+   * Send a recorded sweep and wait for it to be mined
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client
+   * @param {number} id - Sweep ID
+   * @param {Object} token - Token being swept
+   * @param {bigint} amountRaw - Amount in the token's smallest unit
+   * @param {string} amount - Amount in token units
+   * @returns {Promise<Object>} Outcome
+   */
+  async send(chainConfig, publicClient, id, token, amountRaw, amount) {
+    const caller = process.env.CALLER_ADDRESS;
+    const coldAddress = chainConfig.sweepPolicy.coldAddress;
+    const outcome = await sendAuditedTransfer({
+      publicClient,
+      logger: this.logger,
+      chainName: chainConfig.name,
+      description: `Sweep of ${amount} ${token.symbol} to ${coldAddress}`,
+      broadcast: async () => {
+        const nonce = await this.nonces.acquire(chainConfig, publicClient, caller);
+        try {
+          return await this.createWalletClient(chainConfig).writeContract({
+            address: token.address,
+            abi: ERC20_ABI,
+            functionName: 'transfer',
+            args: [coldAddress, amountRaw],
+            chain: { id: chainConfig.chainId },
+            nonce
+          });
+        } catch (error) {
+          // Nothing was sent at this nonce; let the next transaction use it
+          await this.nonces.release(chainConfig, caller, nonce);
+          throw error;
+        }
+      },
+      update: fields => this.update(id, fields),
+      errorColumn: 'error_message',
+      timeoutMs: this.timeoutMs
+    });
+    return { symbol: token.symbol, amount, ...outcome };
+  }
+
+  /**
+   * Update a sweep record (never throws)
+   * @param {number} id - Sweep ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  update(id, fields) {
+    return updateAuditRecord(this.logger, `sweep ${id}`, values => this.database.updateSweep(id, values), fields);
+  }
+}
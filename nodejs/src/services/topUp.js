@@ -0,0 +1,221 @@
+/**
+ * Top-Up Service
+ *
+ * Refills the caller wallet from a treasury wallet when its native balance
+ * drops below the chain's TOPUP_THRESHOLD_ETH_<CHAIN>. The treasury has its
+ * own key (TREASURY_PRIVATE_KEY) and only pays addresses in TOPUP_ALLOWLIST.
+ * Each chain has a daily cap per UTC day, and every top-up, including refused
+ * ones, is recorded in the wallet_topups table.
+ */
+
+import { formatEther, parseEther } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { Logger } from '../utils/logger.js';
+import { isValidAddress, isValidPrivateKey } from '../utils/helpers.js';
+import { createChainWalletClient, sendAuditedTransfer, updateAuditRecord } from './auditedTransfer.js';
+
+const DEFAULT_TIMEOUT_MS = 180000;
+// Statuses whose amount counts towards the daily cap; a pending top-up may still be mined
+const CAPPED_STATUSES = ['pending', 'confirmed'];
+
+dayjs.extend(utc);
+
+// Wei in an ETH amount. String() writes small amounts such as 1e-7 in exponent
+// notation, which parseEther rejects, so the amount is written out in full.
+function toWei(amountEth) {
+  return parseEther(Number(amountEth).toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 18 }));
+}
+
+export class TopUpService {
+  /**
+   * @param {DatabaseService} databaseService - Database holding the wallet_topups table
+   * @param {RpcService} rpcService - Builds transports for the treasury wallet client
+   */
+  constructor(databaseService, rpcService) {
+    this.database = databaseService;
+    this.rpc = rpcService;
+    this.logger = new Logger('TopUpService');
+    this.timeoutMs = parseInt(process.env.TX_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.allowlist = this.parseAllowlist(process.env.TOPUP_ALLOWLIST);
+    this.account = this.loadTreasuryAccount(process.env.TREASURY_PRIVATE_KEY);
+  }
+
+  /**
+   * Parse TOPUP_ALLOWLIST (comma-separated addresses)
+   * @param {string|undefined} value - Raw env value
+   * @returns {string[]} Lowercased addresses
+   */
+  parseAllowlist(value) {
+    const addresses = (value || '').split(',').map(address => address.trim()).filter(Boolean);
+    for (const address of addresses.filter(address => !isValidAddress(address))) {
+      this.logger.warn(`Ignoring invalid address in TOPUP_ALLOWLIST: ${address}`);
+    }
+    return addresses.filter(isValidAddress).map(address => address.toLowerCase());
+  }
+
+  /**
+   * Build the treasury account. The treasury must not be the caller itself.
+   * @param {string|undefined} privateKey - TREASURY_PRIVATE_KEY
+   * @returns {Object|null} Viem account, or null if top-ups are off
+   */
+  loadTreasuryAccount(privateKey) {
+    if (!privateKey) {
+      return null;
+    }
+    if (!isValidPrivateKey(privateKey)) {
+      this.logger.warn('TREASURY_PRIVATE_KEY is not a valid private key, top-ups are disabled');
+      return null;
+    }
+
+    const account = privateKeyToAccount(privateKey);
+    if (account.address.toLowerCase() === process.env.CALLER_ADDRESS?.toLowerCase()) {
+      this.logger.warn('TREASURY_PRIVATE_KEY belongs to CALLER_ADDRESS, top-ups are disabled');
+      return null;
+    }
+    return account;
+  }
+
+  /**
+   * Check if top-ups are configured for a chain
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {boolean} True if the treasury key and the chain's top-up policy are set
+   */
+  isEnabled(chainConfig) {
+    return Boolean(this.account && chainConfig.topUpPolicy);
+  }
+
+  /**
+   * Wallet client for the treasury account
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {Object} Viem wallet client
+   */
+  createWalletClient(chainConfig) {
+    return createChainWalletClient(this.rpc, chainConfig, this.account);
+  }
+
+  /**
+   * Send the chain's top-up amount to the caller if its balance is below the threshold.
+   * Never throws; refusals and failures come back as a result.
+   * @param {Object} chainConfig - Chain configuration (topUpPolicy)
+   * @param {Object} publicClient - Viem public client
+   * @param {bigint} balance - Caller balance in wei
+   * @returns {Promise<{ status: 'confirmed'|'pending'|'failed'|'refused', amountEth: number, txHash?: string, reason?: string }|null>} Outcome, or null when no top-up was needed
+   */
+  async topUpIfLow(chainConfig, publicClient, balance) {
+    if (!this.isEnabled(chainConfig)) {
+      return null;
+    }
+
+    const policy = chainConfig.topUpPolicy;
+    const balanceEth = Number(formatEther(balance));
+    if (balanceEth >= policy.thresholdEth) {
+      return null;
+    }
+
+    const recipient = process.env.CALLER_ADDRESS;
+    const record = {
+      chain_name: chainConfig.name,
+      treasury_address: this.account.address,
+      recipient_address: recipient,
+      amount_eth: policy.amountEth,
+      threshold_eth: policy.thresholdEth,
+      balance_before_eth: balanceEth
+    };
+
+    if (!this.allowlist.includes(recipient.toLowerCase())) {
+      return this.refuse(record, `Recipient ${recipient} is not in TOPUP_ALLOWLIST`);
+    }
+    if (!this.database.isReady()) {
+      // Without the audit trail the daily cap cannot be enforced
+      this.logger.warn(`Top-up on ${chainConfig.name} refused: database not available`);
+      return { status: 'refused', amountEth: policy.amountEth, reason: 'Database not available' };
+    }
+
+    let id;
+    try {
+      const sentToday = await this.sentSince(chainConfig.name, dayjs.utc().startOf('day').toISOString());
+      const amount = toWei(policy.amountEth);
+      const dailyCap = toWei(policy.dailyCapEth);
+      if (sentToday + amount > dailyCap) {
+        return this.refuse(record, `Daily cap of ${formatEther(dailyCap)} ETH reached (${formatEther(sentToday)} ETH sent today)`);
+      }
+
+      // Recorded before sending so the amount counts towards the cap even if the process dies
+      id = await this.database.recordTopUp({ ...record, status: 'pending', created_at: new Date().toISOString() });
+    } catch (error) {
+      this.logger.warn(`Top-up on ${chainConfig.name} not sent, audit trail unavailable: ${error.message}`);
+      return { status: 'failed', amountEth: policy.amountEth, reason: error.message };
+    }
+
+    return this.send(chainConfig, publicClient, id, recipient, policy.amountEth);
+  }
+
+  /**
+   * Send a recorded top-up and wait for it to be mined
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client
+   * @param {number} id - Top-up ID
+   * @param {string} recipient - Caller address
+   * @param {number} amountEth - Amount to send
+   * @returns {Promise<Object>} Outcome
+   */
+  async send(chainConfig, publicClient, id, recipient, amountEth) {
+    const { status, txHash, error } = await sendAuditedTransfer({
+      publicClient,
+      logger: this.logger,
+      chainName: chainConfig.name,
+      description: `Top-up of ${amountEth} ETH to ${recipient}`,
+      broadcast: () => this.createWalletClient(chainConfig).sendTransaction({
+        account: this.account,
+        chain: { id: chainConfig.chainId },
+        to: recipient,
+        value: toWei(amountEth)
+      }),
+      update: fields => this.update(id, fields),
+      errorColumn: 'reason',
+      timeoutMs: this.timeoutMs
+    });
+    return error ? { status, amountEth, txHash, reason: error } : { status, amountEth, txHash };
+  }
+
+  /**
+   * Total sent or in flight since a time
+   * @param {string} chainName - Chain name
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<bigint>} Amount in wei
+   */
+  async sentSince(chainName, since) {
+    const topUps = await this.database.getTopUpsSince(chainName, since);
+    return topUps
+      .filter(topUp => CAPPED_STATUSES.includes(topUp.status))
+      .reduce((total, topUp) => total + toWei(topUp.amount_eth), 0n);
+  }
+
+  /**
+   * Record and log a refused top-up
+   * @param {Object} record - Top-up record without status
+   * @param {string} reason - Why it was refused
+   * @returns {Promise<Object>} Refused outcome
+   */
+  async refuse(record, reason) {
+    this.logger.warn(`Top-up on ${record.chain_name} refused: ${reason}`);
+    try {
+      await this.database.recordTopUp({ ...record, status: 'refused', reason, created_at: new Date().toISOString() });
+    } catch (error) {
+      this.logger.warn(`Could not record refused top-up: ${error.message}`);
+    }
+    return { status: 'refused', amountEth: record.amount_eth, reason };
+  }
+
+  /**
+   * Update a top-up record (never throws)
+   * @param {number} id - Top-up ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  update(id, fields) {
+    return updateAuditRecord(this.logger, `top-up ${id}`, values => this.database.updateTopUp(id, values), fields);
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Transaction Manager
+ *
+ * Sends remit transactions at a tracked nonce and watches them until mined.
+ * A transaction that is not mined within TX_TIMEOUT_MS is rebroadcast at the
+ * same nonce with bumped fees; once replacements are exhausted, a zero-value
+ * self-transfer is sent at that nonce to cancel it.
+ */
+
+import { parseGwei } from 'viem';
+import { NonceManager } from './nonceManager.js';
+import { Logger } from '../utils/logger.js';
+import { CLOCKTOWER_ABI, createError } from '../utils/helpers.js';
+
+const DEFAULT_TIMEOUT_MS = 180000;
+const DEFAULT_MAX_REPLACEMENTS = 2;
+const DEFAULT_FEE_BUMP_PERCENT = 25;
+// Nodes reject replacements that bump fees by less than 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+const CANCEL_GAS = 21000n;
+
+export class TransactionManager {
+  /**
+   * @param {NonceManager} [nonceManager] - Source of nonces (defaults to the node's pending count)
+   */
+  constructor(nonceManager = new NonceManager()) {
+    this.nonces = nonceManager;
+    this.logger = new Logger('TransactionManager');
+
+    const maxReplacements = parseInt(process.env.TX_MAX_REPLACEMENTS, 10);
+    this.timeoutMs = parseInt(process.env.TX_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.maxReplacements = Number.isNaN(maxReplacements) ? DEFAULT_MAX_REPLACEMENTS : Math.max(maxReplacements, 0);
+    this.feeBumpPercent = Math.max(parseInt(process.env.TX_FEE_BUMP_PERCENT, 10) || DEFAULT_FEE_BUMP_PERCENT, MIN_FEE_BUMP_PERCENT);
+    this.cancelOnStuck = process.env.TX_CANCEL_ON_STUCK !== 'false';
+  }
+
+  /**
+   * Send remit and wait for it (or one of its replacements) to be mined
+   * @param {Object} chainConfig - Chain configuration
+   * @param {Object} publicClient - Viem public client
+   * @param {Object} walletClient - Viem wallet client
+   * @param {Object} options
+   * @param {number} options.gas - Gas limit
+   * @param {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }|null} [options.fees] - Initial fees (estimated when null)
+   * @param {AbortSignal|null} [options.signal] - Stops waiting and replacing once fired
+   * @param {Function} [options.onAttempt] - Called with each broadcast attempt; errors are logged and ignored
+   * @returns {Promise<{ receipt: Object, hash: string, nonce: number, attempts: Array, cancelled: boolean }>}
+   * @throws {Error} TX_STUCK when no attempt was mined and nothing is left to try
+   */
+  async sendRemit(chainConfig, publicClient, walletClient, { gas, fees = null, signal = null, onAttempt = null } = {}) {
+    const address = process.env.CALLER_ADDRESS;
+    const nonce = await this.nonces.acquire(chainConfig, publicClient, address);
+    const policyCap = chainConfig.feePolicy?.maxFeePerGasGwei ?? null;
+    const maxFeePerGasCap = policyCap !== null ? parseGwei(String(policyCap)) : null;
+    const attempts = [];
+
+    let currentFees = fees || await publicClient.estimateFeesPerGas();
+
+    const broadcast = async (kind, txFees, replacedHash) => {
+      const hash = kind === 'cancel'
+        ? await walletClient.sendTransaction({
+          to: address,
+          value: 0n,
+          gas: CANCEL_GAS,
+          nonce,
+          ...txFees,
+        })
+        : await walletClient.writeContract({
+          address: chainConfig.clocktowerAddress,
+          abi: CLOCKTOWER_ABI,
+          functionName: 'remit',
+          gas,
+          nonce,
+          ...txFees,
+        });
+
+      const attempt = {
+        index: attempts.length,
+        kind,
+        hash,
+        nonce,
+        maxFeePerGas: txFees.maxFeePerGas,
+        maxPriorityFeePerGas: txFees.maxPriorityFeePerGas,
+        replacedHash,
+        timestamp: new Date().toISOString()
+      };
+      attempts.push(attempt);
+      this.logger.transaction(hash, `Broadcast ${kind} at nonce ${nonce}${replacedHash ? ` replacing ${replacedHash}` : ''}`, { chain: chainConfig.name });
+
+      if (onAttempt) {
+        try {
+          await onAttempt(attempt);
+        } catch (error) {
+          this.logger.error('Attempt callback failed', error);
+        }
+      }
+      return hash;
+    };
+
+    try {
+      await broadcast('remit', currentFees, null);
+    } catch (error) {
+      // Nothing was sent at this nonce; let the next transaction use it
+      await this.nonces.release(chainConfig, address, nonce);
+      throw error;
+    }
+
+    let replacements = 0;
+    let cancelSent = false;
+
+    while (true) {
+      signal?.throwIfAborted();
+      const mined = await this.waitForAny(publicClient, attempts);
+      if (mined) {
+        const attempt = attempts.find(a => a.hash === mined.hash);
+        return { receipt: mined.receipt, hash: mined.hash, nonce, attempts, cancelled: attempt?.kind === 'cancel' };
+      }
+
+      signal?.throwIfAborted();
+      const previous = attempts[attempts.length - 1];
+      this.logger.transaction(previous.hash, `Not mined after ${this.timeoutMs}ms at nonce ${nonce}`, { chain: chainConfig.name });
+      currentFees = await this.bumpFees(publicClient, currentFees);
+
+      const withinCap = maxFeePerGasCap === null || currentFees.maxFeePerGas <= maxFeePerGasCap;
+      if (replacements < this.maxReplacements && withinCap) {
+        replacements++;
+        await broadcast('replacement', currentFees, previous.hash);
+      } else if (this.cancelOnStuck && !cancelSent) {
+        // Last resort; cancelling costs a plain transfer so the fee cap does not apply
+        cancelSent = true;
+        await broadcast('cancel', currentFees, previous.hash);
+      } else {
+        throw createError(
+          `Transaction stuck at nonce ${nonce} after ${attempts.length} attempt(s)`,
+          'TX_STUCK',
+          { nonce, hashes: attempts.map(a => a.hash) }
+        );
+      }
+    }
+  }
+
+  /**
+   * Wait for the latest attempt, then check whether an earlier one was mined instead.
+   * An error other than a timeout is rethrown only when no earlier attempt was mined.
+   * @param {Object} publicClient - Viem public client
+   * @param {Array} attempts - Broadcast attempts (oldest first)
+   * @returns {Promise<{ receipt: Object, hash: string }|null>} Mined receipt, or null on timeout
+   * @throws {Error} If waiting for the latest attempt failed and no earlier attempt was mined
+   */
+  async waitForAny(publicClient, attempts) {
+    const latest = attempts[attempts.length - 1];
+    let waitError = null;
+
+    try {
+      const receipt = await publicClient.waitForTransactionReceipt({ hash: latest.hash, timeout: this.timeoutMs });
+      return { receipt, hash: receipt.transactionHash ?? latest.hash };
+    } catch (error) {
+      if (error.name !== 'WaitForTransactionReceiptTimeoutError') {
+        waitError = error;
+      }
+    }
+
+    for (const attempt of attempts.slice(0, -1).reverse()) {
+      try {
+        const receipt = await publicClient.getTransactionReceipt({ hash: attempt.hash });
+        if (receipt) {
+          return { receipt, hash: attempt.hash };
+        }
+      } catch (_) {
+        // Not mined
+      }
+    }
+
+    if (waitError) {
+      throw waitError;
+    }
+    return null;
+  }
+
+  /**
+   * Bump fees by TX_FEE_BUMP_PERCENT, or to the current market estimate if higher
+   * @param {Object} publicClient - Viem public client
+   * @param {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }} fees - Fees of the previous attempt
+   * @returns {Promise<{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }>}
+   */
+  async bumpFees(publicClient, fees) {
+    const factor = BigInt(100 + this.feeBumpPercent);
+    const bumped = {
+      maxFeePerGas: (fees.maxFeePerGas * factor) / 100n,
+      maxPriorityFeePerGas: (fees.maxPriorityFeePerGas * factor) / 100n
+    };
+
+    try {
+      const market = await publicClient.estimateFeesPerGas();
+      return {
+        maxFeePerGas: market.maxFeePerGas > bumped.maxFeePerGas ? market.maxFeePerGas : bumped.maxFeePerGas,
+        maxPriorityFeePerGas: market.maxPriorityFeePerGas > bumped.maxPriorityFeePerGas ? market.maxPriorityFeePerGas : bumped.maxPriorityFeePerGas
+      };
+    } catch (error) {
+      this.logger.warn(`Fee estimate failed, using bumped fees only: ${error.message}`);
+      return bumped;
+    }
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Daily or weekly digest email
+ *
+ * Data: schedule, periodStart, periodEnd, chains, totals (from DigestService.summarize)
+ */
+
+import { html } from '../html.js';
+import { COLORS, layout, section, field, table, textLayout } from './layout.js';
+
+/**
+ * @param {number} value - Balance change
+ * @returns {string} Change with its sign
+ */
+function formatDelta(value) {
+  return `${value >= 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * @param {Object} data - Digest
+ * @param {Function} t - Translator
+ * @returns {string} Daily or weekly label
+ */
+function label(data, t) {
+  return t(data.schedule === 'weekly' ? 'digest.weekly' : 'digest.daily');
+}
+
+export function subject(data, t) {
+  const { totals } = data;
+  return t('digest.subject', { label: label(data, t), remits: totals.remits, failures: totals.failures, noSubscriptionDays: totals.noSubscriptionDays });
+}
+
+export function body(data, t) {
+  const { chains, totals } = data;
+  return layout({ heading: t('digest.heading', { label: label(data, t) }), color: COLORS.neutral, footer: t('common.footerMultiChain') }, [
+    section({ background: '#f0f9ff', color: '#0369a1', title: t('digest.totals') }, [
+      field(t('digest.period'), `${data.periodStart} → ${data.periodEnd}`),
+      field(t('digest.remits'), totals.remits),
+      field(t('digest.gasSpent'), t('digest.gasCost', { eth: totals.gasCostEth, gas: totals.gasUsed })),
+      field(t('digest.failures'), totals.failures),
+      field(t('digest.noSubscriptionDays'), totals.noSubscriptionDays)
+    ]),
+    section({ background: '#f9fafb', title: t('digest.byChain') }, table(
+      [
+        { label: t('digest.chain') },
+        { label: t('digest.remitsColumn'), align: 'right' },
+        { label: t('digest.gas'), align: 'right' },
+        { label: t('digest.balanceChange') },
+        { label: t('digest.failuresColumn') },
+        { label: t('digest.noSubscriptionDaysColumn'), align: 'right' }
+      ],
+      chains.map(chain => [
+        chain.displayName,
+        chain.remits,
+        html`${chain.gasCostEth} ETH<br><span style="color: #6b7280;">${t('digest.gasUnits', { gas: chain.gasUsed })}</span>`,
+        html`ETH ${formatDelta(chain.ethDelta)}${Object.entries(chain.tokenDeltas).map(([symbol, delta]) => html`<br>${symbol} ${formatDelta(delta)}`)}`,
+        html`${chain.failures}${Object.entries(chain.errorTypes).map(([type, count]) => html`<br><span style="color: #dc2626;">${type} ×${count}</span>`)}`,
+        chain.noSubscriptionDays
+      ])
+    ))
+  ]);
+}
+
+export function text(data, t) {
+  const { chains, totals } = data;
+  return textLayout({ heading: t('digest.heading', { label: label(data, t) }), footer: t('common.footerMultiChain') }, [
+    [
+      `${t('digest.period')} ${data.periodStart} → ${data.periodEnd}`,
+      `${t('digest.remits')} ${totals.remits}`,
+      `${t('digest.gasSpent')} ${t('digest.gasCost', { eth: totals.gasCostEth, gas: totals.gasUsed })}`,
+      `${t('digest.failures')} ${totals.failures}`,
+      `${t('digest.noSubscriptionDays')} ${totals.noSubscriptionDays}`
+    ],
+    [t('digest.byChain'), ...chains.map(chain => [
+      `${chain.displayName}: ${t('digest.remitsColumn')} ${chain.remits}`,
+      `${t('digest.gas')} ${t('digest.gasCost', { eth: chain.gasCostEth, gas: chain.gasUsed })}`,
+      [`ETH ${formatDelta(chain.ethDelta)}`, ...Object.entries(chain.tokenDeltas).map(([symbol, delta]) => `${symbol} ${formatDelta(delta)}`)].join(', '),
+      `${t('digest.failuresColumn')} ${chain.failures}${Object.entries(chain.errorTypes).map(([type, count]) => `, ${type} ×${count}`).join('')}`,
+      `${t('digest.noSubscriptionDaysColumn')} ${chain.noSubscriptionDays}`
+    ].join(' | '))]
+  ]);
+}
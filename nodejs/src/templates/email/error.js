@@ -0,0 +1,53 @@
+/**
+ * Error email
+ *
+ * Data: chain, errorType, errorMessage, details, timestamp
+ */
+
+import { html } from '../html.js';
+import { COLORS, layout, section, callout, field, textLayout } from './layout.js';
+
+/**
+ * Additional detail values, with missing ones shown as not available
+ * @param {Object} details - Additional error details
+ * @param {Function} t - Translator
+ * @returns {Array<[string, string]>} Key and value pairs
+ */
+function detailEntries(details, t) {
+  return Object.entries(details || {}).map(([key, value]) => [key, value !== null && value !== undefined ? String(value) : t('common.notAvailable')]);
+}
+
+export function subject(data, t) {
+  return t('error.subject', { chain: data.chain });
+}
+
+export function body(data, t) {
+  const details = detailEntries(data.details, t);
+  return layout({ heading: t('error.heading'), color: COLORS.error, footer: t('common.footerChain', { chain: data.chain }) }, [
+    section({ background: '#fee2e2', color: '#991b1b', title: t('error.information'), style: ' border-left: 4px solid #dc2626;' }, [
+      field(t('common.chain'), data.chain),
+      field(t('error.type'), data.errorType),
+      field(t('common.timestamp'), data.timestamp)
+    ]),
+    section({ background: '#fef2f2', color: '#991b1b', title: t('error.message') },
+      html`<pre style="background-color: #ffffff; padding: 15px; border-radius: 4px; overflow-x: auto; color: #7f1d1d; white-space: pre-wrap; word-wrap: break-word;">${data.errorMessage}</pre>`),
+    details.length > 0
+      ? section({ background: '#f0f9ff', color: '#0369a1', title: t('error.details') }, details.map(([key, value]) => field(`${key}:`, value)))
+      : '',
+    callout({ background: '#fef3c7', color: '#92400e', label: t('error.actionLabel') }, t('error.action'))
+  ]);
+}
+
+export function text(data, t) {
+  const details = detailEntries(data.details, t);
+  return textLayout({ heading: t('error.heading'), footer: t('common.footerChain', { chain: data.chain }) }, [
+    [
+      `${t('common.chain')} ${data.chain}`,
+      `${t('error.type')} ${data.errorType}`,
+      `${t('common.timestamp')} ${data.timestamp}`
+    ],
+    `${t('error.message')}:\n${data.errorMessage}`,
+    details.length > 0 ? [t('error.details'), ...details.map(([key, value]) => `${key}: ${value}`)] : null,
+    `${t('error.actionLabel')} ${t('error.action')}`
+  ]);
+}
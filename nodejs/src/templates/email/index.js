@@ -0,0 +1,41 @@
+/**
+ * Email Templates
+ *
+ * One module per email, each exporting subject(data, t), body(data, t) for
+ * the HTML part and text(data, t) for the text/plain alternative. Interpolated
+ * values are escaped by the html tag, and strings come from the locale files.
+ */
+
+import * as success from './success.js';
+import * as noSubscriptions from './noSubscriptions.js';
+import * as error from './error.js';
+import * as resolved from './resolved.js';
+import * as lowBalance from './lowBalance.js';
+import * as summary from './summary.js';
+import * as digest from './digest.js';
+import * as test from './test.js';
+import { createTranslator } from '../i18n.js';
+import { createError } from '../../utils/helpers.js';
+
+export const EMAIL_TEMPLATES = { success, noSubscriptions, error, resolved, lowBalance, summary, digest, test };
+
+/**
+ * Render an email in a locale
+ * @param {string} name - Template name (key of EMAIL_TEMPLATES)
+ * @param {Object} data - Template data
+ * @param {string} locale - Supported locale
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+export function renderEmail(name, data, locale) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw createError(`Unknown email template: ${name}`, 'UNKNOWN_TEMPLATE');
+  }
+
+  const t = createTranslator(locale);
+  return {
+    subject: template.subject(data, t),
+    html: String(template.body(data, t)),
+    text: template.text(data, t)
+  };
+}
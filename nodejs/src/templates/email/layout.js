@@ -0,0 +1,98 @@
+/**
+ * Shared email layout: the outer container, boxed sections, tables and footer.
+ * Styles are inline because most mail clients drop <style> blocks.
+ */
+
+import { html } from '../html.js';
+
+export const COLORS = {
+  success: '#22c55e',
+  warning: '#f59e0b',
+  error: '#dc2626',
+  resolved: '#16a34a',
+  neutral: '#1f2937'
+};
+
+/**
+ * Wrap an email body with its heading and footer
+ * @param {{ heading: string, color: string, footer: string }} frame - Heading, heading color and footer text
+ * @param {SafeHtml|Array} content - Body sections
+ * @returns {SafeHtml} Email HTML
+ */
+export function layout({ heading, color, footer }, content) {
+  return html`<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: ${color};">${heading}</h2>
+  ${content}
+  <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+  <p style="color: #6b7280; font-size: 14px; text-align: center;">${footer}</p>
+</div>`;
+}
+
+/**
+ * Boxed section with an optional heading
+ * @param {{ background: string, color?: string, title?: string, style?: string }} box - Background, heading color, heading and extra styles
+ * @param {SafeHtml|Array} content - Section content
+ * @returns {SafeHtml} Section HTML
+ */
+export function section({ background, color = '#374151', title = null, style = '' }, content) {
+  return html`<div style="background-color: ${background}; padding: 20px; border-radius: 8px; margin: 20px 0;${style}">
+    ${title ? html`<h3 style="color: ${color}; margin-top: 0;">${title}</h3>` : ''}
+    ${content}
+  </div>`;
+}
+
+/**
+ * Short callout line, such as a note or warning
+ * @param {{ background: string, color: string, label?: string }} box - Background, text color and bold label
+ * @param {string} text - Callout text
+ * @returns {SafeHtml} Callout HTML
+ */
+export function callout({ background, color, label = null }, text) {
+  return html`<div style="background-color: ${background}; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0; color: ${color};">${label ? html`<strong>${label}</strong> ` : ''}${text}</p>
+  </div>`;
+}
+
+/**
+ * Labelled value line
+ * @param {string} label - Label, including its colon
+ * @param {*} value - Value, escaped unless it is already HTML
+ * @returns {SafeHtml} Line HTML
+ */
+export function field(label, value) {
+  return html`<p><strong>${label}</strong> ${value}</p>`;
+}
+
+/**
+ * Table with a header row
+ * @param {Array<{ label: string, align?: string }>} columns - Column headings and alignment
+ * @param {Array<Array>} rows - Cell values, escaped unless already HTML
+ * @returns {SafeHtml} Table HTML
+ */
+export function table(columns, rows) {
+  return html`<table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+      <thead>
+        <tr style="background-color: #f3f4f6;">
+          ${columns.map(column => html`<th style="padding: 8px; text-align: ${column.align || 'left'}; border-bottom: 2px solid #d1d5db;">${column.label}</th>`)}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => html`<tr style="border-bottom: 1px solid #e5e7eb;">
+          ${row.map((cell, i) => html`<td style="padding: 8px; text-align: ${columns[i].align || 'left'};">${cell}</td>`)}
+        </tr>`)}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Plain-text body: heading, blocks separated by blank lines, then the footer
+ * @param {{ heading: string, footer: string }} frame - Heading and footer text
+ * @param {Array<string|string[]|null>} blocks - Blocks of lines; empty blocks are skipped
+ * @returns {string} Plain-text body
+ */
+export function textLayout({ heading, footer }, blocks) {
+  const parts = blocks
+    .map(block => (Array.isArray(block) ? block.filter(line => line !== null && line !== '').join('\n') : block))
+    .filter(Boolean);
+  return [heading, ...parts, `--\n${footer}`].join('\n\n');
+}
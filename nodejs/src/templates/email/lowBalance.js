@@ -0,0 +1,75 @@
+/**
+ * Low caller balance email
+ *
+ * Data: chain, level, balanceEth, breaches, runway, timestamp (from BalanceMonitor.check)
+ */
+
+import { html } from '../html.js';
+import { COLORS, layout, section, callout, field, textLayout } from './layout.js';
+
+/**
+ * @param {Object} data - Balance check
+ * @param {Function} t - Translator
+ * @returns {string} Runway forecast, or a note that there is not enough history
+ */
+function runwayLine(data, t) {
+  if (!data.runway) {
+    return t('lowBalance.noRunway');
+  }
+  return t('lowBalance.runwayDays', {
+    days: data.runway.runwayDays.toFixed(1),
+    perDay: data.runway.remitsPerDay.toFixed(2),
+    cost: data.runway.avgCostPerRemitEth
+  });
+}
+
+/**
+ * @param {{ kind: string, level: string, value: number, threshold: number }} breach - Threshold crossed
+ * @param {Function} t - Translator
+ * @returns {string} Level and description of the breach
+ */
+function breachLine(breach, t) {
+  const value = breach.kind === 'runway' ? breach.value.toFixed(1) : breach.value;
+  const key = breach.kind === 'runway' ? 'lowBalance.runwayBreach' : 'lowBalance.balanceBreach';
+  return `${t(breach.level === 'critical' ? 'lowBalance.critical' : 'lowBalance.warn')}: ${t(key, { value, threshold: breach.threshold })}`;
+}
+
+/**
+ * @param {Object} data - Balance check
+ * @param {Function} t - Translator
+ * @returns {string} Heading for the alert level
+ */
+function heading(data, t) {
+  return t(data.level === 'critical' ? 'lowBalance.headingCritical' : 'lowBalance.headingWarn');
+}
+
+export function subject(data, t) {
+  return t(data.level === 'critical' ? 'lowBalance.subjectCritical' : 'lowBalance.subjectWarn', { chain: data.chain });
+}
+
+export function body(data, t) {
+  const critical = data.level === 'critical';
+  return layout({ heading: heading(data, t), color: critical ? COLORS.error : COLORS.warning, footer: t('common.footerChain', { chain: data.chain }) }, [
+    section({ background: critical ? '#fee2e2' : '#fef3c7' }, [
+      field(t('common.chain'), data.chain),
+      field(t('lowBalance.balance'), `${data.balanceEth} ETH`),
+      field(t('lowBalance.runway'), runwayLine(data, t)),
+      field(t('common.timestamp'), data.timestamp)
+    ]),
+    section({ background: '#f9fafb', title: t('lowBalance.thresholds') }, data.breaches.map(breach => html`<p>${breachLine(breach, t)}</p>`)),
+    callout({ background: '#fef3c7', color: '#92400e', label: t('lowBalance.actionLabel') }, t('lowBalance.action'))
+  ]);
+}
+
+export function text(data, t) {
+  return textLayout({ heading: heading(data, t), footer: t('common.footerChain', { chain: data.chain }) }, [
+    [
+      `${t('common.chain')} ${data.chain}`,
+      `${t('lowBalance.balance')} ${data.balanceEth} ETH`,
+      `${t('lowBalance.runway')} ${runwayLine(data, t)}`,
+      `${t('common.timestamp')} ${data.timestamp}`
+    ],
+    [t('lowBalance.thresholds'), ...data.breaches.map(breach => `- ${breachLine(breach, t)}`)],
+    `${t('lowBalance.actionLabel')} ${t('lowBalance.action')}`
+  ]);
+}
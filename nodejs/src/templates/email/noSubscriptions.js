@@ -0,0 +1,44 @@
+/**
+ * No subscriptions email
+ *
+ * Data: chain, currentDay, nextUncheckedDay, timestamp
+ */
+
+import { html } from '../html.js';
+import { COLORS, layout, section, callout, field, textLayout } from './layout.js';
+
+const REASONS = ['noSubscriptions.reasonNotDue', 'noSubscriptions.reasonProcessed', 'noSubscriptions.reasonUpToDate'];
+
+export function subject(data, t) {
+  return t('noSubscriptions.subject', { chain: data.chain });
+}
+
+export function body(data, t) {
+  return layout({ heading: t('noSubscriptions.heading'), color: COLORS.warning, footer: t('common.footerChain', { chain: data.chain }) }, [
+    section({ background: '#fef3c7', color: '#92400e', title: t('noSubscriptions.results') }, [
+      field(t('common.chain'), data.chain),
+      field(t('noSubscriptions.currentDay'), data.currentDay),
+      field(t('noSubscriptions.nextUncheckedDay'), data.nextUncheckedDay),
+      field(t('common.timestamp'), data.timestamp)
+    ]),
+    section({ background: '#f0f9ff', color: '#0369a1', title: t('noSubscriptions.meaning') }, html`
+      <p>${t('noSubscriptions.meaningIntro')}</p>
+      <ul style="color: #0369a1;">
+        ${REASONS.map(key => html`<li>${t(key)}</li>`)}
+      </ul>`),
+    callout({ background: '#f0fdf4', color: '#166534', label: t('noSubscriptions.statusLabel') }, t('noSubscriptions.status'))
+  ]);
+}
+
+export function text(data, t) {
+  return textLayout({ heading: t('noSubscriptions.heading'), footer: t('common.footerChain', { chain: data.chain }) }, [
+    [
+      `${t('common.chain')} ${data.chain}`,
+      `${t('noSubscriptions.currentDay')} ${data.currentDay}`,
+      `${t('noSubscriptions.nextUncheckedDay')} ${data.nextUncheckedDay}`,
+      `${t('common.timestamp')} ${data.timestamp}`
+    ],
+    [t('noSubscriptions.meaningIntro'), ...REASONS.map(key => `- ${t(key)}`)],
+    `${t('noSubscriptions.statusLabel')} ${t('noSubscriptions.status')}`
+  ]);
+}
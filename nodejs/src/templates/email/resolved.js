@@ -0,0 +1,44 @@
+/**
+ * Resolved alerts email
+ *
+ * Data: chain, alerts ({ errorType, message, firstSeenAt, lastSeenAt, occurrences }), timestamp
+ */
+
+import { html } from '../html.js';
+import { COLORS, layout, section, field, table, textLayout } from './layout.js';
+
+export function subject(data, t) {
+  return t('resolved.subject', { chain: data.chain });
+}
+
+export function body(data, t) {
+  return layout({ heading: t('resolved.heading'), color: COLORS.resolved, footer: t('common.footerChain', { chain: data.chain }) }, [
+    section({ background: '#f0fdf4' }, [
+      field(t('common.chain'), data.chain),
+      field(t('common.timestamp'), data.timestamp),
+      html`<p style="margin-bottom: 0;">${t('resolved.intro')}</p>`
+    ]),
+    section({ background: '#f9fafb' }, table(
+      [
+        { label: t('resolved.errorType') },
+        { label: t('resolved.message') },
+        { label: t('resolved.seen') },
+        { label: t('resolved.occurrences'), align: 'right' }
+      ],
+      data.alerts.map(alert => [
+        alert.errorType,
+        alert.message,
+        html`${alert.firstSeenAt}<br>${alert.lastSeenAt}`,
+        alert.occurrences
+      ])
+    ))
+  ]);
+}
+
+export function text(data, t) {
+  return textLayout({ heading: t('resolved.heading'), footer: t('common.footerChain', { chain: data.chain }) }, [
+    [`${t('common.chain')} ${data.chain}`, `${t('common.timestamp')} ${data.timestamp}`],
+    t('resolved.intro'),
+    data.alerts.map(alert => `- ${t('resolved.line', alert)}`)
+  ]);
+}
@@ -0,0 +1,64 @@
+/**
+ * Subscription ids covered by a run, grouped by frequency and due day.
+ * Shared by the success and summary emails.
+ */
+
+import { html } from '../html.js';
+import { section, table } from './layout.js';
+
+/**
+ * Section heading with the chain and the number of ids
+ * @param {Array} subscriptions - Subscription id groups
+ * @param {string|null} chainName - Chain name (summary email)
+ * @param {Function} t - Translator
+ * @returns {string} Heading
+ */
+function heading(subscriptions, chainName, t) {
+  const total = subscriptions.reduce((sum, group) => sum + group.ids.length, 0);
+  return `${t('subscriptions.heading')}${chainName ? ` - ${chainName}` : ''} (${total})`;
+}
+
+/**
+ * @param {Array<{ day: number, frequencyName: string, dueDay: number, ids: string[] }>} subscriptions - Subscription id groups
+ * @param {string|null} chainName - Chain name shown in the heading (summary email)
+ * @param {Function} t - Translator
+ * @returns {SafeHtml|string} Section HTML, or empty string when there are no subscriptions
+ */
+export function subscriptionsHtml(subscriptions, chainName, t) {
+  if (!subscriptions || subscriptions.length === 0) {
+    return '';
+  }
+
+  return section({ background: '#f9fafb', title: heading(subscriptions, chainName, t) }, table(
+    [
+      { label: t('subscriptions.frequency') },
+      { label: t('subscriptions.dueDay') },
+      { label: t('subscriptions.checkedDay') },
+      { label: t('subscriptions.ids') }
+    ],
+    subscriptions.map(group => [
+      group.frequencyName,
+      group.dueDay,
+      group.day,
+      html`<span style="font-family: monospace; word-break: break-all;">${group.ids.map((id, i) => html`${i > 0 ? html`<br>` : ''}${id}`)}</span>`
+    ])
+  ));
+}
+
+/**
+ * @param {Array<{ day: number, frequencyName: string, dueDay: number, ids: string[] }>} subscriptions - Subscription id groups
+ * @param {string|null} chainName - Chain name shown in the heading (summary email)
+ * @param {Function} t - Translator
+ * @returns {string[]|null} Text lines, or null when there are no subscriptions
+ */
+export function subscriptionsText(subscriptions, chainName, t) {
+  if (!subscriptions || subscriptions.length === 0) {
+    return null;
+  }
+
+  return [
+    heading(subscriptions, chainName, t),
+    ...subscriptions.map(group =>
+      `${group.frequencyName}, ${t('subscriptions.dueDay')} ${group.dueDay}, ${t('subscriptions.checkedDay')} ${group.day}: ${group.ids.join(', ')}`)
+  ];
+}
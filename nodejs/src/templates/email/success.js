@@ -0,0 +1,51 @@
+/**
+ * Remit success email
+ *
+ * Data: chain, txHash, explorerUrl, balanceBeforeEth, balanceAfterEth,
+ * tokenBalances, recursionDepth, subscriptions, timestamp
+ */
+
+import { html } from '../html.js';
+import { COLORS, layout, section, callout, field, textLayout } from './layout.js';
+import { subscriptionsHtml, subscriptionsText } from './subscriptions.js';
+import { formatTxHash } from '../../utils/helpers.js';
+
+export function subject(data, t) {
+  return t('success.subject', { chain: data.chain });
+}
+
+export function body(data, t) {
+  return layout({ heading: t('success.heading'), color: COLORS.success, footer: t('common.footerChain', { chain: data.chain }) }, [
+    section({ background: '#f0f9ff', color: '#0369a1', title: t('success.details') }, [
+      field(t('common.chain'), data.chain),
+      field(t('success.txHash'), html`<a href="${data.explorerUrl}" target="_blank" style="color: #0369a1;">${formatTxHash(data.txHash)}</a>`),
+      field(t('success.recursionDepth'), data.recursionDepth),
+      field(t('common.timestamp'), data.timestamp)
+    ]),
+    section({ background: '#f0fdf4', color: '#166534', title: t('success.balances') }, [
+      field(t('success.ethBalance'), `${data.balanceBeforeEth} → ${data.balanceAfterEth}`),
+      (data.tokenBalances || []).map(token => field(t('success.tokenBalance', { symbol: token.symbol }), `${token.balanceBefore} → ${token.balanceAfter}`))
+    ]),
+    subscriptionsHtml(data.subscriptions, null, t),
+    callout({ background: '#fef3c7', color: '#92400e', label: t('success.noteLabel') }, t('success.note'))
+  ]);
+}
+
+export function text(data, t) {
+  return textLayout({ heading: t('success.heading'), footer: t('common.footerChain', { chain: data.chain }) }, [
+    [
+      `${t('common.chain')} ${data.chain}`,
+      `${t('success.txHash')} ${data.txHash}`,
+      data.explorerUrl,
+      `${t('success.recursionDepth')} ${data.recursionDepth}`,
+      `${t('common.timestamp')} ${data.timestamp}`
+    ],
+    [
+      t('success.balances'),
+      `${t('success.ethBalance')} ${data.balanceBeforeEth} → ${data.balanceAfterEth}`,
+      ...(data.tokenBalances || []).map(token => `${t('success.tokenBalance', { symbol: token.symbol })} ${token.balanceBefore} → ${token.balanceAfter}`)
+    ],
+    subscriptionsText(data.subscriptions, null, t),
+    `${t('success.noteLabel')} ${t('success.note')}`
+  ]);
+}
@@ -0,0 +1,152 @@
+/**
+ * Multi-chain summary email
+ *
+ * Data: results (per-chain execution results, with profit and sweeps), timestamp
+ */
+
+import { COLORS, layout, section, callout, field, table, textLayout } from './layout.js';
+import { subscriptionsHtml, subscriptionsText } from './subscriptions.js';
+import { formatTxHash } from '../../utils/helpers.js';
+
+/**
+ * Count chains by outcome
+ * @param {Array} results - Execution results
+ * @returns {{ total: number, executed: number, noSubs: number, failed: number, timedOut: number }} Counts
+ */
+function count(results) {
+  return {
+    total: results.length,
+    executed: results.filter(r => (r.txCount || 0) > 0).length,
+    noSubs: results.filter(r => (r.txCount || 0) === 0 && r.status === 'no_subscriptions').length,
+    failed: results.filter(r => !r.success && r.status !== 'timed_out').length,
+    timedOut: results.filter(r => r.status === 'timed_out').length
+  };
+}
+
+/**
+ * Status icon and outcome text for one chain
+ * @param {Object} result - Execution result
+ * @param {Function} t - Translator
+ * @returns {{ icon: string, outcome: string }} Icon and outcome
+ */
+function describe(result, t) {
+  const txCount = result.txCount || 0;
+  if (result.status === 'timed_out') {
+    return { icon: '⏱️', outcome: txCount > 0 ? t('summary.outcomeTimedOutAfter', { count: txCount }) : t('summary.outcomeTimedOut') };
+  }
+  if (!result.success) {
+    return { icon: '❌', outcome: `${t('summary.outcomeFailed')}${result.error ? ` (${result.error})` : ''}` };
+  }
+  if (txCount > 0) {
+    return { icon: '✅', outcome: t('summary.outcomeExecuted', { count: txCount }) };
+  }
+  if (result.status === 'deferred') {
+    return { icon: '⏸️', outcome: `${t('summary.outcomeDeferred')}${result.deferReason ? ` (${result.deferReason})` : ''}` };
+  }
+  return { icon: 'ℹ️', outcome: t('summary.outcomeNoSubscriptions') };
+}
+
+/**
+ * @param {number|null} amount - Value in the reference currency
+ * @returns {string} Amount with 2 decimals, or '-' when it has no price
+ */
+function money(amount) {
+  return amount === null ? '-' : amount.toFixed(2);
+}
+
+/**
+ * Chains with remits in the run, with their profit
+ * @param {Array} results - Execution results
+ * @returns {Array} Results that have a profit
+ */
+function profits(results) {
+  return results.filter(result => result.profit);
+}
+
+/**
+ * Token sweeps made by the run, one row per chain and token
+ * @param {Array} results - Execution results
+ * @returns {Array<{ chain: string, symbol: string, amount: string|null, status: string, txHash?: string }>} Sweeps
+ */
+function sweeps(results) {
+  return results.flatMap(result => (result.sweeps || []).map(sweep => ({ chain: result.chain, ...sweep })));
+}
+
+/**
+ * @param {string} status - Sweep status
+ * @param {Function} t - Translator
+ * @returns {string} Localized status
+ */
+function sweepStatus(status, t) {
+  return t(`summary.sweepStatus.${status}`);
+}
+
+export function subject(data, t) {
+  const { executed, noSubs, failed, timedOut } = count(data.results);
+  return t('summary.subject', { executed, none: noSubs, failed }) + (timedOut > 0 ? t('summary.subjectTimedOut', { count: timedOut }) : '');
+}
+
+export function body(data, t) {
+  const { total, executed, noSubs, failed, timedOut } = count(data.results);
+  return layout({ heading: t('summary.heading'), color: COLORS.neutral, footer: t('common.footerMultiChain') }, [
+    section({ background: '#f0f9ff', color: '#0369a1', title: t('summary.overall') }, [
+      field(t('summary.totalChains'), total),
+      field(t('summary.executed'), executed),
+      field(t('summary.noSubscriptions'), noSubs),
+      field(t('summary.failed'), failed),
+      timedOut > 0 ? field(t('summary.timedOut'), timedOut) : '',
+      field(t('common.timestamp'), data.timestamp)
+    ]),
+    section({ background: '#f9fafb', title: t('summary.chainResults') }, table(
+      [{ label: t('summary.status'), align: 'center' }, { label: t('summary.chain') }, { label: t('summary.result') }],
+      data.results.map(result => {
+        const { icon, outcome } = describe(result, t);
+        return [icon, result.chain, outcome];
+      })
+    )),
+    data.results.map(result => subscriptionsHtml(result.subscriptions, result.chain, t)),
+    profits(data.results).length > 0
+      ? section({ background: '#f9fafb', title: t('summary.profit', { currency: profits(data.results)[0].profit.currency }) }, table(
+        [{ label: t('summary.chain') }, { label: t('summary.profitRemits') }, { label: t('summary.profitGas') }, { label: t('summary.profitCost') }, { label: t('summary.profitRevenue') }, { label: t('summary.profitNet') }],
+        profits(data.results).map(({ chain, profit }) => [chain, profit.remits, profit.gasCostEth, money(profit.cost), money(profit.revenue), money(profit.net)])
+      ))
+      : '',
+    sweeps(data.results).length > 0
+      ? section({ background: '#f9fafb', title: t('summary.sweeps') }, table(
+        [{ label: t('summary.chain') }, { label: t('summary.sweepToken') }, { label: t('summary.sweepAmount') }, { label: t('summary.status') }, { label: t('summary.sweepTx') }],
+        sweeps(data.results).map(sweep => [sweep.chain, sweep.symbol, sweep.amount ?? '-', sweepStatus(sweep.status, t), sweep.txHash ? formatTxHash(sweep.txHash) : '-'])
+      ))
+      : '',
+    failed + timedOut > 0
+      ? callout({ background: '#fef2f2', color: '#dc2626', label: t('summary.warningLabel') }, t('summary.warning', { count: failed + timedOut }))
+      : callout({ background: '#f0fdf4', color: '#166534', label: t('summary.allSucceeded') }, '')
+  ]);
+}
+
+export function text(data, t) {
+  const { total, executed, noSubs, failed, timedOut } = count(data.results);
+  return textLayout({ heading: t('summary.heading'), footer: t('common.footerMultiChain') }, [
+    [
+      `${t('summary.totalChains')} ${total}`,
+      `${t('summary.executed')} ${executed}`,
+      `${t('summary.noSubscriptions')} ${noSubs}`,
+      `${t('summary.failed')} ${failed}`,
+      timedOut > 0 ? `${t('summary.timedOut')} ${timedOut}` : null,
+      `${t('common.timestamp')} ${data.timestamp}`
+    ],
+    [t('summary.chainResults'), ...data.results.map(result => {
+      const { icon, outcome } = describe(result, t);
+      return `${icon} ${result.chain}: ${outcome}`;
+    })],
+    ...data.results.map(result => subscriptionsText(result.subscriptions, result.chain, t)),
+    profits(data.results).length > 0
+      ? [t('summary.profit', { currency: profits(data.results)[0].profit.currency }), ...profits(data.results).map(({ chain, profit }) =>
+        `${chain}: ${t('summary.profitLine', { remits: profit.remits, gas: profit.gasCostEth, cost: money(profit.cost), revenue: money(profit.revenue), net: money(profit.net) })}`)]
+      : null,
+    sweeps(data.results).length > 0
+      ? [t('summary.sweeps'), ...sweeps(data.results).map(sweep =>
+        `${sweep.chain}: ${sweep.amount ?? '-'} ${sweep.symbol}, ${sweepStatus(sweep.status, t)}${sweep.txHash ? ` (${sweep.txHash})` : ''}`)]
+      : null,
+    failed + timedOut > 0 ? `${t('summary.warningLabel')} ${t('summary.warning', { count: failed + timedOut })}` : t('summary.allSucceeded')
+  ]);
+}
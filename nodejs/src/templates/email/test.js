@@ -0,0 +1,17 @@
+/**
+ * Test email sent by EmailService.testEmailConfiguration
+ */
+
+import { html } from '../html.js';
+
+export function subject(data, t) {
+  return t('test.subject');
+}
+
+export function body(data, t) {
+  return html`<p>${t('test.body')}</p>`;
+}
+
+export function text(data, t) {
+  return t('test.body');
+}
@@ -0,0 +1,51 @@
+/**
+ * HTML Template Tag
+ *
+ * `html` escapes every interpolated value unless it is already rendered HTML
+ * (the result of another `html` call), so data such as error messages cannot
+ * inject markup. Arrays are rendered item by item and joined; null,
+ * undefined and false render as nothing.
+ */
+
+import { escapeHtml } from '../utils/helpers.js';
+
+export class SafeHtml {
+  /**
+   * @param {string} value - Rendered HTML
+   */
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Render one interpolated value
+ * @param {*} value - Value
+ * @returns {string} HTML
+ */
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes interpolated values
+ * @param {TemplateStringsArray} strings - Literal parts
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Rendered HTML
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, part, i) => out + part + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
@@ -0,0 +1,41 @@
+/**
+ * Email Locales
+ *
+ * Strings live in one file per locale under ./locales. A translator looks a
+ * key up in its locale, then in English, and fills in `{name}` placeholders.
+ */
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = { en, es };
+
+/**
+ * Match a locale tag to a supported locale, falling back from region tags
+ * such as es-MX to the language
+ * @param {string} tag - Locale tag
+ * @returns {string|null} Supported locale, or null if there is none
+ */
+export function resolveLocale(tag) {
+  const normalized = String(tag ?? '').trim().toLowerCase().replace('_', '-');
+  if (LOCALES[normalized]) {
+    return normalized;
+  }
+  const language = normalized.split('-')[0];
+  return LOCALES[language] ? language : null;
+}
+
+/**
+ * Create a translator for a locale
+ * @param {string} locale - Supported locale (unknown locales use English)
+ * @returns {(key: string, params?: Object) => string} Translator
+ */
+export function createTranslator(locale) {
+  const strings = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  return (key, params = {}) => {
+    const template = strings[key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  };
+}
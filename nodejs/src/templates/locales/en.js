@@ -0,0 +1,138 @@
+/**
+ * English email strings. This is the fallback for keys missing from other
+ * locales. Values are plain text: placeholders in braces are filled in by the
+ * translator and the result is escaped when rendered into HTML.
+ */
+
+export default {
+  'common.chain': 'Chain:',
+  'common.timestamp': 'Timestamp:',
+  'common.notAvailable': 'N/A',
+  'common.footerChain': 'Clocktower Caller - {chain} Chain Monitoring',
+  'common.footerMultiChain': 'Clocktower Caller - Multi-Chain Monitoring',
+
+  'success.subject': '✅ Clocktower Remit Success - {chain}',
+  'success.heading': '🎉 Clocktower Remit Transaction Successful!',
+  'success.details': 'Transaction Details',
+  'success.txHash': 'Transaction Hash:',
+  'success.recursionDepth': 'Recursion Depth:',
+  'success.balances': 'Balance Changes',
+  'success.ethBalance': 'ETH Balance:',
+  'success.tokenBalance': '{symbol} Balance:',
+  'success.noteLabel': 'Note:',
+  'success.note': 'This email was sent automatically when the remit transaction succeeded and was not reverted.',
+
+  'subscriptions.heading': 'Subscriptions Covered',
+  'subscriptions.frequency': 'Frequency',
+  'subscriptions.dueDay': 'Due Day',
+  'subscriptions.checkedDay': 'Checked Day',
+  'subscriptions.ids': 'Subscription IDs',
+
+  'noSubscriptions.subject': '📭 Clocktower No Subscriptions - {chain}',
+  'noSubscriptions.heading': '📭 No Subscriptions Found for Today',
+  'noSubscriptions.results': 'Daily Check Results',
+  'noSubscriptions.currentDay': 'Current Day:',
+  'noSubscriptions.nextUncheckedDay': 'Next Unchecked Day:',
+  'noSubscriptions.meaning': 'What This Means',
+  'noSubscriptions.meaningIntro': 'No active subscriptions were found for the current day. This could mean:',
+  'noSubscriptions.reasonNotDue': 'No subscriptions are due today',
+  'noSubscriptions.reasonProcessed': 'All subscriptions for today have already been processed',
+  'noSubscriptions.reasonUpToDate': 'The system is up to date',
+  'noSubscriptions.statusLabel': 'Status:',
+  'noSubscriptions.status': 'No remit transaction was needed or executed.',
+
+  'error.subject': '❌ Clocktower Error - {chain}',
+  'error.heading': '❌ Clocktower Execution Error',
+  'error.information': 'Error Information',
+  'error.type': 'Error Type:',
+  'error.message': 'Error Message',
+  'error.details': 'Additional Details',
+  'error.actionLabel': '⚠️ Action Required:',
+  'error.action': 'Please investigate this error and ensure the Clocktower caller is functioning correctly.',
+
+  'resolved.subject': '✅ Clocktower Resolved - {chain}',
+  'resolved.heading': '✅ Errors Resolved',
+  'resolved.intro': 'The chain ran without these errors. They will be reported again if they come back.',
+  'resolved.errorType': 'Error Type',
+  'resolved.message': 'Message',
+  'resolved.seen': 'First / Last Seen',
+  'resolved.occurrences': 'Occurrences',
+  'resolved.line': '{errorType}: {message} (first seen {firstSeenAt}, last seen {lastSeenAt}, {occurrences} occurrence(s))',
+
+  'lowBalance.subjectWarn': '⚠️ Clocktower Low Balance - {chain}',
+  'lowBalance.subjectCritical': '🚨 Clocktower Critical Balance - {chain}',
+  'lowBalance.headingWarn': '⚠️ Caller Balance Low',
+  'lowBalance.headingCritical': '🚨 Caller Balance Critical',
+  'lowBalance.balance': 'Caller Balance:',
+  'lowBalance.runway': 'Runway:',
+  'lowBalance.runwayDays': '{days} days at {perDay} remit(s)/day, {cost} ETH each',
+  'lowBalance.noRunway': 'Not enough remit history to forecast',
+  'lowBalance.thresholds': 'Thresholds Crossed',
+  'lowBalance.warn': 'Warning',
+  'lowBalance.critical': 'Critical',
+  'lowBalance.balanceBreach': 'Balance {value} ETH is below {threshold} ETH',
+  'lowBalance.runwayBreach': 'Runway {value} days is below {threshold} days',
+  'lowBalance.actionLabel': '⚠️ Action Required:',
+  'lowBalance.action': 'Top up the caller wallet before remit transactions start failing.',
+
+  'summary.subject': '📊 Clocktower Summary - {executed} executed, {none} none, {failed} failed',
+  'summary.subjectTimedOut': ', {count} timed out',
+  'summary.heading': '📊 Multi-Chain Execution Summary',
+  'summary.overall': 'Overall Results',
+  'summary.totalChains': 'Total Chains:',
+  'summary.executed': 'Executed Transactions:',
+  'summary.noSubscriptions': 'No Subscriptions:',
+  'summary.failed': 'Failed:',
+  'summary.timedOut': 'Timed Out:',
+  'summary.chainResults': 'Chain Results',
+  'summary.status': 'Status',
+  'summary.chain': 'Chain',
+  'summary.result': 'Result',
+  'summary.outcomeTimedOut': 'Timed out',
+  'summary.outcomeTimedOutAfter': 'Timed out after {count} tx(s)',
+  'summary.outcomeFailed': 'Failed',
+  'summary.outcomeExecuted': 'Executed {count} tx(s)',
+  'summary.outcomeDeferred': 'Deferred',
+  'summary.outcomeNoSubscriptions': 'No subscriptions',
+  'summary.warningLabel': '⚠️ Warning:',
+  'summary.warning': '{count} chain(s) failed or timed out. Check logs for details.',
+  'summary.allSucceeded': '🎉 All chains executed successfully!',
+  'summary.profit': 'Profitability ({currency})',
+  'summary.profitRemits': 'Remits',
+  'summary.profitGas': 'Gas (ETH)',
+  'summary.profitCost': 'Cost',
+  'summary.profitRevenue': 'Revenue',
+  'summary.profitNet': 'Net',
+  'summary.profitLine': '{remits} remit(s), gas {gas} ETH, cost {cost}, revenue {revenue}, net {net}',
+  'summary.sweeps': 'Token Sweeps',
+  'summary.sweepToken': 'Token',
+  'summary.sweepAmount': 'Amount',
+  'summary.sweepTx': 'Transaction',
+  'summary.sweepStatus.confirmed': 'Confirmed',
+  'summary.sweepStatus.pending': 'Pending',
+  'summary.sweepStatus.failed': 'Failed',
+  'summary.sweepStatus.dry_run': 'Dry run',
+
+  'digest.daily': 'Daily',
+  'digest.weekly': 'Weekly',
+  'digest.subject': '📬 Clocktower {label} Digest - {remits} remits, {failures} failed, {noSubscriptionDays} no-subscription days',
+  'digest.heading': '📬 {label} Digest',
+  'digest.totals': 'Totals',
+  'digest.period': 'Period:',
+  'digest.remits': 'Remits Sent:',
+  'digest.gasSpent': 'Gas Spent:',
+  'digest.gasCost': '{eth} ETH ({gas} gas)',
+  'digest.gasUnits': '{gas} gas',
+  'digest.failures': 'Failures:',
+  'digest.noSubscriptionDays': 'Days With No Subscriptions:',
+  'digest.byChain': 'By Chain',
+  'digest.chain': 'Chain',
+  'digest.remitsColumn': 'Remits',
+  'digest.gas': 'Gas',
+  'digest.balanceChange': 'Balance Change',
+  'digest.failuresColumn': 'Failures',
+  'digest.noSubscriptionDaysColumn': 'No-Sub Days',
+
+  'test.subject': 'Clocktower Caller - Test Email',
+  'test.body': 'This is a test email to verify email configuration.'
+};
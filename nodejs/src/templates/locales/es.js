@@ -0,0 +1,132 @@
+/**
+ * Spanish email strings. Missing keys fall back to English.
+ */
+
+export default {
+  'common.chain': 'Cadena:',
+  'common.timestamp': 'Fecha y hora:',
+  'common.notAvailable': 'N/D',
+  'common.footerChain': 'Clocktower Caller - Monitorización de la cadena {chain}',
+  'common.footerMultiChain': 'Clocktower Caller - Monitorización multicadena',
+
+  'success.subject': '✅ Clocktower: remit correcto - {chain}',
+  'success.heading': '🎉 ¡Transacción remit de Clocktower correcta!',
+  'success.details': 'Detalles de la transacción',
+  'success.txHash': 'Hash de la transacción:',
+  'success.recursionDepth': 'Profundidad de recursión:',
+  'success.balances': 'Cambios de saldo',
+  'success.ethBalance': 'Saldo de ETH:',
+  'success.tokenBalance': 'Saldo de {symbol}:',
+  'success.noteLabel': 'Nota:',
+  'success.note': 'Este correo se envió automáticamente porque la transacción remit se completó y no se revirtió.',
+
+  'subscriptions.heading': 'Suscripciones cubiertas',
+  'subscriptions.frequency': 'Frecuencia',
+  'subscriptions.dueDay': 'Día de vencimiento',
+  'subscriptions.checkedDay': 'Día comprobado',
+  'subscriptions.ids': 'IDs de suscripción',
+
+  'noSubscriptions.subject': '📭 Clocktower: sin suscripciones - {chain}',
+  'noSubscriptions.heading': '📭 No hay suscripciones para hoy',
+  'noSubscriptions.results': 'Resultado de la comprobación diaria',
+  'noSubscriptions.currentDay': 'Día actual:',
+  'noSubscriptions.nextUncheckedDay': 'Siguiente día sin comprobar:',
+  'noSubscriptions.meaning': 'Qué significa',
+  'noSubscriptions.meaningIntro': 'No se encontraron suscripciones activas para el día actual. Esto puede deberse a que:',
+  'noSubscriptions.reasonNotDue': 'Hoy no vence ninguna suscripción',
+  'noSubscriptions.reasonProcessed': 'Todas las suscripciones de hoy ya se han procesado',
+  'noSubscriptions.reasonUpToDate': 'El sistema está al día',
+  'noSubscriptions.statusLabel': 'Estado:',
+  'noSubscriptions.status': 'No hizo falta enviar ninguna transacción remit.',
+
+  'error.subject': '❌ Clocktower: error - {chain}',
+  'error.heading': '❌ Error de ejecución de Clocktower',
+  'error.information': 'Información del error',
+  'error.type': 'Tipo de error:',
+  'error.message': 'Mensaje de error',
+  'error.details': 'Detalles adicionales',
+  'error.actionLabel': '⚠️ Acción necesaria:',
+  'error.action': 'Investiga este error y comprueba que el caller de Clocktower funciona correctamente.',
+
+  'resolved.subject': '✅ Clocktower: resuelto - {chain}',
+  'resolved.heading': '✅ Errores resueltos',
+  'resolved.intro': 'La cadena se ejecutó sin estos errores. Se volverán a notificar si reaparecen.',
+  'resolved.errorType': 'Tipo de error',
+  'resolved.message': 'Mensaje',
+  'resolved.seen': 'Primera / última vez',
+  'resolved.occurrences': 'Repeticiones',
+  'resolved.line': '{errorType}: {message} (visto por primera vez {firstSeenAt}, última vez {lastSeenAt}, {occurrences} repetición(es))',
+
+  'lowBalance.subjectWarn': '⚠️ Clocktower: saldo bajo - {chain}',
+  'lowBalance.subjectCritical': '🚨 Clocktower: saldo crítico - {chain}',
+  'lowBalance.headingWarn': '⚠️ Saldo del caller bajo',
+  'lowBalance.headingCritical': '🚨 Saldo del caller crítico',
+  'lowBalance.balance': 'Saldo del caller:',
+  'lowBalance.runway': 'Autonomía:',
+  'lowBalance.runwayDays': '{days} días a {perDay} remit(s)/día, {cost} ETH cada uno',
+  'lowBalance.noRunway': 'No hay suficiente historial de remits para estimarla',
+  'lowBalance.thresholds': 'Umbrales superados',
+  'lowBalance.warn': 'Aviso',
+  'lowBalance.critical': 'Crítico',
+  'lowBalance.balanceBreach': 'El saldo de {value} ETH está por debajo de {threshold} ETH',
+  'lowBalance.runwayBreach': 'La autonomía de {value} días está por debajo de {threshold} días',
+  'lowBalance.actionLabel': '⚠️ Acción necesaria:',
+  'lowBalance.action': 'Recarga la cartera del caller antes de que los remits empiecen a fallar.',
+
+  'summary.subject': '📊 Clocktower: resumen - {executed} ejecutadas, {none} sin suscripciones, {failed} con error',
+  'summary.subjectTimedOut': ', {count} con tiempo agotado',
+  'summary.heading': '📊 Resumen de ejecución multicadena',
+  'summary.overall': 'Resultado general',
+  'summary.totalChains': 'Cadenas:',
+  'summary.executed': 'Transacciones ejecutadas:',
+  'summary.noSubscriptions': 'Sin suscripciones:',
+  'summary.failed': 'Con error:',
+  'summary.timedOut': 'Tiempo agotado:',
+  'summary.chainResults': 'Resultado por cadena',
+  'summary.status': 'Estado',
+  'summary.chain': 'Cadena',
+  'summary.result': 'Resultado',
+  'summary.outcomeTimedOut': 'Tiempo agotado',
+  'summary.outcomeTimedOutAfter': 'Tiempo agotado tras {count} tx',
+  'summary.outcomeFailed': 'Error',
+  'summary.outcomeExecuted': '{count} tx ejecutada(s)',
+  'summary.outcomeDeferred': 'Aplazada',
+  'summary.outcomeNoSubscriptions': 'Sin suscripciones',
+  'summary.warningLabel': '⚠️ Aviso:',
+  'summary.warning': '{count} cadena(s) con error o con tiempo agotado. Revisa los logs.',
+  'summary.allSucceeded': '🎉 ¡Todas las cadenas se ejecutaron correctamente!',
+  'summary.profit': 'Rentabilidad ({currency})',
+  'summary.profitRemits': 'Remesas',
+  'summary.profitGas': 'Gas (ETH)',
+  'summary.profitCost': 'Coste',
+  'summary.profitRevenue': 'Ingresos',
+  'summary.profitNet': 'Neto',
+  'summary.profitLine': '{remits} remesa(s), gas {gas} ETH, coste {cost}, ingresos {revenue}, neto {net}',
+  'summary.sweeps': 'Barridos de tokens',
+  'summary.sweepToken': 'Token',
+  'summary.sweepAmount': 'Cantidad',
+  'summary.sweepTx': 'Transacción',
+  'summary.sweepStatus.confirmed': 'Confirmado',
+  'summary.sweepStatus.pending': 'Pendiente',
+  'summary.sweepStatus.failed': 'Fallido',
+  'summary.sweepStatus.dry_run': 'Simulación',
+
+  'digest.daily': 'diario',
+  'digest.weekly': 'semanal',
+  'digest.subject': '📬 Clocktower: resumen {label} - {remits} remits, {failures} con error, {noSubscriptionDays} días sin suscripciones',
+  'digest.heading': '📬 Resumen {label}',
+  'digest.totals': 'Totales',
+  'digest.period': 'Periodo:',
+  'digest.remits': 'Remits enviados:',
+  'digest.gasSpent': 'Gas gastado:',
+  'digest.failures': 'Errores:',
+  'digest.noSubscriptionDays': 'Días sin suscripciones:',
+  'digest.byChain': 'Por cadena',
+  'digest.chain': 'Cadena',
+  'digest.balanceChange': 'Cambio de saldo',
+  'digest.failuresColumn': 'Errores',
+  'digest.noSubscriptionDaysColumn': 'Días sin susc.',
+
+  'test.subject': 'Clocktower Caller - Correo de prueba',
+  'test.body': 'Este es un correo de prueba para comprobar la configuración del correo.'
+};
@@ -68,6 +68,16 @@ export const ERC20_ABI = [
     outputs: [{ type: 'uint8' }],
     stateMutability: 'view',
   },
+  {
+    name: 'transfer',
+    type: 'function',
+    inputs: [
+      { name: 'to', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ],
+    outputs: [{ type: 'bool' }],
+    stateMutability: 'nonpayable',
+  },
   {
     name: 'symbol',
     type: 'function',
@@ -309,6 +319,20 @@ export function formatTxHash(txHash) {
   return `${txHash.slice(0, 8)}...${txHash.slice(-6)}`;
 }
 
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape (null and undefined become an empty string)
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // =============================================================================
 // ERROR UTILITIES
 // =============================================================================
@@ -339,6 +363,109 @@ export function isRevertError(error) {
          error.code === 'CALL_EXCEPTION';
 }
 
+/**
+ * Extract the most specific revert reason from a viem error
+ * @param {Error} error - Error thrown by simulateContract / estimateGas
+ * @returns {string} Revert reason
+ */
+export function extractRevertReason(error) {
+  let current = error;
+  while (current) {
+    if (current.reason) return current.reason;
+    if (!current.cause) break;
+    current = current.cause;
+  }
+  return error?.shortMessage || error?.message || 'Unknown revert reason';
+}
+
+/**
+ * Fee paid by a mined transaction. OP-stack receipts (Base, Optimism) also
+ * carry the L1 data fee, which is charged on top of gas.
+ * @param {Object} receipt - Transaction receipt
+ * @returns {{ effectiveGasPrice: bigint|null, l1Fee: bigint|null, totalWei: bigint|null }} Fee parts in wei
+ */
+export function getReceiptFee(receipt) {
+  const toBigInt = (value) => (value === null || value === undefined ? null : BigInt(value));
+  const gasUsed = toBigInt(receipt?.gasUsed);
+  const effectiveGasPrice = toBigInt(receipt?.effectiveGasPrice);
+  // Chains without a formatter for it return l1Fee as a hex string
+  const l1Fee = toBigInt(receipt?.l1Fee);
+  return {
+    effectiveGasPrice,
+    l1Fee,
+    totalWei: gasUsed !== null && effectiveGasPrice !== null ? gasUsed * effectiveGasPrice + (l1Fee ?? 0n) : null
+  };
+}
+
+// =============================================================================
+// ASYNC UTILITIES
+// =============================================================================
+
+/**
+ * Map items through an async worker with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runWorker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Reject if a promise does not settle within `ms`
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in ms (0 or less waits indefinitely)
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<*>} Result of the promise
+ * @throws {Error} TIMEOUT when the time runs out
+ */
+export function withTimeout(promise, ms, message) {
+  if (!ms || ms <= 0) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(createError(message, 'TIMEOUT', { timeoutMs: ms })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Reject with the signal's reason as soon as it aborts, for work that takes no AbortSignal itself
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal|null} signal - Abort signal
+ * @returns {Promise<*>} Result of the promise
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
 // =============================================================================
 // CONFIGURATION UTILITIES
 // =============================================================================
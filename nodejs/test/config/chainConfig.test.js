@@ -8,6 +8,7 @@ describe('ChainConfigService', () => {
   beforeEach(() => {
     vi.stubEnv('ACTIVE_CHAINS', undefined);
     vi.stubEnv('ALCHEMY_URL_BASE', undefined);
+    vi.stubEnv('RPC_URLS_BASE', undefined);
     vi.stubEnv('CLOCKTOWER_ADDRESS_BASE', undefined);
     vi.stubEnv('CHAIN_ID_BASE', undefined);
     vi.stubEnv('TOKENS_BASE', undefined);
@@ -190,5 +191,193 @@ describe('ChainConfigService', () => {
     service.reload();
     expect(service.getChainCount()).toBe(2);
   });
-});
+  describe('parseRpcUrlsForChain', () => {
+    it('should use the Alchemy URL and key when RPC_URLS is not set', () => {
+      vi.stubEnv('ALCHEMY_URL_BASE', 'https://base-mainnet.g.alchemy.com/v2/');
+      vi.stubEnv('ALCHEMY_API_KEY', 'test_key');
+
+      const service = new ChainConfigService();
+      expect(service.parseRpcUrlsForChain('BASE')).toEqual(['https://base-mainnet.g.alchemy.com/v2/test_key']);
+    });
+
+    it('should prefer RPC_URLS in order, trimmed and without duplicates', () => {
+      vi.stubEnv('ALCHEMY_URL_BASE', 'https://base-mainnet.g.alchemy.com/v2/');
+      vi.stubEnv('RPC_URLS_BASE', 'https://rpc-a.example/key, https://rpc-b.example,,https://rpc-a.example/key');
+
+      const service = new ChainConfigService();
+      expect(service.parseRpcUrlsForChain('BASE')).toEqual(['https://rpc-a.example/key', 'https://rpc-b.example']);
+    });
+
+    it('should accept a chain configured with RPC_URLS only', () => {
+      vi.stubEnv('ACTIVE_CHAINS', 'base');
+      vi.stubEnv('RPC_URLS_BASE', 'https://rpc-a.example,https://rpc-b.example');
+      vi.stubEnv('CLOCKTOWER_ADDRESS_BASE', '0x1234567890123456789012345678901234567890');
+      vi.stubEnv('CHAIN_ID_BASE', '8453');
+      vi.stubEnv('TOKENS_BASE', baseTokensJson);
+
+      const chains = new ChainConfigService().getAllActiveChains();
+      expect(chains.length).toBe(1);
+      expect(chains[0].rpcUrls).toEqual(['https://rpc-a.example', 'https://rpc-b.example']);
+    });
+
+    it('should reject a chain with no RPC endpoint', () => {
+      vi.stubEnv('ACTIVE_CHAINS', 'base');
+      vi.stubEnv('CLOCKTOWER_ADDRESS_BASE', '0x1234567890123456789012345678901234567890');
+      vi.stubEnv('CHAIN_ID_BASE', '8453');
+      vi.stubEnv('TOKENS_BASE', baseTokensJson);
+
+      expect(new ChainConfigService().getAllActiveChains()).toEqual([]);
+    });
+  });
+
+  describe('parseQuorumPolicyForChain', () => {
+    it('should return null unless RPC_QUORUM is true', () => {
+      const service = new ChainConfigService();
+      expect(service.parseQuorumPolicyForChain('BASE')).toBeNull();
+    });
+
+    it('should parse quorum policy with defaults', () => {
+      vi.stubEnv('RPC_QUORUM_BASE', 'true');
+
+      const service = new ChainConfigService();
+      expect(service.parseQuorumPolicyForChain('BASE')).toEqual({ minProviders: 2, maxBlockLag: 5 });
+    });
+
+    it('should read provider count and block lag, allowing a zero lag', () => {
+      vi.stubEnv('RPC_QUORUM_BASE', 'true');
+      vi.stubEnv('RPC_QUORUM_MIN_PROVIDERS_BASE', '3');
+      vi.stubEnv('RPC_QUORUM_MAX_BLOCK_LAG_BASE', '0');
+
+      const service = new ChainConfigService();
+      expect(service.parseQuorumPolicyForChain('BASE')).toEqual({ minProviders: 3, maxBlockLag: 0 });
+    });
+  });
+
+  describe('parseFeePolicyForChain', () => {
+    it('should return null when no fee variables are set', () => {
+      const service = new ChainConfigService();
+      expect(service.parseFeePolicyForChain('BASE')).toBeNull();
+    });
+
+    it('should parse fee policy with defaults', () => {
+      vi.stubEnv('FEE_CEILING_GWEI_BASE', '0.5');
+      vi.stubEnv('MAX_FEE_PER_GAS_GWEI_BASE', '0.2');
+
+      const service = new ChainConfigService();
+      expect(service.parseFeePolicyForChain('BASE')).toEqual({
+        maxFeePerGasGwei: 0.2,
+        maxPriorityFeePerGasGwei: null,
+        priorityFeePercentile: 50,
+        feeCeilingGwei: 0.5,
+        feeHistoryBlocks: 10,
+        baseFeeMultiplier: 2
+      });
+      vi.unstubAllEnvs();
+    });
+
+    it('should ignore invalid values', () => {
+      vi.stubEnv('PRIORITY_FEE_PERCENTILE_BASE', 'abc');
+      vi.stubEnv('FEE_CEILING_GWEI_BASE', '1');
+
+      const service = new ChainConfigService();
+      expect(service.parseFeePolicyForChain('BASE').priorityFeePercentile).toBe(50);
+      vi.unstubAllEnvs();
+    });
+  });
 
+  describe('parseBalancePolicyForChain', () => {
+    it('should leave balance thresholds off and default the runway thresholds', () => {
+      const service = new ChainConfigService();
+      expect(service.parseBalancePolicyForChain('BASE')).toEqual({
+        warnEth: null,
+        criticalEth: null,
+        warnRunwayDays: 14,
+        criticalRunwayDays: 3
+      });
+    });
+
+    it('should read per-chain thresholds and prefer them over the global runway days', () => {
+      vi.stubEnv('LOW_BALANCE_WARN_ETH_BASE', '0.05');
+      vi.stubEnv('LOW_BALANCE_CRITICAL_ETH_BASE', '0.01');
+      vi.stubEnv('RUNWAY_WARN_DAYS', '21');
+      vi.stubEnv('RUNWAY_CRITICAL_DAYS', '7');
+      vi.stubEnv('RUNWAY_CRITICAL_DAYS_BASE', '0');
+
+      const service = new ChainConfigService();
+      expect(service.parseBalancePolicyForChain('BASE')).toEqual({
+        warnEth: 0.05,
+        criticalEth: 0.01,
+        warnRunwayDays: 21,
+        criticalRunwayDays: 0
+      });
+      vi.unstubAllEnvs();
+    });
+
+    it('should fall back past an invalid per-chain value', () => {
+      vi.stubEnv('RUNWAY_WARN_DAYS_BASE', '-1');
+      vi.stubEnv('RUNWAY_WARN_DAYS', '10');
+
+      const service = new ChainConfigService();
+      expect(service.parseBalancePolicyForChain('BASE').warnRunwayDays).toBe(10);
+      vi.unstubAllEnvs();
+    });
+  });
+
+  describe('parseTopUpPolicyForChain', () => {
+    it('should return null unless the threshold and amount are both set', () => {
+      vi.stubEnv('TOPUP_THRESHOLD_ETH_BASE', '0.01');
+
+      const service = new ChainConfigService();
+      expect(service.parseTopUpPolicyForChain('BASE')).toBeNull();
+      vi.unstubAllEnvs();
+    });
+
+    it('should default the daily cap to one top-up', () => {
+      vi.stubEnv('TOPUP_THRESHOLD_ETH_BASE', '0.01');
+      vi.stubEnv('TOPUP_AMOUNT_ETH_BASE', '0.05');
+
+      const service = new ChainConfigService();
+      expect(service.parseTopUpPolicyForChain('BASE')).toEqual({ thresholdEth: 0.01, amountEth: 0.05, dailyCapEth: 0.05 });
+
+      vi.stubEnv('TOPUP_DAILY_CAP_ETH_BASE', '0.2');
+      expect(service.parseTopUpPolicyForChain('BASE').dailyCapEth).toBe(0.2);
+      vi.unstubAllEnvs();
+    });
+  });
+
+  describe('parseSweepPolicyForChain', () => {
+    it('should prefer the per-chain cold address over the global one', () => {
+      vi.stubEnv('SWEEP_COLD_ADDRESS', '0x1111111111111111111111111111111111111111');
+
+      const service = new ChainConfigService();
+      expect(service.parseSweepPolicyForChain('BASE')).toEqual({ coldAddress: '0x1111111111111111111111111111111111111111' });
+
+      vi.stubEnv('SWEEP_COLD_ADDRESS_BASE', '0x2222222222222222222222222222222222222222');
+      expect(service.parseSweepPolicyForChain('BASE')).toEqual({ coldAddress: '0x2222222222222222222222222222222222222222' });
+      vi.unstubAllEnvs();
+    });
+
+    it('should ignore an invalid address or the caller itself', () => {
+      vi.stubEnv('CALLER_ADDRESS', '0x1111111111111111111111111111111111111111');
+      const service = new ChainConfigService();
+
+      expect(service.parseSweepPolicyForChain('BASE')).toBeNull();
+      vi.stubEnv('SWEEP_COLD_ADDRESS_BASE', '0x1234');
+      expect(service.parseSweepPolicyForChain('BASE')).toBeNull();
+      vi.stubEnv('SWEEP_COLD_ADDRESS_BASE', '0x1111111111111111111111111111111111111111');
+      expect(service.parseSweepPolicyForChain('BASE')).toBeNull();
+      vi.unstubAllEnvs();
+    });
+
+    it('should read each token\'s sweep float', () => {
+      vi.stubEnv('TOKENS_BASE', JSON.stringify([
+        { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC', decimals: 6, sweepFloat: 25 },
+        { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 }
+      ]));
+
+      const service = new ChainConfigService();
+      expect(service.parseTokensForChain('BASE').map(token => token.sweepFloat)).toEqual(['25', '0']);
+      vi.unstubAllEnvs();
+    });
+  });
+});
@@ -2,7 +2,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { ClocktowerCaller } from '../../src/index.js';
 import { DatabaseService } from '../../src/services/database.js';
 import { ClocktowerService } from '../../src/services/clocktower.js';
-import { EmailService } from '../../src/services/email.js';
+import { NotificationService } from '../../src/services/notification.js';
 
 // Mock viem (blockchain library)
 vi.mock('viem', () => {
@@ -96,7 +96,7 @@ describe('ClocktowerCaller Integration Tests', () => {
       expect(caller.isInitialized).toBe(true);
       expect(caller.database).toBeInstanceOf(DatabaseService);
       expect(caller.clocktower).toBeInstanceOf(ClocktowerService);
-      expect(caller.email).toBeInstanceOf(EmailService);
+      expect(caller.notifications).toBeInstanceOf(NotificationService);
     });
 
     it('should fail initialization with missing required environment variables', async () => {
@@ -129,7 +129,33 @@ describe('ClocktowerCaller Integration Tests', () => {
       
       caller = new ClocktowerCaller();
       
-      await expect(caller.initialize()).rejects.toThrow();
+      await expect(caller.initialize()).rejects.toThrow('RPC_URLS_BASE or ALCHEMY_URL_BASE');
+    });
+
+    it('should initialize with RPC_URLS and no Alchemy configuration', async () => {
+      delete process.env.ALCHEMY_URL_BASE;
+      delete process.env.ALCHEMY_API_KEY;
+      vi.stubEnv('RPC_URLS_BASE', 'https://rpc-a.example/key,https://rpc-b.example');
+
+      caller = new ClocktowerCaller();
+
+      await expect(caller.initialize()).resolves.not.toThrow();
+    });
+
+    it('should require ALCHEMY_API_KEY when a chain uses the Alchemy URL', async () => {
+      delete process.env.ALCHEMY_API_KEY;
+
+      caller = new ClocktowerCaller();
+
+      await expect(caller.initialize()).rejects.toThrow('ALCHEMY_API_KEY');
+    });
+
+    it('should fail initialization with an invalid RPC_URLS entry', async () => {
+      vi.stubEnv('RPC_URLS_BASE', 'https://rpc-a.example,ws://rpc-b.example');
+
+      caller = new ClocktowerCaller();
+
+      await expect(caller.initialize()).rejects.toThrow('Invalid RPC_URLS_BASE format');
     });
 
     it('should initialize database successfully', async () => {
@@ -190,6 +216,30 @@ describe('ClocktowerCaller Integration Tests', () => {
     });
   });
 
+  describe('Run Lock', () => {
+    beforeEach(async () => {
+      caller = new ClocktowerCaller();
+      await caller.initialize();
+    });
+
+    it('should refuse to run while another run holds the lock', async () => {
+      await caller.database.acquireRunLock('base', 'other-host_1_abc', 60000);
+
+      await expect(caller.run()).rejects.toMatchObject({ code: 'RUN_LOCKED' });
+    });
+
+    it('should release the lock after the run', async () => {
+      const { createPublicClient } = await import('viem');
+      const mockClient = createPublicClient();
+      const currentDay = Math.floor(Date.now() / 1000 / 86400);
+      mockClient.readContract.mockResolvedValue(BigInt(currentDay + 1));
+
+      await caller.run();
+
+      await expect(caller.database.getRunLock('base')).resolves.toBeNull();
+    });
+  });
+
   describe('Shutdown', () => {
     it('should shutdown gracefully', async () => {
       caller = new ClocktowerCaller();
@@ -327,12 +377,12 @@ describe('ClocktowerCaller Integration Tests', () => {
       
       expect(summary).toBeDefined();
       // Email should be sent (mocked, so no actual send)
-      expect(caller.email.isEmailConfigured()).toBe(true);
+      expect(caller.notifications.getChannelNames()).toContain('email');
     });
 
     it('should handle email failures gracefully', async () => {
       // Force email to fail
-      caller.email.sendSummaryEmail = vi.fn().mockRejectedValueOnce(new Error('Email error'));
+      caller.notifications.notifySummary = vi.fn().mockRejectedValueOnce(new Error('Email error'));
       
       const { createPublicClient } = await import('viem');
       const mockClient = createPublicClient();
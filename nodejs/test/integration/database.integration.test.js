@@ -1,6 +1,11 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { DatabaseService } from '../../src/services/database.js';
 import { ClocktowerService } from '../../src/services/clocktower.js';
+import { StaticPriceSource } from '../../src/services/prices.js';
+import { MigrationService } from '../../src/services/migrations.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 describe('Database Integration Tests', () => {
   let database;
@@ -196,6 +201,26 @@ describe('Database Integration Tests', () => {
         database.logTokenBalance(logId, '0x1234', undefined, undefined, 'base')
       ).resolves.not.toThrow();
     });
+
+    it('should store raw balances exactly with their signed delta', async () => {
+      const logId = await database.logExecution({
+        execution_id: 'test_raw_balance',
+        timestamp: new Date().toISOString(),
+        chain_name: 'base',
+        chain_display_name: 'Base',
+        precheck_passed: true
+      });
+
+      await database.logTokenBalance(logId, '0x4200000000000000000000000000000000000006', 1234567890123456789012n, 1234567890123456789000n, 'base', { symbol: 'WETH', decimals: 18 });
+
+      const row = database.db.prepare('SELECT * FROM token_balances WHERE execution_log_id = ?').get(logId);
+      expect(row).toMatchObject({
+        balance_before: 1234.567890123456789012,
+        balance_before_raw: '1234567890123456789012',
+        balance_after_raw: '1234567890123456789000',
+        delta_raw: '-12'
+      });
+    });
   });
 
   describe('Query Operations', () => {
@@ -308,6 +333,483 @@ describe('Database Integration Tests', () => {
     });
   });
 
+  describe('Remit Subscriptions', () => {
+    it('should store and return subscription ids for a run', async () => {
+      const inserted = await database.logRemitSubscriptions('test_subs_run', 'base', [
+        { day: 20000, frequency: 0, frequencyName: 'weekly', dueDay: 3, ids: ['0xaa', '0xbb'] },
+        { day: 20000, frequency: 1, frequencyName: 'monthly', dueDay: 15, ids: ['0xcc'] }
+      ]);
+
+      expect(inserted).toBe(3);
+
+      const rows = await database.getRemitSubscriptions('test_subs_run');
+      expect(rows.map(r => r.subscription_id)).toEqual(['0xaa', '0xbb', '0xcc']);
+      expect(rows[2]).toMatchObject({ chain_name: 'base', frequency_name: 'monthly', due_day: 15, check_day: 20000 });
+    });
+
+    it('should skip empty groups', async () => {
+      await expect(database.logRemitSubscriptions('test_subs_empty', 'base', [])).resolves.toBe(0);
+    });
+  });
+
+  describe('Remit Runs', () => {
+    it('should track an interrupted run until it finishes', async () => {
+      await database.createRemitRun({
+        run_id: 'test_run_1',
+        chain_name: 'base',
+        current_day: 20000,
+        subscriptions_remaining: 30,
+        next_unchecked_day: 20000
+      });
+      await database.updateRemitRun('test_run_1', { batches_completed: 1, subscriptions_remaining: 20 });
+
+      const interrupted = await database.getInterruptedRemitRun('base');
+      expect(interrupted).toMatchObject({ run_id: 'test_run_1', status: 'running', batches_completed: 1, subscriptions_remaining: 20 });
+
+      await database.updateRemitRun('test_run_1', { status: 'completed' });
+      await expect(database.getInterruptedRemitRun('base')).resolves.toBeNull();
+    });
+  });
+
+  describe('Caller Nonces', () => {
+    it('should hand out consecutive nonces per chain and address', async () => {
+      const resolve = (row) => (row ? row.next_nonce : 5);
+
+      await expect(database.reserveNonce('base', '0xabc', resolve)).resolves.toBe(5);
+      await expect(database.reserveNonce('base', '0xabc', resolve)).resolves.toBe(6);
+      await expect(database.reserveNonce('sepolia-base', '0xabc', resolve)).resolves.toBe(5);
+    });
+
+    it('should pass the stored row and its age to the resolver', async () => {
+      await database.reserveNonce('base', '0xabc', () => 5);
+
+      let seen;
+      await database.reserveNonce('base', '0xabc', (row) => {
+        seen = row;
+        return row.next_nonce;
+      });
+
+      expect(seen.next_nonce).toBe(6);
+      expect(seen.age_ms).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should only release the most recently reserved nonce', async () => {
+      const resolve = (row) => (row ? row.next_nonce : 5);
+      await database.reserveNonce('base', '0xabc', resolve);
+      await database.reserveNonce('base', '0xabc', resolve);
+
+      await expect(database.releaseNonce('base', '0xabc', 5)).resolves.toBe(false);
+      await expect(database.releaseNonce('base', '0xabc', 6)).resolves.toBe(true);
+      await expect(database.reserveNonce('base', '0xabc', resolve)).resolves.toBe(6);
+    });
+  });
+
+  describe('Run Locks', () => {
+    it('should hold a lease until it is released', async () => {
+      await expect(database.acquireRunLock('base', 'holder_a', 60000)).resolves.toBe(true);
+      await expect(database.acquireRunLock('base', 'holder_b', 60000)).resolves.toBe(false);
+      await expect(database.acquireRunLock('sepolia-base', 'holder_b', 60000)).resolves.toBe(true);
+
+      await expect(database.renewRunLock('base', 'holder_a', 60000)).resolves.toBe(true);
+      await expect(database.renewRunLock('base', 'holder_b', 60000)).resolves.toBe(false);
+
+      await database.releaseRunLock('base', 'holder_a');
+      await expect(database.getRunLock('base')).resolves.toBeNull();
+      await expect(database.acquireRunLock('base', 'holder_b', 60000)).resolves.toBe(true);
+    });
+
+    it('should let another holder take over an expired lease', async () => {
+      await database.acquireRunLock('base', 'holder_a', -1);
+
+      await expect(database.acquireRunLock('base', 'holder_b', 60000)).resolves.toBe(true);
+      await expect(database.getRunLock('base')).resolves.toMatchObject({ holder_id: 'holder_b' });
+    });
+  });
+
+  describe('Digest Events', () => {
+    it('should hold events until a digest covers them', async () => {
+      const event = { chain_name: 'base', chain_display_name: 'Base', event_type: 'no_subscriptions', current_day: 20000 };
+      const first = await database.logDigestEvent({ ...event, recorded_at: '2026-01-01T10:00:00.000Z' });
+      await database.logDigestEvent({ ...event, recorded_at: '2026-01-02T10:00:00.000Z' });
+
+      const pending = await database.getPendingDigestEvents('2026-01-02T00:00:00.000Z');
+      expect(pending.map(row => row.id)).toEqual([first]);
+
+      await database.recordDigest({
+        digest_id: 'digest_1',
+        schedule: 'daily',
+        period_start: '2026-01-01T10:00:00.000Z',
+        period_end: '2026-01-02T00:00:00.000Z'
+      }, [first]);
+
+      await expect(database.getPendingDigestEvents('2026-01-02T00:00:00.000Z')).resolves.toEqual([]);
+      await expect(database.getPendingDigestEvents('2026-01-03T00:00:00.000Z')).resolves.toHaveLength(1);
+      expect(database.db.prepare('SELECT event_count FROM notification_digests WHERE digest_id = ?').get('digest_1')).toEqual({ event_count: 1 });
+    });
+  });
+
+  describe('Alerts', () => {
+    const occurrence = (seenAt) => ({
+      fingerprint: 'fp1',
+      chain_name: 'base',
+      chain_display_name: 'Base',
+      error_type: 'PreCheck Error',
+      message: 'HTTP request failed',
+      seen_at: seenAt
+    });
+
+    it('should count repeats of an alert and reopen it after it resolves', async () => {
+      await database.recordAlertOccurrence(occurrence('2026-01-01T10:00:00.000Z'));
+      await database.markAlertNotified('fp1', '2026-01-01T10:00:01.000Z');
+      const repeat = await database.recordAlertOccurrence(occurrence('2026-01-01T11:00:00.000Z'));
+
+      expect(repeat).toMatchObject({ occurrences: 2, first_seen_at: '2026-01-01T10:00:00.000Z', last_notified_at: '2026-01-01T10:00:01.000Z', resolved_at: null });
+
+      // Seen during the run starting at 11:00, so still open
+      await expect(database.resolveAlerts('base', '2026-01-01T11:00:00.000Z', '2026-01-01T11:01:00.000Z')).resolves.toEqual([]);
+      const resolved = await database.resolveAlerts('base', '2026-01-01T12:00:00.000Z', '2026-01-01T12:01:00.000Z');
+      expect(resolved.map(alert => alert.fingerprint)).toEqual(['fp1']);
+      await expect(database.resolveAlerts('base', '2026-01-01T13:00:00.000Z', '2026-01-01T13:01:00.000Z')).resolves.toEqual([]);
+
+      const reopened = await database.recordAlertOccurrence(occurrence('2026-01-02T10:00:00.000Z'));
+      expect(reopened).toMatchObject({ occurrences: 1, first_seen_at: '2026-01-02T10:00:00.000Z', last_notified_at: null, resolved_at: null });
+    });
+  });
+
+  describe('Remit Costs', () => {
+    const log = (id, fields) => database.logExecution({
+      execution_id: id,
+      chain_name: 'base',
+      chain_display_name: 'Base',
+      precheck_passed: true,
+      should_proceed: true,
+      tx_hash: `0x${id}`,
+      tx_status: 1,
+      ...fields
+    });
+
+    it('should sum the gas cost of remit transactions since a time', async () => {
+      await log('a', { timestamp: '2026-01-01T00:00:00.000Z', balance_before_eth: 1, balance_after_eth: 0.9 });
+      await log('b', { timestamp: '2026-01-02T00:00:00.000Z', balance_before_eth: 0.9, balance_after_eth: 0.89 });
+      await log('c', { timestamp: '2026-01-03T00:00:00.000Z', gas_used: 1000000, effective_gas_price: '15000000000', l1_fee: '5000000000000000', balance_before_eth: 0.89, balance_after_eth: 0.87 });
+      // Topped up during the transaction, so no cost from the balances; no pre-check only rows, other chains
+      await log('d', { timestamp: '2026-01-03T01:00:00.000Z', balance_before_eth: 0.87, balance_after_eth: 1.5 });
+      await log('e', { timestamp: '2026-01-03T02:00:00.000Z', tx_hash: null, balance_before_eth: 1.5, balance_after_eth: null });
+      await log('f', { timestamp: '2026-01-03T03:00:00.000Z', chain_name: 'arbitrum', balance_before_eth: 1, balance_after_eth: 0.5 });
+
+      const stats = await database.getRemitCostStats('base', '2026-01-02T00:00:00.000Z');
+
+      expect(stats.remits).toBe(3);
+      expect(stats.total_cost_eth).toBeCloseTo(0.03);
+      expect(stats.first_at).toBe('2026-01-02T00:00:00.000Z');
+      await expect(database.getRemitCostStats('base', '2026-02-01T00:00:00.000Z')).resolves.toMatchObject({ remits: 0, total_cost_eth: null });
+    });
+  });
+
+  describe('Remit Profitability', () => {
+    const log = async (id, timestamp, chainName, usdc) => {
+      const logId = await database.logExecution({
+        execution_id: id,
+        timestamp,
+        chain_name: chainName,
+        chain_display_name: chainName,
+        precheck_passed: true,
+        should_proceed: true,
+        tx_hash: `0x${id}`,
+        tx_status: 1,
+        gas_used: 100000,
+        effective_gas_price: '2000000000',
+        balance_before_eth: 1,
+        balance_after_eth: 0.9998
+      });
+      if (usdc) {
+        await database.logTokenBalance(logId, '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', usdc[0], usdc[1], chainName, { symbol: 'USDC', decimals: 6 });
+      }
+    };
+
+    it('should return remits with their token balances in a time range', async () => {
+      await log('a', '2026-01-01T00:00:00.000Z', 'base', [10, 12.5]);
+      await log('b', '2026-01-02T00:00:00.000Z', 'base', [12.5, 13]);
+      await log('c', '2026-01-02T01:00:00.000Z', 'arbitrum', null);
+      await database.logExecution({ execution_id: 'precheck', timestamp: '2026-01-02T02:00:00.000Z', chain_name: 'base', chain_display_name: 'base', precheck_passed: true });
+
+      const rows = await database.getRemitProfitRows({ chainName: 'base', since: '2026-01-01T00:00:00.000Z', until: '2026-01-02T00:00:00.000Z' });
+
+      expect(rows).toEqual([expect.objectContaining({
+        execution_id: 'a',
+        gas_used: 100000,
+        effective_gas_price: '2000000000',
+        tokens: [{ symbol: 'USDC', decimals: 6, balance_before: 10, balance_after: 12.5, delta_raw: null }]
+      })]);
+      await expect(database.getRemitProfitRows()).resolves.toHaveLength(3);
+    });
+
+    it('should value profit per day and chain through a price source', async () => {
+      await log('a', '2026-01-01T00:00:00.000Z', 'base', [10, 12.5]);
+      await log('b', '2026-01-02T00:00:00.000Z', 'base', [12.5, 13]);
+      await log('c', '2026-01-02T01:00:00.000Z', 'arbitrum', null);
+
+      const stats = await database.getProfitStats(new StaticPriceSource({ ETH: 2500, USDC: 1 }), { since: '2026-01-01T00:00:00.000Z' });
+
+      expect(stats.byChain.map(chain => [chain.chain, chain.remits, chain.net])).toEqual([['base', 2, 2], ['arbitrum', 1, -0.5]]);
+      expect(stats.byDay.map(day => [day.day, day.chain, day.net])).toEqual([['2026-01-01', 'base', 2], ['2026-01-02', 'base', 0], ['2026-01-02', 'arbitrum', -0.5]]);
+      expect(stats.totals).toMatchObject({ remits: 3, gasCostEth: 0.0006, cost: 1.5, revenue: 3, net: 1.5 });
+    });
+  });
+
+  describe('Wallet Top-Ups', () => {
+    it('should record top-ups and list them per chain since a time', async () => {
+      const topUp = {
+        chain_name: 'base',
+        treasury_address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+        recipient_address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+        amount_eth: 0.05,
+        threshold_eth: 0.01,
+        balance_before_eth: 0.004
+      };
+
+      await database.recordTopUp({ ...topUp, status: 'confirmed', tx_hash: '0x01', created_at: '2026-01-01T10:00:00.000Z' });
+      const id = await database.recordTopUp({ ...topUp, status: 'pending', created_at: '2026-01-02T10:00:00.000Z' });
+      await database.recordTopUp({ ...topUp, chain_name: 'arbitrum', status: 'refused', reason: 'Daily cap reached', created_at: '2026-01-02T11:00:00.000Z' });
+      await database.updateTopUp(id, { status: 'confirmed', tx_hash: '0x02', updated_at: '2026-01-02T10:01:00.000Z' });
+
+      const rows = await database.getTopUpsSince('base', '2026-01-02T00:00:00.000Z');
+
+      expect(rows).toEqual([expect.objectContaining({
+        id,
+        ...topUp,
+        status: 'confirmed',
+        reason: null,
+        tx_hash: '0x02',
+        created_at: '2026-01-02T10:00:00.000Z',
+        updated_at: '2026-01-02T10:01:00.000Z'
+      })]);
+    });
+  });
+
+  describe('Sweeps', () => {
+    it('should record sweeps with exact amounts and list them per chain since a time', async () => {
+      const sweep = {
+        execution_id: 'exec_base_1',
+        chain_name: 'base',
+        token_address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+        token_symbol: 'USDC',
+        from_address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+        to_address: '0x2222222222222222222222222222222222222222',
+        amount: '1234.567891',
+        balance_before: '1259.567891',
+        float_retained: '25'
+      };
+
+      await database.recordSweep({ ...sweep, status: 'confirmed', tx_hash: '0x01', created_at: '2026-01-01T10:00:00.000Z' });
+      const id = await database.recordSweep({ ...sweep, status: 'pending', created_at: '2026-01-02T10:00:00.000Z' });
+      await database.recordSweep({ ...sweep, chain_name: 'arbitrum', status: 'failed', error_message: 'insufficient funds', created_at: '2026-01-02T11:00:00.000Z' });
+      await database.updateSweep(id, { status: 'confirmed', tx_hash: '0x02', updated_at: '2026-01-02T10:01:00.000Z' });
+
+      const rows = await database.getSweepsSince('base', '2026-01-02T00:00:00.000Z');
+
+      expect(rows).toEqual([expect.objectContaining({
+        id,
+        ...sweep,
+        status: 'confirmed',
+        error_message: null,
+        tx_hash: '0x02',
+        created_at: '2026-01-02T10:00:00.000Z',
+        updated_at: '2026-01-02T10:01:00.000Z'
+      })]);
+    });
+  });
+
+  describe('Schema Upgrades', () => {
+    // A database created before versioned migrations has no schema_migrations
+    // table, and only the columns of the code that last opened it
+    const FEE_COLUMNS = ['effective_gas_price', 'l1_fee', 'block_number', 'nonce', 'balance_before_wei', 'balance_after_wei'];
+    const RAW_COLUMNS = ['balance_before_raw', 'balance_after_raw', 'delta_raw'];
+    const predateMigrations = ({ execution_logs = [], token_balances = [] } = {}) => {
+      for (const [table, columns] of Object.entries({ execution_logs, token_balances })) {
+        for (const column of columns) {
+          database.db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+        }
+      }
+      database.db.exec('DROP TABLE schema_migrations');
+    };
+    const appliedVersions = async () => (await new MigrationService(database).getApplied()).map(row => row.version);
+
+    it('should backfill raw token balances of rows logged before the raw columns existed', async () => {
+      const logId = await database.logExecution({ execution_id: 'test_legacy_balance', timestamp: new Date().toISOString(), chain_name: 'base', chain_display_name: 'Base', precheck_passed: true });
+      const usdc = await database.createToken({ token_address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', token_symbol: 'USDC', token_name: 'USD Coin', decimals: 6, chain_name: 'base' });
+      const weth = await database.createToken({ token_address: '0x4200000000000000000000000000000000000006', token_symbol: 'WETH', token_name: 'Wrapped Ether', decimals: 18, chain_name: 'base' });
+      predateMigrations({ token_balances: RAW_COLUMNS });
+      const insert = database.db.prepare('INSERT INTO token_balances (execution_log_id, token_id, balance_before, balance_after) VALUES (?, ?, ?, ?)');
+      insert.run(logId, usdc.id, 1259.567891, 1284.567891);
+      insert.run(logId, weth.id, 0.3, 0.1);
+      insert.run(logId, weth.id, null, 0.5);
+      insert.run(logId, usdc.id, 5.0, 5.0);
+      insert.run(logId, usdc.id, 1.0000001, 1.0);
+
+      await database.initializeSchema();
+      await database.initializeSchema();
+
+      const rows = database.db.prepare('SELECT balance_before_raw, balance_after_raw, delta_raw FROM token_balances ORDER BY id').all();
+      expect(rows).toEqual([
+        { balance_before_raw: '1259567891', balance_after_raw: '1284567891', delta_raw: '25000000' },
+        { balance_before_raw: '300000000000000000', balance_after_raw: '100000000000000000', delta_raw: '-200000000000000000' },
+        { balance_before_raw: null, balance_after_raw: '500000000000000000', delta_raw: null },
+        { balance_before_raw: '5000000', balance_after_raw: '5000000', delta_raw: '0' },
+        { balance_before_raw: '1000000', balance_after_raw: '1000000', delta_raw: '0' }
+      ]);
+      expect(await appliedVersions()).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should add execution_logs.status to a database created before it existed', async () => {
+      predateMigrations({ execution_logs: ['status', ...FEE_COLUMNS], token_balances: RAW_COLUMNS });
+
+      await database.initializeSchema();
+
+      const columns = database.db.prepare('PRAGMA table_info(execution_logs)').all().map(c => c.name);
+      expect(columns).toEqual(expect.arrayContaining(['status', ...FEE_COLUMNS]));
+      expect(await appliedVersions()).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should record the migrations a database already has without running them again', async () => {
+      predateMigrations();
+
+      const adopted = await new MigrationService(database).adopt();
+
+      expect(adopted.map(migration => migration.version)).toEqual([1, 2, 3, 4]);
+      await database.initializeSchema();
+      expect(await appliedVersions()).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should store the status of a timed out chain', async () => {
+      await database.logExecution({
+        execution_id: 'test_exec_timed_out',
+        timestamp: new Date().toISOString(),
+        chain_name: 'base',
+        chain_display_name: 'Base',
+        precheck_passed: false,
+        error_message: 'Chain execution timed out after 20ms',
+        status: 'timed_out'
+      });
+
+      const recent = await database.getRecentExecutions(1);
+      expect(recent[0].status).toBe('timed_out');
+    });
+
+    it('should add the fee breakdown columns and store exact amounts as text', async () => {
+      predateMigrations({ execution_logs: FEE_COLUMNS, token_balances: RAW_COLUMNS });
+
+      await database.initializeSchema();
+
+      await database.logExecution({
+        execution_id: 'test_exec_fees',
+        timestamp: new Date().toISOString(),
+        chain_name: 'base',
+        chain_display_name: 'Base',
+        precheck_passed: true,
+        tx_hash: '0x2222',
+        tx_status: 1,
+        gas_used: 100000,
+        effective_gas_price: '2000000000',
+        l1_fee: '123456789012',
+        block_number: 28123456,
+        nonce: 7,
+        balance_before_wei: '50000000000000000123',
+        balance_after_wei: '49999799876543210111'
+      });
+
+      const recent = await database.getRecentExecutions(1);
+      expect(recent[0]).toMatchObject({
+        effective_gas_price: '2000000000',
+        l1_fee: '123456789012',
+        block_number: 28123456,
+        nonce: 7,
+        balance_before_wei: '50000000000000000123',
+        balance_after_wei: '49999799876543210111'
+      });
+    });
+  });
+
+  describe('Migrations', () => {
+    const tables = () => database.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_migrations', 'sqlite_sequence') ORDER BY name").all().map(row => row.name);
+
+    const writeMigrations = (files) => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      for (const [file, contents] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, file), contents);
+      }
+      return directory;
+    };
+
+    it('should apply the migrations on initialize and record them', async () => {
+      const status = await new MigrationService(database).status();
+
+      expect(status[0]).toMatchObject({ version: 1, name: 'initial_schema', applied: true });
+      expect(status.every(migration => migration.applied)).toBe(true);
+      expect(tables()).toContain('execution_logs');
+    });
+
+    it('should revert the migrations after the baseline and apply them again', async () => {
+      const migrations = new MigrationService(database);
+      const columns = () => database.db.prepare('PRAGMA table_info(token_balances)').all().map(c => c.name);
+
+      const reverted = await migrations.down({ to: 1 });
+      expect(reverted.map(migration => migration.version)).toEqual([4, 3, 2]);
+      expect(columns()).not.toContain('delta_raw');
+      expect((await migrations.getApplied()).map(row => row.version)).toEqual([1]);
+
+      await migrations.up();
+      expect(columns()).toContain('delta_raw');
+      expect((await migrations.status()).every(migration => migration.applied)).toBe(true);
+    });
+
+    it('should refuse to revert the baseline and revert nothing', async () => {
+      const migrations = new MigrationService(database);
+
+      await expect(migrations.down({ to: 0 })).rejects.toMatchObject({ code: 'MIGRATION_IRREVERSIBLE', details: { version: 1 } });
+      expect(tables()).toContain('execution_logs');
+      expect((await migrations.getApplied()).map(row => row.version)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should apply up to a version and list the rest as pending', async () => {
+      const directory = writeMigrations({
+        '0001_widgets.sql': '-- migrate:up\nCREATE TABLE widgets (id INTEGER PRIMARY KEY);\n-- migrate:down\nDROP TABLE widgets;\n',
+        '0002_gadgets.sql': '-- migrate:up\nCREATE TABLE gadgets (id INTEGER PRIMARY KEY);\n-- migrate:down\nDROP TABLE gadgets;\n'
+      });
+      database.db.exec('DELETE FROM schema_migrations');
+      const migrations = new MigrationService(database, { directory });
+
+      expect((await migrations.up({ to: 1 })).map(migration => migration.name)).toEqual(['widgets']);
+      expect((await migrations.status()).map(migration => [migration.version, migration.applied])).toEqual([[1, true], [2, false]]);
+
+      await migrations.up();
+      await migrations.down();
+      expect(tables()).toContain('widgets');
+      expect(tables()).not.toContain('gadgets');
+    });
+
+    it('should roll back a failed migration and stop before later ones', async () => {
+      const directory = writeMigrations({
+        '0001_widgets.sql': '-- migrate:up\nCREATE TABLE widgets (id INTEGER PRIMARY KEY);\nINSERT INTO missing_table VALUES (1);\n-- migrate:down\nDROP TABLE widgets;\n',
+        '0002_gadgets.sql': '-- migrate:up\nCREATE TABLE gadgets (id INTEGER PRIMARY KEY);\n'
+      });
+      database.db.exec('DELETE FROM schema_migrations');
+      const migrations = new MigrationService(database, { directory });
+
+      await expect(migrations.up()).rejects.toMatchObject({ code: 'MIGRATION_FAILED', details: { version: 1 } });
+      expect(tables()).not.toContain('widgets');
+      expect(tables()).not.toContain('gadgets');
+      expect(await migrations.getApplied()).toEqual([]);
+    });
+
+    it('should refuse to revert an applied migration whose file is missing', async () => {
+      const migrations = new MigrationService(database, { directory: writeMigrations({}) });
+
+      expect((await migrations.status())[0]).toMatchObject({ version: 1, name: 'initial_schema', applied: true });
+      await expect(migrations.down()).rejects.toMatchObject({ code: 'MIGRATION_NOT_FOUND' });
+    });
+  });
+
   describe('Recursive Execution Logging', () => {
     it('should log multiple recursive executions', async () => {
       const baseExecutionId = 'test_recursive_base';
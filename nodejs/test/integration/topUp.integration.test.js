@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createPublicClient, http, parseEther } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { DatabaseService } from '../../src/services/database.js';
+import { RpcService } from '../../src/services/rpc.js';
+import { TopUpService } from '../../src/services/topUp.js';
+
+// Runs against a local anvil node: start `anvil`, then
+// ANVIL_RPC_URL=http://127.0.0.1:8545 npm test test/integration/topUp.integration.test.js
+const RPC_URL = process.env.ANVIL_RPC_URL;
+// Anvil's first default account, funded with 10000 ETH
+const TREASURY_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+describe.skipIf(!RPC_URL)('Top-up against anvil', () => {
+  let database;
+  let publicClient;
+  let chain;
+  let caller;
+
+  beforeEach(async () => {
+    // A fresh, empty caller for each test
+    caller = privateKeyToAccount(generatePrivateKey()).address;
+    vi.stubEnv('DATABASE_TYPE', 'sqlite');
+    vi.stubEnv('DATABASE_PATH', ':memory:');
+    vi.stubEnv('CALLER_ADDRESS', caller);
+    vi.stubEnv('TREASURY_PRIVATE_KEY', TREASURY_KEY);
+    vi.stubEnv('TOPUP_ALLOWLIST', caller);
+
+    database = new DatabaseService();
+    await database.initialize();
+
+    publicClient = createPublicClient({ transport: http(RPC_URL) });
+    chain = {
+      name: 'anvil',
+      chainId: await publicClient.getChainId(),
+      rpcUrls: [RPC_URL],
+      topUpPolicy: { thresholdEth: 0.01, amountEth: 0.05, dailyCapEth: 0.05 }
+    };
+  });
+
+  afterEach(async () => {
+    await database.close();
+    vi.unstubAllEnvs();
+  });
+
+  it('should fund the caller once and then stop at the daily cap', async () => {
+    const service = new TopUpService(database, new RpcService());
+
+    const first = await service.topUpIfLow(chain, publicClient, await publicClient.getBalance({ address: caller }));
+    expect(first).toMatchObject({ status: 'confirmed', amountEth: 0.05 });
+    expect(await publicClient.getBalance({ address: caller })).toBe(parseEther('0.05'));
+
+    const second = await service.topUpIfLow(chain, publicClient, 0n);
+    expect(second).toMatchObject({ status: 'refused' });
+    expect(await publicClient.getBalance({ address: caller })).toBe(parseEther('0.05'));
+
+    const audit = await database.getTopUpsSince('anvil', '1970-01-01T00:00:00.000Z');
+    expect(audit.map(topUp => [topUp.status, topUp.tx_hash])).toEqual([['confirmed', first.txHash], ['refused', null]]);
+  });
+
+  it('should record a failed send when the treasury cannot pay', async () => {
+    vi.stubEnv('TREASURY_PRIVATE_KEY', generatePrivateKey());
+    const service = new TopUpService(database, new RpcService());
+
+    const result = await service.topUpIfLow(chain, publicClient, 0n);
+
+    expect(result.status).toBe('failed');
+    expect(await publicClient.getBalance({ address: caller })).toBe(0n);
+  });
+});
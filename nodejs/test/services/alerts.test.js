@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AlertService, normalizeErrorMessage } from '../../src/services/alerts.js';
+import { NotificationService } from '../../src/services/notification.js';
+import { NotificationRouter } from '../../src/services/notificationRouter.js';
+
+const base = { name: 'base', displayName: 'Base', isTestnet: false };
+const arbitrum = { name: 'arbitrum', displayName: 'Arbitrum', isTestnet: false };
+
+describe('normalizeErrorMessage', () => {
+  it('should ignore hashes, numbers, case and extra lines', () => {
+    const first = normalizeErrorMessage('Nonce too low: 0xAbC123 at block 1234\nRequest Arguments: from 0x1');
+    const second = normalizeErrorMessage('nonce  too low: 0xdef456 at block 98765');
+
+    expect(first).toBe('nonce too low: 0x… at block #');
+    expect(second).toBe(first);
+  });
+
+  it('should keep different messages apart', () => {
+    expect(normalizeErrorMessage('execution reverted')).not.toBe(normalizeErrorMessage('insufficient funds'));
+    expect(normalizeErrorMessage(undefined)).toBe('');
+  });
+});
+
+describe('AlertService', () => {
+  let alerts;
+  let database;
+
+  beforeEach(() => {
+    alerts = new Map();
+    database = {
+      isReady: () => true,
+      recordAlertOccurrence: vi.fn(data => {
+        const existing = alerts.get(data.fingerprint);
+        if (existing && !existing.resolved_at) {
+          Object.assign(existing, { last_seen_at: data.seen_at, occurrences: existing.occurrences + 1 });
+        } else {
+          const { seen_at, ...rest } = data;
+          alerts.set(data.fingerprint, { ...rest, first_seen_at: seen_at, last_seen_at: seen_at, last_notified_at: null, occurrences: 1, resolved_at: null });
+        }
+        return Promise.resolve({ ...alerts.get(data.fingerprint) });
+      }),
+      markAlertNotified: vi.fn((fingerprint, notifiedAt) => {
+        alerts.get(fingerprint).last_notified_at = notifiedAt;
+        return Promise.resolve();
+      }),
+      resolveAlerts: vi.fn((chainName, seenBefore, resolvedAt) => {
+        const resolved = [...alerts.values()].filter(alert =>
+          alert.chain_name === chainName && !alert.resolved_at && alert.last_seen_at < seenBefore);
+        resolved.forEach(alert => { alert.resolved_at = resolvedAt; });
+        return Promise.resolve(resolved.map(alert => ({ ...alert })));
+      })
+    };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.useRealTimers();
+  });
+
+  it('should fingerprint by chain, error type and normalized message', () => {
+    const service = new AlertService(database);
+    const event = (chainName, errorType, errorMessage) => ({ type: 'error', chainName, data: { errorType, errorMessage } });
+
+    expect(service.fingerprint(event('base', 'PreCheck Error', 'timeout after 30000ms')))
+      .toBe(service.fingerprint(event('base', 'PreCheck Error', 'timeout after 45000ms')));
+    expect(service.fingerprint(event('base', 'PreCheck Error', 'timeout')))
+      .not.toBe(service.fingerprint(event('arbitrum', 'PreCheck Error', 'timeout')));
+    expect(service.fingerprint(event('base', 'PreCheck Error', 'timeout')))
+      .not.toBe(service.fingerprint(event('base', 'Chain Timeout', 'timeout')));
+  });
+
+  it('should not track anything with ALERT_DEDUP=false', async () => {
+    vi.stubEnv('ALERT_DEDUP', 'false');
+    const service = new AlertService(database);
+
+    await expect(service.check({ type: 'error', chainName: 'base', data: { errorType: 'X', errorMessage: 'y' } })).resolves.toBeNull();
+    await expect(service.resolve('base', new Date().toISOString())).resolves.toEqual([]);
+    expect(database.recordAlertOccurrence).not.toHaveBeenCalled();
+  });
+
+  describe('with NotificationService', () => {
+    const fakeChannel = (name) => ({ name, isConfigured: () => true, send: vi.fn(() => Promise.resolve()) });
+
+    it('should send the first occurrence and suppress repeats within the window', async () => {
+      vi.useFakeTimers({ now: new Date('2026-03-10T06:00:00Z'), toFake: ['Date'] });
+      const channel = fakeChannel('fake');
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), null, new AlertService(database));
+
+      await expect(service.notifyError(base, 'HTTP request failed. Status: 503', 'PreCheck Error')).resolves.toEqual([{ channel: 'fake', status: 'sent' }]);
+      vi.setSystemTime(new Date('2026-03-10T07:00:00Z'));
+      await expect(service.notifyError(base, 'HTTP request failed. Status: 502', 'PreCheck Error')).resolves.toBeNull();
+      await service.notifyError(arbitrum, 'HTTP request failed. Status: 503', 'PreCheck Error');
+
+      expect(channel.send.mock.calls.map(([event]) => event.chainName)).toEqual(['base', 'arbitrum']);
+      expect([...alerts.values()].map(alert => [alert.chain_name, alert.occurrences])).toEqual([['base', 2], ['arbitrum', 1]]);
+
+      // A week after the last alert went out it is sent again
+      vi.setSystemTime(new Date('2026-03-17T06:00:01Z'));
+      await service.notifyError(base, 'HTTP request failed. Status: 503', 'PreCheck Error');
+      expect(channel.send).toHaveBeenCalledTimes(3);
+    });
+
+    it('should use ALERT_SUPPRESSION_MS as the window', async () => {
+      vi.stubEnv('ALERT_SUPPRESSION_MS', '0');
+      const channel = fakeChannel('fake');
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), null, new AlertService(database));
+
+      await service.notifyError(base, 'reverted', 'Transaction Failure');
+      await service.notifyError(base, 'reverted', 'Transaction Failure');
+
+      expect(channel.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not start the window when every channel fails', async () => {
+      const channel = fakeChannel('broken');
+      channel.send = vi.fn(() => Promise.reject(new Error('HTTP 500')));
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), null, new AlertService(database));
+
+      await expect(service.notifyError(base, 'reverted', 'Transaction Failure')).rejects.toMatchObject({ code: 'NOTIFICATION_FAILED' });
+      await expect(service.notifyError(base, 'reverted', 'Transaction Failure')).rejects.toMatchObject({ code: 'NOTIFICATION_FAILED' });
+
+      expect(channel.send).toHaveBeenCalledTimes(2);
+      expect(database.markAlertNotified).not.toHaveBeenCalled();
+    });
+
+    it('should send the error when the alert cannot be recorded', async () => {
+      database.recordAlertOccurrence = vi.fn(() => Promise.reject(new Error('disk full')));
+      const channel = fakeChannel('fake');
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), null, new AlertService(database));
+
+      await service.notifyError(base, 'reverted', 'Transaction Failure');
+
+      expect(channel.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report alerts that were sent once the chain runs cleanly', async () => {
+      vi.useFakeTimers({ now: new Date('2026-03-10T06:00:00Z'), toFake: ['Date'] });
+      const channel = fakeChannel('fake');
+      const alertService = new AlertService(database);
+      const service = new NotificationService([channel], undefined, new NotificationRouter([
+        { match: { errorType: 'Chain Timeout' }, mute: true }
+      ]), null, alertService);
+
+      await service.notifyError(base, 'HTTP request failed', 'PreCheck Error');
+      await service.notifyError(base, 'Chain execution timed out after 300000ms', 'Chain Timeout');
+      vi.setSystemTime(new Date('2026-03-10T07:00:00Z'));
+
+      const resolved = await alertService.resolve('base', '2026-03-10T06:30:00.000Z');
+
+      // The muted timeout resolves silently
+      expect(resolved.map(alert => alert.error_type)).toEqual(['PreCheck Error']);
+      expect(alerts.size).toBe(2);
+
+      await service.notifyResolved(base, resolved);
+      const event = channel.send.mock.calls[1][0];
+      expect(event).toMatchObject({ type: 'resolved', severity: 'info', title: '✅ Clocktower Resolved - Base' });
+      expect(event.text).toContain('PreCheck Error: HTTP request failed (first seen 2026-03-10T06:00:00.000Z, 1 occurrence(s))');
+    });
+
+    it('should track low-balance alerts per level', async () => {
+      const channel = fakeChannel('fake');
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), null, new AlertService(database));
+      const status = (balanceEth, level, threshold) => ({
+        balanceEth,
+        level,
+        breaches: [{ kind: 'balance', level, value: balanceEth, threshold }],
+        runway: null
+      });
+
+      await service.notifyLowBalance(base, status(0.04, 'warn', 0.05));
+      await expect(service.notifyLowBalance(base, status(0.03, 'warn', 0.05))).resolves.toBeNull();
+      await service.notifyLowBalance(base, status(0.009, 'critical', 0.01));
+
+      expect(channel.send.mock.calls.map(([event]) => [event.type, event.severity, event.title])).toEqual([
+        ['low_balance', 'warn', '⚠️ Clocktower Low Balance - Base'],
+        ['low_balance', 'critical', '🚨 Clocktower Critical Balance - Base']
+      ]);
+      expect(channel.send.mock.calls[0][0].text).toContain('Warning: balance 0.04 ETH below 0.05 ETH');
+      expect([...alerts.values()].map(alert => [alert.error_type, alert.occurrences])).toEqual([['Low Balance', 2], ['Low Balance', 1]]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { sendAuditedTransfer, updateAuditRecord } from '../../src/services/auditedTransfer.js';
+
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+describe('auditedTransfer', () => {
+  let logger;
+  let publicClient;
+  let record;
+  let params;
+
+  beforeEach(() => {
+    logger = { transaction: vi.fn(), chain: vi.fn(), warn: vi.fn() };
+    publicClient = { waitForTransactionReceipt: vi.fn(() => Promise.resolve({ status: 'success' })) };
+    record = { status: 'pending' };
+    params = {
+      publicClient,
+      logger,
+      chainName: 'base',
+      description: 'Sweep of 5 USDC to 0x2222',
+      broadcast: vi.fn(() => Promise.resolve(TX_HASH)),
+      update: vi.fn(fields => Promise.resolve(Object.assign(record, fields))),
+      errorColumn: 'error_message',
+      timeoutMs: 1000
+    };
+  });
+
+  describe('sendAuditedTransfer', () => {
+    it('should record the hash and confirm a mined transfer', async () => {
+      await expect(sendAuditedTransfer(params)).resolves.toEqual({ status: 'confirmed', txHash: TX_HASH });
+
+      expect(params.update).toHaveBeenNthCalledWith(1, { tx_hash: TX_HASH });
+      expect(publicClient.waitForTransactionReceipt).toHaveBeenCalledWith({ hash: TX_HASH, timeout: 1000 });
+      expect(record).toEqual({ status: 'confirmed', tx_hash: TX_HASH });
+    });
+
+    it('should record a reverted transfer as failed', async () => {
+      publicClient.waitForTransactionReceipt.mockResolvedValueOnce({ status: 'reverted' });
+
+      await expect(sendAuditedTransfer(params)).resolves.toEqual({ status: 'failed', txHash: TX_HASH, error: 'Transaction reverted' });
+      expect(record).toMatchObject({ status: 'failed', error_message: 'Transaction reverted' });
+    });
+
+    it('should keep a broadcast transfer pending when the receipt does not arrive', async () => {
+      publicClient.waitForTransactionReceipt.mockRejectedValueOnce(new Error('Timed out'));
+
+      await expect(sendAuditedTransfer({ ...params, errorColumn: 'reason' })).resolves.toEqual({ status: 'pending', txHash: TX_HASH, error: 'Timed out' });
+      expect(record).toMatchObject({ status: 'pending', tx_hash: TX_HASH, reason: 'Timed out' });
+    });
+
+    it('should record a transfer that was never broadcast as failed', async () => {
+      params.broadcast.mockRejectedValueOnce(new Error('insufficient funds'));
+
+      await expect(sendAuditedTransfer(params)).resolves.toEqual({ status: 'failed', txHash: null, error: 'insufficient funds' });
+      expect(publicClient.waitForTransactionReceipt).not.toHaveBeenCalled();
+      expect(record).toEqual({ status: 'failed', error_message: 'insufficient funds' });
+    });
+  });
+
+  describe('updateAuditRecord', () => {
+    it('should stamp updated_at and log rather than throw when the write fails', async () => {
+      const write = vi.fn(() => Promise.reject(new Error('disk full')));
+
+      await expect(updateAuditRecord(logger, 'sweep 3', write, { status: 'confirmed' })).resolves.toBeUndefined();
+
+      expect(write).toHaveBeenCalledWith({ status: 'confirmed', updated_at: expect.any(String) });
+      expect(logger.warn).toHaveBeenCalledWith('Could not update sweep 3: disk full');
+    });
+  });
+});
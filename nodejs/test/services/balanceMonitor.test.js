@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BalanceMonitor } from '../../src/services/balanceMonitor.js';
+
+const NOW = new Date('2026-03-31T00:00:00.000Z');
+
+describe('BalanceMonitor', () => {
+  let database;
+  let chain;
+
+  beforeEach(() => {
+    // 60 remits costing 0.0005 ETH each over the last 30 days: 0.001 ETH a day
+    database = {
+      isReady: vi.fn(() => true),
+      getRemitCostStats: vi.fn(() => Promise.resolve({ remits: 60, total_cost_eth: 0.03, first_at: '2026-03-01T00:00:00.000Z' }))
+    };
+    chain = {
+      name: 'base',
+      balancePolicy: { warnEth: 0.05, criticalEth: 0.01, warnRunwayDays: 14, criticalRunwayDays: 3 }
+    };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('forecastRunway', () => {
+    it('should divide the balance by the average daily spend', async () => {
+      const monitor = new BalanceMonitor(database);
+
+      const runway = await monitor.forecastRunway(chain, 0.02, NOW);
+
+      expect(database.getRemitCostStats).toHaveBeenCalledWith('base', '2026-03-01T00:00:00.000Z');
+      expect(runway).toMatchObject({ remits: 60, avgCostPerRemitEth: 0.0005, remitsPerDay: 2, lookbackDays: 30 });
+      expect(runway.runwayDays).toBeCloseTo(20);
+    });
+
+    it('should spread costs over the days since the first remit in the window', async () => {
+      vi.stubEnv('RUNWAY_LOOKBACK_DAYS', '7');
+      database.getRemitCostStats.mockResolvedValueOnce({ remits: 4, total_cost_eth: 0.004, first_at: '2026-03-29T00:00:00.000Z' });
+      const monitor = new BalanceMonitor(database);
+
+      const runway = await monitor.forecastRunway(chain, 0.01, NOW);
+
+      expect(database.getRemitCostStats).toHaveBeenCalledWith('base', '2026-03-24T00:00:00.000Z');
+      expect(runway.lookbackDays).toBe(2);
+      expect(runway.runwayDays).toBeCloseTo(5);
+    });
+
+    it('should return null without remit history or a database', async () => {
+      database.getRemitCostStats.mockResolvedValueOnce({ remits: 0, total_cost_eth: null, first_at: null });
+      const monitor = new BalanceMonitor(database);
+
+      await expect(monitor.forecastRunway(chain, 1, NOW)).resolves.toBeNull();
+
+      database.getRemitCostStats.mockRejectedValueOnce(new Error('locked'));
+      await expect(monitor.forecastRunway(chain, 1, NOW)).resolves.toBeNull();
+
+      database.isReady.mockReturnValue(false);
+      await expect(monitor.forecastRunway(chain, 1, NOW)).resolves.toBeNull();
+    });
+  });
+
+  describe('check', () => {
+    it('should report nothing for a healthy balance', async () => {
+      const monitor = new BalanceMonitor(database);
+
+      await expect(monitor.check(chain, 1, NOW)).resolves.toMatchObject({ balanceEth: 1, level: null, breaches: [] });
+    });
+
+    it('should warn on runway before the balance threshold is reached', async () => {
+      // 0.01 ETH a day
+      database.getRemitCostStats.mockResolvedValueOnce({ remits: 60, total_cost_eth: 0.3, first_at: '2026-03-01T00:00:00.000Z' });
+      const monitor = new BalanceMonitor(database);
+
+      const status = await monitor.check(chain, 0.1, NOW);
+
+      expect(status.level).toBe('warn');
+      expect(status.breaches).toEqual([{ kind: 'runway', level: 'warn', value: expect.closeTo(10), threshold: 14 }]);
+    });
+
+    it('should take the worst level across balance and runway', async () => {
+      const monitor = new BalanceMonitor(database);
+
+      const status = await monitor.check(chain, 0.002, NOW);
+
+      expect(status.level).toBe('critical');
+      expect(status.breaches.map(b => [b.kind, b.level])).toEqual([['balance', 'critical'], ['runway', 'critical']]);
+    });
+
+    it('should skip thresholds that are unset or 0', async () => {
+      chain.balancePolicy = { warnEth: null, criticalEth: null, warnRunwayDays: 0, criticalRunwayDays: 0 };
+      const monitor = new BalanceMonitor(database);
+
+      await expect(monitor.check(chain, 0, NOW)).resolves.toMatchObject({ level: null, runway: null });
+      expect(database.getRemitCostStats).not.toHaveBeenCalled();
+    });
+  });
+});
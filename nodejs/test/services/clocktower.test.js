@@ -0,0 +1,901 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ClocktowerService } from '../../src/services/clocktower.js';
+
+// Mock viem
+vi.mock('viem', () => {
+  const mockPublicClient = {
+    readContract: vi.fn(),
+    multicall: vi.fn(),
+    simulateContract: vi.fn(),
+    estimateContractGas: vi.fn(),
+    getBalance: vi.fn(),
+    waitForTransactionReceipt: vi.fn(),
+    getTransaction: vi.fn(),
+    call: vi.fn()
+  };
+
+  const mockWalletClient = {
+    writeContract: vi.fn()
+  };
+
+  return {
+    createPublicClient: vi.fn(() => mockPublicClient),
+    createWalletClient: vi.fn(() => mockWalletClient),
+    http: vi.fn(),
+    fallback: vi.fn(() => vi.fn()),
+    formatEther: vi.fn((value) => value.toString()),
+    formatUnits: vi.fn((value) => value.toString())
+  };
+});
+
+const SUB_ID = '0x' + '11'.repeat(32);
+
+describe('ClocktowerService', () => {
+  let service;
+  let database;
+  let publicClient;
+  let walletClient;
+  let chain;
+
+  beforeEach(async () => {
+    vi.stubEnv('CALLER_ADDRESS', '0x1234567890123456789012345678901234567890');
+    vi.stubEnv('CALLER_PRIVATE_KEY', '0x1234567890123456789012345678901234567890123456789012345678901234');
+    vi.stubEnv('ALCHEMY_API_KEY', 'test_key');
+    vi.stubEnv('ACTIVE_CHAINS', 'base');
+    vi.stubEnv('ALCHEMY_URL_BASE', 'https://base-mainnet.g.alchemy.com/v2/');
+    vi.stubEnv('CLOCKTOWER_ADDRESS_BASE', '0x1111111111111111111111111111111111111111');
+    vi.stubEnv('CHAIN_ID_BASE', '8453');
+    vi.stubEnv('TOKENS_BASE', JSON.stringify([{ address: '0x2222222222222222222222222222222222222222', symbol: 'USDC', decimals: 6 }]));
+    vi.stubEnv('GAS_LIMIT', '1000000');
+    delete process.env.RESEND_API_KEY;
+    delete process.env.NOTIFICATION_EMAIL;
+
+    const viem = await import('viem');
+    publicClient = viem.createPublicClient();
+    walletClient = viem.createWalletClient();
+    vi.clearAllMocks();
+
+    database = {
+      isReady: vi.fn(() => false),
+      logExecution: vi.fn(() => Promise.resolve(1)),
+      logTokenBalance: vi.fn(() => Promise.resolve()),
+      logRemitSubscriptions: vi.fn(() => Promise.resolve(0))
+    };
+    service = new ClocktowerService(database, { dryRun: true });
+    chain = service.chainConfig.getAllActiveChains()[0];
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('checksubs', () => {
+    it('should return ids grouped by day, frequency and due day', async () => {
+      publicClient.multicall.mockImplementation(({ contracts }) =>
+        Promise.resolve(contracts.map((c) => ({
+          status: 'success',
+          result: c.args[0] === 1 ? [SUB_ID, '0x' + '00'.repeat(32)] : []
+        })))
+      );
+
+      // 2024-01-10 (day 19732): monthly due day 10
+      const result = await service.checksubs(chain, publicClient, 19732, 19732);
+
+      expect(result.shouldProceed).toBe(true);
+      expect(result.totalSubscriptions).toBe(1);
+      expect(result.subscriptions).toEqual([
+        { day: 19732, frequency: 1, frequencyName: 'monthly', dueDay: 10, ids: [SUB_ID] }
+      ]);
+    });
+
+    it('should return no groups when multicall fails', async () => {
+      publicClient.multicall.mockRejectedValueOnce(new Error('RPC down'));
+
+      const result = await service.checksubs(chain, publicClient, 19732, 19732);
+      expect(result).toEqual({ shouldProceed: false, totalSubscriptions: 0, subscriptions: [], error: 'RPC down' });
+    });
+  });
+
+  describe('preCheck', () => {
+    it('should record subscription ids for the run', async () => {
+      database.logRemitSubscriptions = vi.fn(() => Promise.resolve(1));
+      const currentDay = Math.floor(Date.now() / 1000 / 86400);
+      publicClient.readContract.mockResolvedValueOnce(BigInt(currentDay));
+      publicClient.multicall.mockImplementation(({ contracts }) =>
+        Promise.resolve(contracts.map((_, i) => ({ status: 'success', result: i === 0 ? [SUB_ID] : [] })))
+      );
+
+      const result = await service.preCheck(chain, publicClient, 'exec_test', Date.now());
+
+      expect(result.subscriptions).toHaveLength(1);
+      expect(database.logRemitSubscriptions).toHaveBeenCalledWith('exec_test', 'base', result.subscriptions);
+    });
+
+    it('should not write to the database in a dry run', async () => {
+      const currentDay = Math.floor(Date.now() / 1000 / 86400);
+      publicClient.readContract.mockResolvedValueOnce(BigInt(currentDay));
+      publicClient.multicall.mockImplementation(({ contracts }) =>
+        Promise.resolve(contracts.map((_, i) => ({ status: 'success', result: i === 0 ? [SUB_ID] : [] })))
+      );
+
+      const result = await service.preCheck(chain, publicClient, 'exec_test', Date.now(), null, { dryRun: true });
+
+      expect(result.subscriptions).toHaveLength(1);
+      expect(database.logExecution).not.toHaveBeenCalled();
+      expect(database.logRemitSubscriptions).not.toHaveBeenCalled();
+    });
+
+    it('should neither log nor notify a failed dry run', async () => {
+      service.notifications.notifyError = vi.fn();
+      publicClient.readContract.mockRejectedValueOnce(new Error('RPC down'));
+
+      const result = await service.executeChainWithTimeout(chain);
+
+      expect(result).toMatchObject({ success: false, error: 'RPC down' });
+      expect(database.logExecution).not.toHaveBeenCalled();
+      expect(service.notifications.notifyError).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('batch runs', () => {
+    const run = { runId: 'exec_run', batchesCompleted: 0, subscriptionsRemaining: 30, nextUncheckedDay: 19732, resumed: false };
+
+    beforeEach(() => {
+      service.dryRun = false;
+      service.maxRecursionDepth = 5;
+      database.updateRemitRun = vi.fn(() => Promise.resolve());
+      service.desmond = vi.fn(() => Promise.resolve(1));
+      service.notifications.notifyError = vi.fn(() => Promise.resolve());
+    });
+
+    it('should re-check progress after each batch and stop when no ids remain', async () => {
+      service.checkProgress = vi.fn()
+        .mockResolvedValueOnce({ remaining: 20, nextUncheckedDay: 19732 })
+        .mockResolvedValueOnce({ remaining: 0, nextUncheckedDay: 19733 });
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(result).toMatchObject({ txCount: 2, runStatus: 'completed', batchesCompleted: 2, deferReason: null });
+      expect(service.desmond).toHaveBeenCalledTimes(2);
+      expect(database.updateRemitRun).toHaveBeenCalledWith('exec_run', expect.objectContaining({ batches_completed: 2, subscriptions_remaining: 0 }));
+      expect(database.updateRemitRun).toHaveBeenLastCalledWith('exec_run', { status: 'completed', error_message: null });
+    });
+
+    it('should stop when progress stalls', async () => {
+      service.checkProgress = vi.fn().mockResolvedValue({ remaining: 30, nextUncheckedDay: 19732 });
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(result).toMatchObject({ runStatus: 'stalled', errorMessage: 'No progress after batch 1, 30 subscription(s) left' });
+      expect(service.desmond).toHaveBeenCalledTimes(1);
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, result.errorMessage, 'Remit Run Stalled', expect.objectContaining({ 'Subscriptions Remaining': '30' }), { signal: null });
+    });
+
+    it('should stop at the batch limit', async () => {
+      service.maxRecursionDepth = 2;
+      service.checkProgress = vi.fn()
+        .mockResolvedValueOnce({ remaining: 20, nextUncheckedDay: 19732 })
+        .mockResolvedValueOnce({ remaining: 10, nextUncheckedDay: 19732 });
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(result).toMatchObject({ txCount: 2, runStatus: 'max_batches', batchesCompleted: 2, errorMessage: 'Reached batch limit (2) with 10 subscription(s) left' });
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, result.errorMessage, 'Batch Limit Reached', expect.any(Object), { signal: null });
+    });
+
+    it('should stop and notify when the fee quote fails', async () => {
+      service.fees.getFeeQuote = vi.fn(() => Promise.reject(new Error('RPC down')));
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(result).toMatchObject({ txCount: 0, runStatus: 'failed', errorMessage: 'Fee quote failed: RPC down' });
+      expect(service.desmond).not.toHaveBeenCalled();
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, 'Fee quote failed: RPC down', 'Remit Run Failed', expect.any(Object), { signal: null });
+    });
+
+    it('should stop and notify when the progress check fails', async () => {
+      service.checkProgress = vi.fn(() => Promise.reject(new Error('Checksubs failed: RPC down')));
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(result).toMatchObject({ txCount: 1, runStatus: 'failed', errorMessage: 'Progress check failed: Checksubs failed: RPC down' });
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, result.errorMessage, 'Remit Run Failed', expect.any(Object), { signal: null });
+    });
+
+    it('should stop when a batch fails', async () => {
+      service.desmond = vi.fn(() => Promise.resolve(0));
+      service.checkProgress = vi.fn();
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(result.runStatus).toBe('failed');
+      expect(result.txCount).toBe(0);
+      expect(service.checkProgress).not.toHaveBeenCalled();
+      // desmond has already notified the failed batch
+      expect(service.notifications.notifyError).not.toHaveBeenCalled();
+    });
+
+    it('should defer and record it when fees exceed the ceiling', async () => {
+      service.fees.getFeeQuote = vi.fn(() => Promise.resolve({ defer: true, reason: 'Fee per gas 5 gwei exceeds ceiling of 1 gwei', fees: null }));
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(result).toMatchObject({ txCount: 0, runStatus: 'deferred', deferReason: 'Fee per gas 5 gwei exceeds ceiling of 1 gwei' });
+      expect(service.desmond).not.toHaveBeenCalled();
+      expect(database.updateRemitRun).toHaveBeenLastCalledWith('exec_run', { status: 'deferred', error_message: 'Fee per gas 5 gwei exceeds ceiling of 1 gwei' });
+    });
+
+    it('should pass policy fees to the remit transaction', async () => {
+      const fees = { maxFeePerGas: 30n, maxPriorityFeePerGas: 2n };
+      service.fees.getFeeQuote = vi.fn(() => Promise.resolve({ defer: false, reason: null, fees }));
+      service.checkProgress = vi.fn().mockResolvedValue({ remaining: 0, nextUncheckedDay: 19733 });
+
+      await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, []);
+
+      expect(service.desmond).toHaveBeenCalledWith(chain, publicClient, 'exec_1', expect.any(Number), 0, 5, [], fees, null);
+    });
+
+    it('should continue the batch count of a resumed run', async () => {
+      service.maxRecursionDepth = 3;
+      service.checkProgress = vi.fn().mockResolvedValue({ remaining: 0, nextUncheckedDay: 19733 });
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_2', Date.now(), { ...run, batchesCompleted: 2 }, []);
+
+      expect(service.desmond).toHaveBeenCalledWith(chain, publicClient, 'exec_2', expect.any(Number), 2, 3, [], null, null);
+      expect(result.batchesCompleted).toBe(3);
+    });
+
+    it('should pass subscription ids to the first transaction of a resumed run only', async () => {
+      const subscriptions = [{ day: 19732, frequency: 1, frequencyName: 'monthly', dueDay: 10, ids: [SUB_ID] }];
+      service.checkProgress = vi.fn()
+        .mockResolvedValueOnce({ remaining: 10, nextUncheckedDay: 19732 })
+        .mockResolvedValueOnce({ remaining: 0, nextUncheckedDay: 19733 });
+
+      await service.runRemitBatches(chain, publicClient, 'exec_2', Date.now(), { ...run, batchesCompleted: 2 }, subscriptions);
+
+      expect(service.desmond).toHaveBeenNthCalledWith(1, chain, publicClient, 'exec_2', expect.any(Number), 2, 5, subscriptions, null, null);
+      expect(service.desmond).toHaveBeenNthCalledWith(2, chain, publicClient, 'exec_2', expect.any(Number), 3, 5, [], null, null);
+    });
+
+    it('should resume an interrupted run from the same day', async () => {
+      database.getInterruptedRemitRun = vi.fn(() => Promise.resolve({ run_id: 'exec_old', current_day: 19732, batches_completed: 2 }));
+      database.createRemitRun = vi.fn();
+
+      const resumed = await service.startOrResumeRun(chain, 'exec_new', { currentDay: 19732, nextUncheckedDay: 19732, totalSubscriptions: 10 });
+
+      expect(resumed).toMatchObject({ runId: 'exec_old', batchesCompleted: 2, resumed: true });
+      expect(database.createRemitRun).not.toHaveBeenCalled();
+    });
+
+    it('should abandon an interrupted run from an earlier day', async () => {
+      database.getInterruptedRemitRun = vi.fn(() => Promise.resolve({ run_id: 'exec_old', current_day: 19730, batches_completed: 2 }));
+      database.createRemitRun = vi.fn(() => Promise.resolve());
+
+      const started = await service.startOrResumeRun(chain, 'exec_new', { currentDay: 19732, nextUncheckedDay: 19732, totalSubscriptions: 10 });
+
+      expect(database.updateRemitRun).toHaveBeenCalledWith('exec_old', { status: 'abandoned' });
+      expect(database.createRemitRun).toHaveBeenCalledWith(expect.objectContaining({ run_id: 'exec_new', current_day: 19732 }));
+      expect(started).toMatchObject({ runId: 'exec_new', batchesCompleted: 0, resumed: false });
+    });
+
+    it('should treat a failed lookup as a progress error', async () => {
+      const currentDay = Math.floor(Date.now() / 1000 / 86400);
+      publicClient.readContract.mockResolvedValueOnce(BigInt(currentDay));
+      publicClient.multicall.mockRejectedValueOnce(new Error('RPC down'));
+
+      await expect(service.checkProgress(chain, publicClient)).rejects.toThrow('Checksubs failed: RPC down');
+    });
+  });
+
+  describe('dry run', () => {
+    it('should default to DRY_RUN env when no option is passed', () => {
+      vi.stubEnv('DRY_RUN', 'true');
+      expect(new ClocktowerService(database).dryRun).toBe(true);
+      vi.stubEnv('DRY_RUN', 'false');
+      expect(new ClocktowerService(database).dryRun).toBe(false);
+    });
+
+    it('should simulate the first batch and project the rest', async () => {
+      publicClient.simulateContract.mockResolvedValueOnce({ request: {} });
+      publicClient.estimateContractGas.mockResolvedValueOnce(250000n);
+
+      const recursions = await service.simulateRemit(chain, publicClient, 25, 10n, 5);
+
+      expect(publicClient.simulateContract).toHaveBeenCalledWith(expect.objectContaining({
+        functionName: 'remit',
+        account: process.env.CALLER_ADDRESS
+      }));
+      expect(recursions.map(r => r.subscriptionCount)).toEqual([10, 10, 5]);
+      expect(recursions.map(r => r.simulated)).toEqual([true, false, false]);
+      expect(recursions[0]).toMatchObject({ estimatedGas: '250000', wouldRevert: false, exceedsGasLimit: false });
+    });
+
+    it('should stop at the recursion limit', async () => {
+      publicClient.simulateContract.mockResolvedValueOnce({ request: {} });
+      publicClient.estimateContractGas.mockResolvedValueOnce(250000n);
+
+      const recursions = await service.simulateRemit(chain, publicClient, 50, 10n, 2);
+      expect(recursions).toHaveLength(2);
+    });
+
+    it('should flag estimates above GAS_LIMIT', async () => {
+      publicClient.simulateContract.mockResolvedValueOnce({ request: {} });
+      publicClient.estimateContractGas.mockResolvedValueOnce(2000000n);
+
+      const [first] = await service.simulateRemit(chain, publicClient, 1, 10n, 5);
+      expect(first.exceedsGasLimit).toBe(true);
+    });
+
+    it('should report the predicted revert reason', async () => {
+      const error = new Error('Execution reverted');
+      error.cause = { reason: 'Clocktower: nothing to remit' };
+      publicClient.simulateContract.mockRejectedValueOnce(error);
+
+      const recursions = await service.simulateRemit(chain, publicClient, 30, 10n, 5);
+
+      expect(recursions).toHaveLength(1);
+      expect(recursions[0]).toMatchObject({
+        wouldRevert: true,
+        revertReason: 'Clocktower: nothing to remit',
+        estimatedGas: null
+      });
+      expect(publicClient.estimateContractGas).not.toHaveBeenCalled();
+    });
+
+    it('should never send a transaction', async () => {
+      const currentDay = Math.floor(Date.now() / 1000 / 86400);
+      publicClient.readContract
+        .mockResolvedValueOnce(BigInt(currentDay)) // nextUncheckedDay
+        .mockResolvedValueOnce(10n); // maxRemits
+      publicClient.multicall.mockImplementation(({ contracts }) =>
+        Promise.resolve(contracts.map((_, i) => ({ status: 'success', result: i === 0 ? [SUB_ID] : [] })))
+      );
+      publicClient.simulateContract.mockResolvedValueOnce({ request: {} });
+      publicClient.estimateContractGas.mockResolvedValueOnce(180000n);
+
+      const result = await service.executeRemitForChain(chain);
+
+      expect(result.status).toBe('dry_run');
+      expect(result.txCount).toBe(0);
+      expect(result.dryRun.totalSubscriptions).toBe(1);
+      expect(result.dryRun.recursions).toHaveLength(1);
+      expect(result.dryRun.unprocessedSubscriptions).toBe(0);
+      expect(walletClient.writeContract).not.toHaveBeenCalled();
+    });
+
+    it('should skip the summary notification', async () => {
+      service.notifications.notifySummary = vi.fn();
+      const currentDay = Math.floor(Date.now() / 1000 / 86400);
+      publicClient.readContract.mockResolvedValue(BigInt(currentDay + 1));
+
+      const results = await service.executeRemitForAllChains();
+
+      expect(results).toHaveLength(1);
+      expect(service.notifications.notifySummary).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stuck transactions', () => {
+    it('should record replacement attempts in execution logs', async () => {
+      await service.logTransactionAttempt(chain, 'exec_1_recursion_0', 0, {
+        index: 1,
+        kind: 'replacement',
+        hash: '0xbbb',
+        nonce: 7,
+        maxFeePerGas: 120n,
+        maxPriorityFeePerGas: 12n,
+        replacedHash: '0xaaa',
+        timestamp: '2024-01-10T00:00:00.000Z'
+      });
+
+      expect(database.logExecution).toHaveBeenCalledWith(expect.objectContaining({
+        execution_id: 'exec_1_recursion_0_attempt_1',
+        tx_hash: '0xbbb',
+        tx_status: null,
+        nonce: 7,
+        error_message: expect.stringContaining('Replaced stuck transaction 0xaaa at nonce 7')
+      }));
+    });
+
+    it('should not log the original broadcast as a separate attempt', async () => {
+      await service.logTransactionAttempt(chain, 'exec_1_recursion_0', 0, { index: 0, kind: 'remit' });
+
+      expect(database.logExecution).not.toHaveBeenCalled();
+    });
+
+    it('should count a cancelled remit as a failed batch', async () => {
+      publicClient.getBalance.mockResolvedValue(1000n);
+      publicClient.readContract.mockResolvedValue(0n);
+      service.transactions.sendRemit = vi.fn(() => Promise.resolve({
+        receipt: { status: 'success', gasUsed: 21000n },
+        hash: '0xccc',
+        nonce: 7,
+        attempts: [],
+        cancelled: true
+      }));
+
+      const result = await service.desmond(chain, publicClient, 'exec_1', Date.now(), 0, 5);
+
+      expect(result).toBe(0);
+      expect(publicClient.getTransaction).not.toHaveBeenCalled();
+      expect(database.logExecution).toHaveBeenCalledWith(expect.objectContaining({
+        execution_id: 'exec_1_recursion_0',
+        tx_hash: '0xccc',
+        tx_status: 0,
+        revert_reason: 'Remit cancelled after getting stuck at nonce 7'
+      }));
+    });
+
+    it('should include subscription ids in the success notification of a resumed batch', async () => {
+      const subscriptions = [{ day: 19732, frequency: 1, frequencyName: 'monthly', dueDay: 10, ids: [SUB_ID] }];
+      service.notifications.notifySuccess = vi.fn(() => Promise.resolve());
+      publicClient.getBalance.mockResolvedValue(1000n);
+      publicClient.readContract.mockResolvedValue(0n);
+      service.transactions.sendRemit = vi.fn(() => Promise.resolve({
+        receipt: { status: 'success', gasUsed: 21000n },
+        hash: '0xeee',
+        nonce: 8,
+        attempts: []
+      }));
+
+      await service.desmond(chain, publicClient, 'exec_1', Date.now(), 2, 5, subscriptions);
+
+      expect(service.notifications.notifySuccess).toHaveBeenCalledWith(
+        chain, '0xeee', expect.anything(), expect.anything(), expect.any(Array), 2, subscriptions, expect.any(Object), expect.any(Object)
+      );
+    });
+  });
+
+  describe('execution logs', () => {
+    it('should record the fee breakdown, block, nonce and exact ETH and token balances of a remit', async () => {
+      publicClient.getBalance.mockResolvedValueOnce(50000000000000000123n).mockResolvedValue(49999799876543210111n);
+      const usdc = [1259567891n, 1284567891n];
+      publicClient.readContract.mockImplementation(({ functionName }) => Promise.resolve(functionName === 'balanceOf' ? usdc.shift() : 0n));
+      service.transactions.sendRemit = vi.fn(() => Promise.resolve({
+        receipt: { status: 'success', gasUsed: 100000n, effectiveGasPrice: 2000000000n, l1Fee: '0x2d79883d2000', blockNumber: 28123456n },
+        hash: '0xddd',
+        nonce: 9,
+        attempts: []
+      }));
+
+      await service.desmond(chain, publicClient, 'exec_1', Date.now(), 0, 5);
+
+      expect(database.logExecution).toHaveBeenCalledWith(expect.objectContaining({
+        execution_id: 'exec_1_recursion_0',
+        tx_hash: '0xddd',
+        gas_used: 100000,
+        effective_gas_price: '2000000000',
+        l1_fee: '50000000000000',
+        block_number: 28123456,
+        nonce: 9,
+        balance_before_wei: '50000000000000000123',
+        balance_after_wei: '49999799876543210111'
+      }));
+      expect(database.logTokenBalance).toHaveBeenCalledWith(1, '0x2222222222222222222222222222222222222222', 1259567891n, 1284567891n, 'base', expect.objectContaining({ symbol: 'USDC', decimals: 6 }));
+    });
+  });
+
+  describe('executeRemitForAllChains', () => {
+    let chains;
+
+    beforeEach(() => {
+      chains = ['base', 'sepolia-base', 'arbitrum'].map(name => ({ name, displayName: name }));
+      service.chainConfig.getAllActiveChains = vi.fn(() => chains);
+      service.dryRun = false;
+      service.notifications.notifySummary = vi.fn(() => Promise.resolve());
+      service.notifications.notifyError = vi.fn(() => Promise.resolve());
+    });
+
+    it('should add each chain\'s profit for the run to its result', async () => {
+      const profit = { chain: 'base', remits: 1, gasCostEth: 0.0002, tokenDeltas: { USDC: 2.5 }, cost: 0.5, revenue: 2.5, net: 2 };
+      database.isReady.mockReturnValue(true);
+      database.getProfitStats = vi.fn(() => Promise.resolve({ currency: 'USD', byChain: [profit], missingPrices: [] }));
+      service.executeRemitForChain = vi.fn(() => Promise.resolve({ success: true, status: 'executed', txCount: 1 }));
+
+      const results = await service.executeRemitForAllChains();
+
+      expect(database.getProfitStats).toHaveBeenCalledWith(service.prices, { since: expect.any(String) });
+      expect(results.map(r => r.profit)).toEqual([{ ...profit, currency: 'USD' }, undefined, undefined]);
+      expect(service.notifications.notifySummary).toHaveBeenCalledWith(results);
+    });
+
+    it('should run chains in parallel up to CHAIN_CONCURRENCY and keep chain order', async () => {
+      service.chainConcurrency = 2;
+      let running = 0;
+      let peak = 0;
+      const delays = { base: 30, 'sepolia-base': 5, arbitrum: 1 };
+      service.executeRemitForChain = vi.fn(async (chainConfig) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, delays[chainConfig.name]));
+        running--;
+        return { success: true, status: 'executed', txCount: 1 };
+      });
+
+      const results = await service.executeRemitForAllChains();
+
+      expect(results.map(r => r.chain)).toEqual(['base', 'sepolia-base', 'arbitrum']);
+      expect(peak).toBe(2);
+      expect(service.notifications.notifySummary).toHaveBeenCalledTimes(1);
+      expect(service.notifications.notifySummary).toHaveBeenCalledWith(results);
+    });
+
+    it('should abort a chain that exceeds CHAIN_TIMEOUT_MS without holding up the others', async () => {
+      service.chainConcurrency = 3;
+      service.chainTimeoutMs = 20;
+      service.executeRemitForChain = vi.fn((chainConfig, { signal }) => chainConfig.name === 'sepolia-base'
+        ? new Promise((resolve) => signal.addEventListener('abort', () => resolve({ success: false, status: 'timed_out', error: signal.reason.message, txCount: 1 })))
+        : Promise.resolve({ success: true, status: 'executed', txCount: 1 }));
+
+      const results = await service.executeRemitForAllChains();
+
+      expect(results[0]).toMatchObject({ chain: 'base', status: 'executed' });
+      expect(results[1]).toMatchObject({ chain: 'sepolia-base', success: false, status: 'timed_out', txCount: 1, error: 'Chain execution timed out after 20ms' });
+      expect(results[2]).toMatchObject({ chain: 'arbitrum', status: 'executed' });
+      expect(service.notifications.notifyError).toHaveBeenCalledTimes(1);
+      expect(service.notifications.notifyError.mock.calls[0][2]).toBe('Chain Timeout');
+    });
+
+    it('should wait for a chain that ignores its signal before finishing the run', async () => {
+      vi.useFakeTimers();
+      service.chainTimeoutMs = 20;
+      let finishRemit;
+      service.executeRemitForChain = vi.fn(() => new Promise((resolve) => {
+        finishRemit = () => resolve({ success: false, status: 'timed_out', txCount: 1 });
+      }));
+      service.checkCallerBalance = vi.fn();
+      let done = false;
+
+      try {
+        const pending = service.executeChainWithTimeout(chains[0]).then((result) => {
+          done = true;
+          return result;
+        });
+        await vi.advanceTimersByTimeAsync(20 + 10000);
+
+        expect(done).toBe(false);
+
+        finishRemit();
+        const result = await pending;
+
+        expect(result).toMatchObject({ success: false, status: 'timed_out', txCount: 1 });
+        expect(service.checkCallerBalance).not.toHaveBeenCalled();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should set no deadline when CHAIN_TIMEOUT_MS is unset', async () => {
+      const setTimeoutSpy = vi.spyOn(globalThis, 'setTimeout');
+      service.executeRemitForChain = vi.fn(() => Promise.resolve({ success: true, status: 'executed', txCount: 1 }));
+
+      await service.executeRemitForAllChains();
+
+      const [, { signal }] = service.executeRemitForChain.mock.calls[0];
+      expect(signal.aborted).toBe(false);
+      expect(setTimeoutSpy).not.toHaveBeenCalled();
+      setTimeoutSpy.mockRestore();
+    });
+
+    it('should report resolved alerts for chains that ran cleanly', async () => {
+      const alert = { fingerprint: 'abc', error_type: 'PreCheck Error', message: 'rpc down', last_notified_at: '2026-01-01T00:00:00.000Z' };
+      service.alerts.resolve = vi.fn((chainName) => Promise.resolve(chainName === 'base' ? [alert] : []));
+      service.notifications.notifyResolved = vi.fn(() => Promise.resolve());
+      service.executeRemitForChain = vi.fn((chainConfig) => Promise.resolve(chainConfig.name === 'arbitrum'
+        ? { success: false, status: 'failed', error: 'rpc down', txCount: 0 }
+        : { success: true, status: 'no_subscriptions', txCount: 0 }));
+
+      await service.executeRemitForAllChains();
+
+      expect(service.alerts.resolve.mock.calls.map(([chainName]) => chainName)).toEqual(['base', 'sepolia-base']);
+      expect(service.notifications.notifyResolved).toHaveBeenCalledTimes(1);
+      expect(service.notifications.notifyResolved).toHaveBeenCalledWith(chains[0], [alert]);
+    });
+  });
+
+  describe('caller balance', () => {
+    beforeEach(() => {
+      service.dryRun = false;
+      chain.balancePolicy = { warnEth: 0.05, criticalEth: 0.01, warnRunwayDays: 0, criticalRunwayDays: 0 };
+      service.notifications.notifyLowBalance = vi.fn(() => Promise.resolve());
+    });
+
+    it('should notify when the balance is under a threshold', async () => {
+      publicClient.getBalance.mockResolvedValueOnce('0.02');
+
+      const status = await service.checkCallerBalance(chain);
+
+      expect(publicClient.getBalance).toHaveBeenCalledWith({ address: '0x1234567890123456789012345678901234567890' });
+      expect(status).toMatchObject({ balanceEth: 0.02, level: 'warn' });
+      expect(service.notifications.notifyLowBalance).toHaveBeenCalledWith(chain, status);
+    });
+
+    it('should skip the check when no threshold is set and never throw', async () => {
+      publicClient.getBalance.mockRejectedValueOnce(new Error('RPC down'));
+      await expect(service.checkCallerBalance(chain)).resolves.toBeNull();
+
+      chain.balancePolicy = { warnEth: null, criticalEth: null, warnRunwayDays: 0, criticalRunwayDays: 0 };
+      await expect(service.checkCallerBalance(chain)).resolves.toBeNull();
+
+      expect(publicClient.getBalance).toHaveBeenCalledTimes(1);
+      expect(service.notifications.notifyLowBalance).not.toHaveBeenCalled();
+    });
+
+    it('should top up the caller before checking the thresholds', async () => {
+      service.topUps.isEnabled = vi.fn(() => true);
+      service.topUps.topUpIfLow = vi.fn(() => Promise.resolve({ status: 'confirmed', amountEth: 0.05, txHash: '0x01' }));
+      publicClient.getBalance.mockResolvedValueOnce('0.005').mockResolvedValueOnce('0.055');
+
+      await expect(service.checkCallerBalance(chain)).resolves.toBeNull();
+
+      expect(service.topUps.topUpIfLow).toHaveBeenCalledWith(chain, publicClient, '0.005');
+      expect(service.notifications.notifyLowBalance).not.toHaveBeenCalled();
+    });
+
+    it('should report a refused top-up as an error and still alert on the balance', async () => {
+      service.topUps.isEnabled = vi.fn(() => true);
+      service.topUps.topUpIfLow = vi.fn(() => Promise.resolve({ status: 'refused', amountEth: 0.05, reason: 'Daily cap of 0.05 ETH reached (0.05 ETH sent today)' }));
+      service.notifications.notifyError = vi.fn(() => Promise.resolve());
+      publicClient.getBalance.mockResolvedValueOnce('0.005');
+
+      await expect(service.checkCallerBalance(chain)).resolves.toMatchObject({ level: 'critical' });
+
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, 'Daily cap of 0.05 ETH reached (0.05 ETH sent today)', 'Top-Up Error', {
+        'Top-Up Status': 'refused',
+        'Amount': '0.05 ETH',
+        'Tx Hash': null
+      });
+      expect(service.notifications.notifyLowBalance).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep a low-balance alert open while the balance is still low', async () => {
+      const warn = { fingerprint: 'warn', error_type: 'Low Balance', message: 'Warning: balance 0.02 ETH below 0.05 ETH', last_notified_at: '2026-01-01T00:00:00.000Z' };
+      const precheck = { fingerprint: 'rpc', error_type: 'PreCheck Error', message: 'rpc down', last_notified_at: '2026-01-01T00:00:00.000Z' };
+      service.executeRemitForChain = vi.fn(() => Promise.resolve({ success: true, status: 'executed', txCount: 1 }));
+      service.alerts.resolve = vi.fn(() => Promise.resolve([warn, precheck]));
+      service.notifications.notifyResolved = vi.fn(() => Promise.resolve());
+
+      publicClient.getBalance.mockResolvedValueOnce('0.005');
+      await service.executeChainWithTimeout(chain);
+      expect(service.notifications.notifyLowBalance.mock.calls[0][1].level).toBe('critical');
+      expect(service.notifications.notifyResolved).toHaveBeenLastCalledWith(chain, [precheck]);
+
+      // Topped up: the low-balance alert clears
+      publicClient.getBalance.mockResolvedValueOnce('1');
+      await service.executeChainWithTimeout(chain);
+      expect(service.notifications.notifyLowBalance).toHaveBeenCalledTimes(1);
+      expect(service.notifications.notifyResolved).toHaveBeenLastCalledWith(chain, [warn, precheck]);
+    });
+  });
+
+  describe('post-run sweep', () => {
+    const coldAddress = '0x2222222222222222222222222222222222222222';
+
+    beforeEach(() => {
+      service.dryRun = false;
+      service.sweepAfterRun = true;
+      chain.sweepPolicy = { coldAddress };
+      service.executeRemitForChain = vi.fn(() => Promise.resolve({ success: true, status: 'executed', txCount: 1, executionId: 'exec_base_1' }));
+      service.sweeps.isEnabled = vi.fn(() => true);
+      service.notifications.notifyError = vi.fn(() => Promise.resolve());
+    });
+
+    it('should sweep after a successful run and report the sweeps in the result', async () => {
+      const sweeps = [{ symbol: 'USDC', amount: '1234.5', status: 'confirmed', txHash: '0x01' }];
+      service.sweeps.sweepChain = vi.fn(() => Promise.resolve(sweeps));
+
+      const result = await service.executeChainWithTimeout(chain);
+
+      expect(service.sweeps.sweepChain).toHaveBeenCalledWith(chain, publicClient, { executionId: 'exec_base_1' });
+      expect(result.sweeps).toEqual(sweeps);
+      expect(service.notifications.notifyError).not.toHaveBeenCalled();
+    });
+
+    it('should notify a sweep that did not confirm', async () => {
+      service.sweeps.sweepChain = vi.fn(() => Promise.resolve([{ symbol: 'USDC', amount: '10', status: 'failed', error: 'insufficient funds' }]));
+
+      await service.executeChainWithTimeout(chain);
+
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, 'insufficient funds', 'Sweep Error', {
+        'Sweep Status': 'failed',
+        'Amount': '10 USDC',
+        'Cold Address': coldAddress,
+        'Tx Hash': null
+      });
+    });
+
+    it('should not sweep after a failed run, in a dry run or unless SWEEP_AFTER_RUN is set', async () => {
+      service.sweeps.sweepChain = vi.fn(() => Promise.resolve([]));
+
+      service.executeRemitForChain.mockResolvedValueOnce({ success: false, status: 'failed', error: 'boom', txCount: 0 });
+      await expect(service.executeChainWithTimeout(chain)).resolves.toMatchObject({ sweeps: [] });
+
+      service.dryRun = true;
+      await service.executeChainWithTimeout(chain);
+
+      service.dryRun = false;
+      service.sweepAfterRun = false;
+      await service.executeChainWithTimeout(chain);
+
+      expect(service.sweeps.sweepChain).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stopped runs', () => {
+    beforeEach(() => {
+      service.dryRun = false;
+      service.preCheck = vi.fn(() => Promise.resolve({ shouldProceed: true, currentDay: 100, nextUncheckedDay: 100, totalSubscriptions: 30, subscriptions: [] }));
+      service.getMaxRemits = vi.fn(() => Promise.resolve(10n));
+      service.startOrResumeRun = vi.fn(() => Promise.resolve({ runId: 'run_1', batchesCompleted: 0, subscriptionsRemaining: 30, nextUncheckedDay: 100 }));
+      service.fees.getFeeQuote = vi.fn(() => Promise.resolve({ defer: false, fees: null }));
+      service.desmond = vi.fn(() => Promise.resolve(1));
+      service.checkProgress = vi.fn(() => Promise.resolve({ remaining: 20, nextUncheckedDay: 100 }));
+      database.updateRemitRun = vi.fn(() => Promise.resolve());
+      service.checkCallerBalance = vi.fn(() => Promise.resolve(null));
+      service.alerts.resolve = vi.fn(() => Promise.resolve([]));
+      service.notifications.notifyError = vi.fn(() => Promise.resolve());
+    });
+
+    it('should fail the chain and notify the error when the fee quote fails', async () => {
+      service.fees.getFeeQuote = vi.fn(() => Promise.reject(new Error('RPC down')));
+
+      const result = await service.executeChainWithTimeout(chain);
+
+      expect(result).toMatchObject({ success: false, status: 'failed', txCount: 0, runStatus: 'failed', error: 'Fee quote failed: RPC down' });
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, 'Fee quote failed: RPC down', 'Remit Run Failed', expect.any(Object), expect.any(Object));
+      expect(service.alerts.resolve).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['a batch fails after earlier ones', 'failed', () => { service.desmond.mockResolvedValueOnce(1).mockResolvedValueOnce(0); }, 'Batch 2 failed'],
+      ['the progress check fails', 'failed', () => { service.checkProgress = vi.fn(() => Promise.reject(new Error('RPC down'))); }, 'Progress check failed: RPC down'],
+      ['progress stalls', 'stalled', () => { service.checkProgress = vi.fn(() => Promise.resolve({ remaining: 30, nextUncheckedDay: 100 })); }, 'No progress after batch 1, 30 subscription(s) left'],
+      ['the batch limit is reached', 'max_batches', () => {
+        service.maxRecursionDepth = 2;
+        service.checkProgress.mockResolvedValueOnce({ remaining: 20, nextUncheckedDay: 100 }).mockResolvedValueOnce({ remaining: 10, nextUncheckedDay: 100 });
+      }, 'Reached batch limit (2) with 10 subscription(s) left']
+    ])('should report a run that stops when %s as failed', async (_, runStatus, arrange, error) => {
+      arrange();
+
+      const result = await service.executeChainWithTimeout(chain);
+
+      expect(result).toMatchObject({ success: false, status: 'failed', runStatus, error });
+      expect(result.txCount).toBeGreaterThan(0);
+      expect(service.alerts.resolve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('preCheck failure', () => {
+    it('should fail the chain without a no-subscriptions notification', async () => {
+      service.dryRun = false;
+      service.preCheck = vi.fn(() => Promise.resolve({ shouldProceed: false, currentDay: null, nextUncheckedDay: null, totalSubscriptions: 0, subscriptions: [], error: 'HTTP request failed' }));
+      service.notifications.notifyNoSubscriptions = vi.fn(() => Promise.resolve());
+
+      const result = await service.executeRemitForChain(chain);
+
+      expect(result).toEqual({ success: false, status: 'failed', error: 'HTTP request failed', txCount: 0 });
+      expect(service.notifications.notifyNoSubscriptions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rpc quorum', () => {
+    const preCheckResult = { shouldProceed: true, currentDay: 20000, nextUncheckedDay: 20000, totalSubscriptions: 1, subscriptions: [] };
+
+    beforeEach(() => {
+      service.dryRun = false;
+      chain = { ...chain, rpcUrls: ['https://a.example/key', 'https://b.example/key'], quorumPolicy: { minProviders: 2, maxBlockLag: 5 } };
+      service.preCheck = vi.fn(() => Promise.resolve(preCheckResult));
+      service.getMaxRemits = vi.fn(() => Promise.resolve(50n));
+      service.getMaxRemits = vi.fn(() => Promise.resolve(10n));
+      service.startOrResumeRun = vi.fn(() => Promise.resolve({ runId: 'run_1', batchesCompleted: 0, subscriptionsRemaining: 1, nextUncheckedDay: 20000 }));
+      service.runRemitBatches = vi.fn(() => Promise.resolve({ txCount: 1, runStatus: 'completed' }));
+      service.notifications.notifyError = vi.fn(() => Promise.resolve());
+    });
+
+    it('should refuse to send remit when providers disagree', async () => {
+      service.consistency.check = vi.fn(() => Promise.resolve({
+        consistent: false,
+        reason: 'RPC providers are 20 blocks apart (limit 5)',
+        blockNumber: 80n,
+        readings: [{ provider: 'a.example', blockNumber: 100n }, { provider: 'b.example', blockNumber: 80n }]
+      }));
+
+      const result = await service.executeRemitForChain(chain);
+
+      expect(result).toMatchObject({ success: false, status: 'failed', error: 'RPC consistency check failed: RPC providers are 20 blocks apart (limit 5)' });
+      expect(service.consistency.check).toHaveBeenCalledWith(chain, { nextUncheckedDay: 20000 }, { signal: null });
+      expect(service.startOrResumeRun).not.toHaveBeenCalled();
+      expect(service.runRemitBatches).not.toHaveBeenCalled();
+      expect(database.logExecution).toHaveBeenCalledWith(expect.objectContaining({
+        execution_id: expect.stringMatching(/_rpc_inconsistent$/),
+        status: 'rpc_inconsistent'
+      }));
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(
+        chain,
+        'RPC providers are 20 blocks apart (limit 5)',
+        'RPC Consistency Error',
+        expect.objectContaining({ 'Provider Readings': 'a.example: block 100; b.example: block 80' }),
+        { signal: null }
+      );
+    });
+
+    it('should send remit when providers agree', async () => {
+      service.consistency.check = vi.fn(() => Promise.resolve({ consistent: true, reason: null, blockNumber: 100n, readings: [] }));
+
+      const result = await service.executeRemitForChain(chain);
+
+      expect(result).toMatchObject({ success: true, status: 'executed', txCount: 1 });
+      expect(service.runRemitBatches).toHaveBeenCalled();
+      expect(service.notifications.notifyError).not.toHaveBeenCalled();
+    });
+
+    it('should skip the check when quorum is not enabled', async () => {
+      chain = { ...chain, quorumPolicy: null };
+      service.consistency.check = vi.fn();
+
+      await service.executeRemitForChain(chain);
+
+      expect(service.consistency.check).not.toHaveBeenCalled();
+      expect(service.runRemitBatches).toHaveBeenCalled();
+    });
+  });
+
+  describe('chain deadline', () => {
+    it('should stop the batch loop as timed_out once the signal fires', async () => {
+      const controller = new AbortController();
+      service.fees.getFeeQuote = vi.fn(() => Promise.resolve({ defer: false, fees: null }));
+      service.desmond = vi.fn(() => {
+        controller.abort(new Error('Chain execution timed out after 20ms'));
+        return Promise.resolve(0);
+      });
+      service.database.updateRemitRun = vi.fn(() => Promise.resolve());
+      const run = { runId: 'run_1', batchesCompleted: 0, subscriptionsRemaining: 5, nextUncheckedDay: 100 };
+
+      const result = await service.runRemitBatches(chain, publicClient, 'exec_1', Date.now(), run, [], controller.signal);
+
+      expect(result).toMatchObject({ txCount: 0, runStatus: 'timed_out' });
+      expect(service.desmond).toHaveBeenCalledTimes(1);
+      expect(service.database.updateRemitRun).toHaveBeenLastCalledWith('run_1', { status: 'timed_out', error_message: 'Chain execution timed out after 20ms' });
+    });
+
+    it('should record a pre-check cut off by the deadline as timed_out', async () => {
+      service.dryRun = false;
+      const controller = new AbortController();
+      controller.abort(new Error('Chain execution timed out after 20ms'));
+      publicClient.readContract.mockRejectedValue(new Error('This operation was aborted'));
+
+      const result = await service.executeRemitForChain(chain, { signal: controller.signal });
+
+      expect(result).toMatchObject({ success: false, status: 'timed_out', error: 'Chain execution timed out after 20ms' });
+      expect(database.logExecution).toHaveBeenCalledWith(expect.objectContaining({
+        execution_id: expect.stringMatching(/_timed_out$/),
+        status: 'timed_out'
+      }));
+    });
+
+    it('should send no further transaction once the run lock is lost', async () => {
+      service.dryRun = false;
+      const lock = new AbortController();
+      service.preCheck = vi.fn(() => Promise.resolve({ shouldProceed: true, currentDay: 100, nextUncheckedDay: 100, totalSubscriptions: 30, subscriptions: [] }));
+      service.getMaxRemits = vi.fn(() => Promise.resolve(10n));
+      service.startOrResumeRun = vi.fn(() => Promise.resolve({ runId: 'run_1', batchesCompleted: 0, subscriptionsRemaining: 30, nextUncheckedDay: 100 }));
+      service.fees.getFeeQuote = vi.fn(() => Promise.resolve({ defer: false, fees: null }));
+      service.checkProgress = vi.fn(() => Promise.resolve({ remaining: 20, nextUncheckedDay: 100 }));
+      service.database.updateRemitRun = vi.fn(() => Promise.resolve());
+      service.checkCallerBalance = vi.fn();
+      service.notifications.notifyError = vi.fn(() => Promise.resolve());
+      service.desmond = vi.fn(() => {
+        lock.abort(Object.assign(new Error('Run lock for base was taken over by another run'), { code: 'RUN_LOCK_LOST' }));
+        return Promise.resolve(1);
+      });
+
+      const result = await service.executeChainWithTimeout(chain, { lockSignal: lock.signal });
+
+      expect(service.desmond).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ success: false, status: 'failed', txCount: 1, runStatus: 'lock_lost', error: 'Run lock for base was taken over by another run' });
+      expect(service.database.updateRemitRun).not.toHaveBeenCalledWith('run_1', expect.objectContaining({ status: expect.anything() }));
+      expect(service.checkCallerBalance).not.toHaveBeenCalled();
+      expect(service.notifications.notifyError).toHaveBeenCalledWith(chain, result.error, 'Run Lock Lost', expect.any(Object));
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import http from 'http';
+import { toFunctionSelector } from 'viem';
+import { ConsistencyService } from '../../src/services/consistency.js';
+import { RpcService } from '../../src/services/rpc.js';
+
+const NEXT_UNCHECKED_DAY = toFunctionSelector('nextUncheckedDay()');
+const MAX_REMITS = toFunctionSelector('maxRemits()');
+
+const uint = (value) => '0x' + BigInt(value).toString(16).padStart(64, '0');
+
+/**
+ * Start a local JSON-RPC endpoint serving a fixed chain state
+ * @param {{ block: number, nextUncheckedDay?: number, maxRemits?: number, down?: boolean }} state
+ * @returns {Promise<{ url: string, server: http.Server, calls: Array }>}
+ */
+function startNode(state) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      calls.push(body);
+      if (state.down) {
+        res.writeHead(503);
+        res.end();
+        return;
+      }
+      let result = null;
+      if (body.method === 'eth_blockNumber') {
+        result = '0x' + state.block.toString(16);
+      } else if (body.method === 'eth_call') {
+        const selector = body.params[0].data.slice(0, 10);
+        result = uint(selector === NEXT_UNCHECKED_DAY ? state.nextUncheckedDay : state.maxRemits);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: body.id, result }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}/key`, server, calls });
+    });
+  });
+}
+
+describe('ConsistencyService', () => {
+  let nodes = [];
+  const service = new ConsistencyService(new RpcService());
+
+  const chainWith = async (states, policy = { minProviders: 2, maxBlockLag: 5 }) => {
+    nodes = await Promise.all(states.map(startNode));
+    return {
+      name: 'base',
+      chainId: 8453,
+      clocktowerAddress: '0x1111111111111111111111111111111111111111',
+      rpcUrls: nodes.map(node => node.url),
+      quorumPolicy: policy
+    };
+  };
+
+  afterEach(() => {
+    for (const node of nodes) node.server.close();
+    nodes = [];
+  });
+
+  it('should pass when providers agree within the block tolerance', async () => {
+    const chain = await chainWith([
+      { block: 100, nextUncheckedDay: 20000, maxRemits: 50 },
+      { block: 103, nextUncheckedDay: 20000, maxRemits: 50 }
+    ]);
+
+    const result = await service.check(chain, { nextUncheckedDay: 20000 });
+
+    expect(result.consistent).toBe(true);
+    expect(result.blockNumber).toBe(100n);
+    // Both providers are read at the lowest block
+    const blockTags = nodes.flatMap(node => node.calls.filter(c => c.method === 'eth_call').map(c => c.params[1]));
+    expect(new Set(blockTags)).toEqual(new Set(['0x64']));
+  });
+
+  it('should fail when a provider lags beyond the block tolerance', async () => {
+    const chain = await chainWith([
+      { block: 100, nextUncheckedDay: 20000, maxRemits: 50 },
+      { block: 80, nextUncheckedDay: 19999, maxRemits: 50 }
+    ]);
+
+    const result = await service.check(chain);
+
+    expect(result.consistent).toBe(false);
+    expect(result.reason).toContain('20 blocks apart (limit 5)');
+    expect(nodes.every(node => node.calls.every(c => c.method === 'eth_blockNumber'))).toBe(true);
+  });
+
+  it('should fail when providers return different contract state at the same block', async () => {
+    const chain = await chainWith([
+      { block: 100, nextUncheckedDay: 20000, maxRemits: 50 },
+      { block: 100, nextUncheckedDay: 19998, maxRemits: 50 }
+    ]);
+
+    const result = await service.check(chain);
+
+    expect(result.consistent).toBe(false);
+    expect(result.reason).toContain('disagree on nextUncheckedDay at block 100');
+  });
+
+  it('should fail when the run acted on a different nextUncheckedDay', async () => {
+    const chain = await chainWith([
+      { block: 100, nextUncheckedDay: 20000, maxRemits: 50 },
+      { block: 100, nextUncheckedDay: 20000, maxRemits: 50 }
+    ]);
+
+    const result = await service.check(chain, { nextUncheckedDay: 19999 });
+
+    expect(result.consistent).toBe(false);
+    expect(result.reason).toContain('nextUncheckedDay 19999 used by the run does not match 20000');
+  });
+
+  it('should fail when too few providers respond for the quorum', async () => {
+    const chain = await chainWith([
+      { block: 100, nextUncheckedDay: 20000, maxRemits: 50 },
+      { down: true }
+    ]);
+
+    const result = await service.check(chain);
+
+    expect(result.consistent).toBe(false);
+    expect(result.reason).toContain('Only 1 of 2 RPC providers responded (quorum needs 2)');
+    expect(service.formatReadings(result.readings)).toMatch(/127\.0\.0\.1:\d+: error/);
+  });
+
+  it('should tolerate an unresponsive provider when the rest meet the quorum', async () => {
+    const chain = await chainWith([
+      { block: 100, nextUncheckedDay: 20000, maxRemits: 50 },
+      { block: 101, nextUncheckedDay: 20000, maxRemits: 50 },
+      { down: true }
+    ]);
+
+    const result = await service.check(chain);
+
+    expect(result.consistent).toBe(true);
+    expect(result.readings.filter(r => r.error)).toHaveLength(1);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { DatabaseService } from '../../src/services/database.js';
 import { DatabaseConfigService } from '../../src/config/database.js';
+import { Pool } from 'pg';
 
 // Mock the database modules
 vi.mock('better-sqlite3', () => {
@@ -28,6 +29,7 @@ vi.mock('better-sqlite3', () => {
         return mockStmt;
       });
       this.exec = vi.fn();
+      this.transaction = vi.fn((fn) => fn);
       this.pragma = vi.fn();
       this.close = vi.fn();
     }
@@ -51,7 +53,8 @@ vi.mock('pg', () => {
   };
   
   return {
-    Pool: vi.fn(() => mockPool)
+    // A regular function so the mock can be called with new
+    Pool: vi.fn(function () { return mockPool; })
   };
 });
 
@@ -203,6 +206,46 @@ describe('DatabaseService', () => {
     });
   });
 
+  describe('PostgreSQL queries', () => {
+    let client;
+
+    beforeEach(async () => {
+      vi.stubEnv('DATABASE_TYPE', 'postgresql');
+      vi.stubEnv('DATABASE_NAME', 'testdb');
+      vi.stubEnv('DATABASE_USER', 'testuser');
+      vi.stubEnv('DATABASE_PASSWORD', 'testpass');
+      service = new DatabaseService();
+      await service.initialize();
+
+      client = await Pool().connect();
+      client.query.mockClear();
+    });
+
+    it('should log an execution with numbered placeholders and read its ID through RETURNING', async () => {
+      const id = await service.logExecution({ execution_id: 'test_exec_pg', timestamp: '2024-01-01T00:00:00Z', chain_name: 'base', chain_display_name: 'Base', precheck_passed: true });
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toMatch(/VALUES \(\$1, \$2, .*\$26\) RETURNING id$/);
+      expect(sql).not.toContain('?');
+      expect(params).toHaveLength(26);
+      expect(params.slice(0, 5)).toEqual(['test_exec_pg', '2024-01-01T00:00:00Z', 'base', 'Base', true]);
+      expect(id).toBe(1);
+    });
+
+    it('should look up tokens and executions with numbered placeholders', async () => {
+      await service.getTokenByAddress('0x1234', 'base');
+      await service.getRecentExecutions(5, 'base');
+      await service.getExecutionStats('base');
+
+      const calls = client.query.mock.calls;
+      expect(calls[0]).toEqual(['SELECT * FROM tokens WHERE token_address = $1 AND chain_name = $2', ['0x1234', 'base']]);
+      expect(calls[1][0]).toMatch(/WHERE chain_name = \$1\s+ORDER BY timestamp DESC\s+LIMIT \$2/);
+      expect(calls[1][1]).toEqual(['base', 5]);
+      expect(calls[2][0]).toMatch(/WHERE chain_name = \$1/);
+      expect(calls[2][1]).toEqual(['base']);
+    });
+  });
+
   describe('isReady', () => {
     it('should return false when not initialized', () => {
       expect(service.isReady()).toBe(false);
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DigestService } from '../../src/services/digest.js';
+import { NotificationService } from '../../src/services/notification.js';
+import { NotificationRouter } from '../../src/services/notificationRouter.js';
+
+const base = { name: 'base', displayName: 'Base', isTestnet: false };
+const arbitrum = { name: 'arbitrum', displayName: 'Arbitrum', isTestnet: false };
+
+describe('DigestService', () => {
+  let rows;
+  let database;
+
+  beforeEach(() => {
+    rows = [];
+    database = {
+      isReady: () => true,
+      logDigestEvent: vi.fn(data => {
+        rows.push({ id: rows.length + 1, digest_id: null, ...data });
+        return Promise.resolve(rows.length);
+      }),
+      getPendingDigestEvents: vi.fn(before => Promise.resolve(rows.filter(row => !row.digest_id && row.recorded_at < before))),
+      recordDigest: vi.fn((digest, ids) => {
+        for (const row of rows) {
+          if (ids.includes(row.id)) row.digest_id = digest.digest_id;
+        }
+        return Promise.resolve();
+      })
+    };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.useRealTimers();
+  });
+
+  describe('getBoundary', () => {
+    it('should use today at NOTIFICATION_DIGEST_HOUR once it has passed', () => {
+      vi.stubEnv('NOTIFICATION_DIGEST', 'daily');
+      vi.stubEnv('NOTIFICATION_DIGEST_HOUR', '8');
+      const digest = new DigestService(database);
+
+      expect(digest.getBoundary(new Date('2026-03-11T09:30:00Z')).toISOString()).toBe('2026-03-11T08:00:00.000Z');
+      expect(digest.getBoundary(new Date('2026-03-11T07:59:00Z')).toISOString()).toBe('2026-03-10T08:00:00.000Z');
+    });
+
+    it('should use the last NOTIFICATION_DIGEST_WEEKDAY for weekly digests', () => {
+      vi.stubEnv('NOTIFICATION_DIGEST', 'weekly');
+      vi.stubEnv('NOTIFICATION_DIGEST_WEEKDAY', '1');
+      const digest = new DigestService(database);
+
+      // 2026-03-11 is a Wednesday, 2026-03-09 the Monday before
+      expect(digest.getBoundary(new Date('2026-03-11T12:00:00Z')).toISOString()).toBe('2026-03-09T00:00:00.000Z');
+      expect(digest.getBoundary(new Date('2026-03-09T00:00:00Z')).toISOString()).toBe('2026-03-09T00:00:00.000Z');
+    });
+  });
+
+  it('should stay off for an unknown NOTIFICATION_DIGEST', async () => {
+    vi.stubEnv('NOTIFICATION_DIGEST', 'hourly');
+    const digest = new DigestService(database);
+
+    expect(digest.isEnabled()).toBe(false);
+    await expect(digest.hold({ type: 'success' })).resolves.toBe(false);
+  });
+
+  it('should total events by chain', () => {
+    const digest = new DigestService(database);
+    const success = (chain, gasUsed, before, after, usdc) => ({
+      chain_name: chain.name, chain_display_name: chain.displayName, event_type: 'success', recorded_at: '2026-03-10T01:00:00.000Z',
+      gas_used: gasUsed, gas_cost_eth: gasUsed / 1e9, balance_before_eth: before, balance_after_eth: after,
+      token_balances: JSON.stringify([{ symbol: 'USDC', balanceBefore: usdc[0], balanceAfter: usdc[1] }])
+    });
+
+    const { chains, totals } = digest.summarize([
+      success(base, 100000, 1.0, 0.9999, ['10', '12.5']),
+      success(base, 50000, 0.9999, 0.99985, ['12.5', '13']),
+      { chain_name: 'base', chain_display_name: 'Base', event_type: 'error', error_type: 'Transaction Failure', recorded_at: '2026-03-10T02:00:00.000Z' },
+      { chain_name: 'arbitrum', chain_display_name: 'Arbitrum', event_type: 'no_subscriptions', current_day: 20522, recorded_at: '2026-03-10T01:00:00.000Z' },
+      { chain_name: 'arbitrum', chain_display_name: 'Arbitrum', event_type: 'no_subscriptions', current_day: 20522, recorded_at: '2026-03-10T05:00:00.000Z' },
+      { chain_name: 'arbitrum', chain_display_name: 'Arbitrum', event_type: 'no_subscriptions', current_day: 20523, recorded_at: '2026-03-11T01:00:00.000Z' }
+    ]);
+
+    expect(chains[0]).toMatchObject({
+      chain: 'base',
+      remits: 2,
+      gasUsed: 150000,
+      gasCostEth: 0.00015,
+      ethDelta: -0.00015,
+      tokenDeltas: { USDC: 3 },
+      failures: 1,
+      errorTypes: { 'Transaction Failure': 1 },
+      noSubscriptionDays: 0
+    });
+    expect(chains[1]).toMatchObject({ chain: 'arbitrum', remits: 0, noSubscriptionDays: 2 });
+    expect(totals).toEqual({ remits: 2, failures: 1, noSubscriptionDays: 2, gasUsed: 150000, gasCostEth: 0.00015 });
+  });
+
+  describe('with NotificationService', () => {
+    const fakeChannel = (name) => ({ name, isConfigured: () => true, send: vi.fn(() => Promise.resolve()) });
+
+    it('should hold per-event notifications and send one digest after the boundary', async () => {
+      vi.stubEnv('NOTIFICATION_DIGEST', 'daily');
+      vi.useFakeTimers({ now: new Date('2026-03-10T06:00:00Z'), toFake: ['Date'] });
+      const channel = fakeChannel('fake');
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), new DigestService(database));
+
+      await expect(service.notifyNoSubscriptions(arbitrum, 20522, 20523)).resolves.toBeNull();
+      await service.notifySuccess(base, '0x' + 'ab'.repeat(32), '1.0', '0.9999', [], 0, [], { gasUsed: 100000, gasCostEth: '0.0001' });
+      await service.notifyError(base, 'reverted', 'Transaction Failure');
+      await expect(service.notifySummary([{ chain: 'base', success: true, txCount: 1 }])).resolves.toBeNull();
+
+      // Errors still go out straight away
+      expect(channel.send.mock.calls.map(([event]) => event.type)).toEqual(['error']);
+      expect(rows.map(row => row.event_type)).toEqual(['no_subscriptions', 'success', 'error']);
+
+      // Not due until the next midnight UTC
+      await expect(service.notifyDigestIfDue(new Date('2026-03-10T23:00:00Z'))).resolves.toBeNull();
+
+      const report = await service.notifyDigestIfDue(new Date('2026-03-11T00:05:00Z'));
+
+      expect(report).toEqual([{ channel: 'fake', status: 'sent' }]);
+      const digest = channel.send.mock.calls[1][0];
+      expect(digest).toMatchObject({ type: 'digest', severity: 'warn' });
+      expect(digest.title).toBe('📬 Clocktower Daily Digest - 1 remits, 1 failed, 1 no-subscription days');
+      expect(digest.text).toContain('Base: 1 remit(s), gas 0.0001 ETH (100000 gas), ETH -0.0001, 1 failure(s) (Transaction Failure ×1)');
+      expect(digest.text).toContain('Arbitrum: 0 remit(s), 1 day(s) with no subscriptions');
+      expect(rows.every(row => row.digest_id)).toBe(true);
+
+      // Already sent
+      await expect(service.notifyDigestIfDue(new Date('2026-03-11T01:00:00Z'))).resolves.toBeNull();
+    });
+
+    it('should keep the events when every channel fails', async () => {
+      vi.stubEnv('NOTIFICATION_DIGEST', 'daily');
+      const channel = fakeChannel('broken');
+      channel.send = vi.fn(() => Promise.reject(new Error('HTTP 500')));
+      const digest = new DigestService(database);
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), digest);
+      rows.push({ id: 1, digest_id: null, chain_name: 'base', chain_display_name: 'Base', event_type: 'no_subscriptions', current_day: 1, recorded_at: '2026-03-10T01:00:00.000Z' });
+
+      await expect(service.notifyDigestIfDue(new Date('2026-03-11T01:00:00Z'))).rejects.toMatchObject({ code: 'NOTIFICATION_FAILED' });
+
+      expect(database.recordDigest).not.toHaveBeenCalled();
+      expect(rows[0].digest_id).toBeNull();
+    });
+
+    it('should send immediately when the event cannot be stored', async () => {
+      vi.stubEnv('NOTIFICATION_DIGEST', 'daily');
+      database.logDigestEvent = vi.fn(() => Promise.reject(new Error('disk full')));
+      const channel = fakeChannel('fake');
+      const service = new NotificationService([channel], undefined, new NotificationRouter([]), new DigestService(database));
+
+      await service.notifyNoSubscriptions(base, 1, 2);
+
+      expect(channel.send).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -27,6 +27,8 @@ describe('EmailService', () => {
     delete process.env.RESEND_API_KEY;
     delete process.env.NOTIFICATION_EMAIL;
     delete process.env.SENDER_ADDRESS;
+    delete process.env.EMAIL_LOCALE;
+    delete process.env.EMAIL_RECIPIENT_LOCALES;
   });
 
   afterEach(() => {
@@ -140,6 +142,119 @@ describe('EmailService', () => {
       
       expect(result).toBeDefined();
     });
+
+    it('should report timed out chains separately from failures', async () => {
+      process.env.RESEND_API_KEY = 're_test_key';
+      process.env.NOTIFICATION_EMAIL = 'test@example.com';
+
+      service = new EmailService();
+      await service.sendSummaryEmail([
+        { chain: 'base', success: false, txCount: 2, status: 'timed_out', error: 'Chain execution timed out after 20ms' }
+      ]);
+
+      const payload = service.resend.emails.send.mock.calls[0][0];
+      expect(payload.subject).toContain('0 failed, 1 timed out');
+      expect(payload.html).toContain('Timed out after 2 tx(s)');
+    });
+
+    it('should give up on the send once the signal aborts', async () => {
+      process.env.RESEND_API_KEY = 're_test_key';
+      process.env.NOTIFICATION_EMAIL = 'test@example.com';
+
+      service = new EmailService();
+      service.resend.emails.send.mockReturnValue(new Promise(() => {}));
+      const controller = new AbortController();
+      const sending = service.sendSummaryEmail([], { signal: controller.signal });
+      controller.abort(new Error('deadline'));
+
+      await expect(sending).rejects.toThrow('deadline');
+    });
+  });
+
+  describe('sendDigestEmail', () => {
+    it('should send totals by chain to the routed recipients', async () => {
+      process.env.RESEND_API_KEY = 're_test_key';
+      process.env.NOTIFICATION_EMAIL = 'test@example.com';
+
+      service = new EmailService();
+      await service.sendDigestEmail({
+        schedule: 'weekly',
+        periodStart: '2026-03-02T01:00:00.000Z',
+        periodEnd: '2026-03-09T00:00:00.000Z',
+        chains: [{
+          chain: 'base', displayName: 'Base', remits: 3, gasUsed: 300000, gasCostEth: 0.0003, ethDelta: -0.0003,
+          tokenDeltas: { USDC: 12.5 }, failures: 1, errorTypes: { 'Chain Timeout': 1 }, noSubscriptionDays: 4
+        }],
+        totals: { remits: 3, failures: 1, noSubscriptionDays: 4, gasUsed: 300000, gasCostEth: 0.0003 }
+      }, { recipients: ['ops@example.com'] });
+
+      const payload = service.resend.emails.send.mock.calls[0][0];
+      expect(payload.to).toEqual(['ops@example.com']);
+      expect(payload.subject).toBe('📬 Clocktower Weekly Digest - 3 remits, 1 failed, 4 no-subscription days');
+      expect(payload.html).toContain('USDC +12.5');
+      expect(payload.html).toContain('Chain Timeout ×1');
+    });
+  });
+
+  describe('templates and locales', () => {
+    beforeEach(() => {
+      process.env.RESEND_API_KEY = 're_test_key';
+      process.env.NOTIFICATION_EMAIL = 'test@example.com';
+    });
+
+    it('should escape error content and send a text/plain alternative', async () => {
+      service = new EmailService();
+      await service.sendErrorEmail('Base', 'revert <script>x</script>', 'Transaction Failure', { 'Revert Reason': '<b>nope</b>' });
+
+      const payload = service.resend.emails.send.mock.calls[0][0];
+      expect(payload.html).toContain('revert &lt;script&gt;x&lt;/script&gt;');
+      expect(payload.html).toContain('&lt;b&gt;nope&lt;/b&gt;');
+      expect(payload.html).not.toContain('<script>');
+      expect(payload.text).toContain('revert <script>x</script>');
+      expect(payload.text).toContain('Revert Reason: <b>nope</b>');
+    });
+
+    it('should send one email per recipient locale', async () => {
+      process.env.EMAIL_RECIPIENT_LOCALES = 'Ops@Example.com=es-MX, cfo@example.com=en';
+      service = new EmailService();
+      await service.sendNoSubscriptionsEmail('Base', 20000, 20001, { recipients: ['test@example.com', 'ops@example.com', 'cfo@example.com'] });
+
+      const payloads = service.resend.emails.send.mock.calls.map(([payload]) => payload);
+      expect(payloads.map(payload => payload.to)).toEqual([['test@example.com', 'cfo@example.com'], ['ops@example.com']]);
+      expect(payloads[0].subject).toBe('📭 Clocktower No Subscriptions - Base');
+      expect(payloads[1].subject).toBe('📭 Clocktower: sin suscripciones - Base');
+      expect(payloads[1].text).toContain('Siguiente día sin comprobar: 20001');
+    });
+
+    it('should use EMAIL_LOCALE as the default and ignore unsupported locales', () => {
+      process.env.EMAIL_LOCALE = 'es';
+      process.env.EMAIL_RECIPIENT_LOCALES = 'ops@example.com=fr,broken';
+      service = new EmailService();
+
+      expect(service.groupRecipientsByLocale(['ops@example.com', 'test@example.com'])).toEqual(new Map([['es', ['ops@example.com', 'test@example.com']]]));
+    });
+  });
+
+  describe('buildSubscriptionsHtml', () => {
+    it('should return empty string when there are no subscriptions', () => {
+      service = new EmailService();
+      expect(service.buildSubscriptionsHtml([])).toBe('');
+      expect(service.buildSubscriptionsHtml(undefined)).toBe('');
+    });
+
+    it('should list subscription ids grouped by frequency and due day', () => {
+      service = new EmailService();
+      const html = service.buildSubscriptionsHtml([
+        { day: 20000, frequency: 0, frequencyName: 'weekly', dueDay: 3, ids: ['0x' + 'aa'.repeat(32), '0x' + 'bb'.repeat(32)] },
+        { day: 20000, frequency: 1, frequencyName: 'monthly', dueDay: 15, ids: ['0x' + 'cc'.repeat(32)] }
+      ], 'base');
+
+      expect(html).toContain('Subscriptions Covered - base (3)');
+      expect(html).toContain('weekly');
+      expect(html).toContain('monthly');
+      expect(html).toContain('0x' + 'aa'.repeat(32));
+      expect(html).not.toContain('0xaaaaaa...aaaaaa');
+    });
   });
 
   describe('getExplorerUrl', () => {
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { parseGwei } from 'viem';
+import { FeeService } from '../../src/services/fees.js';
+
+describe('FeeService', () => {
+  let service;
+  let publicClient;
+  let chain;
+
+  const policy = (overrides = {}) => ({
+    maxFeePerGasGwei: null,
+    maxPriorityFeePerGasGwei: null,
+    priorityFeePercentile: 50,
+    feeCeilingGwei: null,
+    feeHistoryBlocks: 4,
+    baseFeeMultiplier: 2,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    service = new FeeService();
+    publicClient = {
+      getFeeHistory: vi.fn(() => Promise.resolve({
+        baseFeePerGas: [parseGwei('0.01'), parseGwei('0.01'), parseGwei('0.01'), parseGwei('0.01'), parseGwei('0.02')],
+        reward: [[parseGwei('0.001')], [parseGwei('0.003')], [parseGwei('0.002')], [parseGwei('0.1')]]
+      }))
+    };
+    chain = { name: 'base', feePolicy: policy() };
+  });
+
+  it('should let viem pick fees when the chain has no fee policy', async () => {
+    const quote = await service.getFeeQuote({ name: 'base', feePolicy: null }, publicClient);
+
+    expect(quote).toEqual({ defer: false, reason: null, fees: null, baseFeePerGas: null, effectiveFeePerGas: null });
+    expect(publicClient.getFeeHistory).not.toHaveBeenCalled();
+  });
+
+  it('should derive the priority fee from fee history at the configured percentile', async () => {
+    chain.feePolicy = policy({ priorityFeePercentile: 30 });
+
+    const quote = await service.getFeeQuote(chain, publicClient);
+
+    expect(publicClient.getFeeHistory).toHaveBeenCalledWith({ blockCount: 4, rewardPercentiles: [30], blockTag: 'latest' });
+    // Median of 0.001, 0.002, 0.003, 0.1 gwei
+    expect(quote.fees.maxPriorityFeePerGas).toBe(parseGwei('0.0025'));
+    // Next block base fee (0.02) * 2 + priority
+    expect(quote.fees.maxFeePerGas).toBe(parseGwei('0.0425'));
+    expect(quote.baseFeePerGas).toBe(parseGwei('0.02'));
+    expect(quote.defer).toBe(false);
+  });
+
+  it('should cap max fee and priority fee per policy', async () => {
+    chain.feePolicy = policy({ maxFeePerGasGwei: 0.03, maxPriorityFeePerGasGwei: 0.002 });
+
+    const quote = await service.getFeeQuote(chain, publicClient);
+
+    expect(quote.fees.maxPriorityFeePerGas).toBe(parseGwei('0.002'));
+    expect(quote.fees.maxFeePerGas).toBe(parseGwei('0.03'));
+  });
+
+  it('should defer when the fee per gas exceeds the ceiling', async () => {
+    chain.feePolicy = policy({ feeCeilingGwei: 0.02 });
+
+    const quote = await service.getFeeQuote(chain, publicClient);
+
+    expect(quote.defer).toBe(true);
+    expect(quote.fees).toBeNull();
+    expect(quote.reason).toContain('exceeds ceiling of 0.02 gwei');
+    expect(quote.effectiveFeePerGas).toBe(parseGwei('0.0225'));
+  });
+
+  it('should not defer when the fee per gas is under the ceiling', async () => {
+    chain.feePolicy = policy({ feeCeilingGwei: 1 });
+
+    const quote = await service.getFeeQuote(chain, publicClient);
+    expect(quote.defer).toBe(false);
+  });
+
+  describe('median', () => {
+    it('should handle empty, odd and even lists', () => {
+      expect(service.median([])).toBe(0n);
+      expect(service.median([3n, 1n, 2n])).toBe(2n);
+      expect(service.median([4n, 1n, 2n, 3n])).toBe(2n);
+    });
+  });
+});
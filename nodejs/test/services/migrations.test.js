@@ -0,0 +1,287 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  parseMigration,
+  splitStatements,
+  toPostgreSQL,
+  forTarget,
+  addedColumns,
+  loadMigrations,
+  createMigrationFile,
+  renderD1Migrations,
+  renderD1Schema
+} from '../../src/services/migrations.js';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+
+describe('Migrations', () => {
+  describe('splitStatements', () => {
+    it('should split on semicolons outside quotes and drop comments', () => {
+      const sql = [
+        '-- a comment; not a statement',
+        "INSERT INTO t (a) VALUES ('x;y', 'it''s');",
+        '/* block; comment */ CREATE TABLE "odd;name" (id INTEGER);',
+        'SELECT 1 -- trailing; comment',
+        ';'
+      ].join('\n');
+
+      expect(splitStatements(sql)).toEqual([
+        "INSERT INTO t (a) VALUES ('x;y', 'it''s')",
+        'CREATE TABLE "odd;name" (id INTEGER)',
+        'SELECT 1'
+      ]);
+    });
+
+    it('should return nothing for comments only', () => {
+      expect(splitStatements('-- nothing here\n/* or here */\n')).toEqual([]);
+    });
+  });
+
+  describe('parseMigration', () => {
+    it('should split the up and down sections', () => {
+      const source = '-- header\n-- migrate:up\nCREATE TABLE t (id INTEGER);\n\n-- migrate:down\nDROP TABLE t;\n';
+
+      expect(parseMigration(source, '0002_t.sql')).toEqual({ up: 'CREATE TABLE t (id INTEGER);', down: 'DROP TABLE t;' });
+    });
+
+    it('should reject a migration without up statements', () => {
+      expect(() => parseMigration('-- migrate:up\n-- TODO\n-- migrate:down\nDROP TABLE t;', '0002_t.sql'))
+        .toThrow('Migration 0002_t.sql has no statements after "-- migrate:up"');
+    });
+  });
+
+  describe('toPostgreSQL', () => {
+    it('should swap in the PostgreSQL definition of annotated columns', () => {
+      const sql = [
+        'CREATE TABLE t (',
+        '  id INTEGER PRIMARY KEY AUTOINCREMENT,  -- PostgreSQL: SERIAL PRIMARY KEY',
+        '  acquired_at INTEGER NOT NULL,  -- epoch ms, PostgreSQL: BIGINT NOT NULL',
+        '  name TEXT,  -- plain comment',
+        "  created_at TEXT DEFAULT (datetime('now'))  -- PostgreSQL: TIMESTAMP DEFAULT NOW()",
+        ');'
+      ].join('\n');
+
+      expect(toPostgreSQL(sql)).toBe([
+        'CREATE TABLE t (',
+        '  id SERIAL PRIMARY KEY,',
+        '  acquired_at BIGINT NOT NULL,',
+        '  name TEXT,  -- plain comment',
+        '  created_at TIMESTAMP DEFAULT NOW()',
+        ');'
+      ].join('\n'));
+    });
+
+    it('should leave no SQLite-only syntax in the bundled migrations', () => {
+      for (const migration of loadMigrations()) {
+        const sql = splitStatements(forTarget(migration.up, 'postgresql')).join('\n');
+
+        expect(sql).not.toMatch(/AUTOINCREMENT|datetime\(|printf\(/);
+      }
+    });
+  });
+
+  describe('forTarget', () => {
+    const sql = [
+      'CREATE TABLE a (id INTEGER);',
+      '-- SQLite only',
+      "UPDATE a SET id = printf('%d;', id)",
+      '  WHERE id > 0;  -- ends here',
+      '-- PostgreSQL only',
+      'UPDATE a SET id = id::integer;',
+      '-- D1 only',
+      "UPDATE a SET id = 0 WHERE id < 0;",
+      '-- Node.js only',
+      '-- B TABLE',
+      'CREATE TABLE b (',
+      '  id INTEGER PRIMARY KEY AUTOINCREMENT  -- PostgreSQL: SERIAL PRIMARY KEY',
+      ');',
+      'CREATE TABLE c (',
+      '  id INTEGER,',
+      '  name TEXT,  -- Node.js only, added separately on D1',
+      '  value TEXT',
+      ');',
+      'CREATE INDEX idx_a ON a(id);'
+    ].join('\n');
+
+    it('should keep the statements of each dialect and drop the markers', () => {
+      expect(splitStatements(forTarget(sql, 'sqlite'))).toEqual([
+        'CREATE TABLE a (id INTEGER)',
+        "UPDATE a SET id = printf('%d;', id)\n  WHERE id > 0",
+        'CREATE TABLE b (\n  id INTEGER PRIMARY KEY AUTOINCREMENT  \n)',
+        'CREATE TABLE c (\n  id INTEGER,\n  name TEXT,  \n  value TEXT\n)',
+        'CREATE INDEX idx_a ON a(id)'
+      ]);
+      expect(splitStatements(forTarget(sql, 'postgresql'))).toEqual([
+        'CREATE TABLE a (id INTEGER)',
+        'UPDATE a SET id = id::integer',
+        'CREATE TABLE b (\n  id SERIAL PRIMARY KEY\n)',
+        'CREATE TABLE c (\n  id INTEGER,\n  name TEXT,  \n  value TEXT\n)',
+        'CREATE INDEX idx_a ON a(id)'
+      ]);
+    });
+
+    it('should leave Node.js only statements, columns and comments out of D1, and keep D1 only ones', () => {
+      const d1 = forTarget(sql, 'd1');
+
+      expect(splitStatements(d1)).toEqual([
+        'CREATE TABLE a (id INTEGER)',
+        "UPDATE a SET id = printf('%d;', id)\n  WHERE id > 0",
+        'UPDATE a SET id = 0 WHERE id < 0',
+        'CREATE TABLE c (\n  id INTEGER,\n  value TEXT\n)',
+        'CREATE INDEX idx_a ON a(id)'
+      ]);
+      expect(d1).not.toContain('B TABLE');
+    });
+  });
+
+  describe('addedColumns', () => {
+    it('should list the columns added to existing tables', () => {
+      const sql = 'ALTER TABLE t ADD COLUMN a TEXT;\nalter table t add column b INTEGER;\nUPDATE t SET a = \'x\';\nALTER TABLE t DROP COLUMN c;';
+
+      expect(addedColumns(sql)).toEqual([{ table: 't', column: 'a' }, { table: 't', column: 'b' }]);
+    });
+  });
+
+  describe('loadMigrations', () => {
+    it('should load migration files by ascending version', () => {
+      const directory = tempDir();
+      fs.writeFileSync(path.join(directory, '0010_later.sql'), '-- migrate:up\nSELECT 10;\n');
+      fs.writeFileSync(path.join(directory, '0002_earlier.sql'), '-- migrate:up\nSELECT 2;\n-- migrate:down\nSELECT -2;\n');
+      fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration');
+
+      expect(loadMigrations(directory)).toEqual([
+        { version: 2, name: 'earlier', file: '0002_earlier.sql', up: 'SELECT 2;', down: 'SELECT -2;' },
+        { version: 10, name: 'later', file: '0010_later.sql', up: 'SELECT 10;', down: '' }
+      ]);
+    });
+
+    it('should reject two migrations with the same version', () => {
+      const directory = tempDir();
+      fs.writeFileSync(path.join(directory, '0002_a.sql'), '-- migrate:up\nSELECT 1;\n');
+      fs.writeFileSync(path.join(directory, '02_b.sql'), '-- migrate:up\nSELECT 2;\n');
+
+      expect(() => loadMigrations(directory)).toThrow('Two migrations have version 2');
+    });
+
+    it('should start the bundled migrations at the initial schema, which cannot be reverted', () => {
+      expect(loadMigrations()[0]).toMatchObject({ version: 1, name: 'initial_schema', down: '' });
+    });
+
+    it('should give every later bundled migration a down section', () => {
+      for (const migration of loadMigrations().slice(1)) {
+        expect(splitStatements(migration.down).length).toBeGreaterThan(0);
+      }
+    });
+  });
+
+  describe('createMigrationFile', () => {
+    it('should number a new migration after the latest one', () => {
+      const directory = tempDir();
+      fs.writeFileSync(path.join(directory, '0003_existing.sql'), '-- migrate:up\nSELECT 1;\n');
+
+      const file = createMigrationFile('add_widgets', directory);
+
+      expect(path.basename(file)).toBe('0004_add_widgets.sql');
+      expect(fs.readFileSync(file, 'utf8')).toBe('-- migrate:up\n\n\n-- migrate:down\n\n');
+    });
+
+    it('should reject a name that is not lowercase words joined by underscores', () => {
+      expect(() => createMigrationFile('Add Widgets', tempDir())).toThrow('must be lowercase words joined by underscores');
+    });
+  });
+
+  describe('renderD1Migrations', () => {
+    it('should render the up section of each migration for D1 under a generated header', () => {
+      const files = renderD1Migrations([
+        { version: 1, name: 'a', file: '0001_a.sql', up: 'CREATE TABLE a (id INTEGER);\n\n-- Node.js only\nCREATE TABLE locks (id INTEGER);\n\n\nCREATE INDEX idx_a ON a(id);', down: '' },
+        { version: 2, name: 'b', file: '0002_b.sql', up: 'ALTER TABLE a ADD COLUMN b TEXT;', down: 'ALTER TABLE a DROP COLUMN b;' }
+      ]);
+
+      expect(files.map(({ file }) => file)).toEqual(['0001_a.sql', '0002_b.sql']);
+      expect(files[0].sql).toContain('Generated from nodejs/database/migrations/0001_a.sql');
+      expect(files[0].sql).toContain('CREATE TABLE a (id INTEGER);\n\nCREATE INDEX idx_a ON a(id);\n');
+      expect(files[0].sql).not.toContain('locks');
+      expect(files[1].sql).not.toContain('DROP COLUMN');
+    });
+
+    it('should match the committed worker migrations', () => {
+      const directory = new URL('../../../cloudflare/migrations/', import.meta.url);
+      const committed = fs.readdirSync(directory).filter(file => file.endsWith('.sql')).sort();
+      const rendered = renderD1Migrations(loadMigrations());
+
+      expect(committed).toEqual(rendered.map(({ file }) => file));
+      for (const { file, sql } of rendered) {
+        expect(fs.readFileSync(new URL(file, directory), 'utf8')).toBe(sql);
+      }
+    });
+
+    it('should leave the Node.js only tables out of the worker migrations', () => {
+      const sql = renderD1Migrations(loadMigrations()).map(({ sql }) => sql).join('\n');
+
+      for (const table of ['remit_subscriptions', 'remit_runs', 'run_locks', 'caller_nonces', 'wallet_topups', 'sweeps', 'digest_events', 'notification_digests', 'alerts']) {
+        expect(sql).not.toMatch(new RegExp(`\\b${table}\\b`));
+      }
+      expect(sql).toContain('CREATE TABLE IF NOT EXISTS execution_logs');
+    });
+  });
+
+  describe('renderD1Schema', () => {
+    it('should render every D1 migration in order under a generated header', () => {
+      const schema = renderD1Schema([
+        { version: 1, name: 'a', file: '0001_a.sql', up: 'CREATE TABLE a (id INTEGER);\n-- Node.js only\nCREATE TABLE locks (id INTEGER);', down: '' },
+        { version: 2, name: 'b', file: '0002_b.sql', up: 'ALTER TABLE a ADD COLUMN b TEXT;', down: 'ALTER TABLE a DROP COLUMN b;' }
+      ]);
+
+      expect(schema).toContain('Generated from nodejs/database/migrations');
+      expect(schema).toContain('-- 0001_a\n\nCREATE TABLE a (id INTEGER);\n');
+      expect(schema.indexOf('-- 0002_b')).toBeGreaterThan(schema.indexOf('-- 0001_a'));
+      expect(schema).not.toContain('locks');
+      expect(schema).not.toContain('DROP COLUMN');
+    });
+
+    it('should match the committed worker schema', () => {
+      const committed = fs.readFileSync(new URL('../../../cloudflare/schema.sql', import.meta.url), 'utf8');
+
+      expect(committed).toBe(renderD1Schema(loadMigrations()));
+    });
+  });
+
+  describe('worker D1 migrations', () => {
+    // The worker's schema.sql before it was generated from the migrations
+    const deployedSchema = `
+      CREATE TABLE IF NOT EXISTS tokens (id INTEGER PRIMARY KEY AUTOINCREMENT, token_address TEXT NOT NULL, token_symbol TEXT NOT NULL, token_name TEXT NOT NULL, decimals INTEGER NOT NULL, chain_name TEXT NOT NULL, is_active BOOLEAN DEFAULT TRUE, created_at TEXT DEFAULT (datetime('now')), UNIQUE(token_address, chain_name));
+      CREATE TABLE IF NOT EXISTS execution_logs (id INTEGER PRIMARY KEY AUTOINCREMENT, execution_id TEXT UNIQUE, timestamp TEXT NOT NULL, chain_name TEXT NOT NULL, precheck_passed BOOLEAN NOT NULL, current_day INTEGER, next_unchecked_day INTEGER, should_proceed BOOLEAN, tx_hash TEXT, tx_status INTEGER, revert_reason TEXT, gas_used INTEGER, balance_before_eth REAL, balance_after_eth REAL, recursion_depth INTEGER DEFAULT 0, max_recursion_reached BOOLEAN DEFAULT FALSE, error_message TEXT, error_stack TEXT, execution_time_ms INTEGER, created_at TEXT DEFAULT (datetime('now')));
+      CREATE TABLE IF NOT EXISTS token_balances (id INTEGER PRIMARY KEY AUTOINCREMENT, execution_log_id INTEGER, token_id INTEGER, balance_before REAL, balance_after REAL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (execution_log_id) REFERENCES execution_logs(id), FOREIGN KEY (token_id) REFERENCES tokens(id));
+      CREATE INDEX IF NOT EXISTS idx_execution_logs_status ON execution_logs(tx_status);
+    `;
+
+    const applyAll = db => {
+      for (const { sql } of renderD1Migrations(loadMigrations())) {
+        db.exec(sql);
+      }
+    };
+
+    it('should create only the tables the worker writes on an empty database', () => {
+      const db = new Database(':memory:');
+      applyAll(db);
+
+      const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all();
+      expect(tables.map(({ name }) => name)).toEqual(['execution_logs', 'token_balances', 'tokens']);
+      db.close();
+    });
+
+    it('should upgrade a database created from the worker\'s original schema', () => {
+      const db = new Database(':memory:');
+      db.exec(deployedSchema);
+      db.prepare("INSERT INTO execution_logs (execution_id, timestamp, chain_name, precheck_passed) VALUES ('e1', '2024-01-01T00:00:00Z', 'sepolia-base', 1)").run();
+
+      applyAll(db);
+
+      expect(db.prepare('SELECT chain_display_name, status FROM execution_logs').get()).toEqual({ chain_display_name: 'Base Sepolia', status: null });
+      db.close();
+    });
+  });
+});
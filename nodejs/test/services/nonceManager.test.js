@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { NonceManager } from '../../src/services/nonceManager.js';
+
+const ADDRESS = '0xABCDEF0123456789ABCDEF0123456789ABCDEF01';
+
+describe('NonceManager', () => {
+  let database;
+  let publicClient;
+  let manager;
+  const chain = { name: 'base' };
+
+  beforeEach(() => {
+    database = {
+      reserveNonce: vi.fn((chainName, address, resolve) => Promise.resolve(resolve(null))),
+      releaseNonce: vi.fn(() => Promise.resolve(true))
+    };
+    publicClient = {
+      getTransactionCount: vi.fn(() => Promise.resolve(12))
+    };
+    manager = new NonceManager(database);
+  });
+
+  it('should use the pending count when there is no database', async () => {
+    const nonce = await new NonceManager().acquire(chain, publicClient, ADDRESS);
+
+    expect(nonce).toBe(12);
+    expect(publicClient.getTransactionCount).toHaveBeenCalledWith({ address: ADDRESS, blockTag: 'pending' });
+  });
+
+  it('should reserve nonces per chain and lowercase address', async () => {
+    const nonce = await manager.acquire(chain, publicClient, ADDRESS);
+
+    expect(nonce).toBe(12);
+    expect(database.reserveNonce).toHaveBeenCalledWith('base', ADDRESS.toLowerCase(), expect.any(Function));
+  });
+
+  it('should fall back to the pending count when reservation fails', async () => {
+    database.reserveNonce.mockRejectedValue(new Error('Database not initialized'));
+
+    await expect(manager.acquire(chain, publicClient, ADDRESS)).resolves.toBe(12);
+  });
+
+  describe('resolveNonce', () => {
+    it('should hand out the stored nonce when it is ahead of pending', () => {
+      // Another run reserved 12 and has not broadcast yet
+      expect(manager.resolveNonce(chain, { next_nonce: 13, age_ms: 1000 }, 12)).toBe(13);
+    });
+
+    it('should resync when transactions were sent outside the manager', () => {
+      expect(manager.resolveNonce(chain, { next_nonce: 10, age_ms: 1000 }, 12)).toBe(12);
+    });
+
+    it('should resync when reserved nonces never reached the node', () => {
+      expect(manager.resolveNonce(chain, { next_nonce: 15, age_ms: manager.staleAfterMs + 1 }, 12)).toBe(12);
+    });
+  });
+
+  it('should release unused nonces', async () => {
+    await manager.release(chain, ADDRESS, 12);
+
+    expect(database.releaseNonce).toHaveBeenCalledWith('base', ADDRESS.toLowerCase(), 12);
+  });
+});
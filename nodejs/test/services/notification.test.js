@@ -0,0 +1,350 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import net from 'net';
+import crypto from 'crypto';
+import { NotificationService } from '../../src/services/notification.js';
+import { NotificationRouter } from '../../src/services/notificationRouter.js';
+import {
+  WebhookChannel,
+  SlackChannel,
+  DiscordChannel,
+  TelegramChannel,
+  SmtpChannel
+} from '../../src/services/notificationChannels.js';
+
+/**
+ * Start a local HTTP endpoint that records JSON posts
+ * @returns {Promise<{ url: string, server: http.Server, requests: Array, status: number }>}
+ */
+function startHttpStub() {
+  const stub = { requests: [], status: 200 };
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ path: req.url, headers: req.headers, raw: body, body: JSON.parse(body) });
+      res.writeHead(stub.status, { 'Content-Type': 'application/json' });
+      res.end(stub.status < 300 ? '{"ok":true}' : '{"ok":false,"description":"rejected"}');
+    });
+  });
+  return new Promise(resolve => {
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+      resolve(stub);
+    });
+  });
+}
+
+/**
+ * Start a minimal SMTP server that accepts one message per session
+ * @returns {Promise<{ port: number, server: net.Server, messages: string[] }>}
+ */
+function startSmtpStub() {
+  const stub = { messages: [] };
+  stub.server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        stub.messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 OK queued\r\n');
+      }
+      let newline;
+      while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'DATA') { inData = true; socket.write('354 End with <CRLF>.<CRLF>\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => {
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.port = stub.server.address().port;
+      resolve(stub);
+    });
+  });
+}
+
+const errorEvent = {
+  type: 'error',
+  severity: 'warn',
+  chain: 'Base',
+  chainName: 'base',
+  isTestnet: false,
+  title: '❌ Clocktower Error - Base',
+  text: 'PreCheck Error: rpc <down> & out',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  data: { errorMessage: 'rpc <down> & out', errorType: 'PreCheck Error', details: { 'Block Number': 10n } }
+};
+
+const base = { name: 'base', displayName: 'Base', isTestnet: false };
+const baseSepolia = { name: 'sepolia-base', displayName: 'Base Sepolia', isTestnet: true };
+
+describe('NotificationService', () => {
+  const fakeChannel = (name, send = vi.fn(() => Promise.resolve())) => ({ name, isConfigured: () => true, send });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should send every event type to every channel with a common shape', async () => {
+    const channel = fakeChannel('fake');
+    const service = new NotificationService([channel], undefined, new NotificationRouter([]));
+
+    await service.notifySuccess(base, '0x' + 'ab'.repeat(32), '1.0', '0.9', [{ symbol: 'USDC', balanceBefore: '5', balanceAfter: '7' }], 0, []);
+    await service.notifyNoSubscriptions(base, 20001, 20002);
+    await service.notifyError(base, 'boom', 'PreCheck Error', { 'Execution ID': 'exec_1', 'Error Stack': 'at x' });
+    await service.notifySummary([{ chain: 'base', success: false, status: 'failed', error: 'boom', txCount: 0 }]);
+
+    const events = channel.send.mock.calls.map(([event]) => event);
+    expect(events.map(e => e.type)).toEqual(['success', 'no_subscriptions', 'error', 'summary']);
+    expect(events.every(e => e.title && e.text && e.timestamp && e.severity)).toBe(true);
+    expect(events[0].text).toContain('USDC Balance: 5 → 7');
+    expect(events[0].text).toContain('https://basescan.org/tx/');
+    expect(events[2].text).toBe('PreCheck Error: boom\nExecution ID: exec_1');
+    expect(events[2].data.details['Error Stack']).toBe('at x');
+    expect(events[0]).toMatchObject({ severity: 'info', chain: 'Base', chainName: 'base', isTestnet: false });
+    expect(events[2].severity).toBe('warn');
+    expect(events[3]).toMatchObject({ severity: 'warn', chain: null });
+    expect(events[3].text).toBe('❌ base: Failed (boom)');
+  });
+
+  it('should list profit and sweeps in the summary text', async () => {
+    const channel = fakeChannel('fake');
+    const service = new NotificationService([channel], undefined, new NotificationRouter([]));
+
+    await service.notifySummary([{
+      chain: 'base',
+      success: true,
+      status: 'executed',
+      txCount: 1,
+      profit: { remits: 1, gasCostEth: 0.0002, net: 2, currency: 'USD' },
+      sweeps: [{ symbol: 'USDC', amount: '1234.5', status: 'confirmed', txHash: '0x01' }]
+    }]);
+
+    expect(channel.send.mock.calls[0][0].text).toBe([
+      '✅ base: Executed 1 tx(s)',
+      '💰 base: 1 remit(s), gas 0.0002 ETH, net 2.00 USD',
+      '🧹 base: Swept 1234.5 USDC (confirmed) 0x01'
+    ].join('\n'));
+  });
+
+  it('should keep sending when one channel fails', async () => {
+    const broken = fakeChannel('broken', vi.fn(() => Promise.reject(new Error('HTTP 500'))));
+    const working = fakeChannel('working');
+    const service = new NotificationService([broken, working]);
+
+    const report = await service.notifyNoSubscriptions(base, 1, 2);
+
+    expect(working.send).toHaveBeenCalledTimes(1);
+    expect(report).toEqual([
+      { channel: 'broken', status: 'failed', error: 'HTTP 500' },
+      { channel: 'working', status: 'sent' }
+    ]);
+  });
+
+  it('should throw when every channel fails', async () => {
+    const service = new NotificationService([fakeChannel('broken', vi.fn(() => Promise.reject(new Error('HTTP 500'))))]);
+
+    await expect(service.notifyNoSubscriptions(base, 1, 2)).rejects.toMatchObject({
+      code: 'NOTIFICATION_FAILED',
+      message: 'All notification channels failed for no_subscriptions: broken (HTTP 500)'
+    });
+  });
+
+  it('should return null when no channel is configured', async () => {
+    const service = new NotificationService([]);
+
+    expect(service.isConfigured()).toBe(false);
+    await expect(service.notifyError(base, 'boom', 'PreCheck Error')).resolves.toBeNull();
+  });
+
+  it('should mark transaction failures as critical', async () => {
+    const channel = fakeChannel('fake');
+    const service = new NotificationService([channel], undefined, new NotificationRouter([]));
+
+    await service.notifyError(base, 'reverted', 'Transaction Failure');
+    await service.notifyError(base, 'nonce too low', 'Transaction Execution Error');
+    await service.notifyError(base, 'slow', 'Chain Timeout');
+
+    expect(channel.send.mock.calls.map(([event]) => event.severity)).toEqual(['critical', 'critical', 'warn']);
+  });
+
+  it('should route events by type, chain and severity', async () => {
+    const email = fakeChannel('email');
+    const slack = fakeChannel('slack');
+    const telegram = fakeChannel('telegram');
+    const router = new NotificationRouter(NotificationRouter.parseRules(JSON.stringify([
+      { match: { type: 'no_subscriptions', testnet: true }, mute: true },
+      { match: { errorType: 'Transaction Failure', testnet: false }, channels: ['telegram', 'email'], recipients: ['oncall@example.com'] },
+      { match: { type: 'no_subscriptions' }, channels: ['slack'] }
+    ])));
+    const service = new NotificationService([email, slack, telegram], undefined, router);
+
+    await expect(service.notifyNoSubscriptions(baseSepolia, 1, 2)).resolves.toBeNull();
+    await service.notifyNoSubscriptions(base, 1, 2);
+    const report = await service.notifyError(base, 'reverted', 'Transaction Failure');
+    await service.notifyError(baseSepolia, 'reverted', 'Transaction Failure');
+
+    expect(report.map(r => r.channel)).toEqual(['email', 'telegram']);
+    expect(email.send.mock.calls[0][1]).toMatchObject({ recipients: ['oncall@example.com'] });
+    expect(slack.send.mock.calls.map(([event]) => event.type)).toEqual(['no_subscriptions', 'error']);
+    // Unmatched events go everywhere with the default recipients
+    expect(email.send.mock.calls[1][1].recipients).toBeUndefined();
+    expect(telegram.send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should ignore invalid NOTIFICATION_RULES and notify every channel', async () => {
+    vi.stubEnv('NOTIFICATION_RULES', '{"match":{}}');
+    const channel = fakeChannel('fake');
+
+    const service = new NotificationService([channel]);
+    await service.notifyNoSubscriptions(baseSepolia, 1, 2);
+
+    expect(service.router.rules).toEqual([]);
+    expect(channel.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should enable every configured channel from env', () => {
+    delete process.env.RESEND_API_KEY;
+    vi.stubEnv('SLACK_WEBHOOK_URL', 'https://hooks.example/slack');
+    vi.stubEnv('DISCORD_WEBHOOK_URL', 'https://hooks.example/discord');
+    vi.stubEnv('TELEGRAM_BOT_TOKEN', '123:abc');
+
+    const service = new NotificationService();
+
+    // Telegram also needs TELEGRAM_CHAT_ID
+    expect(service.getChannelNames()).toEqual(['slack', 'discord']);
+  });
+
+  it('should limit channels to NOTIFICATION_CHANNELS', () => {
+    vi.stubEnv('SLACK_WEBHOOK_URL', 'https://hooks.example/slack');
+    vi.stubEnv('DISCORD_WEBHOOK_URL', 'https://hooks.example/discord');
+    vi.stubEnv('NOTIFICATION_CHANNELS', 'discord, webhook');
+
+    const service = new NotificationService();
+
+    expect(service.getChannelNames()).toEqual(['discord']);
+  });
+});
+
+describe('Notification channels', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startHttpStub();
+  });
+
+  afterAll(() => {
+    stub.server.close();
+  });
+
+  beforeEach(() => {
+    stub.requests = [];
+    stub.status = 200;
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should post the whole event to a webhook and sign it with WEBHOOK_SECRET', async () => {
+    vi.stubEnv('WEBHOOK_URL', `${stub.url}/hook`);
+    vi.stubEnv('WEBHOOK_SECRET', 'shh');
+
+    await new WebhookChannel().send(errorEvent);
+
+    const [request] = stub.requests;
+    expect(request.path).toBe('/hook');
+    expect(request.headers['x-clocktower-event']).toBe('error');
+    expect(request.headers['x-clocktower-signature']).toBe(`sha256=${crypto.createHmac('sha256', 'shh').update(request.raw).digest('hex')}`);
+    expect(request.body).toMatchObject({ event: 'error', chain: 'Base', chainName: 'base', severity: 'warn' });
+    expect(request.body.data.details['Block Number']).toBe('10');
+  });
+
+  it('should post escaped mrkdwn text to a Slack webhook', async () => {
+    vi.stubEnv('SLACK_WEBHOOK_URL', `${stub.url}/slack`);
+
+    await new SlackChannel().send(errorEvent);
+
+    expect(stub.requests[0].body).toEqual({ text: '*❌ Clocktower Error - Base*\nPreCheck Error: rpc &lt;down&gt; &amp; out' });
+  });
+
+  it('should post to a Discord webhook with mentions disabled and content capped', async () => {
+    vi.stubEnv('DISCORD_WEBHOOK_URL', `${stub.url}/discord`);
+
+    await new DiscordChannel().send({ ...errorEvent, text: 'x'.repeat(3000) });
+
+    const { body } = stub.requests[0];
+    expect(body.allowed_mentions).toEqual({ parse: [] });
+    expect(body.content.length).toBe(2000);
+    expect(body.content.startsWith('**❌ Clocktower Error - Base**\n')).toBe(true);
+  });
+
+  it('should call Telegram sendMessage for the configured bot and chat', async () => {
+    vi.stubEnv('TELEGRAM_BOT_TOKEN', '123:abc');
+    vi.stubEnv('TELEGRAM_CHAT_ID', '-1001');
+    vi.stubEnv('TELEGRAM_API_URL', `${stub.url}/`);
+
+    await new TelegramChannel().send(errorEvent);
+
+    expect(stub.requests[0].path).toBe('/bot123:abc/sendMessage');
+    expect(stub.requests[0].body).toEqual({
+      chat_id: '-1001',
+      text: '❌ Clocktower Error - Base\n\nPreCheck Error: rpc <down> & out',
+      disable_web_page_preview: true
+    });
+  });
+
+  it('should raise NOTIFICATION_FAILED on a non-2xx response', async () => {
+    vi.stubEnv('SLACK_WEBHOOK_URL', `${stub.url}/slack`);
+    stub.status = 404;
+
+    await expect(new SlackChannel().send(errorEvent)).rejects.toMatchObject({
+      code: 'NOTIFICATION_FAILED',
+      message: expect.stringContaining('slack returned HTTP 404')
+    });
+  });
+
+  it('should not post once the signal has fired', async () => {
+    vi.stubEnv('SLACK_WEBHOOK_URL', `${stub.url}/slack`);
+    const controller = new AbortController();
+    controller.abort(new Error('Chain execution timed out after 20ms'));
+
+    await expect(new SlackChannel().send(errorEvent, { signal: controller.signal })).rejects.toThrow('Chain execution timed out');
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  it('should send plain-text mail over SMTP', async () => {
+    const smtp = await startSmtpStub();
+    try {
+      vi.stubEnv('SMTP_HOST', '127.0.0.1');
+      vi.stubEnv('SMTP_PORT', String(smtp.port));
+      vi.stubEnv('SMTP_FROM', 'caller@example.com');
+      vi.stubEnv('SMTP_TO', 'ops@example.com, oncall@example.com');
+
+      const channel = new SmtpChannel();
+      expect(channel.isConfigured()).toBe(true);
+      await channel.send(errorEvent);
+
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0]).toContain('To: ops@example.com, oncall@example.com');
+      expect(smtp.messages[0]).toContain('PreCheck Error: rpc <down> & out');
+
+      await channel.send(errorEvent, { recipients: ['oncall@example.com'] });
+      expect(smtp.messages[1]).toContain('To: oncall@example.com');
+    } finally {
+      smtp.server.close();
+    }
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NotificationRouter } from '../../src/services/notificationRouter.js';
+
+const event = (overrides = {}) => ({
+  type: 'error',
+  severity: 'warn',
+  chainName: 'base',
+  isTestnet: false,
+  data: { errorType: 'PreCheck Error' },
+  ...overrides
+});
+
+describe('NotificationRouter', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('route', () => {
+    it('should send unmatched events everywhere', () => {
+      const router = new NotificationRouter([]);
+
+      expect(router.route(event())).toEqual({ muted: false, channels: null, recipients: null, rule: null });
+    });
+
+    it('should use the first matching rule', () => {
+      const router = new NotificationRouter(NotificationRouter.parseRules(JSON.stringify([
+        { match: { chain: ['arbitrum', 'base'], type: 'error' }, channels: ['slack'] },
+        { match: {}, mute: true }
+      ])));
+
+      expect(router.route(event())).toMatchObject({ muted: false, channels: ['slack'], rule: 1 });
+      expect(router.route(event({ type: 'success' }))).toMatchObject({ muted: true, rule: 2 });
+    });
+
+    it('should match testnet, error type and severity', () => {
+      const router = new NotificationRouter(NotificationRouter.parseRules(JSON.stringify([
+        { match: { testnet: true, type: 'no_subscriptions' }, mute: true },
+        { match: { errorType: 'Transaction Failure', testnet: false }, channels: ['telegram'] },
+        { match: { minSeverity: 'warn' }, recipients: ['ops@example.com'] },
+        { match: { severity: 'info' }, channels: ['email'] }
+      ])));
+
+      expect(router.route(event({ type: 'no_subscriptions', severity: 'info', isTestnet: true })).rule).toBe(1);
+      expect(router.route(event({ type: 'no_subscriptions', severity: 'info' })).rule).toBe(4);
+      expect(router.route(event({ severity: 'critical', data: { errorType: 'Transaction Failure' } })).rule).toBe(2);
+      expect(router.route(event({ severity: 'critical', isTestnet: true, data: { errorType: 'Transaction Failure' } })).rule).toBe(3);
+      expect(router.route(event())).toMatchObject({ recipients: ['ops@example.com'], channels: null, rule: 3 });
+    });
+
+    it('should not match chain-specific rules against the summary', () => {
+      const router = new NotificationRouter(NotificationRouter.parseRules('[{"match":{"testnet":false},"mute":true}]'));
+
+      expect(router.route(event({ type: 'summary', chainName: null, isTestnet: null })).muted).toBe(false);
+    });
+  });
+
+  describe('parseRules', () => {
+    it.each([
+      ['not json', 'not valid JSON'],
+      ['{"match":{}}', 'must be a JSON array'],
+      ['[{"match":{"network":"base"},"mute":true}]', 'rule 1: unknown match key(s): network'],
+      ['[{"match":{"minSeverity":"error"},"mute":true}]', 'rule 1: minSeverity must be one of info, warn, critical'],
+      ['[{"mute":true},{"match":{}}]', 'rule 2: needs mute, channels or recipients'],
+      ['[{"channels":"slack"}]', 'rule 1: channels must be an array of strings'],
+      ['[{"mute":true,"to":["x"]}]', 'rule 1: unknown key(s): to']
+    ])('should reject %s', (raw, message) => {
+      expect(() => NotificationRouter.parseRules(raw)).toThrow(expect.objectContaining({
+        code: 'INVALID_NOTIFICATION_RULES',
+        message: expect.stringContaining(message)
+      }));
+    });
+
+    it('should default a missing match to a catch-all', () => {
+      expect(NotificationRouter.parseRules('[{"mute":true}]')).toEqual([{ match: {}, mute: true }]);
+    });
+  });
+
+  describe('readRulesFromEnv', () => {
+    it('should return no rules when nothing is configured', () => {
+      vi.stubEnv('NOTIFICATION_RULES', '');
+      vi.stubEnv('NOTIFICATION_RULES_FILE', '');
+
+      expect(NotificationRouter.readRulesFromEnv()).toEqual([]);
+    });
+
+    it('should read NOTIFICATION_RULES_FILE', () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rules-')), 'rules.json');
+      fs.writeFileSync(file, '[{"match":{"type":"no_subscriptions"},"mute":true}]');
+      vi.stubEnv('NOTIFICATION_RULES', '');
+      vi.stubEnv('NOTIFICATION_RULES_FILE', file);
+
+      try {
+        expect(new NotificationRouter().rules).toEqual([{ match: { type: 'no_subscriptions' }, mute: true }]);
+      } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+      }
+    });
+
+    it('should report an unreadable NOTIFICATION_RULES_FILE', () => {
+      vi.stubEnv('NOTIFICATION_RULES', '');
+      vi.stubEnv('NOTIFICATION_RULES_FILE', '/nonexistent/rules.json');
+
+      expect(() => NotificationRouter.readRulesFromEnv()).toThrow('Cannot read NOTIFICATION_RULES_FILE /nonexistent/rules.json');
+      expect(new NotificationRouter().rules).toEqual([]);
+    });
+  });
+});
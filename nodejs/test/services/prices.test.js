@@ -0,0 +1,58 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StaticPriceSource, JsonFilePriceSource, createPriceSourceFromEnv } from '../../src/services/prices.js';
+
+const writeFeed = (contents) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prices-')), 'prices.json');
+  fs.writeFileSync(file, JSON.stringify(contents));
+  return file;
+};
+
+describe('Price sources', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should return static prices for the symbols that have one, in any case', async () => {
+    const source = new StaticPriceSource({ eth: 2500, USDC: 1 });
+
+    await expect(source.getPrices(['ETH', 'usdc', 'WETH'])).resolves.toEqual({ ETH: 2500, usdc: 1 });
+    expect(source.currency).toBe('USD');
+  });
+
+  it('should read a local JSON feed on every lookup', async () => {
+    const file = writeFeed({ currency: 'EUR', prices: { ETH: 2300 } });
+    const source = new JsonFilePriceSource(file, 'EUR');
+
+    await expect(source.getPrices(['ETH', 'USDC'])).resolves.toEqual({ ETH: 2300 });
+
+    fs.writeFileSync(file, JSON.stringify({ ETH: 2400, USDC: 0.92 }));
+    await expect(source.getPrices(['ETH', 'USDC'])).resolves.toEqual({ ETH: 2400, USDC: 0.92 });
+  });
+
+  it('should reject a feed in another currency, unreadable or with invalid prices', async () => {
+    await expect(new JsonFilePriceSource(writeFeed({ currency: 'EUR', prices: {} })).getPrices(['ETH'])).rejects.toThrow('is in EUR, expected USD');
+    await expect(new JsonFilePriceSource('/nonexistent/prices.json').getPrices(['ETH'])).rejects.toThrow('Cannot read PRICE_FEED_FILE /nonexistent/prices.json');
+    await expect(new JsonFilePriceSource(writeFeed({ ETH: '2500' })).getPrices(['ETH'])).rejects.toThrow('price of ETH must be a non-negative number');
+  });
+
+  it('should build the source named by PRICE_SOURCE', () => {
+    vi.stubEnv('PRICES', '{"ETH":2500}');
+    vi.stubEnv('PRICE_CURRENCY', 'EUR');
+    expect(createPriceSourceFromEnv()).toMatchObject({ currency: 'EUR', prices: { ETH: 2500 } });
+
+    vi.stubEnv('PRICE_SOURCE', 'file');
+    vi.stubEnv('PRICE_FEED_FILE', '/tmp/prices.json');
+    expect(createPriceSourceFromEnv()).toBeInstanceOf(JsonFilePriceSource);
+
+    vi.stubEnv('PRICE_FEED_FILE', '');
+    expect(() => createPriceSourceFromEnv()).toThrow('PRICE_SOURCE=file needs PRICE_FEED_FILE');
+    vi.stubEnv('PRICE_SOURCE', 'coingecko');
+    expect(() => createPriceSourceFromEnv()).toThrow('Unknown PRICE_SOURCE "coingecko"');
+    vi.stubEnv('PRICE_SOURCE', 'static');
+    vi.stubEnv('PRICES', '{ETH:2500}');
+    expect(() => createPriceSourceFromEnv()).toThrow('PRICES is not valid JSON');
+  });
+});
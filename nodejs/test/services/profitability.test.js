@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { remitProfit, summarizeProfit } from '../../src/services/profitability.js';
+
+// 100000 gas at 2 gwei: 0.0002 ETH
+const remit = (overrides = {}) => ({
+  execution_id: 'exec_base_1_recursion_0',
+  chain_name: 'base',
+  timestamp: '2026-03-01T00:30:00.000Z',
+  tx_hash: '0x01',
+  gas_used: 100000,
+  effective_gas_price: '2000000000',
+  balance_before_eth: 0.05,
+  balance_after_eth: 0.0498,
+  tokens: [{ symbol: 'USDC', balance_before: 10, balance_after: 12.5 }],
+  ...overrides
+});
+
+describe('Profitability', () => {
+  describe('remitProfit', () => {
+    it('should value gas from the receipt price and token fees earned', () => {
+      expect(remitProfit(remit(), { ETH: 2500, USDC: 1 })).toEqual({
+        executionId: 'exec_base_1_recursion_0',
+        chain: 'base',
+        timestamp: '2026-03-01T00:30:00.000Z',
+        txHash: '0x01',
+        gasCostEth: 0.0002,
+        tokenDeltas: { USDC: 2.5 },
+        cost: 0.5,
+        revenue: 2.5,
+        net: 2
+      });
+    });
+
+    it('should add the L1 data fee to gas', () => {
+      expect(remitProfit(remit({ l1_fee: '50000000000000' }), { ETH: 2500, USDC: 1 })).toMatchObject({ gasCostEth: 0.00025, cost: 0.625 });
+    });
+
+    it('should fall back to the balance drop for rows without a gas price', () => {
+      const profit = remitProfit(remit({ effective_gas_price: null, balance_after_eth: 0.0497 }), { ETH: 2500, USDC: 1 });
+
+      expect(profit.gasCostEth).toBe(0.0003);
+      expect(profit.cost).toBeCloseTo(0.75);
+
+      const exact = remitProfit(remit({ effective_gas_price: null, balance_before_wei: '50000000000000000', balance_after_wei: '49700000000000000' }), { ETH: 2500 });
+      expect(exact.gasCostEth).toBe(0.0003);
+    });
+
+    it('should take token fees from the raw delta when it was recorded', () => {
+      const tokens = [{ symbol: 'WETH', decimals: 18, balance_before: 0.3, balance_after: 0.1, delta_raw: '-199999999999999999' }];
+
+      expect(remitProfit(remit({ tokens }), { ETH: 2500, WETH: 2500 }).tokenDeltas).toEqual({ WETH: -0.2 });
+      expect(remitProfit(remit({ tokens: [{ ...tokens[0], delta_raw: '1000000000000000' }] }), { ETH: 2500, WETH: 2500 })).toMatchObject({ tokenDeltas: { WETH: 0.001 }, revenue: 2.5 });
+    });
+
+    it('should leave values unknown when a moved amount has no price', () => {
+      expect(remitProfit(remit(), { ETH: 2500 })).toMatchObject({ cost: 0.5, revenue: null, net: null });
+      expect(remitProfit(remit({ tokens: [{ symbol: 'WETH', balance_before: 1, balance_after: 1 }] }), { ETH: 2500 })).toMatchObject({ revenue: 0, net: -0.5 });
+    });
+  });
+
+  describe('summarizeProfit', () => {
+    it('should total remits per day and chain, per chain and overall', () => {
+      const rows = [
+        remit(),
+        remit({ execution_id: 'exec_base_1_recursion_1', tx_hash: '0x02' }),
+        remit({ execution_id: 'exec_arbitrum_1_recursion_0', chain_name: 'arbitrum', tx_hash: '0x04', tokens: [] }),
+        remit({ execution_id: 'exec_base_2_recursion_0', tx_hash: '0x03', timestamp: '2026-03-02T00:30:00.000Z', tokens: [{ symbol: 'USDC', balance_before: 15, balance_after: 15 }] })
+      ];
+
+      const report = summarizeProfit(rows, { ETH: 2500, USDC: 1 }, 'USD');
+
+      expect(report.currency).toBe('USD');
+      expect(report.remits).toHaveLength(4);
+      expect(report.byDay.map(day => [day.day, day.chain, day.remits, day.net])).toEqual([
+        ['2026-03-01', 'base', 2, 4],
+        ['2026-03-01', 'arbitrum', 1, -0.5],
+        ['2026-03-02', 'base', 1, -0.5]
+      ]);
+      expect(report.byChain).toEqual([
+        { chain: 'base', remits: 3, gasCostEth: 0.0006, tokenDeltas: { USDC: 5 }, cost: 1.5, revenue: 5, net: 3.5 },
+        { chain: 'arbitrum', remits: 1, gasCostEth: 0.0002, tokenDeltas: {}, cost: 0.5, revenue: 0, net: -0.5 }
+      ]);
+      expect(report.totals).toMatchObject({ remits: 4, gasCostEth: 0.0008, net: 3 });
+      expect(report.missingPrices).toEqual([]);
+    });
+
+    it('should list the symbols that need a price', () => {
+      const report = summarizeProfit([remit()], {}, 'USD');
+
+      expect(report.missingPrices).toEqual(['ETH', 'USDC']);
+      expect(report.totals).toMatchObject({ gasCostEth: 0.0002, cost: null, net: null });
+    });
+  });
+});
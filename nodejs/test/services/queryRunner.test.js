@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import { DatabaseConfigService } from '../../src/config/database.js';
+import { numberPlaceholders, SQLiteQueryRunner, PostgreSQLQueryRunner } from '../../src/services/queryRunner.js';
+
+const helpersFor = (type) => {
+  vi.stubEnv('DATABASE_TYPE', type);
+  return new DatabaseConfigService().getSQLHelpers();
+};
+
+// pg Pool whose clients record every query
+const createPool = (result = { rows: [{ id: '7' }], rowCount: 1 }) => {
+  const client = {
+    query: vi.fn(async () => result),
+    release: vi.fn()
+  };
+  return { client, connect: vi.fn(async () => client) };
+};
+
+describe('Query Runner', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('numberPlaceholders', () => {
+    it('should number placeholders outside quoted strings and identifiers', () => {
+      const sql = "SELECT * FROM t WHERE a = ? AND b = '?' AND \"c?\" = ? AND d = 'it''s ?'";
+
+      expect(numberPlaceholders(sql, i => `$${i}`)).toEqual({
+        text: "SELECT * FROM t WHERE a = $1 AND b = '?' AND \"c?\" = $2 AND d = 'it''s ?'",
+        count: 2
+      });
+    });
+  });
+
+  describe('PostgreSQLQueryRunner', () => {
+    let pool;
+    let runner;
+
+    beforeEach(() => {
+      pool = createPool();
+      runner = new PostgreSQLQueryRunner(pool, helpersFor('postgresql'));
+    });
+
+    it('should send numbered placeholders and release the client', async () => {
+      await runner.all('SELECT * FROM tokens WHERE token_address = ? AND chain_name = ?', ['0x1', 'base']);
+
+      expect(pool.client.query).toHaveBeenCalledWith('SELECT * FROM tokens WHERE token_address = $1 AND chain_name = $2', ['0x1', 'base']);
+      expect(pool.client.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read inserted IDs through RETURNING and row counts from rowCount', async () => {
+      await expect(runner.insert('INSERT INTO t (a, b) VALUES (?, ?)\n', [1, undefined])).resolves.toBe(7);
+      expect(pool.client.query).toHaveBeenCalledWith('INSERT INTO t (a, b) VALUES ($1, $2) RETURNING id', [1, null]);
+
+      await expect(runner.run('DELETE FROM t WHERE a = ?', [true])).resolves.toEqual({ changes: 1 });
+      expect(pool.client.query).toHaveBeenLastCalledWith('DELETE FROM t WHERE a = $1', [true]);
+    });
+
+    it('should reject a query whose placeholders and parameters differ', async () => {
+      await expect(runner.get('SELECT * FROM t WHERE a = ? AND b = ?', [1])).rejects.toMatchObject({ code: 'QUERY_PARAMETER_MISMATCH' });
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should run a transaction on one client under an advisory lock', async () => {
+      const result = await runner.transaction(async (tx) => {
+        await tx.run('UPDATE t SET a = ?', [1]);
+        return 'done';
+      }, { lock: 'caller_nonce:base:0xabc' });
+
+      expect(result).toBe('done');
+      expect(pool.connect).toHaveBeenCalledTimes(1);
+      expect(pool.client.query.mock.calls.map(([sql]) => sql)).toEqual([
+        'BEGIN',
+        'SELECT pg_advisory_xact_lock(hashtext($1))',
+        'UPDATE t SET a = $1',
+        'COMMIT'
+      ]);
+      expect(pool.client.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll back a failed transaction', async () => {
+      await expect(runner.transaction(async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(pool.client.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'ROLLBACK']);
+      expect(pool.client.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('SQLiteQueryRunner', () => {
+    let db;
+    let runner;
+
+    beforeEach(() => {
+      db = new Database(':memory:');
+      db.exec('CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, a TEXT, flag BOOLEAN)');
+      runner = new SQLiteQueryRunner(db, helpersFor('sqlite'));
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    it('should insert, read and count changed rows', async () => {
+      await expect(runner.insert('INSERT INTO t (a, flag) VALUES (?, ?)', ['x', true])).resolves.toBe(1);
+      await expect(runner.insert('INSERT INTO t (a, flag) VALUES (?, ?)', [undefined, false])).resolves.toBe(2);
+
+      await expect(runner.all('SELECT a, flag FROM t ORDER BY id')).resolves.toEqual([{ a: 'x', flag: 1 }, { a: null, flag: 0 }]);
+      await expect(runner.get('SELECT * FROM t WHERE id = ?', [3])).resolves.toBeNull();
+      await expect(runner.run('UPDATE t SET a = ?', ['y'])).resolves.toEqual({ changes: 2 });
+    });
+
+    it('should roll back a failed transaction', async () => {
+      await expect(runner.transaction(async (tx) => {
+        await tx.run('INSERT INTO t (a) VALUES (?)', ['x']);
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      await expect(runner.all('SELECT * FROM t')).resolves.toEqual([]);
+    });
+
+    it('should hold statements from outside an open transaction until it ends', async () => {
+      let release;
+      const transaction = runner.transaction(async (tx) => {
+        await tx.run('INSERT INTO t (a) VALUES (?)', ['inside']);
+        await new Promise(resolve => { release = resolve; });
+        throw new Error('rolled back');
+      });
+      const outside = runner.run('INSERT INTO t (a) VALUES (?)', ['outside']);
+
+      await vi.waitFor(() => expect(release).toBeDefined());
+      release();
+      await expect(transaction).rejects.toThrow('rolled back');
+      await outside;
+
+      await expect(runner.all('SELECT a FROM t')).resolves.toEqual([{ a: 'outside' }]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import http from 'http';
+import { createPublicClient } from 'viem';
+import { RpcService } from '../../src/services/rpc.js';
+
+/**
+ * Start a local JSON-RPC endpoint
+ * @param {Function} handler - (body) => { status, json }
+ * @returns {Promise<{ url: string, server: http.Server, requests: Array }>}
+ */
+function startRpcStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      requests.push(body);
+      const { status = 200, json } = handler(body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}/v2/secret_key`, server, requests });
+    });
+  });
+}
+
+describe('RpcService', () => {
+  let down;
+  let healthy;
+  let reverting;
+
+  beforeAll(async () => {
+    down = await startRpcStub(() => ({ status: 503, json: { error: 'unavailable' } }));
+    healthy = await startRpcStub(body => ({ json: { jsonrpc: '2.0', id: body.id, result: '0x10' } }));
+    reverting = await startRpcStub(body => ({
+      json: { jsonrpc: '2.0', id: body.id, error: { code: 3, message: 'execution reverted' } }
+    }));
+  });
+
+  afterAll(() => {
+    for (const stub of [down, healthy, reverting]) stub.server.close();
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  const clientFor = (service, rpcUrls) => createPublicClient({
+    chain: { id: 8453 },
+    transport: service.createTransport({ name: 'base', rpcUrls })
+  });
+
+  it('should use a plain http transport for a single endpoint', () => {
+    const service = new RpcService();
+    const transport = service.createTransport({ name: 'base', rpcUrls: [healthy.url] })({});
+
+    expect(transport.config.type).toBe('http');
+  });
+
+  it('should fail over to the next endpoint and record which provider served the call', async () => {
+    const service = new RpcService();
+    const client = clientFor(service, [down.url, healthy.url]);
+
+    const blockNumber = await client.getBlockNumber({ cacheTime: 0 });
+
+    expect(blockNumber).toBe(16n);
+    const usage = service.getUsage('base');
+    expect(usage.failovers).toBe(1);
+    expect(usage.served).toEqual({ [new URL(healthy.url).host]: 1 });
+  });
+
+  it('should not fail over on a revert that every endpoint would return', async () => {
+    const service = new RpcService();
+    const client = clientFor(service, [reverting.url, healthy.url]);
+    const before = healthy.requests.length;
+
+    await expect(client.call({ to: '0x1111111111111111111111111111111111111111', data: '0x' })).rejects.toThrow();
+
+    expect(healthy.requests.length).toBe(before);
+    expect(service.getUsage('base').failovers).toBe(0);
+  });
+
+  it('should not count requests aborted by the chain deadline as failovers', () => {
+    const service = new RpcService();
+    const controller = new AbortController();
+    controller.abort();
+
+    service.recordResponse('base', { method: 'eth_call', status: 'error', error: new Error('aborted'), transport: { value: { url: down.url } } }, controller.signal);
+
+    expect(service.getUsage('base').failovers).toBe(0);
+  });
+
+  it('should start ranking once per chain and share it between runs', async () => {
+    vi.stubEnv('RPC_RANK_INTERVAL_MS', '600000');
+    const service = new RpcService();
+    const controller = new AbortController();
+    const rankedClient = (signal) => createPublicClient({
+      chain: { id: 8453 },
+      transport: service.createTransport({ name: 'base', rpcUrls: [down.url, healthy.url] }, { signal, rank: true })
+    });
+
+    const first = rankedClient(controller.signal);
+    const second = rankedClient(null);
+    controller.abort(new Error('deadline'));
+
+    expect(service.rankedTransports.size).toBe(1);
+    expect(second.transport.transports).toBe(first.transport.transports);
+    await expect(first.getBlockNumber({ cacheTime: 0 })).rejects.toThrow('deadline');
+    await expect(second.getBlockNumber({ cacheTime: 0 })).resolves.toBe(16n);
+  });
+
+  it('should reduce RPC URLs to their host so keys are not logged', () => {
+    const service = new RpcService();
+
+    expect(service.describeUrl('https://base-mainnet.g.alchemy.com/v2/abc123')).toBe('base-mainnet.g.alchemy.com');
+    expect(service.describeUrl('https://rpc.example.com/?apikey=abc123')).toBe('rpc.example.com');
+    expect(service.describeUrl('not a url')).toBe('unknown');
+    expect(service.describeProviders({ rpcUrls: ['https://a.example/k1', 'https://b.example/k2'] })).toBe('a.example, b.example');
+  });
+
+  it('should read ranking settings from the environment', () => {
+    vi.stubEnv('RPC_RANK', 'false');
+    vi.stubEnv('RPC_RANK_INTERVAL_MS', '5000');
+
+    const service = new RpcService();
+
+    expect(service.rankEnabled).toBe(false);
+    expect(service.rankIntervalMs).toBe(5000);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RunLockService } from '../../src/services/runLock.js';
+
+describe('RunLockService', () => {
+  let database;
+  let locks;
+  let service;
+
+  beforeEach(() => {
+    locks = {};
+    database = {
+      acquireRunLock: vi.fn((chainName, holderId) => {
+        if (locks[chainName] && locks[chainName] !== holderId) return Promise.resolve(false);
+        locks[chainName] = holderId;
+        return Promise.resolve(true);
+      }),
+      renewRunLock: vi.fn((chainName, holderId) => Promise.resolve(locks[chainName] === holderId)),
+      releaseRunLock: vi.fn((chainName, holderId) => {
+        if (locks[chainName] === holderId) delete locks[chainName];
+        return Promise.resolve();
+      }),
+      getRunLock: vi.fn((chainName) => Promise.resolve(
+        locks[chainName] ? { chain_name: chainName, holder_id: locks[chainName], expires_at: 0 } : null
+      ))
+    };
+    service = new RunLockService(database);
+  });
+
+  afterEach(() => {
+    service.stopHeartbeat();
+    vi.unstubAllEnvs();
+  });
+
+  it('should lock every chain and release them afterwards', async () => {
+    await service.acquire(['base', 'sepolia-base']);
+
+    expect(locks).toEqual({ base: service.holderId, 'sepolia-base': service.holderId });
+
+    await service.release();
+
+    expect(locks).toEqual({});
+  });
+
+  it('should throw RUN_LOCKED and keep no partial locks when a chain is held', async () => {
+    locks['sepolia-base'] = 'other-host_1_abc';
+
+    await expect(service.acquire(['base', 'sepolia-base'])).rejects.toMatchObject({ code: 'RUN_LOCKED' });
+    await expect(service.acquire(['base', 'sepolia-base'])).rejects.toThrow('sepolia-base held by other-host_1_abc');
+    expect(locks).toEqual({ 'sepolia-base': 'other-host_1_abc' });
+  });
+
+  it('should wait for the lock when asked to', async () => {
+    vi.stubEnv('RUN_LOCK_POLL_MS', '10');
+    service = new RunLockService(database);
+    locks.base = 'other-host_1_abc';
+    setTimeout(() => delete locks.base, 25);
+
+    await service.acquire(['base'], { wait: true });
+
+    expect(locks.base).toBe(service.holderId);
+  });
+
+  it('should give up waiting after RUN_LOCK_WAIT_TIMEOUT_MS', async () => {
+    vi.stubEnv('RUN_LOCK_POLL_MS', '10');
+    vi.stubEnv('RUN_LOCK_WAIT_TIMEOUT_MS', '30');
+    service = new RunLockService(database);
+    locks.base = 'other-host_1_abc';
+
+    await expect(service.acquire(['base'], { wait: true })).rejects.toMatchObject({ code: 'RUN_LOCKED' });
+  });
+
+  it('should renew held leases on heartbeat', async () => {
+    await service.acquire(['base']);
+
+    await service.heartbeat();
+
+    expect(database.renewRunLock).toHaveBeenCalledWith('base', service.holderId, service.leaseMs);
+  });
+
+  it('should fire the chain signal and stop renewing once the lease is taken over', async () => {
+    await service.acquire(['base', 'sepolia-base']);
+    const signal = service.signalFor('base');
+    locks.base = 'other-host_1_abc';
+
+    await service.heartbeat();
+    await service.heartbeat();
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason).toMatchObject({ code: 'RUN_LOCK_LOST' });
+    expect(service.signalFor('sepolia-base').aborted).toBe(false);
+    expect(database.renewRunLock.mock.calls.filter(([chainName]) => chainName === 'base')).toHaveLength(1);
+
+    await service.release();
+
+    expect(locks).toEqual({ base: 'other-host_1_abc' });
+    expect(service.signalFor('base')).toBeNull();
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DatabaseService } from '../../src/services/database.js';
+import { DatabaseConfigService } from '../../src/config/database.js';
+import {
+  MemoryStorage,
+  SQLiteStorage,
+  createStorage,
+  registerStorageBackend,
+  validateStorage
+} from '../../src/services/storage/index.js';
+
+const execution = (overrides = {}) => ({
+  execution_id: 'exec_1',
+  timestamp: '2024-01-01T00:00:00.000Z',
+  chain_name: 'base',
+  chain_display_name: 'Base',
+  precheck_passed: true,
+  execution_time_ms: 100,
+  ...overrides
+});
+
+// Every backend must behave the same through DatabaseService
+describe.each([
+  ['sqlite', () => new SQLiteStorage(new DatabaseConfigService())],
+  ['memory', () => new MemoryStorage()]
+])('Storage contract (%s)', (type, createBackend) => {
+  let database;
+
+  beforeEach(async () => {
+    vi.stubEnv('DATABASE_TYPE', type);
+    vi.stubEnv('DATABASE_PATH', ':memory:');
+    database = new DatabaseService({ storage: createBackend() });
+    await database.initialize();
+  });
+
+  afterEach(async () => {
+    await database.close();
+    vi.unstubAllEnvs();
+  });
+
+  describe('executions', () => {
+    it('should log executions and report them newest first with stats', async () => {
+      await database.logExecution(execution({ tx_status: 1 }));
+      await database.logExecution(execution({ execution_id: 'exec_2', timestamp: '2024-01-02T00:00:00.000Z', execution_time_ms: 300 }));
+      await database.logExecution(execution({ execution_id: 'exec_3', chain_name: 'sepolia-base' }));
+
+      const recent = await database.getRecentExecutions(10, 'base');
+      expect(recent.map(row => row.execution_id)).toEqual(['exec_2', 'exec_1']);
+      expect(recent[0]).toMatchObject({ execution_time_ms: 300, tx_hash: null, current_day: null });
+
+      await expect(database.getExecutionStats('base')).resolves.toEqual({
+        total_executions: 2,
+        successful_txs: 1,
+        avg_execution_time: 200,
+        last_execution: '2024-01-02T00:00:00.000Z'
+      });
+      await expect(database.getExecutionStats('unknown')).resolves.toEqual({
+        total_executions: 0,
+        successful_txs: null,
+        avg_execution_time: null,
+        last_execution: null
+      });
+    });
+
+    it('should reject a duplicate execution ID', async () => {
+      await database.logExecution(execution());
+
+      await expect(database.logExecution(execution())).rejects.toThrow(/UNIQUE constraint failed: execution_logs.execution_id/);
+    });
+
+    it('should sum the gas cost of remits since a time', async () => {
+      // 100000 gas at 2 gwei plus a 0.0001 ETH L1 fee
+      await database.logExecution(execution({ tx_hash: '0x1', gas_used: 100000, effective_gas_price: '2000000000', l1_fee: '100000000000000', balance_before_eth: 1, balance_after_eth: 0.75 }));
+      // Logged without the gas price, costed from the wei balances
+      await database.logExecution(execution({ execution_id: 'exec_2', timestamp: '2024-01-03T00:00:00.000Z', tx_hash: '0x2', balance_before_wei: '750000000000000000', balance_after_wei: '749500000000000000' }));
+      // Balance went up during the transaction; still costed from its receipt
+      await database.logExecution(execution({ execution_id: 'exec_3', tx_hash: '0x3', gas_used: 50000, effective_gas_price: '1000000000', balance_before_eth: 0.5, balance_after_eth: 2 }));
+      // Records no cost, not counted
+      await database.logExecution(execution({ execution_id: 'exec_4', tx_hash: '0x4' }));
+
+      await expect(database.getRemitCostStats('base', '2024-01-01T00:00:00.000Z')).resolves.toEqual({
+        remits: 3,
+        total_cost_eth: 0.00085,
+        first_at: '2024-01-01T00:00:00.000Z'
+      });
+      await expect(database.getRemitCostStats('base', '2025-01-01T00:00:00.000Z')).resolves.toEqual({
+        remits: 0,
+        total_cost_eth: null,
+        first_at: null
+      });
+    });
+
+    it('should return remits with their token balances', async () => {
+      const remitId = await database.logExecution(execution({ tx_hash: '0x1', balance_before_wei: '10', balance_after_wei: '7' }));
+      await database.logExecution(execution({ execution_id: 'exec_2' }));
+      await database.logTokenBalance(remitId, '0xusdc', 5_000_000n, 7_500_000n, 'base', { symbol: 'USDC', decimals: 6 });
+
+      await expect(database.getRemitProfitRows({ chainName: 'base' })).resolves.toEqual([expect.objectContaining({
+        id: remitId,
+        tx_hash: '0x1',
+        balance_before_wei: '10',
+        balance_after_wei: '7',
+        tokens: [{ symbol: 'USDC', decimals: 6, balance_before: 5, balance_after: 7.5, delta_raw: '2500000' }]
+      })]);
+      await expect(database.getRemitProfitRows({ until: '2024-01-01T00:00:00.000Z' })).resolves.toEqual([]);
+    });
+
+    it('should track remit runs and their subscriptions', async () => {
+      await database.createRemitRun({ run_id: 'run_1', chain_name: 'base', current_day: 20000 });
+      await database.updateRemitRun('run_1', { batches_completed: 2, next_unchecked_day: 19990 });
+      await database.createRemitRun({ run_id: 'run_2', chain_name: 'base', current_day: 20001 });
+      await database.updateRemitRun('run_2', { status: 'completed' });
+
+      await expect(database.getInterruptedRemitRun('base')).resolves.toMatchObject({
+        run_id: 'run_1',
+        status: 'running',
+        batches_completed: 2,
+        next_unchecked_day: 19990
+      });
+
+      await expect(database.logRemitSubscriptions('exec_1', 'base', [
+        { day: 20000, frequency: 1, frequencyName: 'monthly', dueDay: 15, ids: ['0xb', '0xa'] },
+        { day: 19999, frequency: 0, frequencyName: 'weekly', dueDay: 3, ids: ['0xc'] }
+      ])).resolves.toBe(3);
+      const subscriptions = await database.getRemitSubscriptions('exec_1');
+      expect(subscriptions.map(row => row.subscription_id)).toEqual(['0xc', '0xb', '0xa']);
+    });
+  });
+
+  describe('tokens', () => {
+    it('should create a token once per address and chain', async () => {
+      const token = await database.createToken({ token_address: '0xt', token_symbol: 'TKN', token_name: 'Token', decimals: 8, chain_name: 'base' });
+      const again = await database.createToken({ token_address: '0xt', token_symbol: 'OTHER', token_name: 'Other', decimals: 18, chain_name: 'base' });
+
+      expect(again).toMatchObject({ id: token.id, token_symbol: 'TKN', decimals: 8 });
+      await expect(database.getTokenByAddress('0xt', 'sepolia-base')).resolves.toBeNull();
+    });
+  });
+
+  describe('balances', () => {
+    it('should record and update top-ups and sweeps', async () => {
+      const topUpId = await database.recordTopUp({
+        chain_name: 'base', treasury_address: '0xt', recipient_address: '0xc', amount_eth: 0.1, threshold_eth: 0.01,
+        status: 'pending', created_at: '2024-01-01T00:00:00.000Z'
+      });
+      await database.updateTopUp(topUpId, { status: 'confirmed', tx_hash: '0xh', updated_at: '2024-01-01T00:01:00.000Z' });
+
+      await expect(database.getTopUpsSince('base', '2024-01-01T00:00:00.000Z')).resolves.toEqual([expect.objectContaining({
+        id: topUpId, status: 'confirmed', tx_hash: '0xh', reason: null, updated_at: '2024-01-01T00:01:00.000Z'
+      })]);
+      await expect(database.getTopUpsSince('base', '2024-01-02T00:00:00.000Z')).resolves.toEqual([]);
+
+      const sweepId = await database.recordSweep({
+        chain_name: 'base', token_address: '0xusdc', token_symbol: 'USDC', from_address: '0xc', to_address: '0xt',
+        amount: '100', balance_before: '150', float_retained: '50', status: 'pending', created_at: '2024-01-01T00:00:00.000Z'
+      });
+      await database.updateSweep(sweepId, { status: 'failed', error_message: 'reverted', updated_at: '2024-01-01T00:01:00.000Z' });
+
+      await expect(database.getSweepsSince('base', '2024-01-01T00:00:00.000Z')).resolves.toEqual([expect.objectContaining({
+        id: sweepId, execution_id: null, status: 'failed', error_message: 'reverted'
+      })]);
+    });
+  });
+
+  describe('locks', () => {
+    it('should hand a run lock to one holder until it is released or expires', async () => {
+      await expect(database.acquireRunLock('base', 'a', 60_000)).resolves.toBe(true);
+      await expect(database.acquireRunLock('base', 'b', 60_000)).resolves.toBe(false);
+      await expect(database.renewRunLock('base', 'b', 60_000)).resolves.toBe(false);
+      await expect(database.getRunLock('base')).resolves.toMatchObject({ chain_name: 'base', holder_id: 'a' });
+
+      await database.releaseRunLock('base', 'a');
+      await expect(database.getRunLock('base')).resolves.toBeNull();
+
+      await database.acquireRunLock('base', 'a', -1);
+      await expect(database.acquireRunLock('base', 'b', 60_000)).resolves.toBe(true);
+    });
+
+    it('should reserve increasing nonces and release only the latest', async () => {
+      const resolve = vi.fn(row => row ? row.next_nonce : 7);
+
+      await expect(database.reserveNonce('base', '0xc', resolve)).resolves.toBe(7);
+      await expect(database.reserveNonce('base', '0xc', resolve)).resolves.toBe(8);
+      expect(resolve).toHaveBeenNthCalledWith(1, null);
+      expect(resolve.mock.calls[1][0]).toEqual({ next_nonce: 8, age_ms: expect.any(Number) });
+
+      await expect(database.releaseNonce('base', '0xc', 7)).resolves.toBe(false);
+      await expect(database.releaseNonce('base', '0xc', 8)).resolves.toBe(true);
+      await expect(database.reserveNonce('base', '0xc', resolve)).resolves.toBe(8);
+    });
+
+    it('should not advance the nonce when resolving it fails', async () => {
+      await expect(database.reserveNonce('base', '0xc', () => { throw new Error('rpc down'); })).rejects.toThrow('rpc down');
+
+      await expect(database.reserveNonce('base', '0xc', row => row?.next_nonce ?? 0)).resolves.toBe(0);
+    });
+  });
+
+  describe('notifications', () => {
+    it('should hold digest events until a digest covers them', async () => {
+      const event = { chain_name: 'base', chain_display_name: 'Base', event_type: 'success' };
+      const first = await database.logDigestEvent({ ...event, recorded_at: '2024-01-01T02:00:00.000Z' });
+      const second = await database.logDigestEvent({ ...event, recorded_at: '2024-01-01T01:00:00.000Z' });
+      await database.logDigestEvent({ ...event, recorded_at: '2024-01-02T00:00:00.000Z' });
+
+      const pending = await database.getPendingDigestEvents('2024-01-02T00:00:00.000Z');
+      expect(pending.map(row => row.id)).toEqual([second, first]);
+
+      await database.recordDigest({ digest_id: 'digest_1', schedule: 'daily', period_start: '2024-01-01T01:00:00.000Z', period_end: '2024-01-02T00:00:00.000Z' }, [first, second]);
+      await expect(database.getPendingDigestEvents('2024-01-03T00:00:00.000Z')).resolves.toHaveLength(1);
+      await expect(database.recordDigest({ digest_id: 'digest_1', schedule: 'daily', period_start: 'x', period_end: 'y' }, [])).rejects.toThrow(/UNIQUE/);
+    });
+
+    it('should count alert occurrences, resolve them and reopen them', async () => {
+      const occurrence = { fingerprint: 'f1', chain_name: 'base', chain_display_name: 'Base', error_type: 'RPC', message: 'first' };
+
+      await database.recordAlertOccurrence({ ...occurrence, seen_at: '2024-01-01T00:00:00.000Z' });
+      await database.markAlertNotified('f1', '2024-01-01T00:00:01.000Z');
+      await expect(database.recordAlertOccurrence({ ...occurrence, message: 'second', seen_at: '2024-01-01T01:00:00.000Z' })).resolves.toMatchObject({
+        message: 'first', occurrences: 2, first_seen_at: '2024-01-01T00:00:00.000Z', last_notified_at: '2024-01-01T00:00:01.000Z'
+      });
+
+      await expect(database.resolveAlerts('base', '2024-01-01T01:00:00.000Z', '2024-01-01T02:00:00.000Z')).resolves.toEqual([]);
+      await expect(database.resolveAlerts('base', '2024-01-01T03:00:00.000Z', '2024-01-01T03:00:00.000Z')).resolves.toEqual([
+        expect.objectContaining({ fingerprint: 'f1', resolved_at: '2024-01-01T03:00:00.000Z' })
+      ]);
+
+      await expect(database.recordAlertOccurrence({ ...occurrence, message: 'again', seen_at: '2024-01-02T00:00:00.000Z' })).resolves.toEqual({
+        fingerprint: 'f1',
+        chain_name: 'base',
+        chain_display_name: 'Base',
+        error_type: 'RPC',
+        message: 'again',
+        first_seen_at: '2024-01-02T00:00:00.000Z',
+        last_seen_at: '2024-01-02T00:00:00.000Z',
+        last_notified_at: null,
+        occurrences: 1,
+        resolved_at: null
+      });
+    });
+  });
+});
+
+describe('Storage backends', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should create the backend for DATABASE_TYPE', () => {
+    vi.stubEnv('DATABASE_TYPE', 'memory');
+
+    expect(createStorage(new DatabaseConfigService())).toBeInstanceOf(MemoryStorage);
+  });
+
+  it('should reject an unknown database type when initializing', async () => {
+    vi.stubEnv('DATABASE_TYPE', 'oracle');
+    const database = new DatabaseService();
+
+    await expect(database.initialize()).rejects.toThrow('Unsupported database type: oracle');
+  });
+
+  it('should list the methods a backend is missing', () => {
+    const storage = new MemoryStorage();
+    delete storage.locks;
+
+    expect(() => validateStorage(storage)).toThrow(expect.objectContaining({
+      code: 'INVALID_STORAGE',
+      message: expect.stringContaining('locks.acquireRunLock')
+    }));
+  });
+
+  it('should use a registered backend without changing DatabaseService', async () => {
+    vi.stubEnv('DATABASE_TYPE', 'custom');
+    const storage = new MemoryStorage();
+    const factory = vi.fn(() => storage);
+    registerStorageBackend('Custom', factory);
+
+    const database = new DatabaseService();
+    await database.initialize();
+    await database.logExecution(execution());
+
+    expect(factory).toHaveBeenCalledWith(database.config);
+    expect(storage.tables.executionLogs.rows).toHaveLength(1);
+    await database.close();
+    expect(database.isReady()).toBe(false);
+  });
+
+  it('should not run SQL migrations on a backend without a schema', async () => {
+    const database = new DatabaseService({ storage: new MemoryStorage() });
+    await database.initialize();
+
+    expect(() => database.sqlStorage()).toThrow('has no SQL schema to migrate');
+    expect(database.db).toBeNull();
+    await database.close();
+  });
+});
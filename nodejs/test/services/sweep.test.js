@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseUnits } from 'viem';
+import { SweepService } from '../../src/services/sweep.js';
+
+const CALLER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const COLD = '0x2222222222222222222222222222222222222222';
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const WETH = '0x4200000000000000000000000000000000000006';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+describe('SweepService', () => {
+  let database;
+  let nonces;
+  let publicClient;
+  let walletClient;
+  let chain;
+  let sweeps;
+  let balances;
+
+  const createService = () => {
+    const service = new SweepService(database, { createTransport: vi.fn() }, nonces);
+    service.createWalletClient = vi.fn(() => walletClient);
+    return service;
+  };
+
+  beforeEach(() => {
+    vi.stubEnv('CALLER_ADDRESS', CALLER);
+
+    sweeps = [];
+    database = {
+      isReady: vi.fn(() => true),
+      recordSweep: vi.fn(data => {
+        sweeps.push({ id: sweeps.length + 1, ...data });
+        return Promise.resolve(sweeps.length);
+      }),
+      updateSweep: vi.fn((id, fields) => {
+        Object.assign(sweeps[id - 1], fields);
+        return Promise.resolve();
+      })
+    };
+    nonces = {
+      acquire: vi.fn(() => Promise.resolve(7)),
+      release: vi.fn(() => Promise.resolve())
+    };
+    balances = { [USDC]: parseUnits('1259.567891', 6), [WETH]: parseUnits('0.5', 18) };
+    publicClient = {
+      readContract: vi.fn(({ address }) => Promise.resolve(balances[address])),
+      waitForTransactionReceipt: vi.fn(() => Promise.resolve({ status: 'success' }))
+    };
+    walletClient = { writeContract: vi.fn(() => Promise.resolve(TX_HASH)) };
+    chain = {
+      name: 'base',
+      chainId: 8453,
+      sweepPolicy: { coldAddress: COLD },
+      tokens: [
+        { address: USDC, symbol: 'USDC', decimals: 6, sweepFloat: '25' },
+        { address: WETH, symbol: 'WETH', decimals: 18, sweepFloat: '1' }
+      ]
+    };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should be off without a cold address or tokens', () => {
+    expect(createService().isEnabled(chain)).toBe(true);
+    expect(createService().isEnabled({ ...chain, sweepPolicy: null })).toBe(false);
+    expect(createService().isEnabled({ ...chain, tokens: [] })).toBe(false);
+  });
+
+  it('should transfer the balance above the float and record it', async () => {
+    const results = await createService().sweepChain(chain, publicClient, { executionId: 'exec_base_1' });
+
+    // WETH is below its float
+    expect(results).toEqual([{ symbol: 'USDC', amount: '1234.567891', status: 'confirmed', txHash: TX_HASH }]);
+    expect(walletClient.writeContract).toHaveBeenCalledWith(expect.objectContaining({
+      address: USDC,
+      functionName: 'transfer',
+      args: [COLD, 1234567891n],
+      nonce: 7
+    }));
+    expect(nonces.acquire).toHaveBeenCalledWith(chain, publicClient, CALLER);
+    expect(sweeps).toEqual([expect.objectContaining({
+      execution_id: 'exec_base_1',
+      chain_name: 'base',
+      token_symbol: 'USDC',
+      from_address: CALLER,
+      to_address: COLD,
+      amount: '1234.567891',
+      balance_before: '1259.567891',
+      float_retained: '25',
+      status: 'confirmed',
+      tx_hash: TX_HASH
+    })]);
+  });
+
+  it('should only report what would be swept in a dry run', async () => {
+    const results = await createService().sweepChain(chain, publicClient, { dryRun: true });
+
+    expect(results).toEqual([{ symbol: 'USDC', amount: '1234.567891', status: 'dry_run' }]);
+    expect(walletClient.writeContract).not.toHaveBeenCalled();
+    expect(database.recordSweep).not.toHaveBeenCalled();
+  });
+
+  it('should release the nonce when the transfer is never sent', async () => {
+    walletClient.writeContract.mockRejectedValueOnce(new Error('insufficient funds for gas'));
+
+    const results = await createService().sweepChain(chain, publicClient);
+
+    expect(results).toEqual([expect.objectContaining({ symbol: 'USDC', status: 'failed', error: 'insufficient funds for gas' })]);
+    expect(nonces.release).toHaveBeenCalledWith(chain, CALLER, 7);
+    expect(sweeps.map(sweep => [sweep.status, sweep.error_message])).toEqual([['failed', 'insufficient funds for gas']]);
+  });
+
+  it('should mark a reverted sweep failed and an unconfirmed one pending', async () => {
+    const service = createService();
+
+    publicClient.waitForTransactionReceipt.mockResolvedValueOnce({ status: 'reverted' });
+    await expect(service.sweepChain(chain, publicClient)).resolves.toEqual([expect.objectContaining({ status: 'failed', error: 'Transaction reverted' })]);
+
+    publicClient.waitForTransactionReceipt.mockRejectedValueOnce(new Error('Timed out while waiting for transaction'));
+    await expect(service.sweepChain(chain, publicClient)).resolves.toEqual([expect.objectContaining({ status: 'pending', txHash: TX_HASH })]);
+
+    expect(nonces.release).not.toHaveBeenCalled();
+    expect(sweeps.map(sweep => sweep.status)).toEqual(['failed', 'pending']);
+  });
+
+  it('should not send without an audit trail', async () => {
+    database.recordSweep.mockRejectedValueOnce(new Error('disk full'));
+    const service = createService();
+
+    await expect(service.sweepChain(chain, publicClient)).resolves.toEqual([expect.objectContaining({ status: 'failed', error: 'disk full' })]);
+
+    database.isReady.mockReturnValue(false);
+    await expect(service.sweepChain(chain, publicClient)).resolves.toEqual([expect.objectContaining({ status: 'failed', error: 'Database not available' })]);
+
+    expect(walletClient.writeContract).not.toHaveBeenCalled();
+  });
+
+  it('should report a token whose balance cannot be read and carry on', async () => {
+    balances[WETH] = parseUnits('3', 18);
+    publicClient.readContract.mockRejectedValueOnce(new Error('execution reverted'));
+
+    const results = await createService().sweepChain(chain, publicClient);
+
+    expect(results).toEqual([
+      { symbol: 'USDC', amount: null, status: 'failed', error: 'execution reverted' },
+      { symbol: 'WETH', amount: '2', status: 'confirmed', txHash: TX_HASH }
+    ]);
+  });
+});
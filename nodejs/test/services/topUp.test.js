@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseEther } from 'viem';
+import { TopUpService } from '../../src/services/topUp.js';
+
+// Anvil's first two default accounts
+const TREASURY_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TREASURY = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const CALLER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+describe('TopUpService', () => {
+  let database;
+  let publicClient;
+  let walletClient;
+  let chain;
+  let topUps;
+
+  const createService = () => {
+    const service = new TopUpService(database, { createTransport: vi.fn() });
+    service.createWalletClient = vi.fn(() => walletClient);
+    return service;
+  };
+
+  beforeEach(() => {
+    vi.stubEnv('CALLER_ADDRESS', CALLER);
+    vi.stubEnv('TREASURY_PRIVATE_KEY', TREASURY_KEY);
+    vi.stubEnv('TOPUP_ALLOWLIST', ` ${CALLER.toLowerCase()} , not-an-address`);
+
+    topUps = [];
+    database = {
+      isReady: vi.fn(() => true),
+      getTopUpsSince: vi.fn(() => Promise.resolve(topUps)),
+      recordTopUp: vi.fn(data => {
+        topUps.push({ id: topUps.length + 1, ...data });
+        return Promise.resolve(topUps.length);
+      }),
+      updateTopUp: vi.fn((id, fields) => {
+        Object.assign(topUps[id - 1], fields);
+        return Promise.resolve();
+      })
+    };
+    publicClient = { waitForTransactionReceipt: vi.fn(() => Promise.resolve({ status: 'success' })) };
+    walletClient = { sendTransaction: vi.fn(() => Promise.resolve(TX_HASH)) };
+    chain = { name: 'base', chainId: 8453, topUpPolicy: { thresholdEth: 0.01, amountEth: 0.05, dailyCapEth: 0.1 } };
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should be off without a treasury key, with an invalid one or with the caller key', () => {
+    expect(createService().isEnabled(chain)).toBe(true);
+    expect(createService().isEnabled({ ...chain, topUpPolicy: null })).toBe(false);
+
+    vi.stubEnv('TREASURY_PRIVATE_KEY', '');
+    expect(createService().isEnabled(chain)).toBe(false);
+    vi.stubEnv('TREASURY_PRIVATE_KEY', '0x1234');
+    expect(createService().isEnabled(chain)).toBe(false);
+    vi.stubEnv('TREASURY_PRIVATE_KEY', TREASURY_KEY);
+    vi.stubEnv('CALLER_ADDRESS', TREASURY);
+    expect(createService().isEnabled(chain)).toBe(false);
+  });
+
+  it('should do nothing while the balance is at or above the threshold', async () => {
+    await expect(createService().topUpIfLow(chain, publicClient, parseEther('0.01'))).resolves.toBeNull();
+    expect(walletClient.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should send the amount from the treasury and record it', async () => {
+    const result = await createService().topUpIfLow(chain, publicClient, parseEther('0.004'));
+
+    expect(result).toEqual({ status: 'confirmed', amountEth: 0.05, txHash: TX_HASH });
+    expect(walletClient.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({ to: CALLER, value: parseEther('0.05') }));
+    expect(topUps).toEqual([expect.objectContaining({
+      chain_name: 'base',
+      treasury_address: TREASURY,
+      recipient_address: CALLER,
+      amount_eth: 0.05,
+      threshold_eth: 0.01,
+      balance_before_eth: 0.004,
+      status: 'confirmed',
+      tx_hash: TX_HASH
+    })]);
+  });
+
+  it('should refuse a recipient that is not in TOPUP_ALLOWLIST', async () => {
+    vi.stubEnv('TOPUP_ALLOWLIST', TREASURY);
+
+    const result = await createService().topUpIfLow(chain, publicClient, 0n);
+
+    expect(result).toMatchObject({ status: 'refused', reason: `Recipient ${CALLER} is not in TOPUP_ALLOWLIST` });
+    expect(topUps.map(topUp => topUp.status)).toEqual(['refused']);
+    expect(walletClient.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should refuse once pending and confirmed top-ups reach the daily cap', async () => {
+    topUps.push(
+      { id: 1, status: 'confirmed', amount_eth: 0.05 },
+      { id: 2, status: 'failed', amount_eth: 0.05 },
+      { id: 3, status: 'refused', amount_eth: 0.05 }
+    );
+    const service = createService();
+
+    await expect(service.topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({ status: 'confirmed' });
+    await expect(service.topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({
+      status: 'refused',
+      reason: 'Daily cap of 0.1 ETH reached (0.1 ETH sent today)'
+    });
+    expect(walletClient.sendTransaction).toHaveBeenCalledTimes(1);
+    expect(database.getTopUpsSince.mock.calls[0][1]).toMatch(/T00:00:00\.000Z$/);
+  });
+
+  it('should send and cap amounts small enough to be written in exponent notation', async () => {
+    chain.topUpPolicy = { thresholdEth: 0.01, amountEth: 1e-7, dailyCapEth: 2.5e-7 };
+    topUps.push({ id: 1, status: 'confirmed', amount_eth: 1e-7 });
+    const service = createService();
+
+    await expect(service.topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({ status: 'confirmed' });
+    expect(walletClient.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({ value: 100000000000n }));
+    await expect(service.topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({
+      status: 'refused',
+      reason: 'Daily cap of 0.00000025 ETH reached (0.0000002 ETH sent today)'
+    });
+  });
+
+  it('should refuse without a database to enforce the cap', async () => {
+    database.isReady.mockReturnValue(false);
+
+    await expect(createService().topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({ status: 'refused', reason: 'Database not available' });
+    expect(walletClient.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should mark a reverted top-up failed and an unconfirmed one pending', async () => {
+    const service = createService();
+
+    publicClient.waitForTransactionReceipt.mockResolvedValueOnce({ status: 'reverted' });
+    await expect(service.topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({ status: 'failed', reason: 'Transaction reverted' });
+
+    publicClient.waitForTransactionReceipt.mockRejectedValueOnce(new Error('Timed out while waiting for transaction'));
+    await expect(service.topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({ status: 'pending', txHash: TX_HASH });
+
+    walletClient.sendTransaction.mockRejectedValueOnce(new Error('insufficient funds'));
+    await expect(service.topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({ status: 'failed', reason: 'insufficient funds' });
+
+    // The pending top-up still counts towards the cap, the failed ones do not
+    expect(topUps.map(topUp => topUp.status)).toEqual(['failed', 'pending', 'failed']);
+  });
+
+  it('should not send when the top-up cannot be recorded', async () => {
+    database.recordTopUp.mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(createService().topUpIfLow(chain, publicClient, 0n)).resolves.toMatchObject({ status: 'failed', reason: 'disk full' });
+    expect(walletClient.sendTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseGwei } from 'viem';
+import { TransactionManager } from '../../src/services/transactionManager.js';
+
+const timeoutError = () => Object.assign(new Error('Timed out'), { name: 'WaitForTransactionReceiptTimeoutError' });
+
+describe('TransactionManager', () => {
+  let manager;
+  let publicClient;
+  let walletClient;
+  let chain;
+  const fees = { maxFeePerGas: parseGwei('1'), maxPriorityFeePerGas: parseGwei('0.1') };
+
+  beforeEach(() => {
+    process.env.CALLER_ADDRESS = '0x1234567890123456789012345678901234567890';
+    process.env.TX_TIMEOUT_MS = '1000';
+    process.env.TX_MAX_REPLACEMENTS = '1';
+    process.env.TX_FEE_BUMP_PERCENT = '20';
+    delete process.env.TX_CANCEL_ON_STUCK;
+
+    manager = new TransactionManager();
+    publicClient = {
+      getTransactionCount: vi.fn(() => Promise.resolve(7)),
+      estimateFeesPerGas: vi.fn(() => Promise.resolve({ maxFeePerGas: parseGwei('0.5'), maxPriorityFeePerGas: parseGwei('0.05') })),
+      waitForTransactionReceipt: vi.fn(() => Promise.resolve({ status: 'success', transactionHash: '0xaaa' })),
+      getTransactionReceipt: vi.fn(() => Promise.reject(new Error('not found')))
+    };
+    walletClient = {
+      writeContract: vi.fn()
+        .mockResolvedValueOnce('0xaaa')
+        .mockResolvedValueOnce('0xbbb'),
+      sendTransaction: vi.fn(() => Promise.resolve('0xccc'))
+    };
+    chain = { name: 'base', clocktowerAddress: '0x0000000000000000000000000000000000000001', feePolicy: null };
+  });
+
+  afterEach(() => {
+    delete process.env.TX_TIMEOUT_MS;
+    delete process.env.TX_MAX_REPLACEMENTS;
+    delete process.env.TX_FEE_BUMP_PERCENT;
+  });
+
+  it('should send remit at the pending nonce and return the mined receipt', async () => {
+    const onAttempt = vi.fn();
+
+    const result = await manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees, onAttempt });
+
+    expect(publicClient.getTransactionCount).toHaveBeenCalledWith({ address: process.env.CALLER_ADDRESS, blockTag: 'pending' });
+    expect(walletClient.writeContract).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'remit', nonce: 7, ...fees }));
+    expect(publicClient.waitForTransactionReceipt).toHaveBeenCalledWith({ hash: '0xaaa', timeout: 1000 });
+    expect(result).toMatchObject({ hash: '0xaaa', nonce: 7, cancelled: false });
+    expect(onAttempt).toHaveBeenCalledTimes(1);
+    expect(onAttempt.mock.calls[0][0]).toMatchObject({ index: 0, kind: 'remit', hash: '0xaaa', replacedHash: null });
+  });
+
+  it('should estimate starting fees when none are given', async () => {
+    await manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000 });
+
+    expect(walletClient.writeContract).toHaveBeenCalledWith(expect.objectContaining({ maxFeePerGas: parseGwei('0.5') }));
+  });
+
+  it('should replace a stuck transaction at the same nonce with bumped fees', async () => {
+    publicClient.waitForTransactionReceipt
+      .mockRejectedValueOnce(timeoutError())
+      .mockResolvedValueOnce({ status: 'success', transactionHash: '0xbbb' });
+    const onAttempt = vi.fn();
+
+    const result = await manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees, onAttempt });
+
+    expect(walletClient.writeContract).toHaveBeenCalledTimes(2);
+    expect(walletClient.writeContract.mock.calls[1][0]).toMatchObject({
+      nonce: 7,
+      maxFeePerGas: parseGwei('1.2'),
+      maxPriorityFeePerGas: parseGwei('0.12')
+    });
+    expect(onAttempt.mock.calls[1][0]).toMatchObject({ index: 1, kind: 'replacement', hash: '0xbbb', replacedHash: '0xaaa' });
+    expect(result).toMatchObject({ hash: '0xbbb', cancelled: false });
+  });
+
+  it('should use the market estimate when it is above the bumped fees', async () => {
+    publicClient.estimateFeesPerGas.mockResolvedValue({ maxFeePerGas: parseGwei('3'), maxPriorityFeePerGas: parseGwei('0.5') });
+
+    const bumped = await manager.bumpFees(publicClient, fees);
+
+    expect(bumped).toEqual({ maxFeePerGas: parseGwei('3'), maxPriorityFeePerGas: parseGwei('0.5') });
+  });
+
+  it('should never bump fees by less than 10%', () => {
+    process.env.TX_FEE_BUMP_PERCENT = '5';
+
+    expect(new TransactionManager().feeBumpPercent).toBe(10);
+  });
+
+  it('should return the receipt of an earlier attempt that got mined', async () => {
+    publicClient.waitForTransactionReceipt
+      .mockRejectedValueOnce(timeoutError())
+      .mockRejectedValueOnce(timeoutError());
+    publicClient.getTransactionReceipt.mockImplementation(({ hash }) =>
+      hash === '0xaaa' ? Promise.resolve({ status: 'success' }) : Promise.reject(new Error('not found')));
+
+    const result = await manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees });
+
+    expect(result).toMatchObject({ hash: '0xaaa', cancelled: false });
+    expect(walletClient.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should cancel with a zero-value self-transfer once replacements are exhausted', async () => {
+    publicClient.waitForTransactionReceipt
+      .mockRejectedValueOnce(timeoutError())
+      .mockRejectedValueOnce(timeoutError())
+      .mockResolvedValueOnce({ status: 'success', transactionHash: '0xccc' });
+
+    const result = await manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees });
+
+    expect(walletClient.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      to: process.env.CALLER_ADDRESS,
+      value: 0n,
+      gas: 21000n,
+      nonce: 7
+    }));
+    expect(result).toMatchObject({ hash: '0xccc', cancelled: true });
+    expect(result.attempts.map(a => a.kind)).toEqual(['remit', 'replacement', 'cancel']);
+  });
+
+  it('should skip replacements that would exceed the policy max fee', async () => {
+    chain.feePolicy = { maxFeePerGasGwei: 1 };
+    publicClient.waitForTransactionReceipt
+      .mockRejectedValueOnce(timeoutError())
+      .mockResolvedValueOnce({ status: 'success', transactionHash: '0xccc' });
+
+    const result = await manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees });
+
+    expect(walletClient.writeContract).toHaveBeenCalledTimes(1);
+    expect(result.cancelled).toBe(true);
+  });
+
+  it('should throw TX_STUCK when cancel is disabled and nothing was mined', async () => {
+    process.env.TX_CANCEL_ON_STUCK = 'false';
+    manager = new TransactionManager();
+    publicClient.waitForTransactionReceipt.mockRejectedValue(timeoutError());
+
+    await expect(manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees }))
+      .rejects.toMatchObject({ code: 'TX_STUCK', details: { nonce: 7, hashes: ['0xaaa', '0xbbb'] } });
+  });
+
+  it('should rethrow errors other than timeouts', async () => {
+    publicClient.waitForTransactionReceipt.mockRejectedValue(new Error('RPC down'));
+
+    await expect(manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees })).rejects.toThrow('RPC down');
+    expect(walletClient.writeContract).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return an earlier mined attempt when waiting for the latest one fails', async () => {
+    publicClient.waitForTransactionReceipt
+      .mockRejectedValueOnce(timeoutError())
+      .mockRejectedValueOnce(new Error('RPC down'));
+    publicClient.getTransactionReceipt.mockImplementation(({ hash }) =>
+      hash === '0xaaa' ? Promise.resolve({ status: 'success' }) : Promise.reject(new Error('not found')));
+
+    const result = await manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees });
+
+    expect(result).toMatchObject({ hash: '0xaaa', cancelled: false });
+    expect(publicClient.getTransactionReceipt).toHaveBeenCalledWith({ hash: '0xaaa' });
+  });
+
+  it('should rethrow a wait error when no earlier attempt was mined', async () => {
+    publicClient.waitForTransactionReceipt
+      .mockRejectedValueOnce(timeoutError())
+      .mockRejectedValueOnce(new Error('RPC down'));
+
+    await expect(manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees })).rejects.toThrow('RPC down');
+    expect(publicClient.getTransactionReceipt).toHaveBeenCalledWith({ hash: '0xaaa' });
+  });
+
+  it('should release the nonce when the first broadcast fails', async () => {
+    const nonces = { acquire: vi.fn(() => Promise.resolve(9)), release: vi.fn(() => Promise.resolve()) };
+    manager = new TransactionManager(nonces);
+    walletClient.writeContract = vi.fn(() => Promise.reject(new Error('insufficient funds')));
+
+    await expect(manager.sendRemit(chain, publicClient, walletClient, { gas: 1000000, fees })).rejects.toThrow('insufficient funds');
+    expect(nonces.release).toHaveBeenCalledWith(chain, process.env.CALLER_ADDRESS, 9);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { html } from '../../src/templates/html.js';
+import { resolveLocale, createTranslator } from '../../src/templates/i18n.js';
+import { renderEmail, EMAIL_TEMPLATES } from '../../src/templates/email/index.js';
+import en from '../../src/templates/locales/en.js';
+import es from '../../src/templates/locales/es.js';
+
+const errorData = {
+  chain: 'Base',
+  errorType: 'PreCheck Error',
+  errorMessage: '<img src=x onerror=alert(1)> & "quoted"',
+  details: { 'Block <Number>': 10n, 'Tx Hash': null },
+  timestamp: '2026-03-10T06:00:00.000Z'
+};
+
+describe('html', () => {
+  it('should escape values but not nested templates', () => {
+    const inner = html`<b>${'<i>'}</b>`;
+    expect(String(html`<p>${inner}${['<a>', inner]}${null}${false}</p>`)).toBe('<p><b>&lt;i&gt;</b>&lt;a&gt;<b>&lt;i&gt;</b></p>');
+  });
+});
+
+describe('i18n', () => {
+  it('should match region tags to a supported language', () => {
+    expect(resolveLocale('es-MX')).toBe('es');
+    expect(resolveLocale('ES_es')).toBe('es');
+    expect(resolveLocale('en')).toBe('en');
+    expect(resolveLocale('fr')).toBeNull();
+  });
+
+  it('should fill placeholders and fall back to English for missing keys', () => {
+    const t = createTranslator('es');
+    expect(t('error.subject', { chain: 'Base' })).toBe('❌ Clocktower: error - Base');
+    expect(t('digest.gasUnits', { gas: 21000 })).toBe('21000 gas');
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+
+  it('should only have keys that exist in English', () => {
+    expect(Object.keys(es).filter(key => !(key in en))).toEqual([]);
+  });
+});
+
+describe('renderEmail', () => {
+  it('should escape the error message and additional details', () => {
+    const { subject, html: body, text } = renderEmail('error', errorData, 'en');
+
+    expect(subject).toBe('❌ Clocktower Error - Base');
+    expect(body).toContain('&lt;img src=x onerror=alert(1)&gt; &amp; &quot;quoted&quot;');
+    expect(body).toContain('<strong>Block &lt;Number&gt;:</strong> 10');
+    expect(body).toContain('<strong>Tx Hash:</strong> N/A');
+    expect(body).not.toContain('<img');
+    expect(text).toContain('Error Message:\n<img src=x onerror=alert(1)> & "quoted"');
+    expect(text).toContain('Block <Number>: 10');
+  });
+
+  it('should render every template with a text alternative in each locale', () => {
+    const data = {
+      success: { chain: 'Base', txHash: '0x' + 'ab'.repeat(32), explorerUrl: 'https://basescan.org/tx/0x1', balanceBeforeEth: '1.0', balanceAfterEth: '0.9', tokenBalances: [{ symbol: 'USDC', balanceBefore: '1', balanceAfter: '2' }], recursionDepth: 0, subscriptions: [], timestamp: 'now' },
+      noSubscriptions: { chain: 'Base', currentDay: 20000, nextUncheckedDay: 20001, timestamp: 'now' },
+      error: { ...errorData, errorMessage: 'execution reverted', details: { 'Block Number': 10n } },
+      lowBalance: { chain: 'Base', level: 'critical', balanceEth: 0.004, breaches: [{ kind: 'balance', level: 'critical', value: 0.004, threshold: 0.01 }, { kind: 'runway', level: 'critical', value: 2.04, threshold: 3 }], runway: { runwayDays: 2.04, remitsPerDay: 2, avgCostPerRemitEth: 0.001, remits: 60, lookbackDays: 30 }, timestamp: 'now' },
+      resolved: { chain: 'Base', alerts: [{ errorType: 'PreCheck Error', message: 'rpc down', firstSeenAt: 'a', lastSeenAt: 'b', occurrences: 3 }], timestamp: 'now' },
+      summary: { results: [{ chain: 'base', success: true, txCount: 1, status: 'executed', profit: { remits: 1, gasCostEth: 0.0002, cost: 0.5, revenue: null, net: null, currency: 'USD' }, sweeps: [{ symbol: 'USDC', amount: '1234.5', status: 'confirmed', txHash: '0x' + 'cd'.repeat(32) }] }], timestamp: 'now' },
+      digest: { schedule: 'daily', periodStart: 'a', periodEnd: 'b', chains: [], totals: { remits: 0, failures: 0, noSubscriptionDays: 0, gasUsed: 0, gasCostEth: 0 } },
+      test: {}
+    };
+
+    for (const name of Object.keys(EMAIL_TEMPLATES)) {
+      for (const locale of ['en', 'es']) {
+        const email = renderEmail(name, data[name], locale);
+        expect(email.subject, `${name}/${locale}`).toBeTruthy();
+        expect(email.html, `${name}/${locale}`).toContain('<');
+        expect(email.text, `${name}/${locale}`).not.toMatch(/<\w+[ >]/);
+      }
+    }
+  });
+
+  it('should use the locale strings', () => {
+    const { subject, text } = renderEmail('noSubscriptions', { chain: 'Base', currentDay: 1, nextUncheckedDay: 2, timestamp: 'now' }, 'es');
+
+    expect(subject).toBe('📭 Clocktower: sin suscripciones - Base');
+    expect(text).toContain('Día actual: 1');
+  });
+
+  it('should describe the balance, runway and thresholds crossed', () => {
+    const data = { chain: 'Base', level: 'warn', balanceEth: 0.04, breaches: [{ kind: 'balance', level: 'warn', value: 0.04, threshold: 0.05 }], runway: null, timestamp: 'now' };
+
+    const { subject, text } = renderEmail('lowBalance', data, 'en');
+
+    expect(subject).toBe('⚠️ Clocktower Low Balance - Base');
+    expect(text).toContain('Caller Balance: 0.04 ETH');
+    expect(text).toContain('Runway: Not enough remit history to forecast');
+    expect(text).toContain('- Warning: Balance 0.04 ETH is below 0.05 ETH');
+  });
+
+  it('should show each chain\'s profit in the reference currency', () => {
+    const results = [{ chain: 'base', success: true, txCount: 2, status: 'executed', profit: { remits: 2, gasCostEth: 0.0004, cost: 1, revenue: 5, net: 4, currency: 'EUR' } }];
+
+    const { text } = renderEmail('summary', { results, timestamp: 'now' }, 'en');
+
+    expect(text).toContain('Profitability (EUR)\nbase: 2 remit(s), gas 0.0004 ETH, cost 1.00, revenue 5.00, net 4.00');
+  });
+
+  it('should list the sweeps made by the run', () => {
+    const results = [
+      { chain: 'base', success: true, txCount: 1, status: 'executed', sweeps: [{ symbol: 'USDC', amount: '1234.5', status: 'confirmed', txHash: '0x01' }] },
+      { chain: 'arbitrum', success: true, txCount: 0, status: 'no_subscriptions', sweeps: [{ symbol: 'USDC', amount: '10', status: 'failed', error: 'insufficient funds' }] }
+    ];
+
+    const { html: body, text } = renderEmail('summary', { results, timestamp: 'now' }, 'en');
+
+    expect(text).toContain('Token Sweeps\nbase: 1234.5 USDC, Confirmed (0x01)\narbitrum: 10 USDC, Failed');
+    expect(body).toContain('Token Sweeps');
+    expect(renderEmail('summary', { results: [results[0]].map(({ sweeps, ...result }) => result), timestamp: 'now' }, 'en').text).not.toContain('Token Sweeps');
+  });
+
+  it('should reject unknown templates', () => {
+    expect(() => renderEmail('nope', {}, 'en')).toThrow('Unknown email template: nope');
+  });
+});
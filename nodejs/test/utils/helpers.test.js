@@ -16,8 +16,14 @@ import {
   generateExecutionId,
   formatAddress,
   formatTxHash,
+  escapeHtml,
   createError,
   isRevertError,
+  extractRevertReason,
+  getReceiptFee,
+  mapWithConcurrency,
+  withTimeout,
+  abortable,
   getEnv,
   getRequiredEnv,
   MAX_RECURSION_DEPTH,
@@ -213,6 +219,12 @@ describe('Helper Utilities', () => {
       const formatted = formatTxHash(txHash);
       expect(formatted).toBe(txHash);
     });
+
+    it('should escape HTML special characters', () => {
+      expect(escapeHtml(`<b title="a">'x' & y</b>`)).toBe('&lt;b title=&quot;a&quot;&gt;&#39;x&#39; &amp; y&lt;/b&gt;');
+      expect(escapeHtml(10n)).toBe('10');
+      expect(escapeHtml(undefined)).toBe('');
+    });
   });
 
   describe('Error Utilities', () => {
@@ -244,6 +256,80 @@ describe('Helper Utilities', () => {
       const normalError = { message: 'Some other error' };
       expect(isRevertError(normalError)).toBe(false);
     });
+
+    it('should extract the innermost revert reason', () => {
+      const error = new Error('Contract call failed');
+      error.shortMessage = 'Execution reverted';
+      error.cause = { message: 'inner', cause: { reason: 'Not enough ids' } };
+      expect(extractRevertReason(error)).toBe('Not enough ids');
+
+      const noReason = new Error('Contract call failed');
+      noReason.shortMessage = 'Execution reverted';
+      expect(extractRevertReason(noReason)).toBe('Execution reverted');
+    });
+  });
+
+  describe('Receipt Utilities', () => {
+    it('should add the L1 data fee to the gas cost', () => {
+      expect(getReceiptFee({ gasUsed: 100000n, effectiveGasPrice: 2000000000n, l1Fee: '0x2d79883d2000' })).toEqual({
+        effectiveGasPrice: 2000000000n,
+        l1Fee: 50000000000000n,
+        totalWei: 250000000000000n
+      });
+    });
+
+    it('should leave parts a receipt does not carry null', () => {
+      expect(getReceiptFee({ gasUsed: 21000n, effectiveGasPrice: 1n })).toEqual({ effectiveGasPrice: 1n, l1Fee: null, totalWei: 21000n });
+      expect(getReceiptFee({ gasUsed: 21000n })).toEqual({ effectiveGasPrice: null, l1Fee: null, totalWei: null });
+    });
+  });
+
+  describe('Async Utilities', () => {
+    it('should keep result order and never exceed the concurrency limit', async () => {
+      let running = 0;
+      let peak = 0;
+      const delays = [30, 5, 20, 1];
+
+      const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3]);
+      expect(peak).toBe(2);
+    });
+
+    it('should handle an empty list', async () => {
+      await expect(mapWithConcurrency([], 3, async () => 1)).resolves.toEqual([]);
+    });
+
+    it('should reject with TIMEOUT when the promise is too slow', async () => {
+      const slow = new Promise(resolve => setTimeout(() => resolve('late'), 50));
+
+      await expect(withTimeout(slow, 10, 'too slow')).rejects.toMatchObject({ code: 'TIMEOUT', message: 'too slow' });
+    });
+
+    it('should resolve normally within the timeout or without one', async () => {
+      await expect(withTimeout(Promise.resolve('ok'), 100, 'too slow')).resolves.toBe('ok');
+      await expect(withTimeout(Promise.resolve('ok'), 0, 'too slow')).resolves.toBe('ok');
+    });
+
+    it('should reject with the abort reason when the signal fires', async () => {
+      const controller = new AbortController();
+      const pending = abortable(new Promise(() => {}), controller.signal);
+      controller.abort(new Error('deadline'));
+
+      await expect(pending).rejects.toThrow('deadline');
+      await expect(abortable(Promise.resolve('ok'), controller.signal)).rejects.toThrow('deadline');
+    });
+
+    it('should pass the promise through without a signal', async () => {
+      await expect(abortable(Promise.resolve('ok'), null)).resolves.toBe('ok');
+      await expect(abortable(Promise.resolve('ok'), new AbortController().signal)).resolves.toBe('ok');
+    });
   });
 
   describe('Environment Utilities', () => {